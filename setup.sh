@@ -61,6 +61,7 @@ setup_env() {
         print_message "$YELLOW" "📝 Creating .env file from template..."
         cp .env.example .env
         print_message "$GREEN" "✅ .env file created"
+        print_message "$BLUE" "💡 To fill it in with checked values, ask the bot to \"Configure my .env file\" once it is running"
     else
         print_message "$GREEN" "✅ .env file already exists"
     fi
@@ -0,0 +1,600 @@
+/**
+ * Intent Actions for EXPLORABOT
+ * Handlers that do real work once an intent's slots are filled, named by
+ * the `action` field of an intent definition
+ *
+ * An action is an async function receiving:
+ *   intent     - intent name
+ *   slots      - raw slot values, with defaults applied
+ *   variables  - template variables (live data and labelled slot values)
+ *   locale     - language of the conversation
+ *   services   - server-side helpers, e.g. { taskRunner, docsIndex }
+ *   onChunk    - (over WebSocket) sends part of the reply immediately
+ *   signal     - AbortSignal, aborted when the user cancels the reply
+ *   input      - the user's answer, when the action asked a question
+ *   state      - the `continueWith` value of the previous turn
+ *   plan       - the conversation's project plan, or null
+ * and resolving to { response, attachments }, where each attachment is
+ *   { name, mimeType, size, data }
+ * with `data` a Buffer. The server keeps attachments in its artifact store
+ * and replies with links to them. An action that sent its reply through
+ * `onChunk` resolves with `streamed: true` and the whole text as `response`.
+ *
+ * An action that needs more answers than its slots cover resolves with
+ * `continueWith` (plain data): the next message then comes back to it as
+ * `input`, with that value as `state`, until it resolves without one.
+ * `maskedInput` replaces the user's message in history (e.g. a secret),
+ * and `plan` replaces the conversation's project plan. Such an action may
+ * have a `redactState(state)` property giving its `continueWith` value as it
+ * may be written to conversation storage, e.g. without secrets.
+ */
+
+const fs = require('fs');
+const Scaffolder = require('./scaffolder');
+const { createZip } = require('./zip-writer');
+const { translate } = require('./i18n');
+const railway = require('./railway-config');
+const { checkWorkflow } = require('./github-workflow');
+const TaskRunner = require('./task-runner');
+const envFile = require('./env-file');
+const projectPlan = require('./project-plan');
+
+const scaffolder = new Scaffolder().load();
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Package files as a .zip attachment
+ */
+function createArchiveAttachment(name, files) {
+  const archive = createZip(files);
+  return {
+    name,
+    mimeType: 'application/zip',
+    size: archive.length,
+    data: archive,
+  };
+}
+
+/**
+ * Render a project template (src/scaffolds/) and return a file tree preview
+ * plus the project as a .zip download
+ */
+async function scaffold({ slots, variables, locale }) {
+  const { template, files } = scaffolder.render(slots.scaffold, variables);
+  // Files go inside a folder named after the project
+  const attachment = createArchiveAttachment(
+    `${slots.appName}.zip`,
+    files.map((file) => ({ ...file, path: `${slots.appName}/${file.path}` }))
+  );
+
+  const response = translate(locale, 'scaffold.created', {
+    label: template.label,
+    appName: slots.appName,
+    description: template.description,
+    tree: Scaffolder.formatFileTree(slots.appName, files.map((file) => file.path)),
+    archive: attachment.name,
+    size: formatBytes(attachment.size),
+  });
+
+  return { response, attachments: [attachment] };
+}
+
+// How each runtime is containerised. `entrypoint` is the default for the
+// entrypoint slot; `command` turns an entrypoint into the CMD array.
+const DOCKER_RUNTIMES = {
+  node: {
+    user: 'node',
+    entrypoint: 'npm start',
+    command: (entrypoint) => (/\.[cm]?js$/.test(entrypoint) ? ['node', entrypoint] : entrypoint.split(/\s+/)),
+    healthcheck: (path) => `node -e "require('http').get('http://localhost:' + process.env.PORT + '${path}', (r) => process.exit(r.statusCode === 200 ? 0 : 1)).on('error', () => process.exit(1))"`,
+  },
+  python: {
+    user: 'app',
+    entrypoint: 'app.py',
+    command: (entrypoint) => (/\.py$/.test(entrypoint) ? ['python', entrypoint] : entrypoint.split(/\s+/)),
+    healthcheck: (path) => `python -c "import os, urllib.request; urllib.request.urlopen('http://localhost:' + os.environ['PORT'] + '${path}', timeout=2)"`,
+  },
+  go: {
+    user: 'app',
+    entrypoint: '.',
+    command: () => ['./app'],
+    healthcheck: (path) => `wget -q --spider "http://localhost:$PORT${path}" || exit 1`,
+  },
+  java: {
+    user: 'app',
+    entrypoint: 'target/app.jar',
+    command: () => ['java', '-jar', 'app.jar'],
+    healthcheck: (path) => `wget -q --spider "http://localhost:$PORT${path}" || exit 1`,
+  },
+  static: {
+    // nginx-unprivileged always listens on 8080 and starts nginx itself
+    containerPort: 8080,
+    entrypoint: null,
+    command: () => null,
+    healthcheck: (path) => `wget -q --spider "http://localhost:8080${path}" || exit 1`,
+  },
+};
+
+/**
+ * Generate a Dockerfile, docker-compose.yml and .dockerignore from the
+ * answers to the docker intent's questions, previewed in chat and offered
+ * as a .zip to unpack into the project
+ */
+async function dockerize({ slots, variables, locale }) {
+  const runtime = DOCKER_RUNTIMES[slots.runtime];
+  const entrypoint = slots.entrypoint === 'default' || !runtime.entrypoint ? runtime.entrypoint : slots.entrypoint;
+  const command = runtime.command(entrypoint);
+
+  const { files } = scaffolder.render('docker', {
+    ...variables,
+    entrypoint,
+    user: runtime.user,
+    containerPort: runtime.containerPort || slots.port,
+    command: command ? JSON.stringify(command).replace(/","/g, '", "') : '',
+    healthcheckCommand: slots.healthcheck ? runtime.healthcheck(slots.healthcheck) : '',
+  });
+  const attachment = createArchiveAttachment(`${slots.appName}-docker.zip`, files);
+  const fileContent = (name) => files.find((file) => file.path === name).content.trim();
+
+  const response = translate(locale, 'docker.generated', {
+    appName: slots.appName,
+    dockerfile: fileContent('Dockerfile'),
+    compose: fileContent('docker-compose.yml'),
+    archive: attachment.name,
+    size: formatBytes(attachment.size),
+    port: slots.port,
+  });
+
+  return { response, attachments: [attachment] };
+}
+
+// Start commands for an entrypoint file given instead of a command
+const FILE_START_COMMANDS = [
+  { pattern: /\.[cm]?js$/, command: (file) => `node ${file}` },
+  { pattern: /\.py$/, command: (file) => `python ${file}` },
+  { pattern: /\.jar$/, command: (file) => `java -jar ${file}` },
+];
+
+/**
+ * Generate railway.json and railway.toml for the described app
+ */
+async function railwayConfig({ slots, locale }) {
+  let startCommand = slots.startCommand;
+  if (startCommand === 'default') {
+    // A Dockerfile's CMD starts the app; otherwise mirror this repo's Procfile
+    startCommand = slots.builder === 'dockerfile' ? undefined : 'npm start';
+  } else {
+    const fileCommand = !/\s/.test(startCommand) && FILE_START_COMMANDS.find(({ pattern }) => pattern.test(startCommand));
+    startCommand = fileCommand ? fileCommand.command(startCommand) : startCommand;
+  }
+
+  const options = {
+    builder: slots.builder,
+    startCommand,
+    healthcheckPath: slots.healthcheck,
+    restartPolicyType: slots.restartPolicy,
+  };
+  const files = ['json', 'toml'].map((format) => ({
+    path: `railway.${format}`,
+    content: railway.generateRailwayConfig(options, format),
+  }));
+  const attachment = createArchiveAttachment('railway-config.zip', files);
+
+  const response = translate(locale, 'railway.generated', {
+    json: files[0].content.trim(),
+    toml: files[1].content.trim(),
+    archive: attachment.name,
+    size: formatBytes(attachment.size),
+  });
+
+  return { response, attachments: [attachment] };
+}
+
+/**
+ * Check a pasted railway.json or railway.toml and suggest a fix for each
+ * problem, plus the whole file with the fixes applied
+ */
+async function checkRailwayConfig({ slots, locale }) {
+  let parsed;
+  try {
+    parsed = railway.parseRailwayConfig(slots.config);
+  } catch (error) {
+    return { response: translate(locale, 'railway.unreadable', { error: error.message }) };
+  }
+
+  const { format, config } = parsed;
+  const file = `railway.${format}`;
+  const { problems, fixed } = railway.validateRailwayConfig(config, format);
+  if (problems.length === 0) {
+    return { response: translate(locale, 'railway.valid', { file }) };
+  }
+
+  const list = problems.map((problem, index) => {
+    const message = translate(locale, `railway.problem.${problem.code}`, {
+      section: problem.section,
+      key: problem.key,
+      value: JSON.stringify(problem.value),
+      misspelled: problem.misspelled,
+    });
+    const fix = problem.fix === undefined
+      ? ''
+      : `\n   ${translate(locale, 'railway.fix', { fix: `\`${railway.formatFix(problem, format)}\`` })}`;
+    return `${index + 1}. ${message}${fix}`;
+  });
+
+  const response = translate(locale, 'railway.problems', {
+    file,
+    count: problems.length,
+    problems: list.join('\n'),
+    format,
+    fixed: railway.formatRailwayConfig(fixed, format).trim(),
+  });
+
+  return { response };
+}
+
+/**
+ * Generate a GitHub Actions CI workflow. The workflow is statically checked
+ * before it is offered; a failed check is a bug in the template.
+ */
+async function ciWorkflow({ slots, variables, locale }) {
+  const jobs = Object.fromEntries(slots.ciJobs.map((job) => [job, true]));
+  const { files } = scaffolder.render('github-actions', {
+    ...variables,
+    nodeVersions: slots.nodeVersions,
+    healthcheckPath: slots.healthcheck,
+    jobs,
+  });
+
+  const workflow = files.find((file) => file.path.endsWith('.yml'));
+  const check = checkWorkflow(workflow.content);
+  if (check.errors.length > 0) {
+    throw new Error(`Generated workflow failed its checks: ${check.errors.join('; ')}`);
+  }
+
+  const attachment = createArchiveAttachment('github-actions-ci.zip', files);
+  const secrets = check.secrets.length > 0
+    ? `${translate(locale, 'ci.secrets', { secrets: check.secrets.map((name) => `\`${name}\``).join(', ') })}\n\n`
+    : '';
+
+  const response = translate(locale, 'ci.generated', {
+    yaml: workflow.content.trim(),
+    count: check.jobs.length,
+    jobs: check.jobs.join(', '),
+    secrets,
+    path: workflow.path,
+    archive: attachment.name,
+    size: formatBytes(attachment.size),
+  });
+
+  return { response, attachments: [attachment] };
+}
+
+/**
+ * Run an allow-listed command in the task runner's sandbox, streaming its
+ * output when the conversation supports it. A file pasted in a code block
+ * is written to the working directory first: as the file `node --check`
+ * names, or as package.json for npm.
+ */
+async function runTask({ slots, locale, services, onChunk, signal }) {
+  const { taskRunner } = services;
+  const command = slots.command;
+  if (!taskRunner) {
+    return { response: translate(locale, 'task.disabled') };
+  }
+
+  const checkedFile = command.match(/^node\s+(?:--check|-c)\s+(\S+)$/)?.[1];
+  const files = slots.code ? [{ path: checkedFile || 'package.json', content: slots.code }] : [];
+
+  // The header goes out with the first output, so that a refused command
+  // is answered with the refusal alone
+  let response = '';
+  let outputStarted = false;
+  const emit = (text, meta) => {
+    response += text;
+    if (onChunk && !signal?.aborted) {
+      onChunk(text, meta);
+    }
+  };
+  const onOutput = (text, stream) => {
+    if (!outputStarted) {
+      outputStarted = true;
+      emit(`${translate(locale, 'task.started', { command })}\n\n\`\`\`\n`);
+    }
+    emit(text, { stream });
+  };
+
+  let result;
+  try {
+    result = await taskRunner.run(command, { files, onOutput, signal });
+  } catch (error) {
+    if (error instanceof TaskRunner.TaskRejectedError) {
+      return {
+        response: translate(locale, `task.rejected.${error.code}`, {
+          command,
+          allowed: TaskRunner.allowedCommands.map((usage) => `\`${usage}\``).join(', '),
+          reason: error.message,
+        }),
+      };
+    }
+    throw error;
+  }
+
+  if (outputStarted) {
+    emit(`${response.endsWith('\n') ? '' : '\n'}\`\`\`\n\n`);
+  } else {
+    emit(`${translate(locale, 'task.started', { command })}\n\n`);
+  }
+
+  const duration = `${(result.durationMs / 1000).toFixed(1)}s`;
+  let status;
+  if (result.cancelled) {
+    status = translate(locale, 'task.cancelled', { duration });
+  } else if (result.timedOut) {
+    status = translate(locale, 'task.timedOut', { duration });
+  } else if (result.truncated) {
+    status = translate(locale, 'task.truncated', { duration, limit: formatBytes(taskRunner.outputLimit) });
+  } else if (result.signal) {
+    status = translate(locale, 'task.killed', { duration, signal: result.signal });
+  } else {
+    status = translate(locale, result.exitCode === 0 ? 'task.succeeded' : 'task.failed', { duration, code: result.exitCode });
+  }
+  emit(status);
+
+  const { output, ...task } = result;
+  return { response, streamed: Boolean(onChunk), task };
+}
+
+// Passages quoted in an answer
+const EXPLAIN_PASSAGES = 3;
+
+/**
+ * Answer a question from the project's own docs: the best matching
+ * sections, each with an excerpt and a link to the section in /docs
+ */
+async function explainTopic({ slots, locale, services }) {
+  const { docsIndex } = services;
+  if (!docsIndex) {
+    return { response: translate(locale, 'explain.unavailable') };
+  }
+
+  const results = docsIndex.search(slots.topic, { limit: EXPLAIN_PASSAGES });
+  if (results.length === 0) {
+    return { response: translate(locale, 'explain.notFound', { topic: slots.topic }) };
+  }
+
+  const passages = results.map((result) => {
+    const link = `/docs/${result.file}${result.anchor ? `#${result.anchor}` : ''}`;
+    const source = translate(locale, 'explain.source', { link: `[${result.title} › ${result.heading}](${link})` });
+    return `📖 **${result.heading}**\n${result.excerpt}\n${source}`;
+  });
+
+  const response = translate(locale, 'explain.answer', {
+    topic: slots.topic,
+    passages: passages.join('\n\n'),
+  });
+  return { response };
+}
+
+// Answers to the env wizard's questions that are commands, not values
+const KEEP_DEFAULT_ANSWER = /^(default|skip|keep|domyślnie|domyslnie|pomiń|pomin|standard|überspringen)$/i;
+const FINISH_ANSWER = /^(done|finish|gotowe|koniec|fertig)$/i;
+const BACK_ANSWER = /^(back|wstecz|cofnij|zurück|zuruck)$/i;
+
+function showEnvValue(variable, value) {
+  return variable.secret ? envFile.maskSecret(value) : value;
+}
+
+/**
+ * The question for one variable of the env wizard, under its section's
+ * heading when it starts a new section
+ */
+function envQuestion(variables, index, locale) {
+  const variable = variables[index];
+  const lines = [];
+  if (index === 0 || variables[index - 1].section !== variable.section) {
+    lines.push(`**${variable.section}**`, '');
+  }
+  lines.push(translate(locale, 'env.question', {
+    name: variable.name,
+    position: index + 1,
+    total: variables.length,
+    description: variable.description ? ` — ${variable.description}` : '',
+  }));
+  lines.push(translate(locale, `env.type.${variable.secret ? 'secret' : variable.type}`, {
+    min: variable.min,
+    max: variable.max,
+    choices: variable.choices?.join(', '),
+  }));
+  if (variable.default !== '') {
+    lines.push(translate(locale, 'env.keepDefault', { value: showEnvValue(variable, variable.default) }));
+  } else if (!variable.required) {
+    lines.push(translate(locale, 'env.skipOptional'));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Walk through the variables of .env.example one question at a time,
+ * checking each answer, and hand back the finished .env file. Answers
+ * "default", "back" and "done" keep the default, go back one question and
+ * keep the defaults for the rest.
+ */
+async function envWizard({ input, state, locale }) {
+  if (state === undefined) {
+    const variables = envFile.parseEnvTemplate(fs.readFileSync(envFile.DEFAULT_ENV_TEMPLATE, 'utf8'));
+    const intro = translate(locale, 'env.intro', {
+      count: variables.length,
+      required: variables.filter((variable) => variable.required).length,
+    });
+    return {
+      response: `${intro}\n\n${envQuestion(variables, 0, locale)}`,
+      continueWith: { variables, index: 0, values: {} },
+    };
+  }
+
+  const { variables, values, forgotten = [] } = state;
+  let { index } = state;
+  const answer = input.trim();
+  const variable = variables[index];
+  const ask = (prefix, extra = {}) => ({
+    response: `${prefix}\n\n${envQuestion(variables, index, locale)}`,
+    continueWith: { variables, index, values, ...(forgotten.length > 0 ? { forgotten } : {}) },
+    ...extra,
+  });
+
+  if (BACK_ANSWER.test(answer)) {
+    index = Math.max(0, index - 1);
+    delete values[variables[index].name];
+    return ask(translate(locale, 'env.back'));
+  }
+
+  let acknowledgement;
+  let masked = {};
+  if (FINISH_ANSWER.test(answer)) {
+    // Required variables still unanswered keep their defaults
+    for (; index < variables.length; index++) {
+      const remaining = variables[index];
+      if (remaining.required && remaining.default === '') {
+        return ask(translate(locale, 'env.invalid.required', { name: remaining.name }));
+      }
+      if (remaining.required) {
+        values[remaining.name] = remaining.default;
+      }
+    }
+  } else if (KEEP_DEFAULT_ANSWER.test(answer)) {
+    if (variable.required && variable.default === '') {
+      return ask(translate(locale, 'env.invalid.required', { name: variable.name }));
+    }
+    if (variable.required) {
+      values[variable.name] = variable.default;
+    }
+    acknowledgement = translate(locale, 'env.kept', { name: variable.name });
+    index++;
+  } else {
+    // Secrets are kept out of the conversation history
+    masked = variable.secret ? { maskedInput: envFile.maskSecret(answer) } : {};
+    const result = envFile.parseEnvValue(variable, answer);
+    if (result.error) {
+      return ask(translate(locale, `env.invalid.${result.error}`, {
+        name: variable.name,
+        min: result.min,
+        max: result.max,
+        choices: result.choices?.join(', '),
+      }), masked);
+    }
+    values[variable.name] = result.value;
+    acknowledgement = translate(locale, 'env.saved', { name: variable.name, value: showEnvValue(variable, result.value) });
+    index++;
+  }
+
+  const reply = index < variables.length
+    ? ask(acknowledgement)
+    : finishEnvWizard(variables, values, locale, acknowledgement, forgotten);
+  return { ...reply, ...masked };
+}
+
+/**
+ * Secret answers are never stored: a wizard restored from storage carries
+ * on without them, and the finished file names them as `forgotten`
+ */
+envWizard.redactState = (state) => {
+  const secrets = state.variables
+    .filter((variable) => variable.secret && Object.hasOwn(state.values, variable.name))
+    .map((variable) => variable.name);
+  if (secrets.length === 0) {
+    return state;
+  }
+  const values = { ...state.values };
+  secrets.forEach((name) => delete values[name]);
+  return { ...state, values, forgotten: [...new Set([...(state.forgotten || []), ...secrets])] };
+};
+
+/**
+ * The finished .env as an attachment, with a summary of what was set and
+ * of the secrets lost to a restart (`forgotten`) and not answered again
+ */
+function finishEnvWizard(variables, values, locale, acknowledgement, forgotten = []) {
+  const content = envFile.renderEnvFile(fs.readFileSync(envFile.DEFAULT_ENV_TEMPLATE, 'utf8'), values);
+  const data = Buffer.from(content);
+  const attachment = { name: '.env', mimeType: 'text/plain', size: data.length, data };
+
+  const summary = variables
+    .filter((variable) => Object.hasOwn(values, variable.name))
+    .map((variable) => `• \`${variable.name}\` = \`${showEnvValue(variable, values[variable.name])}\``)
+    .join('\n');
+  const missing = forgotten.filter((name) => !Object.hasOwn(values, name));
+  const response = [
+    ...(acknowledgement ? [acknowledgement] : []),
+    translate(locale, 'env.generated', {
+      summary,
+      unset: variables.filter((variable) => !Object.hasOwn(values, variable.name)).length,
+      file: attachment.name,
+    }),
+    ...(missing.length > 0 ? [translate(locale, 'env.forgotten', {
+      names: missing.map((name) => `\`${name}\``).join(', '),
+      file: attachment.name,
+    })] : []),
+  ].join('\n\n');
+  return { response, attachments: [attachment] };
+}
+
+/**
+ * A project plan as a checklist, with a hint for the next step
+ */
+function formatPlan(plan, locale) {
+  const next = projectPlan.nextStep(plan);
+  return plan.steps.map((step, index) => {
+    const line = `${step.done ? '✅' : '⬜'} ${index + 1}. ${translate(locale, `plan.step.${step.id}`)}`;
+    return step === next ? `${line}\n   👉 ${translate(locale, `plan.hint.${step.id}`)}` : line;
+  }).join('\n');
+}
+
+/**
+ * Break the user's goal into a checklist kept for the rest of the
+ * conversation (a new goal replaces the old plan)
+ */
+async function createPlan({ slots, locale }) {
+  const plan = projectPlan.createPlan(slots.goal);
+  const response = translate(locale, 'plan.created', {
+    goal: plan.goal || translate(locale, 'plan.defaultGoal'),
+    checklist: formatPlan(plan, locale),
+  });
+  return { response, plan };
+}
+
+/**
+ * Show the plan's progress and what to do next
+ */
+async function showPlan({ locale, plan }) {
+  if (!plan) {
+    return { response: translate(locale, 'plan.none') };
+  }
+  const { completed, total } = projectPlan.getProgress(plan);
+  const response = translate(locale, projectPlan.nextStep(plan) ? 'plan.progress' : 'plan.complete', {
+    goal: plan.goal || translate(locale, 'plan.defaultGoal'),
+    completed,
+    total,
+    checklist: formatPlan(plan, locale),
+  });
+  return { response };
+}
+
+module.exports = {
+  scaffold,
+  dockerize,
+  railwayConfig,
+  checkRailwayConfig,
+  ciWorkflow,
+  runTask,
+  explainTopic,
+  envWizard,
+  createPlan,
+  showPlan,
+};
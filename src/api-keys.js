@@ -0,0 +1,175 @@
+/**
+ * API Keys for EXPLORABOT
+ * Issues, checks and revokes the keys clients authenticate with. Only a
+ * SHA-256 hash of each key is kept (in memory and in the keys file); the key
+ * itself is shown once, when it is created.
+ *
+ * Every key has scopes that say what it may do:
+ *   chat  - talk to the bot over HTTP or WebSocket, and read the
+ *           conversation's plan, commands and generated files
+ *   admin - inspect and manage every conversation, and manage keys
+ *   debug - read /api/debug
+ * A bootstrap key from the environment has every scope. It is never
+ * written to the keys file, and it is how the first keys are created.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-file');
+
+const SCOPES = ['chat', 'admin', 'debug'];
+const KEY_PREFIX = 'exb_';
+// Characters of a key kept in the clear, to tell keys apart in lists and logs
+const VISIBLE_LENGTH = 8;
+
+/**
+ * Raised when the keys file cannot be read or written
+ */
+class ApiKeyStoreError extends Error {
+  constructor(message, cause) {
+    super(message, { cause });
+    this.name = 'ApiKeyStoreError';
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyStore {
+  /**
+   * Options:
+   *   file          - JSON file the hashed keys are kept in; in memory only when null
+   *   bootstrapKey  - a key with every scope, e.g. from ADMIN_API_KEY
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    // Keyed by hash, which is what a presented key is looked up by
+    this.keys = new Map();
+    this.bootstrapHash = options.bootstrapKey ? hashKey(options.bootstrapKey) : null;
+  }
+
+  /**
+   * The part of a key kept in the clear ("exb_1a2b…")
+   */
+  static preview(key) {
+    return `${key.slice(0, VISIBLE_LENGTH)}…`;
+  }
+
+  /**
+   * A key as reported to admins (never the hash)
+   */
+  static describe(record) {
+    const { hash, ...metadata } = record;
+    return metadata;
+  }
+
+  /**
+   * Read the keys file; a missing file means no keys yet
+   */
+  load() {
+    if (!this.file) {
+      return this;
+    }
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this;
+      }
+      throw new ApiKeyStoreError(`Cannot read ${this.file}: ${error.message}`, error);
+    }
+    try {
+      for (const record of JSON.parse(text).keys) {
+        this.keys.set(record.hash, record);
+      }
+    } catch (error) {
+      throw new ApiKeyStoreError(`${this.file} is not a valid keys file: ${error.message}`, error);
+    }
+    return this;
+  }
+
+  /**
+   * Write `records` as the keys file, beside the old one first so a crash
+   * cannot lose it. Only the owner may read it. Callers change this.keys
+   * once this has succeeded, so memory never holds keys the file does not.
+   */
+  save(records) {
+    if (!this.file) {
+      return;
+    }
+    try {
+      writeFileAtomic(this.file, `${JSON.stringify({ keys: records }, null, 2)}\n`, { mode: 0o600 });
+    } catch (error) {
+      throw new ApiKeyStoreError(`Cannot write ${this.file}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Issue a key. Returns { key, record }; `key` cannot be recovered later.
+   * Throws ApiKeyStoreError, and the key is not issued, when the keys file
+   * cannot be written.
+   */
+  create({ name, scopes }) {
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      scopes: SCOPES.filter((scope) => scopes.includes(scope)),
+      preview: ApiKeyStore.preview(key),
+      createdAt: new Date().toISOString(),
+      hash: hashKey(key),
+    };
+    this.save([...this.list(), record]);
+    this.keys.set(record.hash, record);
+    return { key, record };
+  }
+
+  /**
+   * Revoke a key by id. Returns false for an unknown id; throws
+   * ApiKeyStoreError, with the key still valid, when the keys file cannot
+   * be written.
+   */
+  revoke(id) {
+    const record = this.list().find((candidate) => candidate.id === id);
+    if (!record) {
+      return false;
+    }
+    this.save(this.list().filter((candidate) => candidate !== record));
+    this.keys.delete(record.hash);
+    return true;
+  }
+
+  list() {
+    return Array.from(this.keys.values());
+  }
+
+  /**
+   * The key a client presented, as { id, name, scopes }, or null when it is
+   * not a valid key
+   */
+  authenticate(key) {
+    if (typeof key !== 'string' || key.length === 0) {
+      return null;
+    }
+    const hash = hashKey(key);
+    if (this.bootstrapHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.bootstrapHash))) {
+      return { id: 'bootstrap', name: 'ADMIN_API_KEY', scopes: [...SCOPES] };
+    }
+    const record = this.keys.get(hash);
+    return record ? { id: record.id, name: record.name, scopes: record.scopes } : null;
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+}
+
+module.exports = ApiKeyStore;
+module.exports.SCOPES = SCOPES;
+module.exports.ApiKeyStoreError = ApiKeyStoreError;
@@ -0,0 +1,354 @@
+/**
+ * API Schemas for EXPLORABOT
+ * JSON Schemas of the HTTP API's request and response bodies. Routes refer
+ * to them as { $ref: '#/components/schemas/<Name>' }; the same definitions
+ * validate requests (see schema.js) and are published in /api/openapi.json.
+ */
+
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { SCOPES } = require('./api-keys');
+
+const MAX_MESSAGE_LENGTH = 10000;
+// Messages per page of a conversation's history
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// As accepted by SessionManager.isValidId
+const SESSION_ID = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{1,128}$',
+  'x-pattern-message': 'must be 1-128 letters, digits, "_" or "-"',
+  description: 'Conversation to continue; a new one is started when omitted',
+};
+
+const LOCALE = {
+  type: 'string',
+  description: `Reply language: ${SUPPORTED_LOCALES.join(', ')} (tags such as "pl-PL" are accepted)`,
+  example: 'en',
+};
+
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+const API_SCHEMAS = {
+  FieldError: {
+    type: 'object',
+    required: ['field', 'code', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Dotted path of the invalid input ("message", "slots.port"); empty for the whole body' },
+      code: { type: 'string', description: 'The schema keyword that failed, e.g. required, type, maxLength' },
+      message: { type: 'string', example: 'must be at most 10000 characters' },
+    },
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['message', 'code', 'timestamp'],
+        properties: {
+          message: { type: 'string', example: 'Invalid request' },
+          code: { type: 'integer', description: 'HTTP status code', example: 400 },
+          timestamp: TIMESTAMP,
+          details: { type: 'string', description: 'Only in debug mode' },
+          requestId: { type: 'string' },
+          fields: { type: 'array', items: ref('FieldError'), description: 'Inputs that failed validation' },
+        },
+      },
+    },
+  },
+  ChatRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_MESSAGE_LENGTH,
+        pattern: '\\S',
+        'x-pattern-message': 'must not be blank',
+        example: 'Help me deploy an app',
+      },
+      sessionId: SESSION_ID,
+      locale: LOCALE,
+    },
+  },
+  IntentScore: {
+    type: 'object',
+    required: ['intent', 'confidence'],
+    properties: {
+      intent: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      fuzzy: { type: 'boolean', description: 'Matched by typo-tolerant keywords rather than patterns' },
+    },
+  },
+  Artifact: {
+    type: 'object',
+    required: ['id', 'name', 'mimeType', 'size', 'createdAt', 'expiresAt', 'url'],
+    properties: {
+      id: { type: 'string', example: 'art_3f2a...' },
+      name: { type: 'string', example: 'todo.zip' },
+      mimeType: { type: 'string', example: 'application/zip' },
+      size: { type: 'integer', description: 'Bytes' },
+      intent: { type: ['string', 'null'] },
+      createdAt: TIMESTAMP,
+      expiresAt: TIMESTAMP,
+      url: { type: 'string', description: 'Download path; add ?sessionId= for plain links' },
+    },
+  },
+  Task: {
+    type: 'object',
+    description: 'How a command run by the task runner ended',
+    properties: {
+      command: { type: 'string', example: 'npm init -y' },
+      exitCode: { type: ['integer', 'null'] },
+      signal: { type: ['string', 'null'] },
+      timedOut: { type: 'boolean' },
+      cancelled: { type: 'boolean' },
+      truncated: { type: 'boolean' },
+      durationMs: { type: 'integer' },
+    },
+  },
+  ChatResponse: {
+    type: 'object',
+    required: ['response', 'intent', 'confidence', 'scores', 'source', 'locale', 'artifacts', 'sessionId', 'requestId', 'timestamp'],
+    properties: {
+      response: { type: 'string', description: 'The reply, in markdown' },
+      intent: { type: ['string', 'null'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      scores: { type: 'array', items: ref('IntentScore') },
+      clarification: { type: 'boolean', description: 'The reply asks which of two intents was meant' },
+      slots: { type: 'object', description: 'Values collected for the intent so far' },
+      awaiting: { type: ['string', 'null'], description: 'The slot the bot just asked for' },
+      source: { type: 'string', description: '"rules", or the name of the LLM provider that wrote the reply' },
+      locale: { type: 'string', enum: SUPPORTED_LOCALES },
+      command: { type: ['string', 'null'], description: 'The /command the message ran' },
+      artifacts: { type: 'array', items: ref('Artifact') },
+      task: ref('Task'),
+      sessionId: { type: 'string' },
+      requestId: { type: 'string' },
+      timestamp: TIMESTAMP,
+    },
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'bot', 'version', 'uptime', 'environment', 'metrics', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'shutting down'] },
+      bot: { type: 'string' },
+      version: { type: 'string' },
+      uptime: { type: 'string', example: '42s' },
+      environment: { type: 'string' },
+      metrics: {
+        type: 'object',
+        properties: {
+          requestCount: { type: 'integer' },
+          errorCount: { type: 'integer' },
+          activeWebSocketConnections: { type: 'integer' },
+          memoryUsedMB: { type: 'integer' },
+        },
+      },
+      timestamp: TIMESTAMP,
+      debug: { type: 'object', description: 'Only in debug mode' },
+    },
+  },
+  ArtifactList: {
+    type: 'object',
+    required: ['artifacts', 'sessionId', 'requestId'],
+    properties: {
+      artifacts: { type: 'array', items: ref('Artifact') },
+      sessionId: { type: 'string' },
+      requestId: { type: 'string' },
+    },
+  },
+  ArtifactDeleted: {
+    type: 'object',
+    required: ['deleted', 'id', 'requestId'],
+    properties: {
+      deleted: { type: 'boolean' },
+      id: { type: 'string' },
+      requestId: { type: 'string' },
+    },
+  },
+  Plan: {
+    type: 'object',
+    required: ['goal', 'createdAt', 'updatedAt', 'progress', 'next', 'steps'],
+    properties: {
+      goal: { type: ['string', 'null'], example: 'todo app' },
+      createdAt: TIMESTAMP,
+      updatedAt: TIMESTAMP,
+      progress: {
+        type: 'object',
+        properties: {
+          completed: { type: 'integer' },
+          total: { type: 'integer' },
+          percent: { type: 'integer', minimum: 0, maximum: 100 },
+        },
+      },
+      next: { type: ['string', 'null'], description: 'Id of the first step not done yet' },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'docker' },
+            label: { type: 'string' },
+            done: { type: 'boolean' },
+            completedAt: { type: ['string', 'null'], format: 'date-time' },
+            intents: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+    },
+  },
+  PlanResponse: {
+    type: 'object',
+    required: ['plan', 'sessionId', 'requestId'],
+    properties: {
+      plan: { oneOf: [ref('Plan'), { type: 'null' }] },
+      sessionId: { type: 'string' },
+      requestId: { type: 'string' },
+    },
+  },
+  ConversationSummary: {
+    type: 'object',
+    required: ['id', 'createdAt', 'lastActiveAt', 'expiresAt', 'messageCount', 'locale'],
+    properties: {
+      id: { type: 'string', description: 'The session id' },
+      createdAt: TIMESTAMP,
+      lastActiveAt: TIMESTAMP,
+      expiresAt: { ...TIMESTAMP, description: 'When the conversation ends unless it is used again' },
+      messageCount: { type: 'integer', description: 'User and bot messages in the history' },
+      locale: { type: 'string', enum: SUPPORTED_LOCALES },
+      lastMessage: { type: ['string', 'null'], description: 'Start of the latest message' },
+    },
+  },
+  ConversationList: {
+    type: 'object',
+    required: ['conversations', 'requestId'],
+    properties: {
+      conversations: { type: 'array', items: ref('ConversationSummary'), description: 'Most recently active first' },
+      requestId: { type: 'string' },
+    },
+  },
+  Message: {
+    type: 'object',
+    required: ['id', 'role', 'content', 'timestamp'],
+    properties: {
+      id: { type: ['string', 'null'], description: 'Turn id of a user message (the WebSocket messageId); null for replies' },
+      role: { type: 'string', enum: ['user', 'assistant'] },
+      content: { type: 'string' },
+      intent: { type: ['string', 'null'], description: 'The intent a reply answered' },
+      source: { type: 'string', description: 'Who wrote a reply: "rules" or the LLM provider' },
+      timestamp: TIMESTAMP,
+    },
+  },
+  MessagePage: {
+    type: 'object',
+    required: ['messages', 'total', 'nextCursor', 'conversationId', 'requestId'],
+    properties: {
+      messages: { type: 'array', items: ref('Message'), description: 'Oldest first' },
+      total: { type: 'integer', description: 'Messages in the whole history' },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` for the next page; null on the last page' },
+      conversationId: { type: 'string' },
+      requestId: { type: 'string' },
+    },
+  },
+  ConversationChanged: {
+    type: 'object',
+    required: ['id', 'requestId'],
+    properties: {
+      id: { type: 'string' },
+      deleted: { type: 'boolean' },
+      reset: { type: 'boolean' },
+      requestId: { type: 'string' },
+    },
+  },
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'scopes', 'preview', 'createdAt'],
+    properties: {
+      id: { type: 'string', example: 'key_9f86d081884c7d65' },
+      name: { type: 'string', example: 'support dashboard' },
+      scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+      preview: { type: 'string', description: 'The start of the key, to recognise it', example: 'exb_Q2x1…' },
+      createdAt: TIMESTAMP,
+    },
+  },
+  ApiKeyList: {
+    type: 'object',
+    required: ['keys', 'requestId'],
+    properties: {
+      keys: { type: 'array', items: ref('ApiKey') },
+      requestId: { type: 'string' },
+    },
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', 'x-pattern-message': 'must not be blank', description: 'Who or what the key is for' },
+      scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: SCOPES },
+        description: 'chat: talk to the bot; admin: manage conversations and keys; debug: read /api/debug',
+      },
+    },
+  },
+  ApiKeyCreated: {
+    type: 'object',
+    required: ['key', 'id', 'name', 'scopes', 'preview', 'createdAt', 'requestId'],
+    properties: {
+      key: { type: 'string', description: 'The key itself, shown only this once' },
+      id: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+      preview: { type: 'string' },
+      createdAt: TIMESTAMP,
+      requestId: { type: 'string' },
+    },
+  },
+  ApiKeyRevoked: {
+    type: 'object',
+    required: ['id', 'revoked', 'requestId'],
+    properties: {
+      id: { type: 'string' },
+      revoked: { type: 'boolean' },
+      requestId: { type: 'string' },
+    },
+  },
+  CommandList: {
+    type: 'object',
+    required: ['commands', 'locale', 'requestId'],
+    properties: {
+      commands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'history' },
+            usage: { type: 'string', example: '/history [count]' },
+            description: { type: 'string' },
+            intent: { type: ['string', 'null'], description: 'The intent the command starts, if any' },
+          },
+        },
+      },
+      locale: { type: 'string', enum: SUPPORTED_LOCALES },
+      requestId: { type: 'string' },
+    },
+  },
+};
+
+module.exports = {
+  API_SCHEMAS,
+  MAX_MESSAGE_LENGTH,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SESSION_ID,
+  LOCALE,
+  ref,
+};
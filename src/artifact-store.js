@@ -0,0 +1,159 @@
+/**
+ * Artifact Store for EXPLORABOT
+ * Keeps the files intent actions generate (projects, Dockerfiles, configs)
+ * in memory per session, so replies can link to them instead of carrying
+ * their contents, with expiry and caps on count and total size
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_PER_SESSION = 20;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024; // 100MB
+const ARTIFACT_ID_PATTERN = /^art_[a-f0-9]{32}$/;
+
+class ArtifactStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxPerSession = options.maxPerSession || DEFAULT_MAX_PER_SESSION;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+
+    // Insertion order is creation order, so the first entries are the oldest
+    this.artifacts = new Map();
+    this.totalBytes = 0;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Check whether a requested artifact id is well formed
+   */
+  static isValidId(artifactId) {
+    return typeof artifactId === 'string' && ARTIFACT_ID_PATTERN.test(artifactId);
+  }
+
+  /**
+   * Metadata of an artifact as reported to clients (everything but the data)
+   */
+  static describe(artifact) {
+    const { data, sessionId, ...metadata } = artifact;
+    return {
+      ...metadata,
+      createdAt: new Date(artifact.createdAt).toISOString(),
+      expiresAt: new Date(artifact.expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Store a generated file ({ name, mimeType, data }) for a session.
+   * The oldest artifacts make room when a cap is reached.
+   */
+  save(sessionId, file, metadata = {}) {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data);
+    if (data.length > this.maxBytes) {
+      throw new Error(`${file.name} is larger than the artifact storage limit`);
+    }
+
+    this.sweep();
+    const owned = this.list(sessionId);
+    for (const artifact of owned.slice(0, Math.max(0, owned.length - this.maxPerSession + 1))) {
+      this.delete(artifact.id);
+    }
+    while (this.totalBytes + data.length > this.maxBytes) {
+      this.delete(this.artifacts.keys().next().value);
+    }
+
+    const now = Date.now();
+    const artifact = {
+      id: `art_${crypto.randomBytes(16).toString('hex')}`,
+      name: file.name,
+      mimeType: file.mimeType || 'application/octet-stream',
+      size: data.length,
+      ...metadata,
+      sessionId,
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      data,
+    };
+    this.artifacts.set(artifact.id, artifact);
+    this.totalBytes += data.length;
+    return artifact;
+  }
+
+  /**
+   * Get an artifact, or null when it does not exist, has expired or
+   * belongs to another session
+   */
+  get(artifactId, sessionId) {
+    const artifact = this.artifacts.get(artifactId);
+    if (!artifact || artifact.sessionId !== sessionId) {
+      return null;
+    }
+    if (this.isExpired(artifact)) {
+      this.delete(artifactId);
+      return null;
+    }
+    return artifact;
+  }
+
+  /**
+   * A session's artifacts, oldest first
+   */
+  list(sessionId) {
+    const now = Date.now();
+    return Array.from(this.artifacts.values()).filter(
+      (artifact) => artifact.sessionId === sessionId && !this.isExpired(artifact, now)
+    );
+  }
+
+  /**
+   * Remove an artifact
+   */
+  delete(artifactId) {
+    const artifact = this.artifacts.get(artifactId);
+    if (!artifact) {
+      return false;
+    }
+    this.artifacts.delete(artifactId);
+    this.totalBytes -= artifact.size;
+    return true;
+  }
+
+  isExpired(artifact, now = Date.now()) {
+    return now >= artifact.expiresAt;
+  }
+
+  /**
+   * Drop every expired artifact
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const artifact of this.artifacts.values()) {
+      if (this.isExpired(artifact, now)) {
+        this.delete(artifact.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Periodically sweep expired artifacts
+   */
+  startSweeping(interval = Math.min(this.ttl, 60000)) {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => this.sweep(), interval);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  get size() {
+    return this.artifacts.size;
+  }
+}
+
+module.exports = ArtifactStore;
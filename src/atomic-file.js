@@ -0,0 +1,29 @@
+/**
+ * Atomic File Writes for EXPLORABOT
+ * Replaces a file in one step: the content is written beside it first and
+ * then renamed over it, so a crash mid-write leaves the old file whole.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write `content` to `file` atomically, creating its directory if needed.
+ * `options` are passed to fs.writeFileSync (e.g. { mode: 0o600 }). Throws
+ * the underlying fs error; the half-written copy is removed first.
+ */
+function writeFileAtomic(file, content, options = {}) {
+  const temporary = `${file}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, content, options);
+    fs.renameSync(temporary, file);
+  } catch (error) {
+    fs.rmSync(temporary, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
@@ -0,0 +1,228 @@
+/**
+ * Chat Commands for EXPLORABOT
+ * Slash commands that control the session from the chat (/reset, /history,
+ * /export, /intents, /lang, /help). They are handled before intent
+ * detection and are not recorded in the conversation history.
+ *
+ * A command is { usage, description, run }, where `run` receives
+ *   args      - the text after the command name
+ *   nlp       - the session's NLPProcessor
+ *   commands  - this registry
+ *   locale    - language of the conversation
+ * and resolves to { response, attachments }. Built-in descriptions are i18n
+ * messages (command.<name>); registered commands may give their own text.
+ * Intents can also be started as commands, named by their `command` field.
+ */
+
+const { translate, resolveLocale, SUPPORTED_LOCALES } = require('./i18n');
+
+// "/name args"; names follow the same rule as intent `command` fields
+const COMMAND_LINE = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+const COMMAND_NAME = /^[a-z][a-z0-9-]*$/;
+const DEFAULT_HISTORY_LENGTH = 10;
+const MAX_HISTORY_LENGTH = 50;
+// Characters of each message shown by /history
+const HISTORY_PREVIEW_LENGTH = 100;
+
+/**
+ * Raised when a command cannot be registered
+ */
+class CommandRegistrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandRegistrationError';
+  }
+}
+
+function preview(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > HISTORY_PREVIEW_LENGTH ? `${line.slice(0, HISTORY_PREVIEW_LENGTH)}…` : line;
+}
+
+/**
+ * The conversation as a markdown transcript
+ */
+function formatTranscript(history, botName) {
+  const lines = [`# ${botName} conversation`, '', `Exported ${new Date().toISOString()}`, ''];
+  for (const entry of history) {
+    lines.push(`## ${entry.role === 'user' ? 'You' : botName} (${entry.timestamp})`, '', entry.content, '');
+  }
+  return lines.join('\n');
+}
+
+const BUILTIN_COMMANDS = {
+  help: {
+    usage: '/help',
+    run: async ({ nlp, commands, locale }) => {
+      const list = commands.list(locale, nlp.intents)
+        .map((command) => `• \`${command.usage}\`: ${command.description}`)
+        .join('\n');
+      return { response: translate(locale, 'command.help.list', { commands: list }) };
+    },
+  },
+  reset: {
+    usage: '/reset',
+    run: async ({ nlp, locale }) => {
+      nlp.clearContext();
+      return { response: translate(locale, 'command.reset.done') };
+    },
+  },
+  history: {
+    usage: '/history [count]',
+    run: async ({ args, nlp, locale }) => {
+      const count = Math.min(parseInt(args, 10) || DEFAULT_HISTORY_LENGTH, MAX_HISTORY_LENGTH);
+      const history = nlp.getHistory();
+      if (history.length === 0) {
+        return { response: translate(locale, 'command.history.empty') };
+      }
+      const entries = history.slice(-count)
+        .map((entry) => `${entry.role === 'user' ? '👤' : '🤖'} ${preview(entry.content)}`)
+        .join('\n');
+      return {
+        response: translate(locale, 'command.history.list', {
+          shown: Math.min(count, history.length),
+          total: history.length,
+          entries,
+        }),
+      };
+    },
+  },
+  export: {
+    usage: '/export [md|json]',
+    run: async ({ args, nlp, locale }) => {
+      const format = args.trim().toLowerCase() || 'md';
+      if (!['md', 'json'].includes(format)) {
+        return { response: translate(locale, 'command.export.format', { format }) };
+      }
+      const history = nlp.getHistory();
+      if (history.length === 0) {
+        return { response: translate(locale, 'command.history.empty') };
+      }
+
+      const botName = nlp.templateData().bot;
+      const content = format === 'json'
+        ? `${JSON.stringify({ exportedAt: new Date().toISOString(), messages: history }, null, 2)}\n`
+        : formatTranscript(history, botName);
+      const data = Buffer.from(content);
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+      const attachment = {
+        name: `conversation-${stamp}.${format}`,
+        mimeType: format === 'json' ? 'application/json' : 'text/markdown',
+        size: data.length,
+        data,
+      };
+      return {
+        response: translate(locale, 'command.export.done', { count: history.length, file: attachment.name }),
+        attachments: [attachment],
+      };
+    },
+  },
+  intents: {
+    usage: '/intents',
+    run: async ({ nlp, locale }) => {
+      const list = Object.entries(nlp.intents).map(([name, intent]) => {
+        const block = intent.locales?.[locale];
+        const label = block?.label || intent.label;
+        const example = block?.examples[0] || intent.examples[0];
+        const command = intent.command ? ` · \`/${intent.command}\`` : '';
+        return `• **${label}** (\`${name}\`${command}): "${example}"`;
+      }).join('\n');
+      return { response: translate(locale, 'command.intents.list', { intents: list }) };
+    },
+  },
+  lang: {
+    usage: `/lang [${SUPPORTED_LOCALES.join('|')}|auto]`,
+    run: async ({ args, nlp, locale }) => {
+      const requested = args.trim().toLowerCase();
+      if (!requested) {
+        const mode = nlp.context.fixedLocale ? 'fixed' : 'detected';
+        return { response: translate(locale, `command.lang.${mode}`, { locale }) };
+      }
+      if (requested === 'auto') {
+        nlp.context.fixedLocale = null;
+        return { response: translate(locale, 'command.lang.auto') };
+      }
+      const chosen = resolveLocale(requested);
+      if (!chosen) {
+        return { response: translate(locale, 'command.lang.unsupported', { locale: requested, supported: SUPPORTED_LOCALES.join(', ') }) };
+      }
+      nlp.context.fixedLocale = chosen;
+      nlp.context.locale = chosen;
+      return { response: translate(chosen, 'command.lang.set', { locale: chosen }) };
+    },
+  },
+};
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    for (const [name, command] of Object.entries(BUILTIN_COMMANDS)) {
+      this.register(name, command);
+    }
+  }
+
+  /**
+   * Split a message into { name, args } when it is a command line, else null
+   */
+  static parse(input) {
+    const match = input.trim().match(COMMAND_LINE);
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+  }
+
+  /**
+   * Add a command. Throws CommandRegistrationError for a malformed or
+   * already registered name.
+   */
+  register(name, { usage = `/${name}`, description, run }) {
+    if (!COMMAND_NAME.test(name)) {
+      throw new CommandRegistrationError(`"${name}" is not a valid command name`);
+    }
+    if (this.commands.has(name)) {
+      throw new CommandRegistrationError(`/${name} is already registered`);
+    }
+    if (typeof run !== 'function') {
+      throw new CommandRegistrationError(`/${name} needs a run function`);
+    }
+    this.commands.set(name, { name, usage, description, run });
+    return this;
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  get names() {
+    return Array.from(this.commands.keys());
+  }
+
+  /**
+   * Every command available in a conversation, for /help and autocompletion:
+   * [{ name, usage, description, intent }], with intent commands last
+   */
+  list(locale, intents = {}) {
+    const registered = Array.from(this.commands.values(), (command) => ({
+      name: command.name,
+      usage: command.usage,
+      description: command.description || translate(locale, `command.${command.name}`),
+      intent: null,
+    }));
+    const fromIntents = Object.entries(intents)
+      .filter(([, intent]) => intent.command)
+      .map(([name, intent]) => {
+        const block = intent.locales?.[locale];
+        return {
+          name: intent.command,
+          usage: intent.slots ? `/${intent.command} …` : `/${intent.command}`,
+          description: translate(locale, 'command.intent', {
+            label: block?.label || intent.label,
+            example: block?.examples[0] || intent.examples[0],
+          }),
+          intent: name,
+        };
+      });
+    return [...registered, ...fromIntents];
+  }
+}
+
+module.exports = CommandRegistry;
+module.exports.CommandRegistrationError = CommandRegistrationError;
@@ -0,0 +1,354 @@
+/**
+ * Conversation Storage for EXPLORABOT
+ * Keeps sessions, their history and the bot's state for each of them on
+ * disk, so conversations survive restarts and redeploys.
+ *
+ * An adapter extends ConversationStorage and implements
+ *   readAll()                  - every stored session as
+ *                                { id, createdAt, lastActiveAt, state, messages }
+ *                                where messages are { entry, checkpoint }
+ *   writeChanges(id, changes)  - persist { createdAt, lastActiveAt, state,
+ *                                keep, truncate, added }: when `truncate`,
+ *                                drop the stored messages from position
+ *                                `keep` on; then append `added` after them
+ *   remove(id)                 - forget a session
+ *   close()                    - optional; release files or handles
+ * `state` is the NLP context apart from the history (see
+ * NLPProcessor.getStoredState, which leaves secrets out) and a message's
+ * `checkpoint` is the state its user turn was answered in, so restored
+ * messages can still be edited.
+ *
+ * Adapters are synchronous, so a change is written by the time save()
+ * returns and writes stay in order. They throw StorageError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+/**
+ * Raised when stored conversations cannot be read or written
+ */
+class StorageError extends Error {
+  constructor(message, cause) {
+    super(message, { cause });
+    this.name = 'StorageError';
+  }
+}
+
+class ConversationStorage {
+  constructor() {
+    // The history of each session as last written, to find what changed:
+    // rewinds keep the earlier entry objects, so a shared prefix is unchanged
+    this.written = new Map();
+    this.warnings = [];
+  }
+
+  /**
+   * Read every stored session. The returned message entries are tracked as
+   * written, so they must be restored as they are (not copied).
+   */
+  load() {
+    const records = this.readAll();
+    for (const record of records) {
+      this.written.set(record.id, record.messages.map((message) => message.entry));
+    }
+    return records;
+  }
+
+  /**
+   * Persist a session ({ id, createdAt, lastActiveAt, nlp }) as it is now
+   */
+  save(session) {
+    const history = session.nlp.getHistory();
+    const previous = this.written.get(session.id) || [];
+    let keep = 0;
+    while (keep < previous.length && keep < history.length && previous[keep] === history[keep]) {
+      keep++;
+    }
+    const added = history.slice(keep).map((entry) => ({
+      entry,
+      checkpoint: entry.role === 'user' ? session.nlp.getCheckpointState(entry.id) : null,
+    }));
+
+    this.writeChanges(session.id, {
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      state: session.nlp.getStoredState(),
+      keep,
+      truncate: keep < previous.length,
+      added,
+    });
+    this.written.set(session.id, history.slice());
+  }
+
+  /**
+   * Forget a session
+   */
+  delete(sessionId) {
+    this.written.delete(sessionId);
+    this.remove(sessionId);
+  }
+
+  close() {}
+}
+
+/**
+ * Append-only JSON Lines file: one record per change, replayed at startup.
+ * Loading rewrites the file with only the live sessions, so it does not
+ * grow without bound across restarts.
+ *
+ * Records:
+ *   { type: "session", id, createdAt, lastActiveAt, state }
+ *   { type: "message", id, entry, checkpoint }
+ *   { type: "truncate", id, length }
+ *   { type: "delete", id }
+ */
+class JsonlStorage extends ConversationStorage {
+  constructor({ file }) {
+    super();
+    this.name = 'jsonl';
+    this.file = file;
+    this.fd = null;
+  }
+
+  readAll() {
+    let text = '';
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new StorageError(`Cannot read ${this.file}: ${error.message}`, error);
+      }
+    }
+
+    const sessions = new Map();
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave the last line half written
+        this.warnings.push(`${path.basename(this.file)}:${index + 1} is not valid JSON and was skipped`);
+        return;
+      }
+      this.apply(sessions, record);
+    });
+
+    // Messages whose session record was never written are dropped
+    const records = Array.from(sessions.values()).filter((record) => record.state);
+    this.compact(records);
+    return records;
+  }
+
+  apply(sessions, record) {
+    let stored = sessions.get(record.id);
+    if (!stored && (record.type === 'message' || record.type === 'truncate')) {
+      stored = { id: record.id, state: null, messages: [] };
+      sessions.set(record.id, stored);
+    }
+    switch (record.type) {
+      case 'session':
+        sessions.set(record.id, {
+          id: record.id,
+          createdAt: record.createdAt,
+          lastActiveAt: record.lastActiveAt,
+          state: record.state,
+          messages: stored ? stored.messages : [],
+        });
+        break;
+      case 'message':
+        stored.messages.push({ entry: record.entry, checkpoint: record.checkpoint || null });
+        break;
+      case 'truncate':
+        stored.messages.length = Math.min(record.length, stored.messages.length);
+        break;
+      case 'delete':
+        sessions.delete(record.id);
+        break;
+      default:
+        this.warnings.push(`Unknown record type "${record.type}" was skipped`);
+    }
+  }
+
+  /**
+   * Replace the file with one "session" and its "message" records per live
+   * session, written beside it first so a crash cannot lose the old file
+   */
+  compact(records) {
+    const lines = [];
+    for (const { messages, ...session } of records) {
+      lines.push({ type: 'session', ...session });
+      lines.push(...messages.map((message) => ({ type: 'message', id: session.id, ...message })));
+    }
+
+    try {
+      writeFileAtomic(this.file, lines.map((line) => `${JSON.stringify(line)}\n`).join(''));
+      this.fd = fs.openSync(this.file, 'a');
+    } catch (error) {
+      throw new StorageError(`Cannot write ${this.file}: ${error.message}`, error);
+    }
+  }
+
+  append(records) {
+    if (this.fd === null) {
+      throw new StorageError('Storage is not loaded or has been closed');
+    }
+    try {
+      fs.writeSync(this.fd, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    } catch (error) {
+      throw new StorageError(`Cannot append to ${this.file}: ${error.message}`, error);
+    }
+  }
+
+  writeChanges(id, { createdAt, lastActiveAt, state, keep, truncate, added }) {
+    const records = [];
+    if (truncate) {
+      records.push({ type: 'truncate', id, length: keep });
+    }
+    records.push(...added.map((message) => ({ type: 'message', id, ...message })));
+    // Written after the messages, so a replay that reaches it has them all
+    records.push({ type: 'session', id, createdAt, lastActiveAt, state });
+    this.append(records);
+  }
+
+  remove(id) {
+    this.append([{ type: 'delete', id }]);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Embedded SQLite database, using the experimental node:sqlite module
+ * built into Node.js 22.13 and later
+ */
+class SqliteStorage extends ConversationStorage {
+  constructor({ file }) {
+    super();
+    this.name = 'sqlite';
+    this.file = file;
+
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new StorageError(`SQLite storage needs Node.js 22.13 or later (running ${process.version})`, error);
+    }
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      this.db = new DatabaseSync(file);
+      this.db.exec(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          created_at INTEGER NOT NULL,
+          last_active_at INTEGER NOT NULL,
+          state TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS messages (
+          session_id TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          entry TEXT NOT NULL,
+          checkpoint TEXT,
+          PRIMARY KEY (session_id, position)
+        );
+      `);
+    } catch (error) {
+      throw new StorageError(`Cannot open ${file}: ${error.message}`, error);
+    }
+
+    this.statements = {
+      sessions: this.db.prepare('SELECT id, created_at, last_active_at, state FROM sessions'),
+      messages: this.db.prepare('SELECT session_id, entry, checkpoint FROM messages ORDER BY session_id, position'),
+      truncate: this.db.prepare('DELETE FROM messages WHERE session_id = ? AND position >= ?'),
+      insert: this.db.prepare('INSERT INTO messages (session_id, position, entry, checkpoint) VALUES (?, ?, ?, ?)'),
+      upsert: this.db.prepare(`
+        INSERT INTO sessions (id, created_at, last_active_at, state) VALUES (?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET last_active_at = excluded.last_active_at, state = excluded.state
+      `),
+      deleteMessages: this.db.prepare('DELETE FROM messages WHERE session_id = ?'),
+      deleteSession: this.db.prepare('DELETE FROM sessions WHERE id = ?'),
+    };
+  }
+
+  readAll() {
+    const sessions = new Map();
+    for (const row of this.statements.sessions.all()) {
+      sessions.set(row.id, {
+        id: row.id,
+        createdAt: row.created_at,
+        lastActiveAt: row.last_active_at,
+        state: JSON.parse(row.state),
+        messages: [],
+      });
+    }
+    for (const row of this.statements.messages.all()) {
+      sessions.get(row.session_id)?.messages.push({
+        entry: JSON.parse(row.entry),
+        checkpoint: row.checkpoint === null ? null : JSON.parse(row.checkpoint),
+      });
+    }
+    return Array.from(sessions.values());
+  }
+
+  writeChanges(id, { createdAt, lastActiveAt, state, keep, truncate, added }) {
+    this.transaction(() => {
+      if (truncate) {
+        this.statements.truncate.run(id, keep);
+      }
+      let position = keep;
+      for (const { entry, checkpoint } of added) {
+        this.statements.insert.run(id, position++, JSON.stringify(entry), checkpoint === null ? null : JSON.stringify(checkpoint));
+      }
+      this.statements.upsert.run(id, createdAt, lastActiveAt, JSON.stringify(state));
+    });
+  }
+
+  remove(id) {
+    this.transaction(() => {
+      this.statements.deleteMessages.run(id);
+      this.statements.deleteSession.run(id);
+    });
+  }
+
+  transaction(write) {
+    if (this.db === null) {
+      throw new StorageError('Storage has been closed');
+    }
+    let started = false;
+    try {
+      this.db.exec('BEGIN');
+      started = true;
+      write();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      if (started) {
+        this.db.exec('ROLLBACK');
+      }
+      throw new StorageError(`Cannot write ${this.file}: ${error.message}`, error);
+    }
+  }
+
+  close() {
+    if (this.db !== null) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = {
+  ConversationStorage,
+  JsonlStorage,
+  SqliteStorage,
+  StorageError,
+};
@@ -0,0 +1,246 @@
+/**
+ * Docs Index for EXPLORABOT
+ * A local search index over the project's markdown guides (docs/), used to
+ * answer "explain" questions with passages from the docs and links to the
+ * sections they come from. Documents are split into one passage per
+ * heading and ranked with BM25; the index rebuilds when the files change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { tokenize, stem } = require('./text-matching');
+
+const DEFAULT_DOCS_DIR = path.join(__dirname, '..', 'docs');
+const RELOAD_DEBOUNCE = 200; // ms
+
+// BM25 parameters: term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Heading words count this many times over, since a section about a topic
+// usually names it in its heading
+const HEADING_WEIGHT = 3;
+const EXCERPT_LENGTH = 320; // characters
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when', 'which', 'why', 'with',
+  'you', 'your', 'about', 'explain', 'tell', 'describe', 'mean', 'means',
+]);
+
+/**
+ * Index terms of a text: stemmed words without stop words
+ */
+function terms(text) {
+  return tokenize(text).filter((token) => !STOP_WORDS.has(token)).map(stem);
+}
+
+/**
+ * GitHub's anchor for a heading ("CI/CD Pipeline" -> "cicd-pipeline")
+ */
+function slugify(heading) {
+  return heading
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Markdown without the syntax, for excerpts
+ */
+function plainText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(#{1,6}|>)\s*/gm, '')
+    .replace(/^(\s*[-*]\s+)\[[ xX]\]/gm, '$1')
+    .replace(/\*\*|[*`|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a markdown document into passages, one per heading. Headings inside
+ * code blocks are content, not structure.
+ */
+function splitSections(file, markdown) {
+  const sections = [];
+  let title = path.basename(file, '.md');
+  let current = { heading: title, anchor: '', level: 0, lines: [] };
+  let inCode = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) {
+      inCode = !inCode;
+    }
+    const heading = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+    sections.push(current);
+    const text = heading[2].replace(/[*_`]/g, '');
+    if (heading[1].length === 1 && sections.every((section) => section.level !== 1)) {
+      title = text;
+    }
+    current = { heading: text, anchor: slugify(text), level: heading[1].length, lines: [] };
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ heading, anchor, lines }) => ({ file, title, heading, anchor, text: lines.join('\n').trim() }))
+    .filter((section) => plainText(section.text).length > 0);
+}
+
+/**
+ * The paragraph of a passage that mentions the most query terms, cut to
+ * about EXCERPT_LENGTH characters at a word boundary
+ */
+function excerpt(markdown, queryTerms) {
+  const paragraphs = markdown.split(/\n\s*\n/).map(plainText).filter((paragraph) => paragraph.length > 0);
+  let best = paragraphs[0] || '';
+  let bestMatches = -1;
+  for (const paragraph of paragraphs) {
+    const paragraphTerms = new Set(terms(paragraph));
+    const matches = queryTerms.filter((term) => paragraphTerms.has(term)).length;
+    if (matches > bestMatches) {
+      best = paragraph;
+      bestMatches = matches;
+    }
+  }
+  if (best.length <= EXCERPT_LENGTH) {
+    return best;
+  }
+  const cut = best.lastIndexOf(' ', EXCERPT_LENGTH);
+  return `${best.slice(0, cut > 0 ? cut : EXCERPT_LENGTH)}…`;
+}
+
+class DocsIndex extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || DEFAULT_DOCS_DIR;
+    this.documents = {};
+    this.passages = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read every markdown file in the directory and rebuild the index
+   */
+  load() {
+    const files = fs.readdirSync(this.directory).filter((file) => file.endsWith('.md')).sort();
+    const documents = {};
+    const passages = [];
+    const documentFrequency = new Map();
+
+    for (const file of files) {
+      const markdown = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      documents[file] = markdown;
+      for (const section of splitSections(file, markdown)) {
+        const headingTerms = terms(section.heading);
+        const passageTerms = [...Array(HEADING_WEIGHT).fill(headingTerms).flat(), ...terms(plainText(section.text))];
+        const frequencies = new Map();
+        for (const term of passageTerms) {
+          frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const term of frequencies.keys()) {
+          documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+        passages.push({ ...section, frequencies, length: passageTerms.length });
+      }
+    }
+
+    this.documents = documents;
+    this.passages = passages;
+    this.documentFrequency = documentFrequency;
+    this.averageLength = passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1);
+    return this;
+  }
+
+  /**
+   * The passages that best answer a question, best first:
+   * [{ file, title, heading, anchor, text, excerpt, score }]
+   * Passages must contain at least `minCoverage` of the question's terms.
+   */
+  search(query, { limit = 3, minCoverage = 0.5 } = {}) {
+    const queryTerms = [...new Set(terms(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const passage of this.passages) {
+      let score = 0;
+      let matched = 0;
+      for (const term of queryTerms) {
+        const frequency = passage.frequencies.get(term);
+        if (!frequency) {
+          continue;
+        }
+        matched++;
+        const documents = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.passages.length - documents + 0.5) / (documents + 0.5));
+        const lengthNorm = 1 - BM25_B + BM25_B * (passage.length / this.averageLength);
+        score += idf * ((frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm));
+      }
+      if (matched / queryTerms.length >= minCoverage) {
+        results.push({ passage, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage, score }) => ({
+        file: passage.file,
+        title: passage.title,
+        heading: passage.heading,
+        anchor: passage.anchor,
+        text: passage.text,
+        excerpt: excerpt(passage.text, queryTerms),
+        score: Math.round(score * 100) / 100,
+      }));
+  }
+
+  /**
+   * Rebuild the index whenever a file in the directory changes. Emits
+   * 'reload' on success and 'error' (keeping the previous index) on failure.
+   */
+  watch() {
+    this.unwatch();
+    this.watcher = fs.watch(this.directory, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        try {
+          this.load();
+          this.emit('reload', Object.keys(this.documents));
+        } catch (error) {
+          this.emit('error', error);
+        }
+      }, RELOAD_DEBOUNCE);
+    });
+    this.watcher.unref();
+    return this;
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  get size() {
+    return this.passages.length;
+  }
+}
+
+module.exports = DocsIndex;
+module.exports.slugify = slugify;
+module.exports.DEFAULT_DOCS_DIR = DEFAULT_DOCS_DIR;
@@ -0,0 +1,239 @@
+/**
+ * Env File for EXPLORABOT
+ * Reads the variables documented in .env.example (name, default, comment,
+ * section), works out what kind of value each one takes, checks values
+ * against that and writes a finished .env in the template's layout.
+ *
+ * Variables set in the template are required; commented-out ones are
+ * optional. Types come from the name and default (`*_PORT`, true/false,
+ * numbers, URLs) and from the comment: "(0-1)" gives a range and a comment
+ * starting "openai or none" lists the allowed values.
+ *
+ * Invalid values are reported as { error, min, max, choices }, where `error`
+ * names an i18n message (env.invalid.<error>).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ENV_TEMPLATE = path.join(__dirname, '..', '.env.example');
+
+// KEY=value  # comment, optionally commented out as a whole
+const VARIABLE_LINE = /^(#\s*)?([A-Z][A-Z0-9_]*)=(.*)$/;
+const PLACEHOLDER = /^(your_\w*_here|<[^>]*>|changeme)$/i;
+const SECRET_NAME = /(_KEY|_TOKEN|_SECRET|PASSWORD)$/;
+const PORT_NAME = /(^|_)PORT$/;
+const RANGE_COMMENT = /\((\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\)/;
+const CHOICE_COMMENT = /^([\w-]+(?:,\s*[\w-]+)*),?\s+or\s+([\w-]+)(?=[;.]|$)/;
+
+const TRUE_VALUES = ['true', 'yes', 'y', 'on', '1', 'tak', 'ja'];
+const FALSE_VALUES = ['false', 'no', 'n', 'off', '0', 'nie', 'nein'];
+
+/**
+ * Split "value  # comment" the way dotenv reads it
+ */
+function splitComment(text) {
+  const quoted = text.match(/^\s*(['"`])(.*?)\1\s*(?:#\s*(.*))?$/);
+  if (quoted) {
+    return { value: quoted[2], comment: (quoted[3] || '').trim() };
+  }
+  const index = text.search(/\s#/);
+  return index === -1
+    ? { value: text.trim(), comment: '' }
+    : { value: text.slice(0, index).trim(), comment: text.slice(index).replace(/^\s*#\s*/, '').trim() };
+}
+
+function inferType(name, value, comment) {
+  if (PORT_NAME.test(name)) {
+    return { type: 'port', min: 1, max: 65535 };
+  }
+  const choices = comment.match(CHOICE_COMMENT);
+  if (choices) {
+    return { type: 'choice', choices: [...choices[1].split(/,\s*/), choices[2]] };
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return { type: 'boolean' };
+  }
+  const range = comment.match(RANGE_COMMENT);
+  const bounds = range ? { min: parseFloat(range[1]), max: parseFloat(range[2]) } : {};
+  if (/^\d+$/.test(value)) {
+    // The server reads 0 as unset and uses its default
+    return { type: 'integer', min: 1, ...bounds };
+  }
+  if (/^\d*\.\d+$/.test(value)) {
+    return { type: 'number', min: 0, ...bounds };
+  }
+  if (/^https?:\/\//i.test(value)) {
+    return { type: 'url' };
+  }
+  return { type: 'string' };
+}
+
+/**
+ * The variables of a .env template, in order:
+ *   [{ name, default, description, section, required, secret, type, min, max, choices }]
+ * `default` is '' for placeholders such as "your_api_key_here".
+ */
+function parseEnvTemplate(text) {
+  const variables = [];
+  const seen = new Set();
+  let section = '';
+  let previousBlank = true;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const variable = trimmed.match(VARIABLE_LINE);
+    if (variable && !seen.has(variable[2])) {
+      const [, commented, name, rest] = variable;
+      const { value, comment } = splitComment(rest);
+      seen.add(name);
+      variables.push({
+        name,
+        default: PLACEHOLDER.test(value) ? '' : value,
+        description: comment,
+        section,
+        required: !commented,
+        secret: SECRET_NAME.test(name),
+        ...inferType(name, value, comment),
+      });
+    } else if (trimmed.startsWith('#') && previousBlank) {
+      // The first comment of a block names the section
+      section = trimmed.replace(/^#\s*/, '');
+    }
+    previousBlank = trimmed.length === 0;
+  }
+
+  return variables;
+}
+
+/**
+ * Read and parse a .env template
+ */
+function loadEnvTemplate(file = DEFAULT_ENV_TEMPLATE) {
+  return parseEnvTemplate(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Check an answer for a variable. Returns { value } in the form written to
+ * the file (booleans as true/false) or { error, min, max, choices }.
+ */
+function parseEnvValue(variable, input) {
+  const text = String(input).trim();
+  if (text.length === 0) {
+    return { error: 'required' };
+  }
+  if (/[\r\n]/.test(text)) {
+    return { error: 'multiline' };
+  }
+
+  const outOfRange = (number) => (variable.min !== undefined && number < variable.min)
+    || (variable.max !== undefined && number > variable.max);
+
+  switch (variable.type) {
+    case 'port':
+    case 'integer': {
+      const number = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+      if (Number.isNaN(number)) {
+        return { error: variable.type };
+      }
+      return outOfRange(number) ? { error: 'range', min: variable.min, max: variable.max } : { value: String(number) };
+    }
+    case 'number': {
+      const number = /^\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+      if (Number.isNaN(number)) {
+        return { error: 'number' };
+      }
+      return outOfRange(number) ? { error: 'range', min: variable.min, max: variable.max } : { value: String(number) };
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) {
+        return { value: 'true' };
+      }
+      return FALSE_VALUES.includes(lower) ? { value: 'false' } : { error: 'boolean' };
+    }
+    case 'choice': {
+      const choice = variable.choices.find((candidate) => candidate.toLowerCase() === text.toLowerCase());
+      return choice ? { value: choice } : { error: 'choice', choices: variable.choices };
+    }
+    case 'url': {
+      try {
+        const url = new URL(text);
+        return ['http:', 'https:'].includes(url.protocol) ? { value: text } : { error: 'url' };
+      } catch (error) {
+        return { error: 'url' };
+      }
+    }
+    default:
+      if (/'/.test(text) && /"/.test(text) && /`/.test(text)) {
+        return { error: 'quotes' };
+      }
+      return { value: text };
+  }
+}
+
+/**
+ * Check values (e.g. process.env) against the template. Returns a problem
+ * for each set variable whose value is invalid: [{ name, value, error, ... }]
+ */
+function checkEnvironment(variables, env) {
+  const problems = [];
+  for (const variable of variables) {
+    const value = env[variable.name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    const result = parseEnvValue(variable, value);
+    if (result.error) {
+      problems.push({ name: variable.name, value, ...result });
+    }
+  }
+  return problems;
+}
+
+/**
+ * A secret as it may be shown: its last characters only
+ */
+function maskSecret(value) {
+  return value.length >= 12 ? `••••${value.slice(-4)}` : '••••';
+}
+
+/**
+ * A value as written to the file, quoted when dotenv would otherwise
+ * misread it (spaces, #, quotes)
+ */
+function formatEnvValue(value) {
+  if (!/[\s#'"`\\]/.test(value)) {
+    return value;
+  }
+  const quote = ["'", '"', '`'].find((candidate) => !value.includes(candidate));
+  return `${quote}${value}${quote}`;
+}
+
+/**
+ * Fill in a .env template: variables with a value are set (and uncommented),
+ * everything else, including the comments, stays as in the template
+ */
+function renderEnvFile(text, values) {
+  const lines = text.split(/\r?\n/).map((line) => {
+    const variable = line.trim().match(VARIABLE_LINE);
+    if (!variable || !Object.hasOwn(values, variable[2])) {
+      return line;
+    }
+    const { comment } = splitComment(variable[3]);
+    const assignment = `${variable[2]}=${formatEnvValue(values[variable[2]])}`;
+    return comment ? `${assignment}  # ${comment}` : assignment;
+  });
+  return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+module.exports = {
+  DEFAULT_ENV_TEMPLATE,
+  parseEnvTemplate,
+  loadEnvTemplate,
+  parseEnvValue,
+  checkEnvironment,
+  maskSecret,
+  formatEnvValue,
+  renderEnvFile,
+};
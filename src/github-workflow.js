@@ -0,0 +1,135 @@
+/**
+ * GitHub Workflow Checks for EXPLORABOT
+ * Static checks for a GitHub Actions workflow, run on generated workflows
+ * before they are offered for download: the YAML must parse and the jobs,
+ * steps and ${{ }} expressions must be consistent
+ */
+
+const { parseYaml } = require('./yaml');
+
+const JOB_ID_PATTERN = /^[A-Za-z_][\w-]*$/;
+const USES_PATTERN = /^([\w.-]+\/[\w./-]+@[\w.-]+|\.\/[\w./-]+|docker:\/\/\S+)$/;
+const EXPRESSION_PATTERN = /\$\{\{(.*?)\}\}/g;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Every string below a value, with its path (e.g. jobs.test.steps[2].run)
+ */
+function collectStrings(value, path, strings = []) {
+  if (typeof value === 'string') {
+    strings.push({ path, value });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectStrings(item, `${path}[${index}]`, strings));
+  } else if (isObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      collectStrings(item, path ? `${path}.${key}` : key, strings);
+    }
+  }
+  return strings;
+}
+
+function checkExpressions(job, jobId, errors) {
+  const matrixKeys = Object.keys(job.strategy?.matrix || {});
+  const stepIds = (Array.isArray(job.steps) ? job.steps : []).map((step) => step?.id).filter(Boolean);
+  const secrets = new Set();
+
+  for (const { path, value } of collectStrings(job, `jobs.${jobId}`)) {
+    const opened = (value.match(/\$\{\{/g) || []).length;
+    const expressions = [...value.matchAll(EXPRESSION_PATTERN)].map((match) => match[1]);
+    if (opened !== expressions.length) {
+      errors.push(`${path}: unterminated \${{ expression`);
+    }
+    for (const expression of expressions) {
+      for (const [, key] of expression.matchAll(/\bmatrix\.([\w-]+)/g)) {
+        if (!matrixKeys.includes(key)) {
+          errors.push(`${path}: matrix.${key} is not defined in the job's strategy.matrix`);
+        }
+      }
+      for (const [, id] of expression.matchAll(/\bsteps\.([\w-]+)/g)) {
+        if (!stepIds.includes(id)) {
+          errors.push(`${path}: no step in job "${jobId}" has id "${id}"`);
+        }
+      }
+      for (const [, name] of expression.matchAll(/\bsecrets\.(\w+)/g)) {
+        secrets.add(name);
+      }
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Check workflow YAML. Returns { errors, jobs, secrets }, where `jobs`
+ * lists the job ids and `secrets` the repository secrets the workflow reads.
+ */
+function checkWorkflow(source) {
+  let workflow;
+  try {
+    workflow = parseYaml(source);
+  } catch (error) {
+    return { errors: [error.message], jobs: [], secrets: [] };
+  }
+
+  const errors = [];
+  const secrets = new Set();
+  if (!isObject(workflow)) {
+    return { errors: ['the workflow must be a mapping'], jobs: [], secrets: [] };
+  }
+  if (workflow.on === undefined || workflow.on === null) {
+    errors.push('"on" is missing: the workflow never runs');
+  }
+  if (!isObject(workflow.jobs) || Object.keys(workflow.jobs).length === 0) {
+    errors.push('"jobs" must contain at least one job');
+    return { errors, jobs: [], secrets: [] };
+  }
+
+  const jobIds = Object.keys(workflow.jobs);
+  for (const [jobId, job] of Object.entries(workflow.jobs)) {
+    const where = `jobs.${jobId}`;
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      errors.push(`${where}: job ids must start with a letter or "_" and contain only letters, digits, "-" and "_"`);
+    }
+    if (!isObject(job)) {
+      errors.push(`${where}: must be a mapping`);
+      continue;
+    }
+    if (!job['runs-on']) {
+      errors.push(`${where}: "runs-on" is missing`);
+    }
+
+    const needs = job.needs === undefined ? [] : [].concat(job.needs);
+    for (const need of needs) {
+      if (!jobIds.includes(need)) {
+        errors.push(`${where}.needs: there is no job "${need}"`);
+      } else if (need === jobId) {
+        errors.push(`${where}.needs: a job cannot depend on itself`);
+      }
+    }
+
+    if (!Array.isArray(job.steps) || job.steps.length === 0) {
+      errors.push(`${where}: "steps" must list at least one step`);
+    } else {
+      job.steps.forEach((step, index) => {
+        const stepWhere = `${where}.steps[${index}]`;
+        if (!isObject(step)) {
+          errors.push(`${stepWhere}: must be a mapping`);
+        } else if ((step.uses === undefined) === (step.run === undefined)) {
+          errors.push(`${stepWhere}: needs exactly one of "uses" or "run"`);
+        } else if (step.uses !== undefined && !USES_PATTERN.test(String(step.uses))) {
+          errors.push(`${stepWhere}.uses: "${step.uses}" should look like owner/repo@ref`);
+        }
+      });
+    }
+
+    for (const secret of checkExpressions(job, jobId, errors)) {
+      secrets.add(secret);
+    }
+  }
+
+  return { errors, jobs: jobIds, secrets: [...secrets].sort() };
+}
+
+module.exports = {
+  checkWorkflow,
+};
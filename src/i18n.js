@@ -0,0 +1,95 @@
+/**
+ * Localization for EXPLORABOT
+ * Message catalogs (src/locales/*.json) and per-message language detection
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// Catalog values may be written as arrays of lines, like intent responses
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => {
+      const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+      for (const [key, value] of Object.entries(catalog)) {
+        catalog[key] = Array.isArray(value) ? value.join('\n') : value;
+      }
+      return [path.basename(file, '.json'), catalog];
+    })
+);
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Characters and common words that give a language away. Words shared
+// between languages (e.g. Polish "a", "i", "to") are deliberately left out.
+const LANGUAGE_HINTS = {
+  en: {
+    characters: null,
+    words: ['the', 'how', 'what', 'is', 'my', 'with', 'please', 'can', 'you', 'help', 'me', 'show', 'create', 'hello', 'hi', 'want', 'need', 'tips', 'set', 'up'],
+  },
+  pl: {
+    characters: /[ąćęłńśźż]/gi,
+    words: ['jak', 'czy', 'dlaczego', 'gdzie', 'kiedy', 'kto', 'się', 'nie', 'jest', 'co', 'mi', 'mnie', 'proszę', 'chcę', 'moją', 'moja', 'mój', 'dla', 'pomoc', 'pomóż', 'wdróż', 'stwórz', 'zrób', 'pokaż', 'cześć', 'witaj', 'dzień', 'dobry', 'aplikację', 'aplikacja', 'możesz', 'potrafisz', 'wdrożyć', 'wdrożenie', 'z', 'w', 'na'],
+  },
+  de: {
+    characters: /[äöüß]/gi,
+    words: ['ich', 'und', 'wie', 'ist', 'nicht', 'bitte', 'mit', 'meine', 'mein', 'eine', 'einen', 'der', 'das', 'hallo', 'guten', 'morgen', 'tag', 'hilfe', 'hilf', 'kannst', 'du', 'erstelle', 'bereitstellen', 'zeig', 'zeige', 'mir', 'für', 'auf', 'warum', 'wo'],
+  },
+};
+
+/**
+ * Normalise a locale such as "pl-PL" to a supported catalog ("pl"), or null
+ */
+function resolveLocale(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Guess the language of a message. Returns null when there is no clear
+ * signal (e.g. a single technical word like "docker").
+ */
+function detectLanguage(text) {
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  let best = null;
+  let bestScore = 0;
+
+  for (const [locale, hints] of Object.entries(LANGUAGE_HINTS)) {
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      continue;
+    }
+    const characterHits = hints.characters ? (text.match(hints.characters) || []).length : 0;
+    const wordHits = words.filter((word) => hints.words.includes(word)).length;
+    const score = characterHits * 2 + wordHits;
+    if (score > bestScore) {
+      best = locale;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Look up a message in the locale's catalog, falling back to English, and
+ * fill {name} placeholders from `vars`
+ */
+function translate(locale, key, vars = {}) {
+  const text = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? String(vars[name]) : placeholder));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  detectLanguage,
+  resolveLocale,
+  translate,
+};
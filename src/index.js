@@ -1,7 +1,28 @@
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
+const path = require('path');
 const NLPProcessor = require('./nlp-processor');
+const Router = require('./router');
+const IntentRegistry = require('./intent-registry');
+const CommandRegistry = require('./chat-commands');
+const SessionManager = require('./session-manager');
+const ArtifactStore = require('./artifact-store');
+const TaskRunner = require('./task-runner');
+const DocsIndex = require('./docs-index');
+const { JsonlStorage, SqliteStorage } = require('./conversation-storage');
+const ApiKeyStore = require('./api-keys');
+const { renderMarkdown, escapeHtml } = require('./markdown');
+const envFile = require('./env-file');
+const { describePlan } = require('./project-plan');
+const { validate, coerceQueryValue } = require('./schema');
+const {
+  API_SCHEMAS, MAX_MESSAGE_LENGTH, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SESSION_ID, LOCALE, ref,
+} = require('./api-schemas');
+const { buildOpenAPIDocument } = require('./openapi');
+const { OpenAICompatibleProvider } = require('./llm-provider');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale } = require('./i18n');
 
 // =============================================================================
 // CONFIGURATION
@@ -11,6 +32,37 @@ const BOT_PORT = process.env.PORT || process.env.BOT_PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const DEBUG_MODE = process.env.DEBUG === 'true' || NODE_ENV === 'development';
 const MAX_REQUEST_BODY_SIZE = parseInt(process.env.MAX_REQUEST_BODY_SIZE, 10) || 1024 * 1024; // 1MB default
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT, 10) || 30 * 60 * 1000; // 30 minutes default
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS, 10) || 1000;
+const ARTIFACT_TTL = parseInt(process.env.ARTIFACT_TTL, 10) || 60 * 60 * 1000; // 1 hour default
+const MAX_ARTIFACTS_PER_SESSION = parseInt(process.env.MAX_ARTIFACTS_PER_SESSION, 10) || 20;
+const ARTIFACT_STORAGE_LIMIT = parseInt(process.env.ARTIFACT_STORAGE_LIMIT, 10) || 100 * 1024 * 1024; // 100MB default
+const INTENTS_DIR = process.env.INTENTS_DIR ? path.resolve(process.env.INTENTS_DIR) : IntentRegistry.DEFAULT_INTENTS_DIR;
+const INTENTS_WATCH = process.env.INTENTS_WATCH !== 'false';
+const FUZZY_MATCH_THRESHOLD = parseFloat(process.env.FUZZY_MATCH_THRESHOLD) || 0.8; // 0-1, 1 = exact words only
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none');
+const LLM_TIMEOUT = parseInt(process.env.LLM_TIMEOUT, 10) || 10000; // 10 seconds default
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS, 10) || 400;
+const LLM_TOKEN_BUDGET = parseInt(process.env.LLM_TOKEN_BUDGET, 10) || 20000; // per session
+const LLM_CONFIDENCE_THRESHOLD = parseFloat(process.env.LLM_CONFIDENCE_THRESHOLD) || 0.5;
+const STREAM_CHUNK_SIZE = parseInt(process.env.STREAM_CHUNK_SIZE, 10) || 48; // characters per chunk frame
+const STREAM_CHUNK_DELAY = parseInt(process.env.STREAM_CHUNK_DELAY, 10) || 25; // ms between chunk frames
+const TASKS_ENABLED = process.env.TASKS_ENABLED !== 'false';
+const TASK_TIMEOUT = parseInt(process.env.TASK_TIMEOUT, 10) || 60000; // 1 minute default
+const TASK_CPU_LIMIT = parseInt(process.env.TASK_CPU_LIMIT, 10) || 30; // seconds of CPU time
+const TASK_OUTPUT_LIMIT = parseInt(process.env.TASK_OUTPUT_LIMIT, 10) || 64 * 1024; // 64KB default
+const MAX_CONCURRENT_TASKS = parseInt(process.env.MAX_CONCURRENT_TASKS, 10) || 2;
+const TASK_NPM_REGISTRY = process.env.TASK_NPM_REGISTRY || null; // npm install is refused without a mirror
+const DOCS_DIR = process.env.DOCS_DIR ? path.resolve(process.env.DOCS_DIR) : DocsIndex.DEFAULT_DOCS_DIR;
+const DOCS_WATCH = process.env.DOCS_WATCH !== 'false';
+const STORAGE = process.env.STORAGE || 'memory'; // memory, jsonl or sqlite
+const STORAGE_PATH = process.env.STORAGE_PATH
+  ? path.resolve(process.env.STORAGE_PATH)
+  : path.resolve('logs', STORAGE === 'sqlite' ? 'conversations.db' : 'conversations.jsonl');
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null; // bootstrap key with every scope
+const API_KEYS_FILE = process.env.API_KEYS_FILE ? path.resolve(process.env.API_KEYS_FILE) : path.resolve('logs', 'api-keys.json');
+const WS_AUTH_TIMEOUT = parseInt(process.env.WS_AUTH_TIMEOUT, 10) || 10000; // ms to send an auth frame
 
 // =============================================================================
 // ADVANCED LOGGING SYSTEM
@@ -74,6 +126,25 @@ logger.info(`🌍 Environment: ${NODE_ENV}`);
 logger.info(`🔧 Debug Mode: ${DEBUG_MODE ? 'ENABLED' : 'DISABLED'}`);
 logger.info(`🚀 Starting bot on port ${BOT_PORT}...`);
 
+// =============================================================================
+// ENVIRONMENT CHECK
+// =============================================================================
+// Values the settings above can't use are mostly replaced by defaults without
+// a word, so check them against the types documented in .env.example
+try {
+  const variables = envFile.loadEnvTemplate();
+  for (const problem of envFile.checkEnvironment(variables, process.env)) {
+    const variable = variables.find((candidate) => candidate.name === problem.name);
+    logger.warn(`⚠️ Invalid value for ${problem.name}`, {
+      value: variable.secret ? envFile.maskSecret(problem.value) : problem.value,
+      expected: problem.choices ? problem.choices.join(' or ') : variable.type,
+      ...(problem.error === 'range' ? { min: problem.min, max: problem.max } : {}),
+    });
+  }
+} catch (error) {
+  logger.debug('Environment not checked, .env.example is not available', { error: error.message });
+}
+
 // =============================================================================
 // GLOBAL ERROR HANDLERS
 // =============================================================================
@@ -111,24 +182,302 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // =============================================================================
-// NLP PROCESSOR INITIALIZATION WITH ERROR HANDLING
+// INTENT REGISTRY INITIALIZATION WITH ERROR HANDLING
+// =============================================================================
+// Slash commands for every session; register new ones here. Intent files
+// cannot reuse their names for an intent's own `command`.
+const chatCommands = new CommandRegistry();
+
+let intentRegistry;
+try {
+  intentRegistry = new IntentRegistry({
+    directory: INTENTS_DIR,
+    entityNames: Object.keys(NLPProcessor.ENTITIES),
+    actionNames: Object.keys(require('./actions')),
+    commandNames: chatCommands.names,
+  }).load();
+  intentRegistry.warnings.forEach((warning) => logger.warn(`⚠️ ${warning}`));
+  logger.info('✅ Intents loaded successfully', {
+    directory: INTENTS_DIR,
+    intents: Object.keys(intentRegistry.intents),
+  });
+} catch (error) {
+  logger.error('❌ Failed to load intent definitions', error, { errors: error.errors });
+  process.exit(1);
+}
+
+if (INTENTS_WATCH) {
+  intentRegistry.on('reload', (intents) => {
+    intentRegistry.warnings.forEach((warning) => logger.warn(`⚠️ ${warning}`));
+    logger.info('🔄 Intents reloaded', { intents });
+  });
+  intentRegistry.on('error', (error) => {
+    logger.error('❌ Intent reload failed, keeping previous definitions', error, { errors: error.errors });
+  });
+  intentRegistry.watch();
+}
+
+// =============================================================================
+// LLM PROVIDER INITIALIZATION
+// =============================================================================
+let llmProvider = null;
+if (LLM_PROVIDER === 'openai') {
+  llmProvider = new OpenAICompatibleProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL,
+    timeout: LLM_TIMEOUT,
+    maxTokens: LLM_MAX_TOKENS,
+  });
+  logger.info('✅ LLM provider enabled', {
+    provider: llmProvider.name,
+    baseUrl: llmProvider.baseUrl,
+    model: llmProvider.model,
+    tokenBudget: LLM_TOKEN_BUDGET,
+  });
+} else if (LLM_PROVIDER !== 'none') {
+  logger.warn(`⚠️ Unknown LLM_PROVIDER "${LLM_PROVIDER}", using rule-based responses only`);
+}
+
+// =============================================================================
+// TASK RUNNER INITIALIZATION
+// =============================================================================
+let taskRunner = null;
+if (TASKS_ENABLED) {
+  taskRunner = new TaskRunner({
+    timeout: TASK_TIMEOUT,
+    cpuLimit: TASK_CPU_LIMIT,
+    outputLimit: TASK_OUTPUT_LIMIT,
+    maxConcurrent: MAX_CONCURRENT_TASKS,
+    npmRegistry: TASK_NPM_REGISTRY,
+  });
+  logger.info('✅ Task runner enabled', {
+    commands: TaskRunner.allowedCommands,
+    timeout: TASK_TIMEOUT,
+    cpuLimit: TASK_CPU_LIMIT,
+    outputLimit: TASK_OUTPUT_LIMIT,
+    npmRegistry: TASK_NPM_REGISTRY || 'none (npm install disabled)',
+  });
+}
+
+// =============================================================================
+// DOCS INDEX INITIALIZATION
+// =============================================================================
+// The bot still works without its docs; "explain" questions then say so
+let docsIndex = null;
+try {
+  docsIndex = new DocsIndex({ directory: DOCS_DIR }).load();
+  logger.info('✅ Docs indexed successfully', {
+    directory: DOCS_DIR,
+    documents: Object.keys(docsIndex.documents),
+    passages: docsIndex.size,
+  });
+} catch (error) {
+  logger.warn('⚠️ Failed to index docs, explain questions are unavailable', { directory: DOCS_DIR, error: error.message });
+}
+
+if (docsIndex && DOCS_WATCH) {
+  docsIndex.on('reload', (documents) => {
+    logger.info('🔄 Docs reindexed', { documents, passages: docsIndex.size });
+  });
+  docsIndex.on('error', (error) => {
+    logger.error('❌ Docs reindex failed, keeping previous index', error);
+  });
+  docsIndex.watch();
+}
+
+// =============================================================================
+// API KEY INITIALIZATION
+// =============================================================================
+// Admin routes read and change every user's conversations and issue keys,
+// and debug routes show the server's internals, so they need a key even when
+// AUTH_ENABLED is off; AUTH_ENABLED extends the check to the chat routes
+const ALWAYS_AUTHENTICATED_SCOPES = ['admin', 'debug'];
+let apiKeys;
+try {
+  apiKeys = new ApiKeyStore({ file: API_KEYS_FILE, bootstrapKey: ADMIN_API_KEY }).load();
+  if (AUTH_ENABLED) {
+    logger.info('🔒 API authentication enabled', { keys: apiKeys.size, bootstrapKey: Boolean(ADMIN_API_KEY) });
+    if (apiKeys.size === 0 && !ADMIN_API_KEY) {
+      logger.warn('⚠️ No API keys exist and ADMIN_API_KEY is not set, so no request can authenticate');
+    }
+  } else {
+    if (NODE_ENV === 'production') {
+      logger.warn('⚠️ API authentication is off; set AUTH_ENABLED=true to require API keys');
+    }
+    if (apiKeys.size === 0 && !ADMIN_API_KEY) {
+      logger.info('🔒 Admin and debug endpoints are unavailable until ADMIN_API_KEY is set');
+    }
+  }
+} catch (error) {
+  logger.error('❌ Failed to load API keys', error);
+  process.exit(1);
+}
+
+// =============================================================================
+// CONVERSATION STORAGE INITIALIZATION
+// =============================================================================
+// Without an adapter, conversations live in memory and end with the process
+let storage = null;
+let storedSessions = [];
+try {
+  if (STORAGE === 'jsonl') {
+    storage = new JsonlStorage({ file: STORAGE_PATH });
+  } else if (STORAGE === 'sqlite') {
+    storage = new SqliteStorage({ file: STORAGE_PATH });
+  } else if (STORAGE !== 'memory') {
+    throw new Error(`Unknown STORAGE "${STORAGE}" (use memory, jsonl or sqlite)`);
+  }
+  if (storage) {
+    storedSessions = storage.load();
+    storage.warnings.forEach((warning) => logger.warn(`⚠️ ${warning}`));
+    logger.info('✅ Conversation storage loaded', {
+      adapter: storage.name,
+      file: STORAGE_PATH,
+      sessions: storedSessions.length,
+    });
+  }
+} catch (error) {
+  logger.error('❌ Failed to open conversation storage', error);
+  process.exit(1);
+}
+
+// =============================================================================
+// SESSION MANAGER INITIALIZATION WITH ERROR HANDLING
 // =============================================================================
-let nlp;
+let sessions;
 try {
-  nlp = new NLPProcessor();
-  logger.info('✅ NLP Processor initialized successfully');
+  sessions = new SessionManager({
+    idleTimeout: SESSION_IDLE_TIMEOUT,
+    maxSessions: MAX_SESSIONS,
+    createProcessor: () => new NLPProcessor({
+      registry: intentRegistry,
+      commands: chatCommands,
+      provider: llmProvider,
+      tokenBudget: LLM_TOKEN_BUDGET,
+      llmConfidenceThreshold: LLM_CONFIDENCE_THRESHOLD,
+      fuzzyThreshold: FUZZY_MATCH_THRESHOLD,
+      templateData: getHealthSnapshot,
+      services: { taskRunner, docsIndex },
+      logger,
+    }),
+    onEvict: (session, reason) => {
+      logger.debug('🗑️ Session ended', { sessionId: session.id, reason });
+      forgetStoredSession(session.id);
+    },
+  });
+  // Fail fast if the NLP Processor cannot be constructed
+  sessions.createProcessor();
+  restoreSessions(storedSessions);
+  storedSessions = [];
+  sessions.startSweeping();
+  logger.info('✅ Session manager initialized successfully', {
+    idleTimeout: SESSION_IDLE_TIMEOUT,
+    maxSessions: MAX_SESSIONS,
+    restored: sessions.size,
+  });
 } catch (error) {
   logger.error('❌ Failed to initialize NLP Processor', error);
   process.exit(1);
 }
 
+// Sessions with a reply being written. A session answers one message at a
+// time, whichever socket (or /api/chat request) it came from, so that
+// concurrent replies cannot interleave their turns in its history.
+const replyingSessions = new Set();
+
+/**
+ * Put stored conversations back into the session manager. Those that went
+ * idle while the server was down, and the least recently active beyond
+ * MAX_SESSIONS, are dropped from storage instead.
+ */
+function restoreSessions(records) {
+  const now = Date.now();
+  const byActivity = records.slice().sort((a, b) => b.lastActiveAt - a.lastActiveAt);
+  byActivity.forEach((record, index) => {
+    if (index >= MAX_SESSIONS || now - record.lastActiveAt > SESSION_IDLE_TIMEOUT) {
+      forgetStoredSession(record.id);
+    }
+  });
+
+  for (const record of byActivity.slice(0, MAX_SESSIONS).reverse()) {
+    if (now - record.lastActiveAt > SESSION_IDLE_TIMEOUT) {
+      continue;
+    }
+    const history = record.messages.map((message) => message.entry);
+    const checkpoints = Object.fromEntries(record.messages
+      .filter((message) => message.checkpoint)
+      .map((message) => [message.entry.id, message.checkpoint]));
+    sessions.restore(record, (nlp) => nlp.restore(record.state, history, checkpoints));
+  }
+}
+
+/**
+ * Write a session's changes to storage, when conversations are stored.
+ * A failed write is logged and the conversation goes on in memory.
+ */
+function persistSession(sessionId) {
+  const session = storage ? sessions.peek(sessionId) : null;
+  if (!session) {
+    return;
+  }
+  try {
+    storage.save(session);
+  } catch (error) {
+    errorCount++;
+    logger.error('Failed to store conversation', error, { sessionId });
+  }
+}
+
+function forgetStoredSession(sessionId) {
+  if (!storage) {
+    return;
+  }
+  try {
+    storage.delete(sessionId);
+  } catch (error) {
+    errorCount++;
+    logger.error('Failed to remove stored conversation', error, { sessionId });
+  }
+}
+
+// =============================================================================
+// ARTIFACT STORE INITIALIZATION
+// =============================================================================
+// Generated files outlive the session that created them until they expire,
+// so download links in a finished conversation keep working
+const artifacts = new ArtifactStore({
+  ttl: ARTIFACT_TTL,
+  maxPerSession: MAX_ARTIFACTS_PER_SESSION,
+  maxBytes: ARTIFACT_STORAGE_LIMIT,
+});
+artifacts.startSweeping();
+logger.info('✅ Artifact store initialized', {
+  ttl: ARTIFACT_TTL,
+  maxPerSession: MAX_ARTIFACTS_PER_SESSION,
+  storageLimit: ARTIFACT_STORAGE_LIMIT,
+});
+
+/**
+ * Store the files a reply generated and describe them for the client,
+ * with the URL each one can be downloaded from
+ */
+function saveArtifacts(sessionId, result) {
+  return result.attachments.map((attachment) => {
+    const artifact = artifacts.save(sessionId, attachment, { intent: result.intent });
+    logger.debug('📦 Artifact stored', { sessionId, artifactId: artifact.id, name: artifact.name, size: artifact.size });
+    return { ...ArtifactStore.describe(artifact), url: `/api/artifacts/${artifact.id}` };
+  });
+}
+
 // =============================================================================
 // CORS CONFIGURATION
 // =============================================================================
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Request-ID, X-Session-ID',
+  'Access-Control-Expose-Headers': 'X-Request-ID, X-Session-ID, Content-Disposition',
 };
 
 // =============================================================================
@@ -176,9 +525,11 @@ function sendJSONResponse(res, statusCode, data, requestId = null) {
 }
 
 /**
- * Send error response with structured format
+ * Send error response with structured format. `fields` lists the inputs
+ * that failed validation ([{ field, code, message }]) and, unlike
+ * `details`, is sent outside debug mode too.
  */
-function sendErrorResponse(res, statusCode, message, details = null, requestId = null) {
+function sendErrorResponse(res, statusCode, message, details = null, requestId = null, fields = null) {
   errorCount++;
   const errorResponse = {
     error: {
@@ -187,117 +538,448 @@ function sendErrorResponse(res, statusCode, message, details = null, requestId =
       timestamp: new Date().toISOString(),
       ...(details && DEBUG_MODE ? { details } : {}),
       ...(requestId ? { requestId } : {}),
+      ...(fields ? { fields } : {}),
     }
   };
   sendJSONResponse(res, statusCode, errorResponse, requestId);
 }
 
 // =============================================================================
-// HTTP SERVER WITH ADVANCED ERROR HANDLING
+// MIDDLEWARE
 // =============================================================================
-const server = http.createServer((req, res) => {
-  const requestId = generateRequestId();
+
+/**
+ * A request URL as it may be logged: an API key passed as ?token= is hidden
+ */
+function redactUrl(url) {
+  return url.replace(/([?&]token=)[^&#]*/gi, '$1[redacted]');
+}
+
+/**
+ * Log each request and, once sent, its response
+ */
+function logRequest(req, res, ctx, next) {
   const startTime = Date.now();
-  requestCount++;
-  
   logger.debug(`📨 Incoming request`, { 
-    requestId, 
+    requestId: ctx.requestId, 
     method: req.method, 
-    url: req.url,
+    url: redactUrl(req.url),
     userAgent: req.headers['user-agent']?.substring(0, 100),
   });
 
-  // Handle connection errors
-  req.on('error', (error) => {
-    logger.error('Request error', error, { requestId });
-    sendErrorResponse(res, 500, 'Request processing error', error.message, requestId);
-  });
-
-  res.on('error', (error) => {
-    logger.error('Response error', error, { requestId });
-  });
-
-  // Log response completion
   res.on('finish', () => {
     const duration = Date.now() - startTime;
     logger.debug(`📤 Response sent`, { 
-      requestId, 
+      requestId: ctx.requestId, 
       statusCode: res.statusCode, 
       duration: `${duration}ms` 
     });
   });
 
-  // Handle CORS preflight requests
+  return next();
+}
+
+/**
+ * Answer CORS preflight requests for any path
+ */
+function handlePreflight(req, res, ctx, next) {
   if (req.method === 'OPTIONS') {
     res.writeHead(204, corsHeaders);
     res.end();
-    return;
+    return undefined;
   }
+  return next();
+}
 
-  // Route handling with error boundaries
-  try {
-    routeRequest(req, res, requestId);
-  } catch (error) {
-    logger.error('Unhandled route error', error, { requestId, url: req.url });
-    sendErrorResponse(res, 500, 'Internal server error', error.message, requestId);
+/**
+ * The API key a client presents: "Authorization: Bearer <key>", an
+ * X-API-Key header or, when `query` is given, a `token` parameter in it
+ */
+function getPresentedKey(req, query = null) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(\S+)\s*$/i);
+  return bearer?.[1] || req.headers['x-api-key'] || query?.get('token') || null;
+}
+
+/**
+ * Check a presented key for a scope. Returns { apiKey } or, when it fails,
+ * { status, reason } after logging the attempt.
+ */
+function authorize(key, scope, { requestId, transport, path: route, ip }) {
+  const apiKey = key ? apiKeys.authenticate(key) : null;
+  let failure = null;
+  if (!key) {
+    failure = { status: 401, reason: 'no API key' };
+  } else if (!apiKey) {
+    failure = { status: 401, reason: 'unknown API key' };
+  } else if (!apiKey.scopes.includes(scope)) {
+    failure = { status: 403, reason: `key lacks the "${scope}" scope` };
   }
-});
+  if (failure) {
+    logger.warn('🔒 Authentication failed', {
+      requestId,
+      transport,
+      path: route,
+      ip,
+      reason: failure.reason,
+      ...(key ? { key: ApiKeyStore.preview(key) } : {}),
+      ...(apiKey ? { keyId: apiKey.id } : {}),
+    });
+    return failure;
+  }
+  return { apiKey };
+}
 
 /**
- * Route requests to appropriate handlers
+ * Require a key with the route's `scope`: always for ALWAYS_AUTHENTICATED_SCOPES,
+ * and for every scoped route with AUTH_ENABLED (routes without a scope are
+ * public). The key is put in ctx.apiKey.
  */
-function routeRequest(req, res, requestId) {
-  const url = req.url.split('?')[0]; // Remove query params for routing
+function authenticate(req, res, ctx, next) {
+  const { scope, queryToken } = ctx.spec;
+  if (!scope || (!AUTH_ENABLED && !ALWAYS_AUTHENTICATED_SCOPES.includes(scope))) {
+    return next();
+  }
+  const key = getPresentedKey(req, queryToken ? ctx.query : null);
+  const { apiKey, status, reason } = authorize(key, scope, {
+    requestId: ctx.requestId,
+    transport: 'http',
+    path: ctx.path,
+    ip: req.socket.remoteAddress,
+  });
+  if (!apiKey) {
+    if (status === 401) {
+      res.setHeader('WWW-Authenticate', `Bearer realm="${BOT_NAME}"`);
+    }
+    sendErrorResponse(res, status, status === 401 ? 'Unauthorized' : 'Forbidden', reason, ctx.requestId);
+    return undefined;
+  }
+  ctx.apiKey = apiKey;
+  return next();
+}
 
-  switch (url) {
-    case '/health':
-      handleHealthCheck(req, res, requestId);
-      break;
-    case '/api/chat':
-      if (req.method === 'POST') {
-        handleChatAPI(req, res, requestId);
-      } else {
-        sendErrorResponse(res, 405, 'Method not allowed', `${req.method} not supported for /api/chat`, requestId);
+/**
+ * Reject a request whose input does not match its route's schema, listing
+ * every invalid field
+ */
+function sendValidationError(res, ctx, where, fields) {
+  logger.debug('Request failed validation', { requestId: ctx.requestId, route: ctx.route, fields });
+  sendErrorResponse(res, 400, 'Invalid request', `${where} does not match the schema`, ctx.requestId, fields);
+}
+
+/**
+ * Check the path parameters, query string and headers against the route's
+ * spec. Query values are converted to their schema's type, into
+ * ctx.queryParams.
+ */
+function validateRequest(req, res, ctx, next) {
+  const { params: paramSchemas, query: querySchema, headers: headerSchemas } = ctx.spec;
+  const queryParams = {};
+  for (const [name, value] of ctx.query) {
+    const schema = querySchema?.properties?.[name];
+    queryParams[name] = schema ? coerceQueryValue(schema, value, API_SCHEMAS) : value;
+  }
+  ctx.queryParams = queryParams;
+
+  const fields = querySchema ? validate(querySchema, queryParams, { schemas: API_SCHEMAS }) : [];
+  for (const [name, schema] of Object.entries(paramSchemas || {})) {
+    fields.push(...validate(schema, ctx.params[name], { schemas: API_SCHEMAS, field: name }));
+  }
+  for (const [name, schema] of Object.entries(headerSchemas || {})) {
+    const value = req.headers[name.toLowerCase()];
+    if (value !== undefined) {
+      fields.push(...validate(schema, value, { schemas: API_SCHEMAS, field: name }));
+    }
+  }
+  if (fields.length > 0) {
+    sendValidationError(res, ctx, 'request', fields);
+    return undefined;
+  }
+  return next();
+}
+
+/**
+ * Read a JSON request body into ctx.body, rejecting other content types,
+ * bodies over MAX_REQUEST_BODY_SIZE, invalid JSON and bodies that do not
+ * match the route's body schema
+ */
+function parseJSONBody(req, res, ctx, next) {
+  const { requestId } = ctx;
+  const contentType = req.headers['content-type'];
+  if (!contentType || !contentType.includes('application/json')) {
+    sendErrorResponse(res, 415, 'Unsupported Media Type', 'Content-Type must be application/json', requestId);
+    return undefined;
+  }
+
+  return new Promise((resolve) => {
+    let body = '';
+    let bodySize = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) {
+        return;
       }
-      break;
-    case '/api/debug':
-      if (DEBUG_MODE) {
-        handleDebugEndpoint(req, res, requestId);
-      } else {
-        sendErrorResponse(res, 404, 'Not found', null, requestId);
+      bodySize += chunk.length;
+
+      // Prevent body size attacks
+      if (bodySize > MAX_REQUEST_BODY_SIZE) {
+        tooLarge = true;
+        logger.warn('Request body too large', { requestId, size: bodySize });
+        sendErrorResponse(res, 413, 'Request body too large', `Max size: ${MAX_REQUEST_BODY_SIZE} bytes`, requestId);
+        req.destroy();
+        resolve();
+        return;
       }
-      break;
-    case '/demo':
-      handleDemoPage(req, res, requestId);
-      break;
-    case '/':
-      handleMainPage(req, res, requestId);
-      break;
-    default:
-      sendErrorResponse(res, 404, 'Not found', `Route ${url} not found`, requestId);
-  }
+
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      if (tooLarge) {
+        return;
+      }
+      // Parse JSON safely
+      const { data, error } = safeParseJSON(body, { requestId });
+      if (error) {
+        sendErrorResponse(res, 400, 'Invalid JSON', error.message, requestId);
+        resolve();
+        return;
+      }
+      const fields = ctx.spec.body ? validate(ctx.spec.body, data, { schemas: API_SCHEMAS }) : [];
+      if (fields.length > 0) {
+        sendValidationError(res, ctx, 'request body', fields);
+        resolve();
+        return;
+      }
+      ctx.body = data;
+      resolve(next());
+    });
+
+    // The server's request error handler has already answered
+    req.on('error', () => resolve());
+  });
 }
 
+// =============================================================================
+// HTTP SERVER WITH ADVANCED ERROR HANDLING
+// =============================================================================
+const server = http.createServer((req, res) => {
+  const requestId = generateRequestId();
+  requestCount++;
+
+  // Handle connection errors
+  req.on('error', (error) => {
+    logger.error('Request error', error, { requestId });
+    sendErrorResponse(res, 500, 'Request processing error', error.message, requestId);
+  });
+
+  res.on('error', (error) => {
+    logger.error('Response error', error, { requestId });
+  });
+
+  router.handle(req, res, { requestId });
+});
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+const router = new Router({
+  onNotFound: (req, res, { path: url, requestId }) => {
+    sendErrorResponse(res, 404, 'Not found', `Route ${url} not found`, requestId);
+  },
+  onMethodNotAllowed: (req, res, { path: url, allowed, requestId }) => {
+    res.setHeader('Allow', allowed.join(', '));
+    sendErrorResponse(res, 405, 'Method not allowed', `${req.method} not supported for ${url} (allowed: ${allowed.join(', ')})`, requestId);
+  },
+  // Error boundary for every handler
+  onError: (req, res, { error, requestId }) => {
+    logger.error('Unhandled route error', error, { requestId, url: redactUrl(req.url) });
+    if (!res.headersSent) {
+      sendErrorResponse(res, 500, 'Internal server error', error.message, requestId);
+    }
+  },
+});
+
+router.use(logRequest);
+router.use(handlePreflight);
+router.use(authenticate);
+router.use(validateRequest);
+
+// How API routes identify the caller's session: a header, or a query
+// parameter for plain links
+const SESSION_HEADERS = { 'X-Session-ID': SESSION_ID };
+const SESSION_QUERY = { type: 'object', properties: { sessionId: SESSION_ID } };
+const HTML_PAGE = { 200: { description: 'HTML page', contentType: 'text/html' } };
+const CONVERSATION_PARAMS = { id: SESSION_ID };
+
+router.get('/health', {
+  summary: 'Server status and metrics',
+  tags: ['server'],
+  responses: { 200: { description: 'The server is up', schema: ref('Health') } },
+}, handleHealthCheck);
+router.post('/api/chat', {
+  summary: 'Send a message and get the reply',
+  description: 'The reply is produced in the conversation named by the X-Session-ID header or `sessionId`; a new conversation is started when neither is given.',
+  tags: ['chat'],
+  scope: 'chat',
+  headers: SESSION_HEADERS,
+  body: ref('ChatRequest'),
+  responses: { 200: { description: 'The bot\'s reply', schema: ref('ChatResponse') } },
+}, parseJSONBody, handleChatAPI);
+router.get('/api/artifacts', {
+  summary: 'List the files generated in the conversation',
+  tags: ['artifacts'],
+  scope: 'chat',
+  headers: SESSION_HEADERS,
+  query: SESSION_QUERY,
+  responses: { 200: { description: 'The unexpired artifacts', schema: ref('ArtifactList') } },
+}, handleArtifactList);
+router.get('/api/artifacts/:id', {
+  summary: 'Download a generated file',
+  tags: ['artifacts'],
+  scope: 'chat',
+  // Plain download links cannot send headers
+  queryToken: true,
+  headers: SESSION_HEADERS,
+  query: {
+    type: 'object',
+    properties: { ...SESSION_QUERY.properties, token: { type: 'string', description: 'API key, for plain links when authentication is on' } },
+  },
+  responses: { 200: { description: 'The file, as an attachment', contentType: 'application/octet-stream' } },
+}, handleArtifact);
+router.delete('/api/artifacts/:id', {
+  summary: 'Delete a generated file',
+  tags: ['artifacts'],
+  scope: 'chat',
+  headers: SESSION_HEADERS,
+  query: SESSION_QUERY,
+  responses: { 200: { description: 'The artifact was deleted', schema: ref('ArtifactDeleted') } },
+}, handleArtifact);
+router.get('/api/plan', {
+  summary: 'The conversation\'s project plan and progress',
+  tags: ['chat'],
+  scope: 'chat',
+  headers: SESSION_HEADERS,
+  query: SESSION_QUERY,
+  responses: { 200: { description: 'The plan, or null when there is none', schema: ref('PlanResponse') } },
+}, handlePlan);
+router.get('/api/commands', {
+  summary: 'The chat\'s slash commands',
+  tags: ['chat'],
+  scope: 'chat',
+  query: { type: 'object', properties: { locale: LOCALE } },
+  responses: { 200: { description: 'Commands with localized descriptions', schema: ref('CommandList') } },
+}, handleCommandList);
+router.get('/api/conversations', {
+  summary: 'List the live conversations',
+  description: 'Every conversation that has not expired, for support staff. Listing does not keep them alive.',
+  tags: ['conversations'],
+  scope: 'admin',
+  responses: { 200: { description: 'Conversation summaries', schema: ref('ConversationList') } },
+}, handleConversationList);
+router.get('/api/conversations/:id/messages', {
+  summary: 'Read a conversation\'s history',
+  description: 'Pages through the messages oldest first; follow `nextCursor` until it is null.',
+  tags: ['conversations'],
+  scope: 'admin',
+  params: CONVERSATION_PARAMS,
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+      cursor: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', 'x-pattern-message': 'must be a nextCursor value', description: 'nextCursor of the previous page' },
+    },
+  },
+  responses: { 200: { description: 'A page of messages', schema: ref('MessagePage') } },
+}, handleConversationMessages);
+router.delete('/api/conversations/:id', {
+  summary: 'End a conversation',
+  description: 'Drops the session and its history. Its artifacts are kept until they expire.',
+  tags: ['conversations'],
+  scope: 'admin',
+  params: CONVERSATION_PARAMS,
+  responses: { 200: { description: 'The conversation was deleted', schema: ref('ConversationChanged') } },
+}, handleConversationDelete);
+router.post('/api/conversations/:id/reset', {
+  summary: 'Clear a conversation',
+  description: 'Empties the history and forgets dialogs, the plan and the language, as /reset does. The session stays.',
+  tags: ['conversations'],
+  scope: 'admin',
+  params: CONVERSATION_PARAMS,
+  responses: { 200: { description: 'The conversation was cleared', schema: ref('ConversationChanged') } },
+}, handleConversationReset);
+router.get('/api/keys', {
+  summary: 'List the API keys',
+  tags: ['keys'],
+  scope: 'admin',
+  responses: { 200: { description: 'Keys, without their secrets', schema: ref('ApiKeyList') } },
+}, handleApiKeyList);
+router.post('/api/keys', {
+  summary: 'Create an API key',
+  description: 'The response is the only time the key is shown; only its hash is kept.',
+  tags: ['keys'],
+  scope: 'admin',
+  body: ref('ApiKeyRequest'),
+  responses: { 201: { description: 'The new key', schema: ref('ApiKeyCreated') } },
+}, parseJSONBody, handleApiKeyCreate);
+router.delete('/api/keys/:id', {
+  summary: 'Revoke an API key',
+  tags: ['keys'],
+  scope: 'admin',
+  params: { id: { type: 'string', pattern: '^key_[a-f0-9]{16}$', 'x-pattern-message': 'must be a key id' } },
+  responses: { 200: { description: 'The key no longer works', schema: ref('ApiKeyRevoked') } },
+}, handleApiKeyRevoke);
+router.get('/api/openapi.json', {
+  summary: 'This API description',
+  tags: ['server'],
+  responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } },
+}, handleOpenAPIDocument);
+if (DEBUG_MODE) {
+  router.get('/api/debug', {
+    summary: 'Configuration and internals (debug mode only)',
+    tags: ['server'],
+    scope: 'debug',
+    responses: { 200: { description: 'Debug information', schema: { type: 'object' } } },
+  }, handleDebugEndpoint);
+}
+router.get('/demo', { summary: 'Demo page', tags: ['pages'], responses: HTML_PAGE }, handleDemoPage);
+router.get('/docs', { summary: 'Index of the guides', tags: ['pages'], responses: HTML_PAGE }, handleDocsList);
+router.get('/docs/:file', { summary: 'A guide rendered from markdown', tags: ['pages'], responses: HTML_PAGE }, handleDocsPage);
+router.get('/', { summary: 'Chat interface', tags: ['pages'], responses: HTML_PAGE }, handleMainPage);
+
 /**
- * Enhanced health check with diagnostics
+ * Current server state, shared by /health and the live values in intent
+ * response templates (uptime in seconds)
  */
-function handleHealthCheck(req, res, requestId) {
-  const uptime = serverStartTime ? Math.floor((Date.now() - serverStartTime) / 1000) : 0;
-  const memoryUsage = process.memoryUsage();
-  
-  const healthData = {
-    status: 'healthy',
+function getHealthSnapshot() {
+  const status = isShuttingDown ? 'shutting down' : 'healthy';
+  return {
+    status,
+    healthy: status === 'healthy',
     bot: BOT_NAME,
     version: require('../package.json').version,
-    timestamp: new Date().toISOString(),
-    uptime: `${uptime}s`,
+    uptime: serverStartTime ? Math.floor((Date.now() - serverStartTime) / 1000) : 0,
     environment: NODE_ENV,
     metrics: {
       requestCount,
       errorCount,
       activeWebSocketConnections: wsConnectionCount,
-      memoryUsedMB: Math.round(memoryUsage.heapUsed / 1024 / 1024),
+      memoryUsedMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
     },
+  };
+}
+
+/**
+ * Enhanced health check with diagnostics
+ */
+function handleHealthCheck(req, res, { requestId }) {
+  const { healthy, uptime, ...snapshot } = getHealthSnapshot();
+  const memoryUsage = process.memoryUsage();
+  
+  const healthData = {
+    ...snapshot,
+    timestamp: new Date().toISOString(),
+    uptime: `${uptime}s`,
     ...(DEBUG_MODE ? {
       debug: {
         nodeVersion: process.version,
@@ -318,7 +1000,7 @@ function handleHealthCheck(req, res, requestId) {
 /**
  * Debug endpoint for troubleshooting (only available in debug mode)
  */
-function handleDebugEndpoint(req, res, requestId) {
+function handleDebugEndpoint(req, res, { requestId }) {
   const debugInfo = {
     environment: {
       NODE_ENV,
@@ -339,9 +1021,33 @@ function handleDebugEndpoint(req, res, requestId) {
       memoryUsage: process.memoryUsage(),
       uptime: process.uptime(),
     },
-    nlpStatus: {
-      initialized: !!nlp,
-      historyLength: nlp?.getHistory?.()?.length || 0,
+    sessions: {
+      active: sessions.size,
+      storage: STORAGE,
+      storagePath: storage ? STORAGE_PATH : null,
+      maxSessions: MAX_SESSIONS,
+      idleTimeout: SESSION_IDLE_TIMEOUT,
+      historyLengths: Object.fromEntries(
+        Array.from(sessions.sessions.values(), (session) => [session.id, session.nlp.getHistory().length])
+      ),
+    },
+    tasks: {
+      enabled: TASKS_ENABLED,
+      running: taskRunner ? taskRunner.running : 0,
+      maxConcurrent: MAX_CONCURRENT_TASKS,
+      npmRegistry: TASK_NPM_REGISTRY,
+    },
+    docs: {
+      directory: DOCS_DIR,
+      watching: DOCS_WATCH,
+      documents: docsIndex ? Object.keys(docsIndex.documents) : [],
+      passages: docsIndex ? docsIndex.size : 0,
+    },
+    artifacts: {
+      stored: artifacts.size,
+      totalBytes: artifacts.totalBytes,
+      storageLimit: ARTIFACT_STORAGE_LIMIT,
+      ttl: ARTIFACT_TTL,
     },
     timestamp: new Date().toISOString(),
   };
@@ -350,84 +1056,331 @@ function handleDebugEndpoint(req, res, requestId) {
 }
 
 /**
- * Handle chat API with comprehensive validation
+ * Handle chat API. The body has been validated against ChatRequest.
  */
-function handleChatAPI(req, res, requestId) {
-  let body = '';
-  let bodySize = 0;
+async function handleChatAPI(req, res, { requestId, body: parsedBody }) {
+  const { message } = parsedBody;
+  const sessionId = req.headers['x-session-id'] || parsedBody.sessionId || SessionManager.generateId();
+
+  // Optional explicit language; detected from the message otherwise
+  const locale = parsedBody.locale === undefined ? undefined : resolveLocale(parsedBody.locale);
+  if (locale === null) {
+    sendErrorResponse(res, 400, 'Invalid request', 'unsupported locale', requestId, [unsupportedLocaleField()]);
+    return;
+  }
 
-  req.on('data', (chunk) => {
-    bodySize += chunk.length;
-    
-    // Prevent body size attacks
-    if (bodySize > MAX_REQUEST_BODY_SIZE) {
-      logger.warn('Request body too large', { requestId, size: bodySize });
-      sendErrorResponse(res, 413, 'Request body too large', `Max size: ${MAX_REQUEST_BODY_SIZE} bytes`, requestId);
-      req.destroy();
-      return;
-    }
-    
-    body += chunk;
-  });
+  if (replyingSessions.has(sessionId)) {
+    sendErrorResponse(res, 409, 'Conflict', 'a reply in this conversation is still being written', requestId);
+    return;
+  }
 
-  req.on('end', () => {
-    // Validate content type
-    const contentType = req.headers['content-type'];
-    if (!contentType || !contentType.includes('application/json')) {
-      sendErrorResponse(res, 415, 'Unsupported Media Type', 'Content-Type must be application/json', requestId);
-      return;
-    }
+  // Process message with the caller's own NLP context
+  replyingSessions.add(sessionId);
+  try {
+    const { nlp } = sessions.getOrCreate(sessionId);
+    const result = await nlp.respond(message, { locale });
+    persistSession(sessionId);
+    res.setHeader('X-Session-ID', sessionId);
+    sendJSONResponse(res, 200, { 
+      response: result.response,
+      intent: result.intent,
+      confidence: result.confidence,
+      scores: result.ranking,
+      clarification: result.clarification,
+      slots: result.slots,
+      awaiting: result.awaiting,
+      source: result.source,
+      locale: result.locale,
+      command: result.command,
+      artifacts: saveArtifacts(sessionId, result),
+      task: result.task,
+      sessionId,
+      requestId,
+      timestamp: new Date().toISOString(),
+    }, requestId);
+  } catch (nlpError) {
+    logger.error('NLP processing error', nlpError, { requestId, sessionId, messageLength: message.length });
+    sendErrorResponse(res, 500, 'Failed to process message', nlpError.message, requestId);
+  } finally {
+    replyingSessions.delete(sessionId);
+  }
+}
 
-    // Parse JSON safely
-    const { data: parsedBody, error: parseError } = safeParseJSON(body, { requestId });
-    if (parseError) {
-      sendErrorResponse(res, 400, 'Invalid JSON', parseError.message, requestId);
-      return;
-    }
+/**
+ * The session a request acts for: the X-Session-ID header, or a sessionId
+ * query parameter for plain links (artifact downloads, dashboards)
+ */
+function getRequestSessionId(req, { query }) {
+  return req.headers['x-session-id'] || query.get('sessionId');
+}
 
-    // Validate message field
-    const { message } = parsedBody;
-    if (typeof message !== 'string') {
-      sendErrorResponse(res, 400, 'Invalid request', 'message field must be a string', requestId);
-      return;
-    }
+/**
+ * Reject a request that names no session. Malformed ids have already
+ * failed validation.
+ */
+function sendSessionIdRequired(res, requestId) {
+  sendErrorResponse(res, 400, 'Invalid request', 'a session id is required', requestId, [{
+    field: 'sessionId',
+    code: 'required',
+    message: 'is required in the X-Session-ID header or sessionId parameter',
+  }]);
+}
 
-    if (message.trim().length === 0) {
-      sendErrorResponse(res, 400, 'Invalid request', 'message cannot be empty', requestId);
-      return;
-    }
+function unsupportedLocaleField() {
+  return { field: 'locale', code: 'enum', message: `must be one of: ${SUPPORTED_LOCALES.join(', ')}` };
+}
+
+/**
+ * The caller's project plan and progress, or null when the conversation
+ * has no plan (or the session has ended)
+ */
+function handlePlan(req, res, ctx) {
+  const { requestId } = ctx;
+  const sessionId = getRequestSessionId(req, ctx);
+  if (!SessionManager.isValidId(sessionId)) {
+    sendSessionIdRequired(res, requestId);
+    return;
+  }
+
+  const session = sessions.get(sessionId);
+  const plan = session ? session.nlp.getPlan() : null;
+  sendJSONResponse(res, 200, {
+    plan: plan ? describePlan(plan, session.nlp.locale) : null,
+    sessionId,
+    requestId,
+  }, requestId);
+}
+
+/**
+ * The chat commands, described in the requested language, for clients
+ * that suggest them as the user types
+ */
+function handleCommandList(req, res, { requestId, query }) {
+  const locale = query.has('locale') ? resolveLocale(query.get('locale')) : DEFAULT_LOCALE;
+  if (!locale) {
+    sendErrorResponse(res, 400, 'Invalid request', 'unsupported locale', requestId, [unsupportedLocaleField()]);
+    return;
+  }
+
+  sendJSONResponse(res, 200, {
+    commands: chatCommands.list(locale, intentRegistry.intents),
+    locale,
+    requestId,
+  }, requestId);
+}
+
+/**
+ * A conversation for the support views: what is kept and for how long
+ */
+function describeConversation(session) {
+  const history = session.nlp.getHistory();
+  const last = history[history.length - 1];
+  return {
+    id: session.id,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+    expiresAt: new Date(session.lastActiveAt + sessions.idleTimeout).toISOString(),
+    messageCount: history.length,
+    locale: session.nlp.locale,
+    lastMessage: last ? last.content.slice(0, 100) : null,
+  };
+}
+
+/**
+ * A history entry as the API shows it
+ */
+function describeMessage(entry) {
+  return {
+    id: entry.id || null,
+    role: entry.role,
+    content: entry.content,
+    ...(entry.role === 'assistant' ? { intent: entry.intent || null, source: entry.source || 'rules' } : {}),
+    timestamp: entry.timestamp,
+  };
+}
+
+function sendConversationNotFound(res, id, requestId) {
+  sendErrorResponse(res, 404, 'Not found', `Conversation ${id} not found or expired`, requestId);
+}
+
+/**
+ * List every live conversation, most recently active first
+ */
+function handleConversationList(req, res, { requestId }) {
+  sendJSONResponse(res, 200, {
+    conversations: sessions.list().map(describeConversation),
+    requestId,
+  }, requestId);
+}
 
-    if (message.length > 10000) {
-      sendErrorResponse(res, 400, 'Invalid request', 'message too long (max 10000 characters)', requestId);
+/**
+ * One page of a conversation's history. The cursor is the position of the
+ * next message, encoded so clients treat it as opaque; a history rewound by
+ * edits since then is read from where it now ends.
+ */
+function handleConversationMessages(req, res, { requestId, params: { id }, queryParams }) {
+  const session = sessions.peek(id);
+  if (!session) {
+    sendConversationNotFound(res, id, requestId);
+    return;
+  }
+
+  let start = 0;
+  if (queryParams.cursor !== undefined) {
+    start = Number(Buffer.from(queryParams.cursor, 'base64url').toString());
+    if (!Number.isSafeInteger(start) || start < 0) {
+      sendErrorResponse(res, 400, 'Invalid request', 'unreadable cursor', requestId, [
+        { field: 'cursor', code: 'pattern', message: 'must be a nextCursor value' },
+      ]);
       return;
     }
+  }
+  const limit = queryParams.limit || DEFAULT_PAGE_SIZE;
+  const history = session.nlp.getHistory();
+  const end = Math.min(start + limit, history.length);
+
+  sendJSONResponse(res, 200, {
+    messages: history.slice(start, end).map(describeMessage),
+    total: history.length,
+    nextCursor: end < history.length ? Buffer.from(String(end)).toString('base64url') : null,
+    conversationId: id,
+    requestId,
+  }, requestId);
+}
 
-    // Process message with NLP
-    try {
-      const response = nlp.process(message);
-      sendJSONResponse(res, 200, { 
-        response,
-        requestId,
-        timestamp: new Date().toISOString(),
-      }, requestId);
-    } catch (nlpError) {
-      logger.error('NLP processing error', nlpError, { requestId, messageLength: message.length });
-      sendErrorResponse(res, 500, 'Failed to process message', nlpError.message, requestId);
-    }
+/**
+ * End a conversation, as if it had expired
+ */
+function handleConversationDelete(req, res, { requestId, params: { id } }) {
+  if (!sessions.peek(id)) {
+    sendConversationNotFound(res, id, requestId);
+    return;
+  }
+  sessions.delete(id, 'deleted');
+  logger.info('🗑️ Conversation deleted over the API', { requestId, sessionId: id });
+  sendJSONResponse(res, 200, { id, deleted: true, requestId }, requestId);
+}
+
+/**
+ * Clear a conversation's history and context, keeping the session
+ */
+function handleConversationReset(req, res, { requestId, params: { id } }) {
+  const session = sessions.peek(id);
+  if (!session) {
+    sendConversationNotFound(res, id, requestId);
+    return;
+  }
+  session.nlp.clearContext();
+  persistSession(id);
+  logger.info('🧹 Conversation reset over the API', { requestId, sessionId: id });
+  sendJSONResponse(res, 200, { id, reset: true, requestId }, requestId);
+}
+
+/**
+ * List the API keys (never the keys themselves)
+ */
+function handleApiKeyList(req, res, { requestId }) {
+  sendJSONResponse(res, 200, { keys: apiKeys.list().map(ApiKeyStore.describe), requestId }, requestId);
+}
+
+/**
+ * Issue an API key. The body has been validated against ApiKeyRequest.
+ */
+function handleApiKeyCreate(req, res, { requestId, apiKey, body }) {
+  const { key, record } = apiKeys.create({ name: body.name.trim(), scopes: body.scopes });
+  logger.info('🔑 API key created', { requestId, keyId: record.id, scopes: record.scopes, by: apiKey?.id });
+  sendJSONResponse(res, 201, { key, ...ApiKeyStore.describe(record), requestId }, requestId);
+}
+
+/**
+ * Revoke an API key. The bootstrap key cannot be revoked this way.
+ */
+function handleApiKeyRevoke(req, res, { requestId, apiKey, params: { id } }) {
+  if (!apiKeys.revoke(id)) {
+    sendErrorResponse(res, 404, 'Not found', `API key ${id} not found`, requestId);
+    return;
+  }
+  logger.info('🔑 API key revoked', { requestId, keyId: id, by: apiKey?.id });
+  sendJSONResponse(res, 200, { id, revoked: true, requestId }, requestId);
+}
+
+/**
+ * The OpenAPI document, built from the routes as registered
+ */
+function handleOpenAPIDocument(req, res, { requestId }) {
+  const document = buildOpenAPIDocument(router.routes, {
+    info: {
+      title: `${BOT_NAME} API`,
+      version: require('../package.json').version,
+      description: `HTTP API of ${BOT_NAME}. Errors use one envelope, { error: { message, code, timestamp, requestId, fields } }, where \`fields\` lists the inputs that failed validation.`,
+    },
+    schemas: API_SCHEMAS,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key, as "Authorization: Bearer <key>"' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
   });
+  sendJSONResponse(res, 200, document, requestId);
+}
 
-  req.on('error', (error) => {
-    logger.error('Chat API request error', error, { requestId });
-    sendErrorResponse(res, 500, 'Request error', error.message, requestId);
+/**
+ * List the caller's artifacts
+ */
+function handleArtifactList(req, res, ctx) {
+  const { requestId } = ctx;
+  const sessionId = getRequestSessionId(req, ctx);
+  if (!SessionManager.isValidId(sessionId)) {
+    sendSessionIdRequired(res, requestId);
+    return;
+  }
+
+  const list = artifacts.list(sessionId).map((artifact) => ({
+    ...ArtifactStore.describe(artifact),
+    url: `/api/artifacts/${artifact.id}`,
+  }));
+  sendJSONResponse(res, 200, { artifacts: list, sessionId, requestId }, requestId);
+}
+
+/**
+ * Download (GET) or delete (DELETE) one of the caller's artifacts. Other
+ * sessions' artifacts are reported as not found.
+ */
+function handleArtifact(req, res, ctx) {
+  const { requestId, params: { id: artifactId } } = ctx;
+  const sessionId = getRequestSessionId(req, ctx);
+  if (!SessionManager.isValidId(sessionId)) {
+    sendSessionIdRequired(res, requestId);
+    return;
+  }
+
+  const artifact = ArtifactStore.isValidId(artifactId) ? artifacts.get(artifactId, sessionId) : null;
+  if (!artifact) {
+    sendErrorResponse(res, 404, 'Not found', `Artifact ${artifactId} not found or expired`, requestId);
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    artifacts.delete(artifact.id);
+    logger.debug('🗑️ Artifact deleted', { requestId, sessionId, artifactId: artifact.id });
+    sendJSONResponse(res, 200, { deleted: true, id: artifact.id, requestId }, requestId);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': artifact.mimeType,
+    'Content-Length': artifact.size,
+    'Content-Disposition': `attachment; filename="${artifact.name.replace(/["\\\r\n]/g, '_')}"`,
+    'X-Request-ID': requestId,
+    ...corsHeaders,
   });
+  res.end(artifact.data);
 }
 
 /**
  * Handle demo page with error handling
  */
-function handleDemoPage(req, res, requestId) {
+function handleDemoPage(req, res, { requestId }) {
   const fs = require('fs');
-  const path = require('path');
   const demoPath = path.join(__dirname, '..', 'demo.html');
   
   fs.readFile(demoPath, 'utf8', (err, data) => {
@@ -441,10 +1394,70 @@ function handleDemoPage(req, res, requestId) {
   });
 }
 
+/**
+ * A page of the docs site, styled like the chat UI
+ */
+function docsPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - ${escapeHtml(BOT_NAME)} Docs</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 0 auto; padding: 24px 16px 64px; line-height: 1.6; color: #1f2937; }
+    nav { margin-bottom: 24px; font-size: 14px; }
+    a { color: #667eea; }
+    h1, h2, h3 { line-height: 1.3; }
+    h2:target, h3:target, h4:target { background: #eef2ff; border-radius: 4px; }
+    pre { background: #1f2937; color: #f9fafb; padding: 12px 16px; border-radius: 8px; overflow-x: auto; }
+    code { font-family: 'SF Mono', Monaco, Consolas, monospace; font-size: 0.9em; }
+    :not(pre) > code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; }
+    table { border-collapse: collapse; margin: 16px 0; }
+    th, td { border: 1px solid #e5e7eb; padding: 6px 10px; text-align: left; }
+  </style>
+</head>
+<body>
+  <nav><a href="/">← ${escapeHtml(BOT_NAME)}</a> · <a href="/docs">Docs</a></nav>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Handle the docs index: a list of the guides
+ */
+function handleDocsList(req, res, { requestId }) {
+  if (!docsIndex) {
+    sendErrorResponse(res, 404, 'Docs not available', `No docs were indexed from ${DOCS_DIR}`, requestId);
+    return;
+  }
+  const items = Object.keys(docsIndex.documents).map((file) => {
+    const title = docsIndex.passages.find((passage) => passage.file === file)?.title || file;
+    return `<li><a href="/docs/${encodeURIComponent(file)}">${escapeHtml(title)}</a> <code>${escapeHtml(file)}</code></li>`;
+  });
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders });
+  res.end(docsPage('Docs', `<h1>Docs</h1>\n<ul>${items.join('')}</ul>`));
+}
+
+/**
+ * Handle a docs page: a guide rendered from markdown. Only files in the
+ * index are served, so the name never reaches the file system.
+ */
+function handleDocsPage(req, res, { requestId, params: { file } }) {
+  if (!docsIndex || !Object.hasOwn(docsIndex.documents, file)) {
+    sendErrorResponse(res, 404, 'Not found', `Document ${file} not found`, requestId);
+    return;
+  }
+  const title = docsIndex.passages.find((passage) => passage.file === file)?.title || file;
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders });
+  res.end(docsPage(title, renderMarkdown(docsIndex.documents[file])));
+}
+
 /**
  * Handle main page
  */
-function handleMainPage(req, res, requestId) {
+function handleMainPage(req, res, { requestId }) {
   try {
     res.writeHead(200, { 'Content-Type': 'text/html', ...corsHeaders });
     res.end(getChatUI());
@@ -465,17 +1478,146 @@ wss.on('error', (error) => {
   logger.error('WebSocket Server error', error, { type: 'wssError' });
 });
 
+// A frame's messageId names its turn; edit, regenerate and delete frames
+// name the user message (the turn) to change
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Send a JSON frame if the socket is still open
+ */
+function sendFrame(ws, frame) {
+  if (ws.readyState !== ws.OPEN) {
+    return false;
+  }
+  ws.send(JSON.stringify(frame));
+  return true;
+}
+
+/**
+ * Split text into chunks of roughly `size` characters, breaking after whitespace
+ */
+function chunkText(text, size = STREAM_CHUNK_SIZE) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > size) {
+    const breakAt = rest.lastIndexOf(' ', size);
+    const end = breakAt > 0 ? breakAt + 1 : size;
+    chunks.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  if (rest.length > 0) {
+    chunks.push(rest);
+  }
+  return chunks;
+}
+
+/**
+ * Deliver a complete reply as paced chunks. Returns the text actually
+ * delivered, which is shorter than `text` if the signal aborted.
+ */
+async function streamText(text, sendChunk, signal) {
+  const chunks = chunkText(text);
+  let delivered = '';
+  for (let i = 0; i < chunks.length; i++) {
+    if (signal.aborted) {
+      break;
+    }
+    sendChunk(chunks[i]);
+    delivered += chunks[i];
+    if (i < chunks.length - 1) {
+      await new Promise((resolve) => setTimeout(resolve, STREAM_CHUNK_DELAY));
+    }
+  }
+  return delivered;
+}
+
+// Close codes for connections refused by authentication
+const WS_CLOSE_UNAUTHORIZED = 4401;
+const WS_CLOSE_FORBIDDEN = 4403;
+
 wss.on('connection', (ws, req) => {
   const clientId = `ws_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
   const clientIP = req.socket.remoteAddress || 'unknown';
+  // Identifies the connection's authentication in the logs
+  const requestId = generateRequestId();
+  const upgradeParams = new URL(req.url, 'http://localhost').searchParams;
+  // A reconnecting client names its conversation with `?session=<id>`
+  // (the sessionId it was given before), so it outlives the socket
+  const requestedSessionId = upgradeParams.get('session');
+  const sessionId = SessionManager.isValidId(requestedSessionId) ? requestedSessionId : SessionManager.generateId('ws');
   wsConnectionCount++;
   
   logger.info('👤 New client connected', { 
     clientId, 
+    sessionId,
     clientIP,
     totalConnections: wsConnectionCount,
   });
   
+  // Replies still being streamed, by messageId, so they can be cancelled
+  const inFlight = new Map();
+
+  // A resumed conversation is sent back as a history frame. A new one gets
+  // a greeting in the browser's language until the first message says
+  // otherwise.
+  const start = () => {
+    const existing = sessions.get(sessionId);
+    try {
+      if (existing) {
+        ws.send(JSON.stringify({
+          type: 'history',
+          messages: existing.nlp.getHistory().map(describeMessage),
+          timestamp: new Date().toISOString(),
+          clientId,
+          sessionId,
+        }));
+        return;
+      }
+      const { nlp: welcomeNlp } = sessions.getOrCreate(sessionId);
+      welcomeNlp.context.locale = resolveLocale(req.headers['accept-language']);
+      ws.send(JSON.stringify({
+        type: 'message',
+        content: welcomeNlp.getDefaultResponse(),
+        timestamp: new Date().toISOString(),
+        clientId,
+        sessionId,
+      }));
+    } catch (error) {
+      logger.error('Failed to send welcome message', error, { clientId, sessionId });
+    }
+  };
+
+  // With AUTH_ENABLED the client needs a "chat" key, given in the upgrade
+  // request (header or `token` query parameter) or as a first frame:
+  // { type: "auth", token }
+  let refused = false;
+  const refuse = (status, content) => {
+    refused = true;
+    sendFrame(ws, { type: 'error', content, code: status === 401 ? 'unauthorized' : 'forbidden' });
+    ws.close(status === 401 ? WS_CLOSE_UNAUTHORIZED : WS_CLOSE_FORBIDDEN, status === 401 ? 'Unauthorized' : 'Forbidden');
+  };
+  const checkKey = (key) => {
+    const { apiKey, status, reason } = authorize(key, 'chat', { requestId, transport: 'websocket', path: '/', ip: clientIP });
+    if (!apiKey) {
+      refuse(status, `Authentication failed: ${reason}.`);
+    }
+    return Boolean(apiKey);
+  };
+  let authenticated = !AUTH_ENABLED;
+  let authTimer = null;
+  const presentedKey = AUTH_ENABLED ? getPresentedKey(req, upgradeParams) : null;
+  if (presentedKey) {
+    authenticated = checkKey(presentedKey);
+  }
+  if (authenticated) {
+    start();
+  } else if (!refused) {
+    authTimer = setTimeout(() => {
+      authorize(null, 'chat', { requestId, transport: 'websocket', path: '/', ip: clientIP });
+      refuse(401, 'Authentication timed out. Send { "type": "auth", "token": "<API key>" } first.');
+    }, WS_AUTH_TIMEOUT);
+  }
+
   // Set up client-specific error handling
   ws.isAlive = true;
   
@@ -487,21 +1629,12 @@ wss.on('connection', (ws, req) => {
     errorCount++;
     logger.error('WebSocket client error', error, { clientId });
   });
-  
-  // Send welcome message with error handling
-  try {
-    ws.send(JSON.stringify({
-      type: 'message',
-      content: nlp.getDefaultResponse(),
-      timestamp: new Date().toISOString(),
-      clientId,
-    }));
-  } catch (error) {
-    logger.error('Failed to send welcome message', error, { clientId });
-  }
 
-  ws.on('message', (data) => {
-    const messageId = `msg_${Date.now()}`;
+  ws.on('message', async (data) => {
+    if (refused) {
+      return;
+    }
+    let messageId = `msg_${crypto.randomUUID()}`;
     
     try {
       // Validate message size
@@ -511,37 +1644,103 @@ wss.on('connection', (ws, req) => {
           type: 'error',
           content: 'Message too large. Please send shorter messages.',
           messageId,
-        }));
+        }));
+        return;
+      }
+
+      // Parse message
+      const { data: message, error: parseError } = safeParseJSON(data.toString(), { clientId });
+      if (parseError) {
+        logger.warn('Failed to parse WebSocket message', { clientId, error: parseError.message });
+        ws.send(JSON.stringify({
+          type: 'error',
+          content: 'Invalid message format. Please send valid JSON.',
+          messageId,
+        }));
+        return;
+      }
+
+      // Until authenticated, the only frame accepted is the auth frame
+      if (!authenticated) {
+        clearTimeout(authTimer);
+        if (message.type !== 'auth') {
+          authorize(null, 'chat', { requestId, transport: 'websocket', path: '/', ip: clientIP });
+          refuse(401, 'Authenticate first: send { "type": "auth", "token": "<API key>" }.');
+          return;
+        }
+        authenticated = checkKey(typeof message.token === 'string' ? message.token : null);
+        if (authenticated) {
+          start();
+        }
+        return;
+      }
+      if (message.type === 'auth') {
+        return;
+      }
+
+      if (typeof message.messageId === 'string' && MESSAGE_ID_PATTERN.test(message.messageId)) {
+        messageId = message.messageId;
+      }
+
+      // Cancel an in-flight reply
+      if (message.type === 'cancel') {
+        const controller = inFlight.get(messageId);
+        if (controller) {
+          controller.abort();
+          logger.debug('🛑 Reply cancelled', { clientId, messageId });
+        }
+        return;
+      }
+
+      // Messages and edits both write to the history, so they wait until no
+      // reply is being written to it
+      if (replyingSessions.has(sessionId)) {
+        sendFrame(ws, {
+          type: 'error',
+          content: 'Please wait for the current reply to finish (or stop it) first.',
+          code: 'busy',
+          messageId,
+        });
         return;
       }
 
-      // Parse message
-      const { data: message, error: parseError } = safeParseJSON(data.toString(), { clientId });
-      if (parseError) {
-        logger.warn('Failed to parse WebSocket message', { clientId, error: parseError.message });
+      // Delete a user message and everything after it
+      if (message.type === 'delete') {
+        const { nlp } = sessions.getOrCreate(sessionId);
+        const deleted = nlp.deleteMessage(messageId);
+        persistSession(sessionId);
+        sendFrame(ws, deleted
+          ? { type: 'deleted', messageId }
+          : { type: 'error', content: 'That message is no longer part of the conversation.', messageId });
+        return;
+      }
+
+      // Validate message content (a regenerated reply answers the stored message)
+      const needsContent = message.type !== 'regenerate';
+      if (needsContent && (!message.content || typeof message.content !== 'string')) {
         ws.send(JSON.stringify({
           type: 'error',
-          content: 'Invalid message format. Please send valid JSON.',
+          content: 'Message must include a "content" field.',
           messageId,
         }));
         return;
       }
 
-      // Validate message content
-      if (!message.content || typeof message.content !== 'string') {
+      const content = needsContent ? message.content.trim() : '';
+      if (needsContent && content.length === 0) {
         ws.send(JSON.stringify({
           type: 'error',
-          content: 'Message must include a "content" field.',
+          content: 'Message cannot be empty.',
           messageId,
         }));
         return;
       }
 
-      const content = message.content.trim();
-      if (content.length === 0) {
+      const locale = message.locale === undefined ? undefined : resolveLocale(message.locale);
+      if (locale === null) {
         ws.send(JSON.stringify({
           type: 'error',
-          content: 'Message cannot be empty.',
+          content: `Unsupported locale. Use one of: ${SUPPORTED_LOCALES.join(', ')}.`,
           messageId,
         }));
         return;
@@ -549,16 +1748,75 @@ wss.on('connection', (ws, req) => {
 
       logger.debug(`📨 Received message`, { clientId, messageId, contentLength: content.length });
       
-      // Process with NLP
-      const response = nlp.process(content);
-      
-      // Send response
-      ws.send(JSON.stringify({
-        type: 'message',
-        content: response,
-        timestamp: new Date().toISOString(),
+      // Process with the client's NLP context (recreated if it expired while idle)
+      const { nlp } = sessions.getOrCreate(sessionId);
+      const controller = new AbortController();
+      inFlight.set(messageId, controller);
+      replyingSessions.add(sessionId);
+
+      // Stream the reply as chunk frames followed by a done frame
+      let chunkIndex = 0;
+      // Task output chunks also say which stream they came from
+      const sendChunk = (chunk, meta = {}) => sendFrame(ws, {
+        type: 'chunk',
         messageId,
-      }));
+        content: chunk,
+        index: chunkIndex++,
+        ...(meta.stream ? { stream: meta.stream } : {}),
+      });
+
+      try {
+        const options = { onChunk: sendChunk, signal: controller.signal, locale };
+        let result;
+        if (message.type === 'edit') {
+          result = await nlp.editMessage(messageId, content, options);
+        } else if (message.type === 'regenerate') {
+          result = await nlp.regenerate(messageId, options);
+        } else {
+          result = await nlp.respond(content, { ...options, turnId: messageId });
+        }
+        if (!result) {
+          sendFrame(ws, {
+            type: 'error',
+            content: message.type === 'edit'
+              ? 'That message is no longer part of the conversation.'
+              : 'Only the latest reply can be regenerated.',
+            messageId,
+          });
+          return;
+        }
+
+        let cancelled = result.cancelled;
+        if (!result.streamed) {
+          const delivered = await streamText(result.response, sendChunk, controller.signal);
+          if (delivered.length < result.response.length) {
+            cancelled = true;
+            // Session commands (/help...) leave no reply in the history to trim
+            if (!result.command || result.intent) {
+              nlp.markCancelled(delivered);
+            }
+          }
+        }
+
+        sendFrame(ws, {
+          type: 'done',
+          messageId,
+          intent: result.intent,
+          confidence: result.confidence,
+          source: result.source,
+          locale: result.locale,
+          command: result.command,
+          turnId: result.turnId,
+          artifacts: saveArtifacts(sessionId, result),
+          task: result.task,
+          cancelled,
+          timestamp: new Date().toISOString(),
+        });
+      } finally {
+        inFlight.delete(messageId);
+        replyingSessions.delete(sessionId);
+        persistSession(sessionId);
+      }
       
       logger.debug(`📤 Sent response`, { clientId, messageId });
       
@@ -580,7 +1838,11 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', (code, reason) => {
+    clearTimeout(authTimer);
+    inFlight.forEach((controller) => controller.abort());
     wsConnectionCount = Math.max(0, wsConnectionCount - 1);
+    // The session stays (and stays stored) for the client to resume; idle
+    // expiry removes it once nobody does
     logger.info('👋 Client disconnected', { 
       clientId, 
       code, 
@@ -654,8 +1916,14 @@ function gracefulShutdown(signal) {
     process.exit(1);
   }, SHUTDOWN_TIMEOUT);
   
-  // Clear heartbeat interval
+  // Clear heartbeat and sweep intervals, stop watching intent files
   clearInterval(heartbeatInterval);
+  sessions.stopSweeping();
+  artifacts.stopSweeping();
+  intentRegistry.unwatch();
+  if (docsIndex) {
+    docsIndex.unwatch();
+  }
   
   // Close WebSocket server - notify clients
   wss.clients.forEach((client) => {
@@ -687,6 +1955,9 @@ function gracefulShutdown(signal) {
       }
       
       logger.info('✅ HTTP server closed');
+      if (storage) {
+        storage.close();
+      }
       logger.info('👋 Shutdown complete', {
         uptime: serverStartTime ? Math.floor((Date.now() - serverStartTime) / 1000) : 0,
         requestsServed: requestCount,
@@ -922,6 +2193,33 @@ function getChatUI() {
       text-align: right;
     }
 
+    /* Edit / delete / regenerate buttons under a message */
+    .message-actions {
+      display: flex;
+      gap: 4px;
+      justify-content: flex-end;
+      opacity: 0.5;
+      transition: opacity 0.2s;
+    }
+
+    .message:hover .message-actions,
+    .message-actions:focus-within {
+      opacity: 1;
+    }
+
+    .message-action {
+      background: none;
+      border: none;
+      padding: 2px 4px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .message.user.editing .message-content {
+      outline: 2px dashed var(--text-secondary);
+      outline-offset: 2px;
+    }
+
     /* Typing Indicator */
     .typing-indicator {
       display: flex;
@@ -1001,6 +2299,47 @@ function getChatUI() {
       color: var(--text-secondary);
     }
 
+    /* Slash command suggestions, shown above the input */
+    .command-suggestions {
+      position: absolute;
+      bottom: calc(100% + 8px);
+      left: 0;
+      right: 0;
+      max-height: 240px;
+      overflow-y: auto;
+      background: var(--surface-elevated);
+      border: 1px solid var(--border);
+      border-radius: 12px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+      z-index: 10;
+    }
+
+    .command-suggestion {
+      display: flex;
+      gap: 12px;
+      align-items: baseline;
+      padding: 8px 14px;
+      cursor: pointer;
+      font-size: 14px;
+    }
+
+    .command-suggestion code {
+      color: var(--primary);
+      white-space: nowrap;
+    }
+
+    .command-suggestion span {
+      color: var(--text-secondary);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .command-suggestion.selected,
+    .command-suggestion:hover {
+      background: var(--surface);
+    }
+
     .send-button {
       width: 48px;
       height: 48px;
@@ -1032,6 +2371,56 @@ function getChatUI() {
       transform: scale(1);
     }
 
+    .send-button.stop {
+      background: var(--error);
+    }
+
+    .message-note {
+      font-size: 12px;
+      color: var(--text-secondary);
+      font-style: italic;
+      margin-top: 6px;
+    }
+
+    .artifact-card {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-top: 8px;
+      padding: 10px 12px;
+      border: 1px solid var(--border);
+      border-radius: 12px;
+      background: var(--surface);
+    }
+
+    .artifact-info {
+      flex: 1;
+      min-width: 0;
+    }
+
+    .artifact-name {
+      font-size: 14px;
+      font-weight: 600;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .artifact-meta {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .artifact-download {
+      padding: 8px 12px;
+      border-radius: 8px;
+      background: var(--primary);
+      color: #fff;
+      font-size: 14px;
+      text-decoration: none;
+      white-space: nowrap;
+    }
+
     /* Quick Actions */
     .quick-actions {
       display: flex;
@@ -1142,10 +2531,11 @@ function getChatUI() {
     <!-- Input Area -->
     <div class="input-area">
       <div class="input-wrapper">
+        <div id="commandSuggestions" class="command-suggestions" role="listbox" hidden></div>
         <textarea 
           id="messageInput" 
           class="message-input" 
-          placeholder="Type your message... (or use voice commands)"
+          placeholder="Type your message, or / for commands..."
           rows="1"
         ></textarea>
       </div>
@@ -1165,7 +2555,8 @@ function getChatUI() {
       maxReconnectDelay: 30000,
       connectionTimeout: 10000,
       messageTimeout: 30000,
-      maxMessageLength: 10000,
+      maxMessageLength: ${MAX_MESSAGE_LENGTH},
+      authRequired: ${AUTH_ENABLED},
       debug: ${DEBUG_MODE},
     };
 
@@ -1189,6 +2580,22 @@ function getChatUI() {
     let isManualDisconnect = false;
     let pendingMessages = new Map();
     let clientId = null;
+    // The server-side conversation, kept in this browser so a reconnect or
+    // a reload picks it up again
+    const SESSION_STORAGE = 'explorabot-session-id';
+    let sessionId = localStorage.getItem(SESSION_STORAGE);
+    // Bot replies being streamed, by messageId: { element, text }
+    let streamingReplies = new Map();
+    // The reply the stop button cancels
+    let currentReplyId = null;
+    // Text of the messages sent, by messageId, for editing
+    let sentMessages = new Map();
+    // The user message being edited in the input box
+    let editingId = null;
+    // API key when the server requires one: from ?token= in the page address
+    // (then kept in this browser), or asked for when connecting
+    const API_KEY_STORAGE = 'explorabot-api-key';
+    let apiKey = takeApiKeyFromUrl() || localStorage.getItem(API_KEY_STORAGE);
 
     // ==========================================================================
     // WEBSOCKET CONNECTION WITH ADVANCED ERROR HANDLING
@@ -1205,7 +2612,7 @@ function getChatUI() {
       }
 
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = \`\${protocol}//\${window.location.host}\`;
+      const wsUrl = \`\${protocol}//\${window.location.host}\${sessionId ? \`?session=\${encodeURIComponent(sessionId)}\` : ''}\`;
       
       log.info('Connecting to', wsUrl);
       updateConnectionStatus('Connecting...', false);
@@ -1230,6 +2637,16 @@ function getChatUI() {
       ws.onopen = () => {
         clearTimeout(connectionTimer);
         log.info('Connected to EXPLORABOT');
+        if (CONFIG.authRequired) {
+          if (!askForApiKey()) {
+            isManualDisconnect = true;
+            ws.close(1000, 'No API key');
+            addSystemMessage('An API key is needed to chat. Reload the page to enter one.', 'error');
+            return;
+          }
+          ws.send(JSON.stringify({ type: 'auth', token: apiKey }));
+          loadCommands(commandsLocale);
+        }
         reconnectAttempts = 0;
         isManualDisconnect = false;
         updateConnectionStatus('Online', true);
@@ -1248,6 +2665,10 @@ function getChatUI() {
             clientId = data.clientId;
             log.debug('Client ID:', clientId);
           }
+          if (data.sessionId) {
+            sessionId = data.sessionId;
+            localStorage.setItem(SESSION_STORAGE, sessionId);
+          }
 
           // Handle different message types
           switch (data.type) {
@@ -1255,24 +2676,43 @@ function getChatUI() {
               hideTypingIndicator();
               addMessage(data.content, 'bot');
               // Clear pending message if messageId matches
-              if (data.messageId && pendingMessages.has(data.messageId)) {
-                clearTimeout(pendingMessages.get(data.messageId));
-                pendingMessages.delete(data.messageId);
+              clearPendingMessage(data.messageId);
+              break;
+
+            case 'history':
+              hideTypingIndicator();
+              showHistory(data.messages || []);
+              break;
+
+            case 'chunk':
+              hideTypingIndicator();
+              clearPendingMessage(data.messageId);
+              appendChunk(data.messageId, data.content);
+              break;
+
+            case 'done':
+              hideTypingIndicator();
+              clearPendingMessage(data.messageId);
+              finishReply(data.messageId, data.cancelled, data.artifacts, data.turnId);
+              if (data.locale && data.locale !== commandsLocale) {
+                loadCommands(data.locale);
               }
               break;
               
             case 'error':
               hideTypingIndicator();
               addSystemMessage(data.content, 'error');
-              if (data.messageId && pendingMessages.has(data.messageId)) {
-                clearTimeout(pendingMessages.get(data.messageId));
-                pendingMessages.delete(data.messageId);
-              }
+              clearPendingMessage(data.messageId);
+              finishReply(data.messageId, false);
               break;
               
             case 'system':
               addSystemMessage(data.content, 'info');
               break;
+
+            case 'deleted':
+              removeTurn(data.messageId);
+              break;
               
             default:
               log.warn('Unknown message type:', data.type);
@@ -1295,14 +2735,26 @@ function getChatUI() {
         // Disable send button while disconnected
         document.getElementById('sendButton').disabled = true;
         
-        // Clear pending messages
+        // Clear pending messages and interrupted replies
         pendingMessages.forEach((timer) => clearTimeout(timer));
         pendingMessages.clear();
+        streamingReplies.clear();
+        setCurrentReply(null);
         
         if (isManualDisconnect) {
           updateConnectionStatus('Disconnected', false);
           return;
         }
+
+        // The key was refused: forget it, so a reload asks for another
+        if (event.code === 4401 || event.code === 4403) {
+          forgetApiKey();
+          updateConnectionStatus('Unauthorized', false);
+          addSystemMessage(event.code === 4401
+            ? 'The API key was not accepted. Reload the page to enter another.'
+            : 'This API key does not allow chatting (it needs the "chat" scope). Reload the page to enter another.', 'error');
+          return;
+        }
         
         // Determine if we should reconnect based on close code
         const shouldReconnect = event.code !== 1000 && event.code !== 1001;
@@ -1323,6 +2775,42 @@ function getChatUI() {
       };
     }
 
+    // ==========================================================================
+    // API KEY
+    // ==========================================================================
+    function takeApiKeyFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+      const token = params.get('token');
+      if (!token) {
+        return null;
+      }
+      localStorage.setItem(API_KEY_STORAGE, token);
+      // Keep the key out of the address bar and history
+      params.delete('token');
+      const query = params.toString();
+      history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+      return token;
+    }
+
+    function askForApiKey() {
+      if (!apiKey) {
+        apiKey = (window.prompt('This server needs an API key with the "chat" scope:') || '').trim() || null;
+        if (apiKey) {
+          localStorage.setItem(API_KEY_STORAGE, apiKey);
+        }
+      }
+      return apiKey;
+    }
+
+    function forgetApiKey() {
+      apiKey = null;
+      localStorage.removeItem(API_KEY_STORAGE);
+    }
+
+    function authHeaders() {
+      return CONFIG.authRequired && apiKey ? { Authorization: \`Bearer \${apiKey}\` } : {};
+    }
+
     function handleConnectionFailure(reason) {
       log.warn('Connection failure:', reason);
       updateConnectionStatus('Connection failed', false);
@@ -1362,6 +2850,7 @@ function getChatUI() {
     // ==========================================================================
     const chatContainer = document.getElementById('chatContainer');
     const messageInput = document.getElementById('messageInput');
+    const commandSuggestions = document.getElementById('commandSuggestions');
     const sendButton = document.getElementById('sendButton');
     const typingIndicator = document.getElementById('typingIndicator');
     const quickActions = document.querySelectorAll('.quick-action');
@@ -1390,34 +2879,35 @@ function getChatUI() {
         return;
       }
 
-      const messageId = \`msg_\${Date.now()}_\${Math.random().toString(36).slice(2, 11)}\`;
+      // An edited message keeps its id; the server answers it again from there
+      const edited = editingId ? findMessage(editingId, 'user') : null;
+      const messageId = edited ? editingId : \`msg_\${Date.now()}_\${Math.random().toString(36).slice(2, 11)}\`;
       
       // Add user message to UI
-      addMessage(message, 'user');
+      if (edited) {
+        edited.querySelector('.message-content').innerHTML = formatMessage(message);
+        removeMessagesAfter(edited);
+        stopEditing();
+      } else {
+        addMessage(message, 'user', messageId);
+      }
+      sentMessages.set(messageId, message);
       
       try {
         ws.send(JSON.stringify({
+          ...(edited ? { type: 'edit' } : {}),
           content: message,
           timestamp: new Date().toISOString(),
           messageId,
         }));
         
         log.debug('Message sent:', messageId);
+        awaitReply(messageId);
         
-        // Set timeout for response
-        const timeoutId = setTimeout(() => {
-          log.warn('Message timeout:', messageId);
-          pendingMessages.delete(messageId);
-          hideTypingIndicator();
-          addSystemMessage('Response timeout. Please try again.', 'error');
-        }, CONFIG.messageTimeout);
-        
-        pendingMessages.set(messageId, timeoutId);
-        
-        // Clear input and show typing indicator
+        // Clear input
         messageInput.value = '';
         messageInput.style.height = 'auto';
-        showTypingIndicator();
+        updateSuggestions();
         
       } catch (error) {
         log.error('Failed to send message:', error);
@@ -1425,11 +2915,285 @@ function getChatUI() {
       }
     }
 
-    // Add message to chat
-    function addMessage(content, sender) {
+    // Show the typing indicator until the reply to a message starts
+    function awaitReply(messageId) {
+      // Set timeout for the first part of the response
+      const timeoutId = setTimeout(() => {
+        log.warn('Message timeout:', messageId);
+        pendingMessages.delete(messageId);
+        hideTypingIndicator();
+        finishReply(messageId, false);
+        addSystemMessage('Response timeout. Please try again.', 'error');
+      }, CONFIG.messageTimeout);
+
+      pendingMessages.set(messageId, timeoutId);
+      setCurrentReply(messageId);
+      showTypingIndicator();
+    }
+
+    // ==========================================================================
+    // EDIT, DELETE AND REGENERATE
+    // ==========================================================================
+    function findMessage(messageId, sender) {
+      return chatContainer.querySelector(\`.message.\${sender}[data-message-id="\${messageId}"]\`);
+    }
+
+    // Later turns are dropped when an earlier message changes
+    function removeMessagesAfter(element) {
+      while (element.nextSibling) {
+        element.nextSibling.remove();
+      }
+    }
+
+    function canRewrite() {
+      if (currentReplyId) {
+        addSystemMessage('Wait for the current reply to finish, or stop it first.', 'info');
+        return false;
+      }
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        addSystemMessage('Not connected to server. Attempting to reconnect...', 'error');
+        connect();
+        return false;
+      }
+      return true;
+    }
+
+    // Load a sent message into the input box; sending it replaces the original
+    function startEditing(messageId) {
+      if (!canRewrite() || !sentMessages.has(messageId)) {
+        return;
+      }
+      stopEditing();
+      editingId = messageId;
+      findMessage(messageId, 'user').classList.add('editing');
+      messageInput.value = sentMessages.get(messageId);
+      messageInput.placeholder = 'Edit your message... (Esc to cancel)';
+      messageInput.dispatchEvent(new Event('input'));
+      messageInput.focus();
+    }
+
+    function stopEditing() {
+      const edited = editingId ? findMessage(editingId, 'user') : null;
+      if (edited) {
+        edited.classList.remove('editing');
+      }
+      editingId = null;
+      messageInput.placeholder = 'Type your message, or / for commands...';
+    }
+
+    function deleteMessage(messageId) {
+      if (!canRewrite() || !confirm('Delete this message and everything after it?')) {
+        return;
+      }
+      if (messageId === editingId) {
+        stopEditing();
+      }
+      ws.send(JSON.stringify({ type: 'delete', messageId }));
+    }
+
+    // Remove a deleted message with the turns after it
+    function removeTurn(messageId) {
+      const message = findMessage(messageId, 'user');
+      if (message) {
+        removeMessagesAfter(message);
+        message.remove();
+      }
+      const replies = chatContainer.querySelectorAll('.message.bot[data-turn]');
+      if (replies.length > 0) {
+        showRegenerateButton(replies[replies.length - 1]);
+      }
+    }
+
+    function regenerateReply(messageId) {
+      const message = findMessage(messageId, 'user');
+      if (!message || !canRewrite()) {
+        return;
+      }
+      removeMessagesAfter(message);
+      ws.send(JSON.stringify({ type: 'regenerate', messageId }));
+      awaitReply(messageId);
+    }
+
+    function addMessageActions(messageDiv, actions) {
+      let container = messageDiv.querySelector('.message-actions');
+      if (!container) {
+        container = document.createElement('div');
+        container.className = 'message-actions';
+        messageDiv.lastChild.appendChild(container);
+      }
+      actions.forEach(({ action, icon, title }) => {
+        const button = document.createElement('button');
+        button.className = 'message-action';
+        button.dataset.action = action;
+        button.textContent = icon;
+        button.title = title;
+        container.appendChild(button);
+      });
+    }
+
+    // Replace what is shown with a resumed conversation. A reply carries
+    // the id of the message it answers, as streamed replies do.
+    function showHistory(messages) {
+      chatContainer.innerHTML = '';
+      sentMessages.clear();
+      let answering = null;
+      messages.forEach((entry) => {
+        if (entry.role === 'user') {
+          answering = entry.id;
+          addMessage(entry.content, 'user', answering);
+          sentMessages.set(answering, entry.content);
+        } else {
+          addMessage(entry.content, 'bot', answering);
+        }
+      });
+      const replies = chatContainer.querySelectorAll('.message.bot[data-message-id]');
+      if (replies.length > 0) {
+        showRegenerateButton(replies[replies.length - 1]);
+      }
+    }
+
+    // Only the latest reply can be regenerated
+    function showRegenerateButton(messageDiv) {
+      chatContainer.querySelectorAll('[data-action="regenerate"]').forEach((button) => button.remove());
+      addMessageActions(messageDiv, [{ action: 'regenerate', icon: '🔄', title: 'Regenerate reply' }]);
+    }
+
+    chatContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('.message-action');
+      if (!button) {
+        return;
+      }
+      const messageId = button.closest('.message').dataset.messageId;
+      if (button.dataset.action === 'edit') {
+        startEditing(messageId);
+      } else if (button.dataset.action === 'delete') {
+        deleteMessage(messageId);
+      } else if (button.dataset.action === 'regenerate') {
+        regenerateReply(messageId);
+      }
+    });
+
+    // Stop the reply that is currently being generated
+    function cancelReply() {
+      if (!currentReplyId || !ws || ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      try {
+        ws.send(JSON.stringify({ type: 'cancel', messageId: currentReplyId }));
+        log.debug('Cancel sent:', currentReplyId);
+      } catch (error) {
+        log.error('Failed to cancel reply:', error);
+      }
+    }
+
+    function clearPendingMessage(messageId) {
+      if (messageId && pendingMessages.has(messageId)) {
+        clearTimeout(pendingMessages.get(messageId));
+        pendingMessages.delete(messageId);
+      }
+    }
+
+    // Append a streamed chunk, creating the bot message on the first one
+    function appendChunk(messageId, content) {
+      if (!content) return;
+      const reply = streamingReplies.get(messageId);
+      if (!reply) {
+        const element = addMessage(content, 'bot', messageId);
+        if (element) {
+          streamingReplies.set(messageId, { element, text: content });
+        }
+        return;
+      }
+      reply.text += content;
+      reply.element.innerHTML = formatMessage(reply.text);
+      scrollToBottom();
+    }
+
+    // Replies to a turn of the conversation (not to /commands) can be
+    // regenerated, and the message they answer edited
+    function finishReply(messageId, cancelled, artifacts, turnId) {
+      const reply = streamingReplies.get(messageId);
+      streamingReplies.delete(messageId);
+      if (reply && turnId) {
+        const messageDiv = reply.element.closest('.message');
+        messageDiv.dataset.turn = turnId;
+        showRegenerateButton(messageDiv);
+      } else if (turnId === null) {
+        const actions = findMessage(messageId, 'user')?.querySelector('.message-actions');
+        if (actions) {
+          actions.remove();
+        }
+      }
+      if (reply && artifacts && artifacts.length > 0) {
+        artifacts.forEach((artifact) => addArtifactCard(reply.element, artifact));
+      }
+      if (cancelled) {
+        if (reply) {
+          const note = document.createElement('div');
+          note.className = 'message-note';
+          note.textContent = 'Stopped';
+          reply.element.appendChild(note);
+        } else {
+          addSystemMessage('Reply cancelled', 'info');
+        }
+      }
+      if (messageId === currentReplyId) {
+        setCurrentReply(null);
+      }
+    }
+
+    // Show a generated file (e.g. a scaffolded project) as a download card.
+    // The link names this connection's session, which owns the artifact.
+    function addArtifactCard(element, artifact) {
+      const card = document.createElement('div');
+      card.className = 'artifact-card';
+
+      const info = document.createElement('div');
+      info.className = 'artifact-info';
+      const name = document.createElement('div');
+      name.className = 'artifact-name';
+      name.textContent = \`📦 \${artifact.name}\`;
+      const meta = document.createElement('div');
+      meta.className = 'artifact-meta';
+      const expires = new Date(artifact.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      meta.textContent = \`\${formatSize(artifact.size)} · available until \${expires}\`;
+      info.append(name, meta);
+
+      const link = document.createElement('a');
+      link.className = 'artifact-download';
+      link.href = \`\${artifact.url}?sessionId=\${encodeURIComponent(sessionId)}\`;
+      if (CONFIG.authRequired && apiKey) {
+        link.href += \`&token=\${encodeURIComponent(apiKey)}\`;
+      }
+      link.download = artifact.name;
+      link.textContent = 'Download';
+
+      card.append(info, link);
+      element.appendChild(card);
+      scrollToBottom();
+    }
+
+    function formatSize(bytes) {
+      if (bytes < 1024) {
+        return \`\${bytes} B\`;
+      }
+      return bytes < 1024 * 1024 ? \`\${(bytes / 1024).toFixed(1)} KB\` : \`\${(bytes / 1024 / 1024).toFixed(1)} MB\`;
+    }
+
+    // While a reply is in flight the send button becomes a stop button
+    function setCurrentReply(messageId) {
+      currentReplyId = messageId;
+      sendButton.classList.toggle('stop', Boolean(messageId));
+      sendButton.textContent = messageId ? '■' : '➤';
+      sendButton.title = messageId ? 'Stop response' : 'Send message';
+    }
+
+    // Add message to chat, returning its content element. Messages that
+    // belong to a turn carry its messageId.
+    function addMessage(content, sender, messageId) {
       if (!content) {
         log.warn('Attempted to add empty message');
-        return;
+        return null;
       }
 
       try {
@@ -1456,11 +3220,23 @@ function getChatUI() {
         contentWrapper.appendChild(messageContent);
         contentWrapper.appendChild(time);
         messageDiv.appendChild(contentWrapper);
+
+        if (messageId) {
+          messageDiv.dataset.messageId = messageId;
+          if (sender === 'user') {
+            addMessageActions(messageDiv, [
+              { action: 'edit', icon: '✏️', title: 'Edit message' },
+              { action: 'delete', icon: '🗑️', title: 'Delete message' },
+            ]);
+          }
+        }
         
         chatContainer.appendChild(messageDiv);
         scrollToBottom();
+        return messageContent;
       } catch (error) {
         log.error('Failed to add message to UI:', error);
+        return null;
       }
     }
 
@@ -1499,10 +3275,11 @@ function getChatUI() {
     }
 
     // Escape HTML to prevent XSS attacks
+    // Quotes too, as escaped text also ends up in attribute values (link hrefs)
     function escapeHtml(text) {
       const div = document.createElement('div');
       div.textContent = text;
-      return div.innerHTML;
+      return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Format message with markdown-like syntax
@@ -1519,6 +3296,8 @@ function getChatUI() {
         text = text.replace(/\\\`([^\\\`]+)\\\`/g, '<code>$1</code>');
         // Convert bold
         text = text.replace(/\\*\\*([^\\*]+)\\*\\*/g, '<strong>$1</strong>');
+        // Convert links (site paths and http(s) only)
+        text = text.replace(/\\[([^\\]]+)\\]\\(((?:https?:\\/\\/|\\/)[^)\\s]+)\\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
         // Convert line breaks
         text = text.replace(/\\n/g, '<br>');
         // Convert bullets
@@ -1570,12 +3349,117 @@ function getChatUI() {
       }
     }
 
+    // ==========================================================================
+    // COMMAND AUTOCOMPLETE
+    // ==========================================================================
+    let commands = [];
+    let commandsLocale = null;
+    let suggestions = [];
+    let selectedSuggestion = 0;
+
+    // Command descriptions follow the language of the conversation
+    function loadCommands(locale) {
+      commandsLocale = locale;
+      fetch(\`/api/commands\${locale ? \`?locale=\${encodeURIComponent(locale)}\` : ''}\`, { headers: authHeaders() })
+        .then((response) => response.json())
+        .then((data) => {
+          commands = data.commands || [];
+          updateSuggestions();
+        })
+        .catch((error) => log.warn('Failed to load commands:', error));
+    }
+
+    // Suggest commands while the input is a "/" followed by part of a name
+    function updateSuggestions() {
+      const typed = messageInput.value.match(/^\\/([a-z0-9-]*)$/i);
+      suggestions = typed ? commands.filter((command) => command.name.startsWith(typed[1].toLowerCase())) : [];
+      selectedSuggestion = 0;
+      renderSuggestions();
+    }
+
+    function renderSuggestions() {
+      commandSuggestions.hidden = suggestions.length === 0;
+      commandSuggestions.innerHTML = suggestions.map((command, index) => \`
+        <div class="command-suggestion\${index === selectedSuggestion ? ' selected' : ''}" role="option" data-index="\${index}">
+          <code>\${escapeHtml(command.usage)}</code>
+          <span>\${escapeHtml(command.description)}</span>
+        </div>\`).join('');
+      const selected = commandSuggestions.querySelector('.selected');
+      if (selected) {
+        selected.scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    function applySuggestion(index) {
+      messageInput.value = \`/\${suggestions[index].name} \`;
+      suggestions = [];
+      renderSuggestions();
+      messageInput.focus();
+    }
+
+    // Returns true when the key was used to pick a suggestion
+    function handleSuggestionKey(e) {
+      if (suggestions.length === 0) {
+        return false;
+      }
+      switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          selectedSuggestion = (selectedSuggestion + step + suggestions.length) % suggestions.length;
+          renderSuggestions();
+          return true;
+        }
+        case 'Tab':
+          applySuggestion(selectedSuggestion);
+          return true;
+        case 'Enter':
+          // A command typed out in full is sent as it is
+          if (e.shiftKey || messageInput.value.trim() === \`/\${suggestions[selectedSuggestion].name}\`) {
+            return false;
+          }
+          applySuggestion(selectedSuggestion);
+          return true;
+        case 'Escape':
+          suggestions = [];
+          renderSuggestions();
+          return true;
+        default:
+          return false;
+      }
+    }
+
+    // mousedown rather than click, so that the input keeps its focus
+    commandSuggestions.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('.command-suggestion');
+      if (option) {
+        e.preventDefault();
+        applySuggestion(Number(option.dataset.index));
+      }
+    });
+
     // ==========================================================================
     // EVENT LISTENERS
     // ==========================================================================
-    sendButton.addEventListener('click', sendMessage);
+    sendButton.addEventListener('click', () => {
+      if (currentReplyId) {
+        cancelReply();
+      } else {
+        sendMessage();
+      }
+    });
 
     messageInput.addEventListener('keydown', (e) => {
+      if (handleSuggestionKey(e)) {
+        e.preventDefault();
+        return;
+      }
+      if (e.key === 'Escape' && editingId) {
+        stopEditing();
+        messageInput.value = '';
+        messageInput.dispatchEvent(new Event('input'));
+        return;
+      }
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         sendMessage();
@@ -1586,6 +3470,7 @@ function getChatUI() {
     messageInput.addEventListener('input', () => {
       messageInput.style.height = 'auto';
       messageInput.style.height = messageInput.scrollHeight + 'px';
+      updateSuggestions();
     });
 
     // Quick actions
@@ -1635,6 +3520,7 @@ function getChatUI() {
     // ==========================================================================
     log.info('EXPLORABOT client initializing...');
     messageInput.focus();
+    loadCommands(null);
     connect();
   </script>
 </body>
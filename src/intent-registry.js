@@ -0,0 +1,399 @@
+/**
+ * Intent Registry for EXPLORABOT
+ * Loads intent definitions from a directory of JSON files, validates them
+ * and reloads them when the files change
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { compileKeyword } = require('./text-matching');
+const { compileTemplate, TemplateSyntaxError } = require('./response-template');
+
+const DEFAULT_INTENTS_DIR = path.join(__dirname, 'intents');
+const RELOAD_DEBOUNCE = 200; // ms
+
+const INTENT_KEYS = new Set(['name', 'label', 'weight', 'command', 'patterns', 'keywords', 'examples', 'slots', 'responseKey', 'responses', 'action', 'locales']);
+const SLOT_KEYS = new Set(['name', 'entity', 'required', 'prompt', 'default']);
+// A locale block overrides the English text for one language
+const LOCALE_KEYS = new Set(['label', 'patterns', 'keywords', 'examples', 'prompts', 'responses']);
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+// A slash command that starts the intent, e.g. "docker" for /docker
+const COMMAND_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Raised when one or more intent files fail validation
+ */
+class IntentValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid intent definitions:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'IntentValidationError';
+    this.errors = errors;
+  }
+}
+
+const isString = (value) => typeof value === 'string';
+const isText = (value) => isString(value) || (Array.isArray(value) && value.length > 0 && value.every(isString));
+// Multi-line text may be written as an array of lines for readability
+const joinText = (value) => (Array.isArray(value) ? value.join('\n') : value);
+
+/**
+ * Syntax error in a response template, or null if it parses
+ */
+function templateError(text) {
+  try {
+    compileTemplate(joinText(text));
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate a parsed intent file. Returns a list of error messages.
+ */
+function validateIntent(definition, fileName, entityNames, actionNames, commandNames) {
+  const errors = [];
+  const fail = (message) => errors.push(`${fileName}: ${message}`);
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    fail('must contain a JSON object');
+    return errors;
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!INTENT_KEYS.has(key)) {
+      fail(`unknown property "${key}"`);
+    }
+  }
+
+  const expectedName = path.basename(fileName, '.json');
+  if (definition.name !== undefined && definition.name !== expectedName) {
+    fail(`name "${definition.name}" does not match the file name (expected "${expectedName}")`);
+  }
+  if (definition.label !== undefined && !isString(definition.label)) {
+    fail('label must be a string');
+  }
+  if (definition.weight !== undefined && !(typeof definition.weight === 'number' && definition.weight > 0)) {
+    fail('weight must be a positive number');
+  }
+  if (definition.command !== undefined) {
+    if (!isString(definition.command) || !COMMAND_PATTERN.test(definition.command)) {
+      fail('command must be lowercase letters, digits and "-", starting with a letter');
+    } else if (commandNames.includes(definition.command)) {
+      fail(`command "${definition.command}" is already a built-in chat command`);
+    }
+  }
+
+  const checkPatterns = (patterns, where) => {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      fail(`${where} must be a non-empty array of regular expression strings`);
+      return;
+    }
+    patterns.forEach((pattern, index) => {
+      if (!isString(pattern)) {
+        fail(`${where}[${index}] must be a string`);
+        return;
+      }
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (error) {
+        fail(`${where}[${index}] is not a valid regular expression: ${error.message}`);
+      }
+    });
+  };
+
+  // Keywords feed the typo-tolerant matching used when no pattern matches
+  const checkKeywords = (keywords, where) => {
+    if (!Array.isArray(keywords) || keywords.length === 0 || !keywords.every((keyword) => isString(keyword) && keyword.trim().length > 0)) {
+      fail(`${where} must be a non-empty array of words`);
+    }
+  };
+
+  checkPatterns(definition.patterns, 'patterns');
+  if (definition.keywords !== undefined) {
+    checkKeywords(definition.keywords, 'keywords');
+  }
+
+  if (!Array.isArray(definition.examples) || definition.examples.length === 0 || !definition.examples.every(isString)) {
+    fail('examples must be a non-empty array of strings');
+  }
+
+  const slotNames = [];
+  if (definition.slots !== undefined) {
+    if (!Array.isArray(definition.slots)) {
+      fail('slots must be an array');
+    } else {
+      definition.slots.forEach((slot, index) => {
+        const where = `slots[${index}]`;
+        if (!slot || typeof slot !== 'object') {
+          fail(`${where} must be an object`);
+          return;
+        }
+        for (const key of Object.keys(slot)) {
+          if (!SLOT_KEYS.has(key)) {
+            fail(`${where} has unknown property "${key}"`);
+          }
+        }
+        if (!isString(slot.name) || slot.name.length === 0) {
+          fail(`${where}.name must be a non-empty string`);
+        } else {
+          slotNames.push(slot.name);
+        }
+        if (!entityNames.includes(slot.entity)) {
+          fail(`${where}.entity "${slot.entity}" is not a known entity (${entityNames.join(', ')})`);
+        }
+        if (slot.required !== undefined && typeof slot.required !== 'boolean') {
+          fail(`${where}.required must be true or false`);
+        }
+        if (slot.required && !isText(slot.prompt)) {
+          fail(`${where}.prompt is required for a required slot`);
+        } else if (slot.prompt !== undefined && !isText(slot.prompt)) {
+          fail(`${where}.prompt must be a string or an array of lines`);
+        } else if (slot.prompt !== undefined && templateError(slot.prompt)) {
+          fail(`${where}.prompt has a template error: ${templateError(slot.prompt)}`);
+        }
+      });
+    }
+  }
+
+  const checkResponseList = (list, where) => {
+    if (!Array.isArray(list) || list.length === 0) {
+      fail(`${where} must be a non-empty array of responses`);
+      return;
+    }
+    list.forEach((response, index) => {
+      if (!isText(response)) {
+        fail(`${where}[${index}] must be a string or an array of lines`);
+      } else if (templateError(response)) {
+        fail(`${where}[${index}] has a template error: ${templateError(response)}`);
+      }
+    });
+  };
+
+  const checkResponses = (responses, where) => {
+    if (definition.responseKey === undefined) {
+      checkResponseList(responses, where);
+    } else if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      fail(`${where} must be an object keyed by slot value when responseKey is set`);
+    } else {
+      for (const [key, list] of Object.entries(responses)) {
+        checkResponseList(list, `${where}.${key}`);
+      }
+    }
+  };
+
+  if (definition.responseKey !== undefined && !slotNames.includes(definition.responseKey)) {
+    fail(`responseKey "${definition.responseKey}" must name one of the intent's slots`);
+  }
+  // An intent with an action replies through its handler, so its
+  // responses are optional
+  if (definition.action !== undefined && !actionNames.includes(definition.action)) {
+    fail(`action "${definition.action}" is not a known action (${actionNames.join(', ') || 'none registered'})`);
+  }
+  if (definition.action === undefined || definition.responses !== undefined) {
+    checkResponses(definition.responses, 'responses');
+  }
+
+  if (definition.locales !== undefined) {
+    if (!definition.locales || typeof definition.locales !== 'object' || Array.isArray(definition.locales)) {
+      fail('locales must be an object keyed by language code');
+    } else {
+      for (const [locale, block] of Object.entries(definition.locales)) {
+        const where = `locales.${locale}`;
+        if (!LOCALE_PATTERN.test(locale)) {
+          fail(`${where}: locale must be a two-letter language code`);
+        }
+        if (!block || typeof block !== 'object' || Array.isArray(block)) {
+          fail(`${where} must be an object`);
+          continue;
+        }
+        for (const key of Object.keys(block)) {
+          if (!LOCALE_KEYS.has(key)) {
+            fail(`${where} has unknown property "${key}"`);
+          }
+        }
+        if (block.label !== undefined && !isString(block.label)) {
+          fail(`${where}.label must be a string`);
+        }
+        if (block.patterns !== undefined) {
+          checkPatterns(block.patterns, `${where}.patterns`);
+        }
+        if (block.keywords !== undefined) {
+          checkKeywords(block.keywords, `${where}.keywords`);
+        }
+        if (block.examples !== undefined && !(Array.isArray(block.examples) && block.examples.every(isString))) {
+          fail(`${where}.examples must be an array of strings`);
+        }
+        if (block.prompts !== undefined) {
+          for (const [slotName, prompt] of Object.entries(block.prompts)) {
+            if (!slotNames.includes(slotName)) {
+              fail(`${where}.prompts.${slotName} does not name one of the intent's slots`);
+            } else if (!isText(prompt)) {
+              fail(`${where}.prompts.${slotName} must be a string or an array of lines`);
+            } else if (templateError(prompt)) {
+              fail(`${where}.prompts.${slotName} has a template error: ${templateError(prompt)}`);
+            }
+          }
+        }
+        if (block.responses !== undefined) {
+          checkResponses(block.responses, `${where}.responses`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a validated definition into the runtime shape used by NLPProcessor
+ */
+function compileIntent(definition) {
+  const compilePatterns = (patterns) => patterns.map((pattern) => new RegExp(pattern, 'iu'));
+  const compileText = (text) => compileTemplate(joinText(text));
+  const compileResponses = (responses) => (definition.responseKey
+    ? Object.fromEntries(Object.entries(responses).map(([key, list]) => [key, list.map(compileText)]))
+    : responses.map(compileText));
+
+  const locales = {};
+  for (const [locale, block] of Object.entries(definition.locales || {})) {
+    locales[locale] = {
+      label: block.label,
+      patterns: block.patterns ? compilePatterns(block.patterns) : [],
+      keywords: (block.keywords || []).map(compileKeyword),
+      examples: block.examples || [],
+      prompts: Object.fromEntries(Object.entries(block.prompts || {}).map(([slot, prompt]) => [slot, compileText(prompt)])),
+      responses: block.responses ? compileResponses(block.responses) : undefined,
+    };
+  }
+
+  return {
+    label: definition.label || definition.name,
+    weight: definition.weight,
+    command: definition.command,
+    patterns: compilePatterns(definition.patterns),
+    keywords: (definition.keywords || []).map(compileKeyword),
+    examples: definition.examples,
+    slots: definition.slots?.map((slot) => ({
+      ...slot,
+      ...(slot.prompt !== undefined ? { prompt: compileText(slot.prompt) } : {}),
+    })),
+    responseKey: definition.responseKey,
+    responses: definition.responses ? compileResponses(definition.responses) : undefined,
+    action: definition.action,
+    locales,
+  };
+}
+
+class IntentRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || DEFAULT_INTENTS_DIR;
+    this.entityNames = options.entityNames || [];
+    this.actionNames = options.actionNames || [];
+    // Chat commands an intent's `command` may not take over (see chat-commands.js)
+    this.commandNames = options.commandNames || [];
+    this.intents = {};
+    this.warnings = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read and validate every intent file. Throws IntentValidationError and
+   * leaves the current intents untouched if any file is invalid.
+   */
+  load() {
+    const files = fs.readdirSync(this.directory)
+      .filter((file) => file.endsWith('.json'))
+      .sort();
+
+    const errors = [];
+    const warnings = [];
+    const intents = {};
+
+    for (const file of files) {
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      } catch (error) {
+        errors.push(`${file}: could not be parsed: ${error.message}`);
+        continue;
+      }
+
+      const fileErrors = validateIntent(definition, file, this.entityNames, this.actionNames, this.commandNames);
+      if (fileErrors.length > 0) {
+        errors.push(...fileErrors);
+        continue;
+      }
+
+      const name = path.basename(file, '.json');
+      const intent = compileIntent({ ...definition, name });
+      const examples = [
+        ...intent.examples.map((example) => [example, intent.patterns]),
+        ...Object.values(intent.locales).flatMap((block) => block.examples.map(
+          (example) => [example, [...intent.patterns, ...block.patterns]]
+        )),
+      ];
+      for (const [example, patterns] of examples) {
+        if (!patterns.some((pattern) => pattern.test(example))) {
+          warnings.push(`${file}: example "${example}" does not match any pattern`);
+        }
+      }
+      const commandOwner = intent.command && Object.keys(intents).find((other) => intents[other].command === intent.command);
+      if (commandOwner) {
+        errors.push(`${file}: command "${intent.command}" is already used by ${commandOwner}.json`);
+        continue;
+      }
+      intents[name] = intent;
+    }
+
+    if (files.length === 0) {
+      errors.push(`no intent files found in ${this.directory}`);
+    }
+    if (errors.length > 0) {
+      throw new IntentValidationError(errors);
+    }
+
+    this.intents = intents;
+    this.warnings = warnings;
+    return this;
+  }
+
+  /**
+   * Reload intents whenever a file in the directory changes. Emits
+   * 'reload' on success and 'error' (keeping the previous intents) on failure.
+   */
+  watch() {
+    this.unwatch();
+    this.watcher = fs.watch(this.directory, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        try {
+          this.load();
+          this.emit('reload', Object.keys(this.intents));
+        } catch (error) {
+          this.emit('error', error);
+        }
+      }, RELOAD_DEBOUNCE);
+    });
+    this.watcher.unref();
+    return this;
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = IntentRegistry;
+module.exports.IntentValidationError = IntentValidationError;
+module.exports.DEFAULT_INTENTS_DIR = DEFAULT_INTENTS_DIR;
@@ -0,0 +1,225 @@
+/**
+ * LLM Providers for EXPLORABOT
+ * Answers messages the rule-based intents cannot handle confidently
+ *
+ * A provider is any object with:
+ *   name                         - identifier used in logs and results
+ *   complete(messages, options)  - resolves to { content, usage: { totalTokens } }
+ *                                  where messages are { role, content } chat messages
+ *                                  and options may carry an AbortSignal as `signal`
+ *   stream(messages, options)    - optional async iterator yielding { delta } text
+ *                                  pieces and finally { usage: { totalTokens } }
+ * Providers reject with an LLMProviderError when the request fails. When the
+ * server does not report usage (common when streaming), it is estimated
+ * with estimateTokens() and marked `estimated: true`.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const DEFAULT_MAX_TOKENS = 400;
+// Rough size of a token in English text, and the framing each chat message adds
+const CHARACTERS_PER_TOKEN = 4;
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Raised when a provider request fails, times out or returns an unusable reply
+ */
+class LLMProviderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = details.code || 'LLM_ERROR';
+    this.status = details.status;
+  }
+}
+
+/**
+ * Estimate the tokens a request and its reply used, for servers that do
+ * not report usage. Errs high rather than low, as it guards a budget.
+ */
+function estimateTokens(messages, reply = '') {
+  const characters = messages.reduce((sum, message) => sum + message.content.length, reply.length);
+  return Math.ceil(characters / CHARACTERS_PER_TOKEN) + TOKENS_PER_MESSAGE * (messages.length + 1);
+}
+
+/**
+ * Usage as the server reported it, or null when it did not
+ */
+function readUsage(usage) {
+  return typeof usage?.total_tokens === 'number' ? { totalTokens: usage.total_tokens } : null;
+}
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.model = options.model || DEFAULT_MODEL;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  async complete(messages, options = {}) {
+    const request = this.createRequest(options.signal);
+    let data;
+    try {
+      const response = await this.post(messages, request, false);
+      data = await response.json();
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new LLMProviderError('Provider returned invalid JSON', { code: 'LLM_BAD_RESPONSE' });
+      }
+      throw this.toProviderError(error, request);
+    } finally {
+      request.dispose();
+    }
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new LLMProviderError('Provider returned an empty reply', { code: 'LLM_BAD_RESPONSE' });
+    }
+
+    return {
+      content: content.trim(),
+      usage: readUsage(data.usage) || { totalTokens: estimateTokens(messages, content), estimated: true },
+    };
+  }
+
+  /**
+   * Stream a reply as server-sent events. The timeout applies to the gap
+   * between events rather than to the whole reply.
+   */
+  async *stream(messages, options = {}) {
+    const request = this.createRequest(options.signal);
+    let content = '';
+    let usage = null;
+    try {
+      const response = await this.post(messages, request, true);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let done = false;
+
+      try {
+        for await (const bytes of response.body) {
+          request.restartTimer();
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            const payload = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || payload.length === 0) {
+              continue;
+            }
+            if (payload === '[DONE]') {
+              done = true;
+              break;
+            }
+
+            let event;
+            try {
+              event = JSON.parse(payload);
+            } catch (error) {
+              throw new LLMProviderError('Provider sent a malformed stream event', { code: 'LLM_BAD_RESPONSE' });
+            }
+
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              yield { delta };
+            }
+            usage = readUsage(event.usage) || usage;
+          }
+          if (done) {
+            break;
+          }
+        }
+      } catch (error) {
+        throw this.toProviderError(error, request);
+      }
+    } finally {
+      request.dispose();
+    }
+    yield { usage: usage || { totalTokens: estimateTokens(messages, content), estimated: true } };
+  }
+
+  /**
+   * Abort controller that fires on timeout or when the caller's signal aborts
+   */
+  createRequest(signal) {
+    const controller = new AbortController();
+    let timer = null;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        controller.timedOut = true;
+        controller.abort();
+      }, this.timeout);
+    };
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    restartTimer();
+
+    return {
+      controller,
+      restartTimer,
+      dispose: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  async post(messages, request, stream) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          max_tokens: this.maxTokens,
+          ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+        }),
+        signal: request.controller.signal,
+      });
+    } catch (error) {
+      throw this.toProviderError(error, request);
+    }
+
+    if (!response.ok) {
+      throw new LLMProviderError(`Provider responded with HTTP ${response.status}`, {
+        code: 'LLM_HTTP',
+        status: response.status,
+      });
+    }
+    return response;
+  }
+
+  toProviderError(error, request) {
+    if (error instanceof LLMProviderError) {
+      return error;
+    }
+    if (request.controller.timedOut) {
+      return new LLMProviderError(`Request timed out after ${this.timeout}ms`, { code: 'LLM_TIMEOUT' });
+    }
+    if (request.controller.signal.aborted) {
+      return new LLMProviderError('Request was cancelled', { code: 'LLM_ABORTED' });
+    }
+    return new LLMProviderError(`Request failed: ${error.message}`, { code: 'LLM_NETWORK' });
+  }
+}
+
+module.exports = {
+  LLMProviderError,
+  OpenAICompatibleProvider,
+  estimateTokens,
+};
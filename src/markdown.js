@@ -0,0 +1,125 @@
+/**
+ * Markdown for EXPLORABOT
+ * Renders the project's markdown guides as HTML for the /docs pages:
+ * headings (with GitHub-style anchors, so links from the chat land on the
+ * right section), paragraphs, lists, tables, fenced code, inline code,
+ * bold and links. Everything else is shown as text.
+ */
+
+const { slugify } = require('./docs-index');
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Inline markup. Links to other guides (./GUIDE.md#section) stay on /docs.
+ */
+function renderInline(text) {
+  const codeSpans = [];
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => `\u0000${codeSpans.push(code) - 1}\u0000`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      const target = href.replace(/^\.\/([\w.-]+\.md)/, '/docs/$1');
+      return /^(https?:|\/|#)/.test(target) ? `<a href="${target}">${label}</a>` : label;
+    })
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
+}
+
+function renderTable(rows) {
+  const cells = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map((cell) => renderInline(cell.trim()));
+  const [header, , ...body] = rows;
+  return [
+    '<table>',
+    `<tr>${cells(header).map((cell) => `<th>${cell}</th>`).join('')}</tr>`,
+    ...body.map((row) => `<tr>${cells(row).map((cell) => `<td>${cell}</td>`).join('')}</tr>`),
+    '</table>',
+  ].join('\n');
+}
+
+/**
+ * Render a markdown document to an HTML fragment
+ */
+function renderMarkdown(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const html = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      index++;
+      while (index < lines.length && !/^\s*```/.test(lines[index])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const text = heading[2];
+      html.push(`<h${level} id="${escapeHtml(slugify(text.replace(/[*_`]/g, '')))}">${renderInline(text)}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (/^\s*\|/.test(line) && /^\s*\|?[\s:|-]+\|?\s*$/.test(lines[index + 1] || '')) {
+      const rows = [];
+      while (index < lines.length && /^\s*\|/.test(lines[index])) {
+        rows.push(lines[index++]);
+      }
+      html.push(renderTable(rows));
+      continue;
+    }
+
+    const listItem = /^\s*([-*]|\d+\.)\s+/;
+    if (listItem.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      while (index < lines.length && listItem.test(lines[index])) {
+        items.push(`<li>${renderInline(lines[index++].replace(listItem, ''))}</li>`);
+      }
+      html.push(`<${ordered ? 'ol' : 'ul'}>${items.join('')}</${ordered ? 'ol' : 'ul'}>`);
+      continue;
+    }
+
+    if (/^\s*(---+|\*\*\*+)\s*$/.test(line)) {
+      html.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (line.trim().length === 0) {
+      index++;
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim().length > 0
+      && !/^(#{1,6}\s|\s*```|\s*\||\s*([-*]|\d+\.)\s)/.test(lines[index])) {
+      paragraph.push(lines[index++].trim());
+    }
+    if (paragraph.length === 0) {
+      // A line no other rule took (e.g. a lone "|")
+      paragraph.push(lines[index++].trim());
+    }
+    html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  renderMarkdown,
+};
@@ -4,288 +4,1137 @@
  * Zero-code interface for non-technical users
  */
 
-class NLPProcessor {
-  constructor() {
-    // Define intents and patterns for zero-code interaction
-    this.intents = {
-      greeting: {
-        patterns: [
-          /^(hi|hello|hey|greetings)/i,
-          /^good (morning|afternoon|evening)/i,
-        ],
-        responses: [
-          "Hello! 👋 I'm EXPLORABOT, your AI assistant. How can I help you today?",
-          "Hi there! I'm here to help you build and deploy applications without writing code. What would you like to create?",
-          "Hey! Ready to explore? Ask me anything or describe what you'd like to build!",
-        ]
-      },
-      help: {
-        patterns: [
-          /\b(help|assist|guide|support|what can you do)\b/i,
-          /how\s+to/i,
-          /^what/i,
-        ],
-        responses: [
-          `🤖 **I can help you with:**
-
-• **Deploy Applications** - "Deploy a web app" or "Set up Docker container"
-• **Generate Code** - "Create a REST API" or "Build a login form"
-• **Explain Concepts** - "What is CI/CD?" or "Explain microservices"
-• **Configure Services** - "Set up database" or "Configure environment"
-• **Best Practices** - "Mobile optimization tips" or "Security guidelines"
-
-Just describe what you need in plain English!`,
-        ]
-      },
-      deploy: {
-        patterns: [
-          /\b(deploy|deployment|launch|publish|release)\b/i,
-        ],
-        responses: [
-          `🚀 **Deployment Options:**
-
-1. **Docker** - Containerize and deploy locally
-2. **Railway** - One-click cloud deployment
-3. **Docker Compose** - Multi-service orchestration
-
-Tell me: "Deploy with Docker" or "Set up Railway deployment"`,
-        ]
-      },
-      code: {
-        patterns: [
-          /\b(code|generate|create|build|make|develop)\b.*(app|api|form|page|component)/i,
-        ],
-        responses: [
-          `💻 **Code Generation:**
-
-I can help you create:
-• Web pages and UI components
-• REST APIs and endpoints
-• Database schemas
-• Authentication systems
-• Mobile-responsive layouts
-
-What would you like me to generate?`,
-        ]
-      },
-      docker: {
-        patterns: [
-          /\b(docker|container|dockerfile|image)\b/i,
-        ],
-        responses: [
-          `🐳 **Docker Commands:**
-
-\`\`\`bash
-# Build container
-docker build -t explorabot .
-
-# Run container
-docker run -p 8080:8080 explorabot
-
-# Or use Docker Compose
-docker-compose up -d
-\`\`\`
-
-Need help with a specific Docker task?`,
-        ]
-      },
-      mobile: {
-        patterns: [
-          /\b(mobile|responsive|phone|tablet|samsung|galaxy)/i,
-        ],
-        responses: [
-          `📱 **Mobile Optimization:**
-
-EXPLORABOT is optimized for Samsung Galaxy S24 FE:
-• 120Hz smooth animations
-• AMOLED dark theme
-• Touch-optimized controls
-• Offline support
-• Battery efficient
-
-See our [Mobile Platform Guidelines](/docs/MOBILE_PLATFORM_GUIDELINES.md)`,
-        ]
+const crypto = require('crypto');
+const IntentRegistry = require('./intent-registry');
+const CommandRegistry = require('./chat-commands');
+const ACTIONS = require('./actions');
+const { DEFAULT_LOCALE, detectLanguage, translate } = require('./i18n');
+const { tokenize, matchKeyword } = require('./text-matching');
+const { renderTemplate } = require('./response-template');
+const { completeSteps, nextStep, getProgress } = require('./project-plan');
+const { estimateTokens } = require('./llm-provider');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// Top two intents closer than this (in confidence) trigger a clarifying question
+const DEFAULT_CLARIFICATION_MARGIN = 0.1;
+// Matches at the very start of a message are usually the verb the user means
+const LEADING_MATCH_BONUS = 0.5;
+// Minimum similarity (0-1) for a misspelled word to count as an intent keyword
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+// Below this confidence, messages go to the LLM provider when one is configured
+const DEFAULT_LLM_CONFIDENCE_THRESHOLD = 0.5;
+// Number of recent history entries sent to the LLM provider as context
+const LLM_HISTORY_LIMIT = 10;
+// Messages that abandon an in-progress dialog
+const CANCEL_PATTERN = /^(cancel|stop|abort|never\s*mind|forget it|anuluj|przerwij|zapomnij|abbrechen|vergiss es)(?![\p{L}\d])/iu;
+// Replies to a clarifying question that pick the first or second option
+const CHOICE_PATTERN = /^(?:the\s+)?(1|2|first|second|pierwsz\p{L}*|drug\p{L}*|erste\p{L}*|zweite\p{L}*)(?![\p{L}\d])/iu;
+const FIRST_CHOICE_PATTERN = /^(1|first|pierwsz|erste)/iu;
+
+// Words that pick the kind of fallback reply when no intent matches
+const FALLBACK_KEYWORDS = {
+  en: {
+    question: ['what', 'how', 'why', 'when', 'where', 'who', '?'],
+    technical: ['api', 'database', 'server', 'config', 'setup'],
+    action: ['create', 'make', 'build', 'generate', 'show', 'explain'],
+  },
+  pl: {
+    question: ['co', 'jak', 'dlaczego', 'kiedy', 'gdzie', 'kto', 'czy', '?'],
+    technical: ['api', 'baz', 'serwer', 'konfigur'],
+    action: ['stwórz', 'zrób', 'zbuduj', 'wygeneruj', 'pokaż', 'wyjaśnij'],
+  },
+  de: {
+    question: ['was', 'wie', 'warum', 'wann', 'wo', 'wer', '?'],
+    technical: ['api', 'datenbank', 'server', 'konfig', 'einricht'],
+    action: ['erstell', 'mach', 'bau', 'generier', 'zeig', 'erklär'],
+  },
+};
+
+// Answers that decline an optional setting ("no env files")
+const NONE_ANSWER = /^(none|no|nope|skip|nie|nein)$/i;
+// Node.js versions a generated CI workflow tests on unless told otherwise,
+// as in this repository's own workflow
+const DEFAULT_NODE_VERSIONS = ['18.x', '20.x'];
+
+// Entities that can be pulled out of a message and used to fill intent slots.
+// `values` entities map canonical values to patterns; `pattern` entities
+// capture a raw value. `answer` is a looser pattern used only while the
+// bot is waiting for that slot (e.g. a bare "3000" after asking for a port).
+const ENTITIES = {
+  platform: {
+    values: {
+      compose: { label: 'Docker Compose', patterns: [/\bdocker[- ]?compose\b/i, /\bcompose\b/i] },
+      railway: { label: 'Railway', patterns: [/\brailway\b/i] },
+      docker: { label: 'Docker', patterns: [/\bdocker\b/i, /\bcontaineri[sz]e\b/i] },
+    },
+  },
+  language: {
+    values: {
+      node: { label: 'Node.js', patterns: [/\bnode(\.?js)?\b/i, /\b(javascript|typescript|express)\b/i] },
+      python: { label: 'Python', patterns: [/\b(python|flask|django|fastapi)\b/i] },
+      go: { label: 'Go', patterns: [/\bgolang\b/i, /\bgo\s+(app|service|api|server)\b/i, /^go$/i] },
+      java: { label: 'Java', patterns: [/\b(java|spring)\b/i] },
+      static: { label: 'static HTML', patterns: [/\b(static|html)\b/i] },
+    },
+  },
+  port: {
+    pattern: /\bport\s*:?\s*(\d{1,5})\b/i,
+    answer: /^\s*(\d{1,5})\s*$/,
+    parse: (value) => parseInt(value, 10),
+    validate: (value) => value >= 1 && value <= 65535,
+    invalidMessage: 'entity.port.invalid', // i18n catalog key
+  },
+  scaffold: {
+    values: {
+      'rest-api': { label: 'Node.js REST API', patterns: [/\b(rest[\s-]*)?api\b/i, /\b(backend|endpoints?)\b/i] },
+      'login-form': { label: 'login form', patterns: [/\b(login|log[- ]in|sign[- ]?in|auth\w*)\b/i, /\b(logowan|anmelde)/i] },
+      'db-schema': { label: 'database schema', patterns: [/\b(database|db|schema|sql)\b/i, /\b(baz\w* danych|schemat|datenbank)/i] },
+      'static-page': {
+        label: 'static page',
+        patterns: [/\b(static|landing|web\s*page|page|website|site|html)\b/i, /\b(stron|statyczn|webseite|seite|statisch)/i],
       },
-      ai: {
-        patterns: [
-          /\b(ai|artificial intelligence|machine learning|ml|model|neural)\b/i,
-        ],
-        responses: [
-          `🧠 **AI Capabilities:**
-
-• On-device AI inference
-• Model optimization for mobile
-• Natural language processing
-• Context-aware responses
-• Zero-code AI integration
-
-Learn more in our [AI Architect Persona](/docs/AI_ARCHITECT_PERSONA.md)`,
-        ]
+    },
+  },
+  database: {
+    values: {
+      postgres: { label: 'PostgreSQL', patterns: [/\b(postgres(ql)?|pg)\b/i] },
+      mysql: { label: 'MySQL', patterns: [/\b(mysql|mariadb)\b/i] },
+      sqlite: { label: 'SQLite', patterns: [/\bsqlite3?\b/i] },
+    },
+  },
+  // Docker generator answers. "none"-style answers fill list slots with an
+  // empty list so that the question is not asked again.
+  entrypoint: {
+    pattern: /\b(?:entry\s*point|start\s+command|main\s+file)\s*(?:is|:|=)?\s*[`"']?([\w./-]+(?:\s+[\w./:=-]+)*?)[`"']?(?=\s*(?:$|[,;]|\s+(?:on|with|and|port|exposing)\b))/i,
+    answer: /^\s*[`"']?(default|skip|none|no|nie|nein|(?:npm|yarn|pnpm|node|python3?|gunicorn|uvicorn|java|bun|deno)\b[^`"'\n]*?|[\w-]*[./][\w./-]*)[`"']?\s*$/i,
+    parse: (value) => (/^default$/i.test(value) || NONE_ANSWER.test(value) ? 'default' : value.trim()),
+  },
+  envFiles: {
+    pattern: /(?<![\w.])(\.env(?:\.[\w-]+)?(?:(?:\s*,\s*|\s+and\s+)\.env(?:\.[\w-]+)?)*)(?![\w.])/i,
+    answer: /^\s*(none|no|nope|skip|nie|nein|[\w./-]+(?:(?:\s*,\s*|\s+)[\w./-]+)*)\s*$/i,
+    parse: (value) => (NONE_ANSWER.test(value) ? [] : value.split(/\s*,\s*|\s+and\s+|\s+/).filter(Boolean)),
+  },
+  volumes: {
+    pattern: /((?:[.~/][\w./-]*|[a-z][\w-]*):\/[\w./-]*(?::ro)?(?:(?:\s*,\s*|\s+and\s+|\s+)(?:[.~/][\w./-]*|[a-z][\w-]*):\/[\w./-]*(?::ro)?)*)/i,
+    answer: /^\s*(none|no|nope|skip|nie|nein)\s*$/i,
+    parse: (value) => (NONE_ANSWER.test(value) ? [] : value.split(/\s*,\s*|\s+and\s+|\s+/).filter(Boolean)),
+  },
+  healthcheck: {
+    pattern: /\bhealth\s*(?:check)?\s*(?:path|endpoint|url)?\s*(?:at|on|is|:)?\s*(\/[\w/.-]*)/i,
+    answer: /^\s*(none|no|nope|skip|nie|nein|yes|y|tak|ja|\/[\w/.-]*)\s*$/i,
+    parse: (value) => {
+      if (NONE_ANSWER.test(value)) {
+        return '';
+      }
+      return value.startsWith('/') ? value : '/health';
+    },
+  },
+  // Railway config generator and checker
+  builder: {
+    values: {
+      nixpacks: {
+        label: 'Nixpacks',
+        patterns: [/\b(nixpacks|railpack|buildpacks?)\b/i, /\b(no|without|bez|ohne)\s+(a\s+)?dockerfile/i, /\b(auto\w*|detect\w*)\b/i],
       },
-      status: {
-        patterns: [
-          /\b(status|health|running|online|check)\b/i,
-        ],
-        responses: [
-          `✅ **System Status:**
-
-🟢 Bot is online and healthy
-📊 Version: 1.0.0
-🌍 Environment: ${process.env.NODE_ENV || 'development'}
-⚡ Ready to assist you!`,
-        ]
+      dockerfile: { label: 'Dockerfile', patterns: [/\bdocker(file)?\b/i] },
+    },
+  },
+  restartPolicy: {
+    values: {
+      NEVER: { label: 'never', patterns: [/\b(never\s+restart|no\s+restarts?)\b/i, /\brestart\w*\s*(policy\s*)?[:=]?\s*never\b/i] },
+      ALWAYS: { label: 'always', patterns: [/\balways\s+restart/i, /\brestart\w*\s*(policy\s*)?[:=]?\s*always\b/i] },
+      ON_FAILURE: { label: 'on failure', patterns: [/\bon[\s_-]?failure\b/i, /\brestart\w*\s+on\s+(crash|error)/i] },
+    },
+  },
+  // A pasted railway.json (a JSON object) or railway.toml (from its first [table])
+  railwayConfig: {
+    pattern: /(\{[\s\S]*\}|^[ \t]*\[[\w.-]+\][\s\S]*)/m,
+  },
+  // CI workflow generator: "node 18 and 20", "with docker and railway"
+  nodeVersions: {
+    pattern: /\bnode(?:\.?js)?\s*(?:versions?\s*)?(\d{2}(?:\.x)?(?:(?:\s*,\s*|\s+and\s+|\s+)\d{2}(?:\.x)?)*)\b/i,
+    answer: /^\s*(default|\d{2}(?:\.x)?(?:(?:\s*,\s*|\s+and\s+|\s+)\d{2}(?:\.x)?)*)\s*$/i,
+    parse: (value) => (/^default$/i.test(value)
+      ? [...DEFAULT_NODE_VERSIONS]
+      : [...new Set(value.match(/\d{2}/g))].sort().map((version) => `${version}.x`)),
+  },
+  ciJobs: {
+    pattern: /((?:\b(?:no|without|skip|bez|ohne)\s+)?\b(?:docker\s*hub|docker|railway)\b.*)/i,
+    answer: /^\s*(none|no|nope|skip|nie|nein)\s*$/i,
+    parse: (value) => {
+      const wanted = value.replace(/\b(no|without|skip|bez|ohne)\s+(docker\s*hub|docker|railway)\b/gi, '');
+      const jobs = [];
+      if (/\bdocker\s*hub\b/i.test(wanted)) {
+        jobs.push('docker', 'dockerhub');
+      } else if (/\bdocker\b/i.test(wanted)) {
+        jobs.push('docker');
       }
-    };
+      if (/\brailway\b/i.test(wanted)) {
+        jobs.push('railway');
+      }
+      return jobs;
+    },
+  },
+  // Task runner: "run `npm init -y`", with an optional pasted file
+  taskCommand: {
+    pattern: /(?:`|\b)((?:npm|node)\s[^`\n]*?)(?:`|[.!?]?[ \t]*(?:\n|$))/i,
+    answer: /^\s*`?([^`\n]+?)`?\s*$/,
+    parse: (value) => value.trim().replace(/\s+/g, ' '),
+  },
+  codeBlock: {
+    pattern: /```[\w-]*[ \t]*\n([\s\S]*?)```/,
+  },
+  // Explain intent: what the question is about ("What is CI/CD?" -> "CI/CD")
+  topic: {
+    pattern: /(?:^\s*(?:please\s+)?(?:explain|describe)|\bwhat\s+(?:is|are)|\bwhat's|\btell\s+me\s+about|\bhow\s+does|^\s*(?:wyjaśnij|wyjasnij|opisz)|\bczym\s+(?:jest|są|sa)|\bco\s+to\s+(?:jest|są|sa)|^\s*(?:erklär|erklaer|beschreib)\w*|\bwas\s+(?:ist|sind))\s+(?:(?:to\s+)?(?:me|mi|mir)\s+)?(.+?)(?:\s+work)?[\s?.!]*$/i,
+    answer: /^\s*(.+?)[\s?.!]*$/,
+  },
+  appName: {
+    pattern: /\b(?:called|named|o nazwie|namens|genannt)\s+["']?([a-z0-9][\w.-]*)/i,
+    answer: /^\s*["']?([a-z0-9][\w.-]*)["']?\s*$/i,
+    parse: (value) => value.toLowerCase(),
+  },
+  // What a project plan is for: "build and deploy a todo app" -> "todo app"
+  goal: {
+    answer: /^\s*(.+?)[\s?.!]*$/,
+    pattern: /(?:\b(?:build|create|make|develop|ship|launch)(?!\s+(?:an?\s+)?(?:project\s+)?plan\b)(?:\s+and\s+(?:deploy|ship|launch|host|publish))?|\bplan\s+for|\b(?:zbudować|zbudowac|stworzyć|stworzyc|zrobić|zrobic)(?:\s+i\s+(?:wdrożyć|wdrozyc|opublikować|opublikowac))?|\bplan\s+(?:dla|für|fuer))\s+(?:(?:an?|my|the|moją|moja|mein\w*|eine?)\s+)?(.+?)[\s?.!]*$/i,
+  },
+};
+
+class NLPProcessor {
+  constructor(options = {}) {
+    this.clarificationMargin = options.clarificationMargin ?? DEFAULT_CLARIFICATION_MARGIN;
+    this.fuzzyThreshold = options.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD;
+    this.entities = ENTITIES;
+    // Handlers for intents with an `action` (see actions.js)
+    this.actions = options.actions || ACTIONS;
+    // Server-side helpers handed to actions, e.g. { taskRunner }
+    this.services = options.services || {};
+    this.logger = options.logger || { warn() {} };
 
-    // Conversation context
+    // Optional LLM provider (see llm-provider.js) for unmatched or
+    // low-confidence messages; `tokenBudget` caps tokens per conversation
+    this.provider = options.provider || null;
+    this.llmConfidenceThreshold = options.llmConfidenceThreshold ?? DEFAULT_LLM_CONFIDENCE_THRESHOLD;
+    this.tokenBudget = options.tokenBudget ?? Infinity;
+
+    // Slash commands (see chat-commands.js), checked before intent detection
+    this.commands = options.commands || new CommandRegistry();
+
+    // Intents are defined in src/intents/*.json. Sessions share one registry
+    // so that a reload reaches every conversation at once.
+    this.registry = options.registry || new IntentRegistry({
+      entityNames: Object.keys(ENTITIES),
+      actionNames: Object.keys(this.actions),
+      commandNames: this.commands.names,
+    }).load();
+
+    // Live values for response templates, read each time a reply is
+    // rendered (see response-template.js). The server passes its health data.
+    this.templateData = options.templateData || (() => ({
+      bot: 'EXPLORABOT',
+      version: PACKAGE_VERSION,
+      environment: process.env.NODE_ENV || 'development',
+    }));
+
+    // Conversation context. `dialog` holds the slot-filling state of the
+    // intent currently being worked on: { intent, slots, awaiting }, plus
+    // `state` while its action is asking questions of its own.
+    // `locale` is the language of the latest message, unless /lang pinned
+    // one as `fixedLocale`. `plan` is the user's project checklist (see
+    // project-plan.js), once they have asked for one.
     this.context = {
       lastIntent: null,
+      pendingClarification: null,
+      dialog: null,
+      plan: null,
+      locale: null,
+      fixedLocale: null,
+      tokensUsed: 0,
       conversationHistory: [],
     };
+    // The context as it was before each user message, by turn id, so that a
+    // message can be edited, deleted or answered again: { index, input, state }
+    this.checkpoints = new Map();
+  }
+
+  get locale() {
+    return this.context.locale || DEFAULT_LOCALE;
+  }
+
+  get intents() {
+    return this.registry.intents;
   }
 
   /**
    * Process user input and return intelligent response
    */
-  process(userInput) {
+  async process(userInput) {
+    return (await this.respond(userInput)).response;
+  }
+
+  /**
+   * Process user input and return the response together with the
+   * intent ranking that produced it.
+   *
+   * Options:
+   *   onChunk - called with each piece of a reply that is generated
+   *             incrementally; the result then has `streamed: true`
+   *   signal  - AbortSignal that cancels an in-flight generated reply
+   *   locale  - reply in this language (e.g. "pl") instead of detecting it
+   *             from the message
+   *   turnId  - id for the message in history (e.g. the client's message
+   *             id), used to edit it later; generated when not given
+   *
+   * Messages starting with "/" are chat commands (see chat-commands.js);
+   * the result then names the command in `command`. Messages recorded in
+   * the history are reported as `turnId`; session commands are not.
+   */
+  async respond(userInput, options = {}) {
+    const turn = { id: options.turnId || `turn_${crypto.randomBytes(8).toString('hex')}`, state: this.saveState() };
+    const result = await this.respondToTurn(userInput, { ...options, turn });
+    const recorded = this.checkpoints.get(turn.id)?.state === turn.state;
+    return { ...result, turnId: recorded ? turn.id : null };
+  }
+
+  // respond() once the turn's id and checkpoint state are known
+  async respondToTurn(userInput, options = {}) {
+    if (options.locale) {
+      this.context.locale = options.locale;
+    }
     if (!userInput || typeof userInput !== 'string') {
-      return this.getDefaultResponse();
+      return this.buildResult(this.getDefaultResponse(), []);
     }
 
     const input = userInput.trim();
-    
-    // Store in conversation history
-    this.context.conversationHistory.push({
+    // Messages with no clear language signal ("docker", "3000") keep the
+    // language of the conversation so far
+    this.context.locale = options.locale || this.context.fixedLocale || detectLanguage(input) || this.context.locale;
+
+    const command = CommandRegistry.parse(input);
+    if (command) {
+      const commandResult = await this.runCommand(command, input, options);
+      if (commandResult) {
+        return commandResult;
+      }
+    }
+
+    this.recordInput(input, options.turn);
+
+    if (this.context.dialog) {
+      const dialogResult = await this.continueDialog(input, options);
+      if (dialogResult) {
+        return dialogResult;
+      }
+    }
+
+    const ranking = this.resolveClarification(input) || this.rankIntents(input);
+    this.context.pendingClarification = null;
+
+    if (ranking.length === 0 || ranking[0].confidence < this.llmConfidenceThreshold) {
+      const llmResult = await this.respondWithProvider(ranking, options);
+      if (llmResult) {
+        return llmResult;
+      }
+    }
+
+    // Ask instead of guessing when the top two intents are too close to call
+    if (ranking.length > 1 && ranking[0].confidence - ranking[1].confidence < this.clarificationMargin) {
+      const candidates = [ranking[0].intent, ranking[1].intent];
+      this.context.pendingClarification = candidates;
+      const response = this.getClarificationResponse(candidates);
+      this.recordResponse(response, null, { clarification: candidates });
+      return this.buildResult(response, ranking, { clarification: true });
+    }
+
+    if (ranking.length > 0) {
+      return this.startIntent(ranking[0].intent, ranking, input, options);
+    }
+
+    // Fallback to intelligent response
+    const response = this.getIntelligentFallback(input);
+    this.recordResponse(response, null);
+    return this.buildResult(response, ranking);
+  }
+
+  /**
+   * Run a chat command. Session commands (/help, /reset...) answer without
+   * touching the conversation history; an intent's command (/docker node)
+   * starts that intent with the rest of the line as the first answer.
+   * Returns null for an unknown command while a dialog is open, so that
+   * an answer such as "/health" still reaches it.
+   */
+  async runCommand({ name, args }, input, options = {}) {
+    const command = this.commands.get(name);
+    if (command) {
+      const locale = this.locale;
+      const { response, attachments = [] } = await command.run({ args, nlp: this, commands: this.commands, locale });
+      // /lang may have changed the language; /reset clears it but answered in the old one
+      return this.buildResult(response, [], { command: name, locale: this.context.locale || locale, attachments });
+    }
+
+    const intent = Object.keys(this.intents).find((intentName) => this.intents[intentName].command === name);
+    if (intent) {
+      this.recordInput(input, options.turn);
+      this.context.pendingClarification = null;
+      const result = await this.startIntent(intent, [{ intent, confidence: 1 }], args, options, { fromCommand: true });
+      return { ...result, command: name };
+    }
+
+    if (this.context.dialog) {
+      return null;
+    }
+    return this.buildResult(translate(this.locale, 'command.unknown', { command: name }), [], { command: name });
+  }
+
+  /**
+   * Start working on an intent: collect its slots from the input, then ask
+   * for what is missing or answer straight away. Arguments of a command
+   * are read as the answer to the intent's first slot.
+   */
+  async startIntent(intent, ranking, input, options = {}, { fromCommand = false } = {}) {
+    this.context.lastIntent = intent;
+
+    const slots = this.intents[intent].slots;
+    if (slots) {
+      this.context.dialog = { intent, slots: {}, awaiting: fromCommand && input ? slots[0].name : null };
+      if (input) {
+        this.fillSlots(input);
+      }
+      return this.advanceDialog(ranking, options);
+    }
+
+    this.context.dialog = null;
+    return this.completeIntent(intent, ranking, {}, options);
+  }
+
+  /**
+   * Ask the LLM provider for a reply. Returns null when no provider is
+   * configured, the token budget is spent or the request fails, so that
+   * the caller falls back to the rule-based response.
+   */
+  async respondWithProvider(ranking, { onChunk, signal } = {}) {
+    if (!this.provider || this.context.tokensUsed >= this.tokenBudget) {
+      return null;
+    }
+
+    const history = this.context.conversationHistory
+      .filter((entry) => entry.role === 'user' || entry.role === 'assistant')
+      .slice(-LLM_HISTORY_LIMIT)
+      .map(({ role, content }) => ({ role, content }));
+    const messages = [
+      { role: 'system', content: this.getSystemPrompt() },
+      ...history,
+    ];
+    const source = this.provider.name;
+
+    if (onChunk && this.provider.stream) {
+      return this.streamFromProvider(messages, ranking, { onChunk, signal });
+    }
+
+    try {
+      const { content, usage } = await this.provider.complete(messages, { signal });
+      this.context.tokensUsed += usage?.totalTokens ?? estimateTokens(messages, content);
+      this.recordResponse(content, null, { source });
+      return this.buildResult(content, ranking, { intent: null, source });
+    } catch (error) {
+      this.logProviderFailure(error);
+      return null;
+    }
+  }
+
+  /**
+   * Stream a provider reply through `onChunk`. A failure before the first
+   * piece falls back to rules; after that the partial reply is kept.
+   */
+  async streamFromProvider(messages, ranking, { onChunk, signal }) {
+    const source = this.provider.name;
+    let content = '';
+    let counted = false;
+
+    try {
+      for await (const part of this.provider.stream(messages, { signal })) {
+        if (part.usage) {
+          this.context.tokensUsed += part.usage.totalTokens;
+          counted = true;
+        }
+        if (part.delta) {
+          content += part.delta;
+          onChunk(part.delta);
+        }
+      }
+    } catch (error) {
+      if (content.length === 0 && !signal?.aborted) {
+        this.logProviderFailure(error);
+        return null;
+      }
+      if (!signal?.aborted) {
+        this.logProviderFailure(error);
+      }
+    }
+    // A stream cut short by cancelling or a failure never reports its usage
+    if (!counted) {
+      this.context.tokensUsed += estimateTokens(messages, content);
+    }
+
+    const cancelled = Boolean(signal?.aborted);
+    this.recordResponse(content, null, { source, ...(cancelled ? { cancelled } : {}) });
+    return this.buildResult(content, ranking, { intent: null, source, streamed: true, cancelled });
+  }
+
+  logProviderFailure(error) {
+    this.logger.warn('LLM provider failed, falling back to rules', {
+      provider: this.provider.name,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  /**
+   * Trim the latest assistant reply to what was delivered before the user
+   * cancelled it, so history matches what the user actually saw
+   */
+  markCancelled(deliveredContent) {
+    const history = this.context.conversationHistory;
+    const last = history[history.length - 1];
+    if (last && last.role === 'assistant') {
+      last.content = deliveredContent;
+      last.cancelled = true;
+    }
+  }
+
+  /**
+   * Instructions sent to the LLM provider ahead of the conversation
+   */
+  getSystemPrompt() {
+    const topics = Object.values(this.intents).map((intent) => intent.label).join(', ');
+    return `You are EXPLORABOT, an assistant that helps non-technical users build and deploy applications without writing code. You can help with: ${topics}. ${translate(this.locale, 'llm.instruction')}`;
+  }
+
+  /**
+   * Handle a message while a dialog is waiting for slot values. Returns null
+   * when the message is unrelated and should go through intent detection.
+   */
+  async continueDialog(input, options = {}) {
+    const dialog = this.context.dialog;
+    if (!this.intents[dialog.intent]) {
+      // The intent was removed by a reload
+      this.context.dialog = null;
+      return null;
+    }
+    const ranking = [{ intent: dialog.intent, confidence: 1 }];
+
+    if (CANCEL_PATTERN.test(input)) {
+      this.context.dialog = null;
+      const response = translate(this.locale, 'dialog.cancelled');
+      this.recordResponse(response, dialog.intent, { cancelled: true });
+      return this.buildResult(response, ranking);
+    }
+
+    // An action asking its own questions gets every answer, whatever it says
+    if (dialog.state !== undefined) {
+      this.context.dialog = null;
+      return this.completeIntent(dialog.intent, ranking, dialog.slots, { ...options, input, state: dialog.state });
+    }
+
+    const { filled, errors } = this.fillSlots(input);
+    if (filled.length > 0) {
+      return this.advanceDialog(ranking, options);
+    }
+
+    // The user moved on to something else; drop the dialog
+    const newRanking = this.rankIntents(input);
+    if (newRanking.length > 0 && newRanking[0].intent !== dialog.intent) {
+      this.context.dialog = null;
+      return null;
+    }
+
+    const reason = errors.length > 0 ? errors.join(' ') : translate(this.locale, 'dialog.notUnderstood');
+    const response = `${reason}\n\n${this.getSlotPrompt(dialog.intent, dialog.awaiting)}`;
+    this.recordResponse(response, dialog.intent, { slots: { ...dialog.slots }, awaiting: dialog.awaiting });
+    return this.buildResult(response, ranking, { slots: { ...dialog.slots }, awaiting: dialog.awaiting });
+  }
+
+  /**
+   * Ask for the next missing required slot, or answer once all are filled
+   */
+  async advanceDialog(ranking, options = {}) {
+    const dialog = this.context.dialog;
+    const missing = this.intents[dialog.intent].slots.find(
+      (slot) => slot.required && dialog.slots[slot.name] === undefined
+    );
+
+    if (missing) {
+      dialog.awaiting = missing.name;
+      const response = this.getSlotPrompt(dialog.intent, missing.name);
+      this.recordResponse(response, dialog.intent, { slots: { ...dialog.slots }, awaiting: missing.name });
+      return this.buildResult(response, ranking, { slots: { ...dialog.slots }, awaiting: missing.name });
+    }
+
+    this.context.dialog = null;
+    return this.completeIntent(dialog.intent, ranking, this.withSlotDefaults(dialog.intent, dialog.slots), options);
+  }
+
+  /**
+   * Answer an intent whose slots are all filled: run its action if it has
+   * one, otherwise render one of its responses. Actions that produce their
+   * reply over time (task output) stream it through `options.onChunk`.
+   * An action that returns `continueWith` keeps the dialog open and is
+   * called again with the next message as `input` and that value as `state`.
+   * Completing an intent ticks off the project plan steps it covers.
+   */
+  async completeIntent(intent, ranking, slots = {}, { onChunk, signal, input, state, avoidResponse } = {}) {
+    const actionName = this.intents[intent].action;
+    let response;
+    let attachments = [];
+    let streamed = false;
+    let task;
+    let continueWith;
+    let maskedInput;
+    let plan;
+    let failed = false;
+
+    if (actionName) {
+      let sent = '';
+      try {
+        ({ response, attachments = [], streamed = false, task, continueWith, maskedInput, plan } = await this.actions[actionName]({
+          intent,
+          slots,
+          variables: this.getTemplateVariables(intent, slots),
+          locale: this.locale,
+          services: this.services,
+          input,
+          state,
+          plan: this.context.plan,
+          signal,
+          onChunk: onChunk && ((chunk, meta) => {
+            sent += chunk;
+            onChunk(chunk, meta);
+          }),
+        }));
+      } catch (error) {
+        this.logger.warn('Intent action failed', { intent, action: actionName, error: error.message });
+        failed = true;
+        response = translate(this.locale, 'action.failed');
+        // Whatever was streamed before the failure stays in front of the apology
+        if (sent.length > 0) {
+          onChunk(`\n\n${response}`);
+          response = `${sent}\n\n${response}`;
+          streamed = true;
+        }
+      }
+    } else {
+      response = this.getResponse(intent, slots, avoidResponse);
+    }
+
+    // Answers the action asked to hide (secrets) are not kept in history
+    if (maskedInput !== undefined) {
+      this.context.conversationHistory.findLast((entry) => entry.role === 'user').content = maskedInput;
+    }
+    if (continueWith !== undefined) {
+      this.context.dialog = { intent, slots, awaiting: null, state: continueWith };
+    }
+    if (plan !== undefined) {
+      this.context.plan = plan;
+    }
+
+    const cancelled = streamed && Boolean(signal?.aborted);
+    if (!failed && !cancelled && continueWith === undefined) {
+      const note = this.completePlanSteps(intent);
+      if (note) {
+        response = `${response}\n\n${note}`;
+        if (streamed) {
+          onChunk(`\n\n${note}`);
+        }
+      }
+    }
+
+    // History keeps attachment metadata only, not the (possibly large) data
+    const hasSlots = Boolean(this.intents[intent].slots);
+    this.recordResponse(response, intent, {
+      confidence: ranking[0].confidence,
+      ...(hasSlots ? { slots } : {}),
+      ...(attachments.length > 0 ? { attachments: attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })) } : {}),
+      ...(task ? { task } : {}),
+      ...(cancelled ? { cancelled } : {}),
+    });
+    return this.buildResult(response, ranking, {
+      ...(hasSlots ? { slots } : {}),
+      attachments,
+      ...(task ? { task } : {}),
+      streamed,
+      cancelled,
+    });
+  }
+
+  /**
+   * Tick off the plan steps an intent covers. Returns a progress note for
+   * the reply, or null when no step was completed.
+   */
+  completePlanSteps(intent) {
+    const plan = this.context.plan;
+    const completed = completeSteps(plan, intent);
+    if (completed.length === 0) {
+      return null;
+    }
+    const { completed: done, total } = getProgress(plan);
+    const next = nextStep(plan);
+    const steps = completed.map((step) => translate(this.locale, `plan.step.${step.id}`)).join(', ');
+    if (!next) {
+      return translate(this.locale, 'plan.finished', { steps, total });
+    }
+    return translate(this.locale, 'plan.stepDone', {
+      steps,
+      done,
+      total,
+      next: translate(this.locale, `plan.step.${next.id}`),
+      hint: translate(this.locale, `plan.hint.${next.id}`),
+    });
+  }
+
+  /**
+   * Fill the current dialog's slots from entities found in the input
+   */
+  fillSlots(input) {
+    const dialog = this.context.dialog;
+    const filled = [];
+    const errors = [];
+
+    for (const slot of this.intents[dialog.intent].slots) {
+      const isAwaited = slot.name === dialog.awaiting;
+      if (dialog.slots[slot.name] !== undefined && !isAwaited) {
+        continue;
+      }
+
+      const { value, error } = this.extractEntity(slot.entity, input, isAwaited);
+      if (error) {
+        errors.push(error);
+      } else if (value !== undefined) {
+        dialog.slots[slot.name] = value;
+        filled.push(slot.name);
+      }
+    }
+
+    return { filled, errors };
+  }
+
+  /**
+   * Extract every known entity from the input
+   */
+  extractEntities(input) {
+    const entities = {};
+    for (const name of Object.keys(this.entities)) {
+      const { value } = this.extractEntity(name, input, false);
+      if (value !== undefined) {
+        entities[name] = value;
+      }
+    }
+    return entities;
+  }
+
+  /**
+   * Extract a single entity. With `isAnswer` set, the entity's looser
+   * answer pattern is also tried.
+   */
+  extractEntity(name, input, isAnswer) {
+    const entity = this.entities[name];
+    if (!entity) {
+      return {};
+    }
+
+    if (entity.values) {
+      for (const [value, definition] of Object.entries(entity.values)) {
+        if (definition.patterns.some((pattern) => pattern.test(input))) {
+          return { value };
+        }
+      }
+      return {};
+    }
+
+    const match = input.match(entity.pattern) || (isAnswer && entity.answer && input.match(entity.answer));
+    if (!match) {
+      return {};
+    }
+
+    const value = entity.parse ? entity.parse(match[1]) : match[1];
+    if (entity.validate && !entity.validate(value)) {
+      return { error: translate(this.locale, entity.invalidMessage) };
+    }
+    return { value };
+  }
+
+  getSlot(intent, slotName) {
+    return this.intents[intent].slots.find((slot) => slot.name === slotName);
+  }
+
+  getSlotPrompt(intent, slotName) {
+    const prompt = this.getLocaleBlock(intent)?.prompts[slotName] || this.getSlot(intent, slotName).prompt;
+    return this.renderResponse(prompt, intent, this.context.dialog?.slots || {});
+  }
+
+  /**
+   * The intent's text overrides for the conversation language, if any
+   */
+  getLocaleBlock(intent) {
+    return this.intents[intent].locales?.[this.locale];
+  }
+
+  withSlotDefaults(intent, slots) {
+    const result = { ...slots };
+    for (const slot of this.intents[intent].slots) {
+      if (result[slot.name] === undefined && slot.default !== undefined) {
+        result[slot.name] = slot.default;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Variables for response templates: the live template data and the
+   * intent's slot values. Slots appear under their own names using entity
+   * labels (e.g. "Docker Compose" for `compose`), and with their raw values
+   * under `slots`.
+   */
+  getTemplateVariables(intent, slots) {
+    const labelled = {};
+    for (const [name, value] of Object.entries(slots)) {
+      const slot = this.intents[intent].slots && this.getSlot(intent, name);
+      const entity = slot && this.entities[slot.entity];
+      labelled[name] = entity?.values?.[value]?.label || value;
+    }
+    return {
+      ...this.templateData(),
+      locale: this.locale,
+      ...labelled,
+      slots: { ...slots },
+    };
+  }
+
+  renderResponse(template, intent, slots) {
+    return renderTemplate(template, this.getTemplateVariables(intent, slots));
+  }
+
+  /**
+   * Store a user message in conversation history, with the context it was
+   * answered in
+   */
+  recordInput(content, turn) {
+    const history = this.context.conversationHistory;
+    this.checkpoints.set(turn.id, { index: history.length, input: content, state: turn.state });
+    history.push({
+      id: turn.id,
       role: 'user',
-      content: input,
+      content,
       timestamp: new Date().toISOString(),
     });
+  }
 
-    // Detect intent
-    const intent = this.detectIntent(input);
-    
-    if (intent) {
-      this.context.lastIntent = intent;
-      const response = this.getResponse(intent);
-      
-      this.context.conversationHistory.push({
-        role: 'assistant',
-        content: response,
-        intent: intent,
-        timestamp: new Date().toISOString(),
-      });
-      
-      return response;
+  /**
+   * A copy of the context apart from the history, which checkpoints
+   * restore by truncating instead
+   */
+  saveState() {
+    const { conversationHistory, ...state } = this.context;
+    return structuredClone(state);
+  }
+
+  /**
+   * saveState() as it may be stored outside the process
+   */
+  getStoredState() {
+    return this.redactState(this.saveState());
+  }
+
+  /**
+   * The state a user message was answered in, as it may be stored, or null
+   * for an unknown turn
+   */
+  getCheckpointState(turnId) {
+    const state = this.checkpoints.get(turnId)?.state;
+    return state ? this.redactState(state) : null;
+  }
+
+  /**
+   * A saved state with an open dialog's action state passed through the
+   * action's redactState (see actions.js), which drops what must stay in
+   * memory, such as secrets
+   */
+  redactState(state) {
+    const dialog = state.dialog;
+    const redact = dialog?.state !== undefined && this.actions[this.intents[dialog.intent]?.action]?.redactState;
+    return redact ? { ...state, dialog: { ...dialog, state: redact(dialog.state) } } : state;
+  }
+
+  /**
+   * Continue a stored conversation: `state` as saveState gave it, the
+   * history, and the checkpoint state of each user message by turn id
+   * (messages without one can no longer be edited)
+   */
+  restore(state, history, checkpointStates = {}) {
+    this.context = { ...state, conversationHistory: history };
+    this.checkpoints.clear();
+    history.forEach((entry, index) => {
+      if (entry.role === 'user' && checkpointStates[entry.id]) {
+        this.checkpoints.set(entry.id, { index, input: entry.content, state: checkpointStates[entry.id] });
+      }
+    });
+  }
+
+  /**
+   * Go back to the moment before a user message: the message and every
+   * later turn leave the history, and slots, dialogs, the plan and
+   * `lastIntent` are as they were then. Tokens spent stay counted and a
+   * language picked with /lang stays picked. Returns the checkpoint, or
+   * null for an unknown turn.
+   */
+  rewind(turnId) {
+    const checkpoint = this.checkpoints.get(turnId);
+    if (!checkpoint) {
+      return null;
     }
 
-    // Fallback to intelligent response
-    return this.getIntelligentFallback(input);
+    const { tokensUsed, fixedLocale, conversationHistory } = this.context;
+    this.context = {
+      ...structuredClone(checkpoint.state),
+      tokensUsed,
+      fixedLocale,
+      conversationHistory: conversationHistory.slice(0, checkpoint.index),
+    };
+    for (const [id, { index }] of this.checkpoints) {
+      if (index >= checkpoint.index) {
+        this.checkpoints.delete(id);
+      }
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Replace a user message with new text and answer it again from there.
+   * Returns null when the turn is unknown (e.g. after /reset).
+   */
+  async editMessage(turnId, content, options = {}) {
+    if (!this.rewind(turnId)) {
+      return null;
+    }
+    return this.respond(content, { ...options, turnId });
+  }
+
+  /**
+   * Remove a user message and every later turn. Returns false when the
+   * turn is unknown.
+   */
+  deleteMessage(turnId) {
+    return this.rewind(turnId) !== null;
+  }
+
+  /**
+   * Answer the latest user message again, preferring a different response
+   * variant than last time. Returns null unless `turnId` is the latest turn.
+   */
+  async regenerate(turnId, options = {}) {
+    const checkpoint = this.checkpoints.get(turnId);
+    const latest = this.context.conversationHistory.findLast((entry) => entry.role === 'user');
+    if (!checkpoint || latest?.id !== turnId) {
+      return null;
+    }
+
+    const previous = this.context.conversationHistory.slice(checkpoint.index + 1).findLast((entry) => entry.role === 'assistant');
+    this.rewind(turnId);
+    return this.respond(checkpoint.input, { ...options, turnId, avoidResponse: previous?.content });
+  }
+
+  /**
+   * Store an assistant reply in conversation history
+   */
+  recordResponse(content, intent, extra = {}) {
+    this.context.conversationHistory.push({
+      role: 'assistant',
+      content,
+      intent,
+      ...extra,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  buildResult(response, ranking, extra = {}) {
+    return {
+      response,
+      intent: ranking.length > 0 && !extra.clarification ? ranking[0].intent : null,
+      confidence: ranking.length > 0 ? ranking[0].confidence : 0,
+      ranking,
+      clarification: false,
+      slots: {},
+      awaiting: null,
+      source: 'rules',
+      locale: this.locale,
+      command: null,
+      attachments: [],
+      streamed: false,
+      cancelled: false,
+      ...extra,
+    };
   }
 
   /**
    * Detect user intent from input
    */
   detectIntent(input) {
+    const ranking = this.rankIntents(input);
+    return ranking.length > 0 ? ranking[0].intent : null;
+  }
+
+  /**
+   * Score every intent against the input and return the matches ranked by
+   * confidence (scores normalised so that they sum to 1). English patterns
+   * always apply, since technical terms are often written in English.
+   * Falls back to typo-tolerant keyword matching when no pattern matches.
+   */
+  rankIntents(input) {
+    const ranking = this.rankByPatterns(input);
+    return ranking.length > 0 ? ranking : this.rankByKeywords(input);
+  }
+
+  rankByPatterns(input) {
+    const scored = [];
+
     for (const [intentName, intentData] of Object.entries(this.intents)) {
-      for (const pattern of intentData.patterns) {
-        if (pattern.test(input)) {
-          return intentName;
+      const patterns = [...intentData.patterns, ...(this.getLocaleBlock(intentName)?.patterns || [])];
+      let score = 0;
+      for (const pattern of patterns) {
+        const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+        for (const match of input.matchAll(new RegExp(pattern.source, flags))) {
+          score += match.index === 0 ? 1 + LEADING_MATCH_BONUS : 1;
         }
       }
+      if (score > 0) {
+        scored.push({ intent: intentName, score: score * (intentData.weight ?? 1) });
+      }
+    }
+
+    return this.normalizeScores(scored);
+  }
+
+  /**
+   * Match normalised, stemmed message words against each intent's keywords
+   * by edit distance, so that "dockr" or "deplyoment" still find an intent.
+   * Each word counts once, towards its most similar keyword. Keywords of
+   * every language apply: a misspelled message often gives no language hint.
+   */
+  rankByKeywords(input) {
+    const tokens = tokenize(input);
+    const scored = [];
+
+    for (const [intentName, intentData] of Object.entries(this.intents)) {
+      const keywords = [
+        ...intentData.keywords,
+        ...Object.values(intentData.locales || {}).flatMap((block) => block.keywords),
+      ];
+      let score = 0;
+      for (const token of tokens) {
+        const best = Math.max(0, ...keywords.map((keyword) => matchKeyword(token, keyword)));
+        if (best >= this.fuzzyThreshold) {
+          score += best;
+        }
+      }
+      if (score > 0) {
+        scored.push({ intent: intentName, score: score * (intentData.weight ?? 1) });
+      }
+    }
+
+    return this.normalizeScores(scored).map((entry) => ({ ...entry, fuzzy: true }));
+  }
+
+  normalizeScores(scored) {
+    const total = scored.reduce((sum, entry) => sum + entry.score, 0);
+    return scored
+      .map(({ intent, score }) => ({ intent, confidence: Math.round((score / total) * 1000) / 1000 }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Interpret a reply to a clarifying question. Accepts "1"/"2",
+   * "first"/"second" (in any supported language), or a message that
+   * matches one of the candidates.
+   */
+  resolveClarification(input) {
+    const candidates = this.context.pendingClarification;
+    if (!candidates || !candidates.every((name) => this.intents[name])) {
+      return null;
+    }
+
+    const choice = input.match(CHOICE_PATTERN);
+    if (choice) {
+      const index = FIRST_CHOICE_PATTERN.test(choice[1]) ? 0 : 1;
+      return [{ intent: candidates[index], confidence: 1 }];
+    }
+
+    const ranking = this.rankIntents(input).filter((entry) => candidates.includes(entry.intent));
+    if (ranking.length > 0) {
+      return [{ intent: ranking[0].intent, confidence: 1 }];
     }
     return null;
   }
 
   /**
-   * Get response for detected intent
+   * Ask the user to pick between two similarly scored intents
+   */
+  getClarificationResponse(candidates) {
+    const [first, second] = candidates.map(
+      (name) => this.getLocaleBlock(name)?.label || this.intents[name].label || name
+    );
+    return translate(this.locale, 'clarification.question', { first, second });
+  }
+
+  /**
+   * Get response for detected intent, in the conversation language when the
+   * intent has a translation and in English otherwise. A variant that
+   * rendered `avoid` (a reply being regenerated) is only picked when there
+   * is no other.
    */
-  getResponse(intent) {
+  getResponse(intent, slots = {}, avoid = undefined) {
     const intentData = this.intents[intent];
     if (!intentData || !intentData.responses) {
       return this.getDefaultResponse();
     }
 
+    const pickList = (responses) => (intentData.responseKey ? responses?.[slots[intentData.responseKey]] : responses);
+    const responses = pickList(this.getLocaleBlock(intent)?.responses) || pickList(intentData.responses);
+    if (!responses || responses.length === 0) {
+      return this.getDefaultResponse();
+    }
+
     // Randomly select a response variant
-    const responses = intentData.responses;
-    const response = responses[Math.floor(Math.random() * responses.length)];
-    
-    return response;
+    const rendered = responses.map((response) => this.renderResponse(response, intent, slots));
+    const fresh = avoid === undefined ? rendered : rendered.filter((text) => !avoid.startsWith(text));
+    const choices = fresh.length > 0 ? fresh : rendered;
+    return choices[Math.floor(Math.random() * choices.length)];
   }
 
   /**
    * Intelligent fallback when no intent is detected
    */
   getIntelligentFallback(input) {
-    const keywords = {
-      question: ['what', 'how', 'why', 'when', 'where', 'who', '?'],
-      technical: ['api', 'database', 'server', 'config', 'setup'],
-      action: ['create', 'make', 'build', 'generate', 'show', 'explain'],
-    };
+    const keywords = FALLBACK_KEYWORDS[this.locale] || FALLBACK_KEYWORDS[DEFAULT_LOCALE];
+    const text = input.toLowerCase();
 
     let responseType = 'general';
     
-    if (keywords.question.some(kw => input.toLowerCase().includes(kw))) {
+    if (keywords.question.some(kw => text.includes(kw))) {
       responseType = 'question';
-    } else if (keywords.technical.some(kw => input.toLowerCase().includes(kw))) {
+    } else if (keywords.technical.some(kw => text.includes(kw))) {
       responseType = 'technical';
-    } else if (keywords.action.some(kw => input.toLowerCase().includes(kw))) {
+    } else if (keywords.action.some(kw => text.includes(kw))) {
       responseType = 'action';
     }
 
-    const fallbacks = {
-      question: `🤔 Great question! I'm still learning about "${input}". 
-
-Try asking about:
-• Deployment ("How do I deploy?")
-• Code generation ("Create a REST API")
-• Docker ("Help with Docker")
-• Mobile optimization ("Mobile best practices")`,
-      
-      technical: `🔧 I can help with technical tasks!
-
-For "${input}", try being more specific:
-• "Deploy with Docker"
-• "Create API endpoint"
-• "Set up database connection"
-• "Configure CI/CD pipeline"`,
-      
-      action: `⚡ I'm ready to help you with that!
-
-To better assist with "${input}", please provide more details:
-• What type of application?
-• What features do you need?
-• Any specific requirements?`,
-      
-      general: `💭 I understand you mentioned "${input}".
-
-I can help you with:
-• Deploying applications 🚀
-• Generating code 💻
-• Docker configuration 🐳
-• Mobile optimization 📱
-• AI integration 🧠
-
-Type "help" to see all my capabilities!`,
-    };
-
-    return fallbacks[responseType];
+    return translate(this.locale, `fallback.${responseType}`, { input });
   }
 
   /**
    * Get default/welcome response
    */
   getDefaultResponse() {
-    return `👋 Welcome to EXPLORABOT!
-
-I'm your AI assistant for building and deploying applications **without writing code**.
-
-**Try saying:**
-• "Help me deploy an app"
-• "Create a REST API"
-• "Show me Docker commands"
-• "Mobile optimization tips"
-
-Just describe what you need in plain English! 🚀`;
+    return translate(this.locale, 'default.welcome');
   }
 
   /**
@@ -296,14 +1145,30 @@ Just describe what you need in plain English! 🚀`;
   }
 
   /**
-   * Clear conversation context
+   * Get the project plan, or null when the user has not asked for one
+   */
+  getPlan() {
+    return this.context.plan;
+  }
+
+  /**
+   * Clear conversation context. Tokens spent stay counted, as in rewind(),
+   * so that a reset does not renew the LLM token budget.
    */
   clearContext() {
     this.context = {
       lastIntent: null,
+      pendingClarification: null,
+      dialog: null,
+      plan: null,
+      locale: null,
+      fixedLocale: null,
+      tokensUsed: this.context.tokensUsed,
       conversationHistory: [],
     };
+    this.checkpoints.clear();
   }
 }
 
 module.exports = NLPProcessor;
+module.exports.ENTITIES = ENTITIES;
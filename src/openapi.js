@@ -0,0 +1,121 @@
+/**
+ * OpenAPI Document for EXPLORABOT
+ * Builds an OpenAPI 3.1 description of the HTTP API from the router's
+ * routes, so the published document cannot drift from what is served.
+ *
+ * A route spec (the optional first item of router.add) may give
+ *   summary, description, tags, operationId
+ *   params    - { name: schema } for path parameters (strings by default)
+ *   query     - an object schema of the query string ({ properties, required })
+ *   headers   - { "X-Name": schema } request headers
+ *   body      - the JSON request body's schema
+ *   responses - { status: { description, schema, contentType } }; contentType
+ *               defaults to application/json
+ *   scope     - the API key scope the route requires, listed as the role
+ *               for every security scheme
+ * Every operation also documents the error envelope as its default response.
+ */
+
+const DEFAULT_CONTENT_TYPE = 'application/json';
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: { [DEFAULT_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+};
+
+/**
+ * "/api/artifacts/:id" as an OpenAPI path, "/api/artifacts/{id}"
+ */
+function toOpenAPIPath(pattern) {
+  return pattern.replace(/:([^/]+)/g, '{$1}');
+}
+
+/**
+ * "getApiArtifactsById" for GET /api/artifacts/:id (and "getRoot" for GET /),
+ * when the spec has no operationId
+ */
+function deriveOperationId(method, pattern) {
+  const segments = pattern.split('/').filter(Boolean).map((segment) => (
+    segment.startsWith(':') ? `by-${segment.slice(1)}` : segment
+  ));
+  const words = segments.join('-').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return [method.toLowerCase(), ...(words.length > 0 ? words : ['root'])]
+    .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+function buildParameters(route) {
+  const { spec } = route;
+  const parameters = route.names.map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: spec.params?.[name] || { type: 'string' },
+  }));
+  const required = spec.query?.required || [];
+  for (const [name, schema] of Object.entries(spec.query?.properties || {})) {
+    parameters.push({ name, in: 'query', required: required.includes(name), schema });
+  }
+  for (const [name, schema] of Object.entries(spec.headers || {})) {
+    parameters.push({ name, in: 'header', required: false, schema });
+  }
+  return parameters;
+}
+
+function buildResponses(spec) {
+  const responses = {};
+  for (const [status, response] of Object.entries(spec.responses || { 200: { description: 'OK' } })) {
+    const contentType = response.contentType || DEFAULT_CONTENT_TYPE;
+    const schema = response.schema || (contentType === DEFAULT_CONTENT_TYPE ? null : { type: 'string' });
+    responses[status] = {
+      description: response.description || 'OK',
+      ...(schema ? { content: { [contentType]: { schema } } } : {}),
+    };
+  }
+  responses.default = ERROR_RESPONSE;
+  return responses;
+}
+
+function buildOperation(route, securitySchemes) {
+  const { spec } = route;
+  const parameters = buildParameters(route);
+  const security = spec.scope ? Object.keys(securitySchemes).map((name) => ({ [name]: [spec.scope] })) : [];
+  return {
+    operationId: spec.operationId || deriveOperationId(route.method, route.pattern),
+    ...(spec.summary ? { summary: spec.summary } : {}),
+    ...(spec.description ? { description: spec.description } : {}),
+    ...(spec.tags ? { tags: spec.tags } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(spec.body ? {
+      requestBody: { required: true, content: { [DEFAULT_CONTENT_TYPE]: { schema: spec.body } } },
+    } : {}),
+    ...(security.length > 0 ? { security } : {}),
+    responses: buildResponses(spec),
+  };
+}
+
+/**
+ * The OpenAPI document for a router's routes. `info` is { title, version,
+ * description }; `schemas` are the components that specs $ref, and
+ * `securitySchemes` the ways a client can present a key.
+ */
+function buildOpenAPIDocument(routes, { info, schemas = {}, securitySchemes = {}, servers } = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const openAPIPath = toOpenAPIPath(route.pattern);
+    paths[openAPIPath] = paths[openAPIPath] || {};
+    paths[openAPIPath][route.method.toLowerCase()] = buildOperation(route, securitySchemes);
+  }
+  return {
+    openapi: '3.1.0',
+    info,
+    ...(servers ? { servers } : {}),
+    paths,
+    components: { schemas, securitySchemes },
+  };
+}
+
+module.exports = {
+  buildOpenAPIDocument,
+  toOpenAPIPath,
+  deriveOperationId,
+};
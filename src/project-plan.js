@@ -0,0 +1,97 @@
+/**
+ * Project Plan for EXPLORABOT
+ * Breaks a goal such as "build and deploy a todo app" into the checklist
+ * the bot can walk a user through, and ticks steps off as the intents that
+ * do them complete. Plans are plain data kept in the conversation context:
+ *   { goal, createdAt, updatedAt, steps: [{ id, intents, done, completedAt }] }
+ * Step names and hints are i18n messages (plan.step.<id>, plan.hint.<id>).
+ */
+
+const { translate } = require('./i18n');
+
+// In the order they are usually done; any intent in `intents` completes the step
+const PLAN_STEPS = [
+  { id: 'scaffold', intents: ['code'] },
+  { id: 'env', intents: ['env'] },
+  { id: 'docker', intents: ['docker'] },
+  { id: 'ci', intents: ['ci'] },
+  { id: 'deploy', intents: ['deploy', 'railway'] },
+];
+
+/**
+ * A new plan with every step still to do
+ */
+function createPlan(goal, now = Date.now()) {
+  const timestamp = new Date(now).toISOString();
+  return {
+    goal: goal || null,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    steps: PLAN_STEPS.map(({ id, intents }) => ({ id, intents: [...intents], done: false, completedAt: null })),
+  };
+}
+
+/**
+ * Mark the steps an intent completes as done. Returns the steps that were
+ * newly completed (none when the plan has no such step or it was done).
+ */
+function completeSteps(plan, intent, now = Date.now()) {
+  if (!plan) {
+    return [];
+  }
+  const completed = plan.steps.filter((step) => !step.done && step.intents.includes(intent));
+  const timestamp = new Date(now).toISOString();
+  for (const step of completed) {
+    step.done = true;
+    step.completedAt = timestamp;
+  }
+  if (completed.length > 0) {
+    plan.updatedAt = timestamp;
+  }
+  return completed;
+}
+
+/**
+ * The first step not done yet, or null when the plan is finished
+ */
+function nextStep(plan) {
+  return plan.steps.find((step) => !step.done) || null;
+}
+
+/**
+ * Counts for progress displays: { completed, total, percent }
+ */
+function getProgress(plan) {
+  const completed = plan.steps.filter((step) => step.done).length;
+  return { completed, total: plan.steps.length, percent: Math.round((completed / plan.steps.length) * 100) };
+}
+
+/**
+ * A plan as reported to API clients, with step names in the given language
+ */
+function describePlan(plan, locale) {
+  const next = nextStep(plan);
+  return {
+    goal: plan.goal,
+    createdAt: plan.createdAt,
+    updatedAt: plan.updatedAt,
+    progress: getProgress(plan),
+    next: next ? next.id : null,
+    steps: plan.steps.map((step) => ({
+      id: step.id,
+      label: translate(locale, `plan.step.${step.id}`),
+      done: step.done,
+      completedAt: step.completedAt,
+      intents: step.intents,
+    })),
+  };
+}
+
+module.exports = {
+  PLAN_STEPS,
+  createPlan,
+  completeSteps,
+  nextStep,
+  getProgress,
+  describePlan,
+};
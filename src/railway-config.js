@@ -0,0 +1,231 @@
+/**
+ * Railway Config for EXPLORABOT
+ * Generates railway.json and railway.toml in the shape of this repository's
+ * own files, and checks pasted configs for the settings a reliable deploy
+ * needs: a start command, a health check path and a restart policy
+ *
+ * Problems are reported as { code, section, key, value, misspelled, fix },
+ * where `code` names an i18n message (railway.problem.<code>) and `fix` is
+ * the suggested value for `section.key` (undefined when there is none).
+ */
+
+const { parseToml, stringifyToml } = require('./toml');
+const { similarity } = require('./text-matching');
+
+const SCHEMA_URL = 'https://railway.com/railway.schema.json';
+const BUILDERS = ['NIXPACKS', 'RAILPACK', 'DOCKERFILE'];
+const RESTART_POLICIES = ['ON_FAILURE', 'ALWAYS', 'NEVER'];
+const DEFAULT_START_COMMAND = 'npm start';
+const DEFAULT_HEALTHCHECK_PATH = '/health';
+const DEFAULT_HEALTHCHECK_TIMEOUT = 100;
+const DEFAULT_MAX_RETRIES = 10;
+// Similarity (0-1) above which an unknown key is taken for a misspelling
+const KEY_SUGGESTION_THRESHOLD = 0.7;
+
+const KNOWN_SECTIONS = ['$schema', 'build', 'deploy', 'environments'];
+const KNOWN_KEYS = {
+  build: [
+    'builder', 'dockerfilePath', 'buildCommand', 'watchPatterns', 'buildEnvironment',
+    'nixpacksConfigPath', 'nixpacksPlan', 'nixpacksVersion', 'railpackVersion',
+  ],
+  deploy: [
+    'startCommand', 'preDeployCommand', 'healthcheckPath', 'healthcheckTimeout',
+    'restartPolicyType', 'restartPolicyMaxRetries', 'numReplicas', 'multiRegionConfig',
+    'region', 'sleepApplication', 'cronSchedule', 'overlapSeconds', 'drainingSeconds',
+    'runtime', 'limitOverride', 'requiredMountPath', 'ipv6EgressEnabled',
+  ],
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Builder names are upper case in railway.json and lower case in
+ * railway.toml, as in this repository's files
+ */
+function builderValue(builder, format) {
+  return format === 'toml' ? builder.toLowerCase() : builder.toUpperCase();
+}
+
+/**
+ * Build a config for an app. Options:
+ *   builder           - "dockerfile" or "nixpacks"
+ *   startCommand      - command that starts the app (optional with a Dockerfile)
+ *   healthcheckPath   - path Railway polls after a deploy ("" for none)
+ *   restartPolicyType - ON_FAILURE, ALWAYS or NEVER
+ */
+function generateRailwayConfig(options, format) {
+  const dockerfile = options.builder === 'dockerfile';
+  const restartPolicyType = options.restartPolicyType || 'ON_FAILURE';
+
+  const config = {
+    ...(format === 'json' ? { $schema: SCHEMA_URL } : {}),
+    build: {
+      builder: builderValue(dockerfile ? 'DOCKERFILE' : 'NIXPACKS', format),
+      ...(dockerfile ? { dockerfilePath: 'Dockerfile' } : {}),
+    },
+    deploy: {
+      ...(options.startCommand ? { startCommand: options.startCommand } : {}),
+      ...(options.healthcheckPath
+        ? { healthcheckPath: options.healthcheckPath, healthcheckTimeout: DEFAULT_HEALTHCHECK_TIMEOUT }
+        : {}),
+      restartPolicyType,
+      ...(restartPolicyType === 'ON_FAILURE' ? { restartPolicyMaxRetries: DEFAULT_MAX_RETRIES } : {}),
+    },
+  };
+  return formatRailwayConfig(config, format);
+}
+
+function formatRailwayConfig(config, format) {
+  return format === 'toml' ? stringifyToml(config) : `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Parse a pasted railway.json or railway.toml, telling them apart by the
+ * leading "{". Throws with a readable message when the text is malformed.
+ */
+function parseRailwayConfig(text) {
+  const format = text.trim().startsWith('{') ? 'json' : 'toml';
+  const config = format === 'json' ? JSON.parse(text) : parseToml(text);
+  if (!isObject(config)) {
+    throw new Error('the config must be an object');
+  }
+  return { format, config };
+}
+
+/**
+ * The known key a misspelled key most likely meant, if any
+ */
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestScore = KEY_SUGGESTION_THRESHOLD;
+  for (const candidate of knownKeys) {
+    const score = similarity(key.toLowerCase(), candidate.toLowerCase());
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Check a parsed config. Returns the problems found and a copy of the
+ * config with every suggested fix applied.
+ */
+function validateRailwayConfig(config, format) {
+  const fixed = JSON.parse(JSON.stringify(config));
+  const problems = [];
+  const report = (code, section, key, details = {}) => {
+    problems.push({ code, section, key, ...details });
+    if (details.fix !== undefined) {
+      fixed[section] = isObject(fixed[section]) ? fixed[section] : {};
+      fixed[section][key] = details.fix;
+    }
+  };
+
+  for (const section of Object.keys(config)) {
+    if (!KNOWN_SECTIONS.includes(section)) {
+      report('unknownSection', section, null);
+    }
+  }
+
+  // Misspelled keys first, so that "healthCheckPath" is reported as a typo
+  // rather than as a missing health check
+  for (const section of Object.keys(KNOWN_KEYS)) {
+    if (!isObject(fixed[section])) {
+      fixed[section] = {};
+      continue;
+    }
+    for (const key of Object.keys(fixed[section])) {
+      if (KNOWN_KEYS[section].includes(key)) {
+        continue;
+      }
+      const suggestion = suggestKey(key, KNOWN_KEYS[section]);
+      if (suggestion && fixed[section][suggestion] === undefined) {
+        // Rename in place, keeping the order of the pasted file
+        const value = fixed[section][key];
+        fixed[section] = Object.fromEntries(
+          Object.entries(fixed[section]).map(([name, entry]) => [name === key ? suggestion : name, entry])
+        );
+        report('misspelledKey', section, suggestion, { misspelled: key, fix: value });
+      } else {
+        report('unknownKey', section, key);
+      }
+    }
+  }
+
+  const { build, deploy } = fixed;
+
+  if (build.builder !== undefined && !BUILDERS.includes(String(build.builder).toUpperCase())) {
+    const fallback = build.dockerfilePath ? 'DOCKERFILE' : 'NIXPACKS';
+    report('builder', 'build', 'builder', { value: build.builder, fix: builderValue(fallback, format) });
+  }
+
+  // With a Dockerfile the image's CMD starts the app; other builders guess
+  const usesDockerfile = build.builder !== undefined
+    ? String(build.builder).toUpperCase() === 'DOCKERFILE'
+    : build.dockerfilePath !== undefined;
+  if (!usesDockerfile && !isNonEmptyString(deploy.startCommand)) {
+    report('startCommand', 'deploy', 'startCommand', { fix: DEFAULT_START_COMMAND });
+  }
+
+  if (deploy.healthcheckPath === undefined) {
+    report('healthcheckMissing', 'deploy', 'healthcheckPath', { fix: DEFAULT_HEALTHCHECK_PATH });
+  } else if (!isNonEmptyString(deploy.healthcheckPath) || !deploy.healthcheckPath.startsWith('/')) {
+    const path = isNonEmptyString(deploy.healthcheckPath) ? `/${deploy.healthcheckPath.trim()}` : DEFAULT_HEALTHCHECK_PATH;
+    report('healthcheckPath', 'deploy', 'healthcheckPath', { value: deploy.healthcheckPath, fix: path });
+  }
+  if (deploy.healthcheckTimeout !== undefined && !(isWholeNumber(deploy.healthcheckTimeout) && deploy.healthcheckTimeout > 0)) {
+    report('healthcheckTimeout', 'deploy', 'healthcheckTimeout', { value: deploy.healthcheckTimeout, fix: DEFAULT_HEALTHCHECK_TIMEOUT });
+  }
+
+  if (deploy.restartPolicyType === undefined) {
+    report('restartMissing', 'deploy', 'restartPolicyType', { fix: 'ON_FAILURE' });
+  } else if (!RESTART_POLICIES.includes(deploy.restartPolicyType)) {
+    const upper = String(deploy.restartPolicyType).toUpperCase().replace(/[\s-]+/g, '_');
+    report('restartPolicy', 'deploy', 'restartPolicyType', {
+      value: deploy.restartPolicyType,
+      fix: RESTART_POLICIES.includes(upper) ? upper : 'ON_FAILURE',
+    });
+  }
+  if (deploy.restartPolicyMaxRetries !== undefined && !isWholeNumber(deploy.restartPolicyMaxRetries)) {
+    report('maxRetries', 'deploy', 'restartPolicyMaxRetries', { value: deploy.restartPolicyMaxRetries, fix: DEFAULT_MAX_RETRIES });
+  }
+
+  // A key can be fixed twice (renamed, then given a valid value); every
+  // problem suggests the final value
+  for (const problem of problems) {
+    if (problem.fix !== undefined) {
+      problem.fix = fixed[problem.section][problem.key];
+    }
+  }
+
+  // Sections that were only created to hold fixes stay out of the output
+  for (const section of Object.keys(KNOWN_KEYS)) {
+    if (config[section] === undefined && Object.keys(fixed[section]).length === 0) {
+      delete fixed[section];
+    }
+  }
+
+  return { problems, fixed };
+}
+
+/**
+ * A suggested fix as it would be written in the config file
+ */
+function formatFix(problem, format) {
+  const value = JSON.stringify(problem.fix);
+  return format === 'toml'
+    ? `[${problem.section}] ${problem.key} = ${value}`
+    : `"${problem.section}": { "${problem.key}": ${value} }`;
+}
+
+module.exports = {
+  generateRailwayConfig,
+  formatRailwayConfig,
+  parseRailwayConfig,
+  validateRailwayConfig,
+  formatFix,
+};
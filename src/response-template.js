@@ -0,0 +1,175 @@
+/**
+ * Response Templates for EXPLORABOT
+ * A small template language for intent responses, rendered with live
+ * values (uptime, request counts, slot values, ...) each time a reply is sent
+ *
+ * Syntax:
+ *   {{name}}                       - value of a variable ("" when missing)
+ *   {{metrics.requestCount}}       - nested value
+ *   {{uptime | duration}}          - value passed through a filter
+ *   {{appName | default: "my-app"}}
+ *   {{#if healthy}}...{{else}}...{{/if}}
+ *   {{#unless name}}...{{/unless}}
+ *   {{#if slots.platform | eq: "docker"}}...{{/if}}
+ *   {{volumes | list: "  - "}}    - one line per array item
+ *   {{versions | join: ", "}}      - array items on one line
+ *   \{{ matrix.os }}               - a literal "{{" (e.g. GitHub Actions expressions)
+ */
+
+const TAG_PATTERN = /\\\{\{|\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const FILTER_PATTERN = /^(\w+)(?:\s*:\s*(?:"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)))?$/;
+
+/**
+ * Raised when a template cannot be parsed
+ */
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+const FILTERS = {
+  // Seconds as "2h 5m 3s"
+  duration: (value) => {
+    let seconds = Math.max(0, Math.floor(Number(value) || 0));
+    const parts = [];
+    for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+      if (seconds >= size) {
+        parts.push(`${Math.floor(seconds / size)}${unit}`);
+        seconds %= size;
+      }
+    }
+    if (seconds > 0 || parts.length === 0) {
+      parts.push(`${seconds}s`);
+    }
+    return parts.join(' ');
+  },
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  // For conditions: {{#if slots.platform | eq: "docker"}}
+  eq: (value, expected) => value === expected,
+  // One line per array item, each starting with the prefix (e.g. YAML list items)
+  list: (value, prefix = '') => (Array.isArray(value) ? value : [value]).map((item) => `${prefix}${item}`).join('\n'),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value : [value]).join(separator),
+};
+
+function parseExpression(expression) {
+  const [path, ...filterParts] = expression.split('|').map((part) => part.trim());
+  if (!PATH_PATTERN.test(path)) {
+    throw new TemplateSyntaxError(`invalid variable name "${path}"`);
+  }
+
+  const filters = filterParts.map((part) => {
+    const match = part.match(FILTER_PATTERN);
+    if (!match || !FILTERS[match[1]]) {
+      throw new TemplateSyntaxError(`unknown filter "${part}" (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    const [, name, doubleQuoted, singleQuoted, number] = match;
+    const argument = doubleQuoted ?? singleQuoted ?? (number !== undefined ? Number(number) : undefined);
+    return { name, argument };
+  });
+
+  return { path: path.split('.'), filters };
+}
+
+/**
+ * Parse a template into a tree of text, variable and conditional nodes.
+ * Throws TemplateSyntaxError on malformed tags.
+ */
+function compileTemplate(source) {
+  const root = { nodes: [] };
+  // Open blocks; new nodes go to the `target` list of the innermost one
+  const stack = [{ block: root, target: root.nodes }];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text.length > 0) {
+      current().target.push({ type: 'text', text });
+    }
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    const [tag, sigil, body] = match;
+
+    if (tag === '\\{{') {
+      pushText('{{');
+      continue;
+    }
+
+    if (sigil === '#') {
+      const [, keyword, expression] = body.match(/^(\w+)\s*(.*)$/) || [];
+      if (keyword !== 'if' && keyword !== 'unless') {
+        throw new TemplateSyntaxError(`unknown block "{{#${body}}}"`);
+      }
+      const block = { type: 'block', keyword, ...parseExpression(expression), then: [], otherwise: [] };
+      current().target.push(block);
+      stack.push({ block, target: block.then });
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current().block.keyword !== body) {
+        throw new TemplateSyntaxError(`unexpected "{{/${body}}}"`);
+      }
+      stack.pop();
+    } else if (body === 'else') {
+      const { block, target } = current();
+      if (stack.length === 1 || target === block.otherwise) {
+        throw new TemplateSyntaxError('unexpected "{{else}}"');
+      }
+      current().target = block.otherwise;
+    } else {
+      current().target.push({ type: 'variable', ...parseExpression(body) });
+    }
+  }
+  pushText(source.slice(lastIndex));
+
+  if (stack.length > 1) {
+    throw new TemplateSyntaxError(`missing "{{/${current().block.keyword}}}"`);
+  }
+  return { source, nodes: root.nodes };
+}
+
+function lookup(variables, path) {
+  return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+}
+
+function evaluate(node, variables) {
+  return node.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, filter.argument),
+    lookup(variables, node.path)
+  );
+}
+
+function renderNodes(nodes, variables) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+    if (node.type === 'variable') {
+      const value = evaluate(node, variables);
+      return value === undefined || value === null ? '' : String(value);
+    }
+    const value = evaluate(node, variables);
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return renderNodes(truthy !== (node.keyword === 'unless') ? node.then : node.otherwise, variables);
+  }).join('');
+}
+
+/**
+ * Render a compiled template (or a template string) with the given variables
+ */
+function renderTemplate(template, variables = {}) {
+  const compiled = typeof template === 'string' ? compileTemplate(template) : template;
+  return renderNodes(compiled.nodes, variables);
+}
+
+module.exports = {
+  TemplateSyntaxError,
+  FILTERS,
+  compileTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,179 @@
+/**
+ * Router for EXPLORABOT
+ * Matches HTTP requests by method and path pattern ("/api/artifacts/:id")
+ * and runs them through a chain of middleware before the route's handler.
+ *
+ * Middleware and handlers are called as fn(req, res, ctx, next), where ctx is
+ *   requestId - id for tracing (given to `handle`)
+ *   path      - the URL path, without the query string
+ *   query     - the parsed query string (URLSearchParams)
+ *   params    - decoded path parameters, e.g. { id: "art_..." }
+ *   route     - the pattern of the matched route
+ *   spec      - the matched route's spec (see `add`), or {}
+ * and may gain more (e.g. `body`) from middleware. Middleware either calls
+ * `next()` (and may await it) or sends a response itself to stop the chain.
+ * Functions may be async; errors thrown go to the router's `onError`.
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Turn "/api/artifacts/:id" into a regular expression and parameter names
+ */
+function compilePath(pattern) {
+  if (!pattern.startsWith('/')) {
+    throw new Error(`Route pattern must start with "/": ${pattern}`);
+  }
+  const names = [];
+  const source = pattern.split('/').map((segment) => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escapes are passed on as they are
+    return value;
+  }
+}
+
+class Router {
+  /**
+   * Options (each called with (req, res, ctx)):
+   *   onNotFound         - no route matches the path
+   *   onMethodNotAllowed - routes match the path but not the method; ctx.allowed
+   *                        lists the methods that would
+   *   onError            - a middleware or handler threw; ctx.error is the error
+   */
+  constructor(options = {}) {
+    this.routes = [];
+    this.middleware = [];
+    this.onNotFound = options.onNotFound || ((req, res) => {
+      res.writeHead(404);
+      res.end();
+    });
+    this.onMethodNotAllowed = options.onMethodNotAllowed || ((req, res, ctx) => {
+      res.writeHead(405, { Allow: ctx.allowed.join(', ') });
+      res.end();
+    });
+    this.onError = options.onError || ((req, res) => {
+      res.writeHead(500);
+      res.end();
+    });
+  }
+
+  /**
+   * Add middleware that runs for every request, in the order added
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Add a route. The last function handles the request; any before it are
+   * middleware for this route only (e.g. body parsing). A plain object may
+   * come first: the route's spec, describing it for validation and the API
+   * document (summary, query, headers, body, responses...).
+   */
+  add(method, pattern, ...handlers) {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unsupported method ${method} for ${pattern}`);
+    }
+    const spec = typeof handlers[0] === 'object' && handlers[0] !== null ? handlers.shift() : {};
+    if (handlers.length === 0 || !handlers.every((handler) => typeof handler === 'function')) {
+      throw new Error(`Route ${method} ${pattern} needs a handler function`);
+    }
+    this.routes.push({ method, pattern, ...compilePath(pattern), spec, handlers });
+    return this;
+  }
+
+  get(pattern, ...handlers) {
+    return this.add('GET', pattern, ...handlers);
+  }
+
+  post(pattern, ...handlers) {
+    return this.add('POST', pattern, ...handlers);
+  }
+
+  put(pattern, ...handlers) {
+    return this.add('PUT', pattern, ...handlers);
+  }
+
+  patch(pattern, ...handlers) {
+    return this.add('PATCH', pattern, ...handlers);
+  }
+
+  delete(pattern, ...handlers) {
+    return this.add('DELETE', pattern, ...handlers);
+  }
+
+  /**
+   * Find the route for a request. Returns { route, params } on a match,
+   * otherwise { allowed } with the methods the path does support (empty
+   * when no route has the path). GET routes also answer HEAD.
+   */
+  match(method, path) {
+    const allowed = [];
+    for (const route of this.routes) {
+      const found = path.match(route.regex);
+      if (!found) {
+        continue;
+      }
+      if (route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeParam(found[index + 1])]));
+        return { route, params };
+      }
+      allowed.push(route.method);
+    }
+    if (allowed.includes('GET')) {
+      allowed.push('HEAD');
+    }
+    return { allowed: [...new Set(allowed)] };
+  }
+
+  /**
+   * Route a request: global middleware first, then the route's own chain
+   * (or the not-found / method-not-allowed handler)
+   */
+  async handle(req, res, context = {}) {
+    const url = new URL(req.url, 'http://localhost');
+    const ctx = { ...context, path: url.pathname, query: url.searchParams, params: {}, route: null, spec: {} };
+
+    const { route, params, allowed } = this.match(req.method, ctx.path);
+    let endpoint;
+    if (route) {
+      Object.assign(ctx, { params, route: route.pattern, spec: route.spec });
+      endpoint = route.handlers;
+    } else if (allowed.length > 0) {
+      ctx.allowed = allowed;
+      endpoint = [this.onMethodNotAllowed];
+    } else {
+      endpoint = [this.onNotFound];
+    }
+
+    const chain = [...this.middleware, ...endpoint];
+    const dispatch = async (index) => {
+      if (index < chain.length) {
+        await chain[index](req, res, ctx, () => dispatch(index + 1));
+      }
+    };
+
+    try {
+      await dispatch(0);
+    } catch (error) {
+      ctx.error = error;
+      await this.onError(req, res, ctx);
+    }
+  }
+}
+
+module.exports = Router;
+module.exports.compilePath = compilePath;
@@ -0,0 +1,144 @@
+/**
+ * Scaffolder for EXPLORABOT
+ * Renders project templates from src/scaffolds/ into files
+ *
+ * Each template is a directory with:
+ *   scaffold.json  - { label, description }
+ *   files/         - the project files; contents and paths are response
+ *                    templates (see response-template.js), and a leading
+ *                    "_" in a file name becomes "." (e.g. _gitignore)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileTemplate, renderTemplate } = require('./response-template');
+
+const DEFAULT_SCAFFOLDS_DIR = path.join(__dirname, 'scaffolds');
+const EXECUTABLE_EXTENSIONS = new Set(['.sh']);
+
+/**
+ * List the files below a directory, relative to it, in sorted order
+ */
+function listFiles(directory, prefix = '') {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory()
+        ? listFiles(path.join(directory, entry.name), relativePath)
+        : [relativePath];
+    });
+}
+
+/**
+ * Draw a list of file paths as a tree:
+ *
+ *   my-app/
+ *   ├── README.md
+ *   └── src/
+ *       └── server.js
+ */
+function formatFileTree(rootName, filePaths) {
+  const root = {};
+  for (const filePath of filePaths) {
+    let node = root;
+    for (const part of filePath.split('/')) {
+      node[part] = node[part] || {};
+      node = node[part];
+    }
+  }
+
+  const lines = [`${rootName}/`];
+  const walk = (node, indent) => {
+    const names = Object.keys(node).sort((a, b) => {
+      // Directories first, then files, each alphabetically
+      const aIsDir = Object.keys(node[a]).length > 0;
+      const bIsDir = Object.keys(node[b]).length > 0;
+      return aIsDir === bIsDir ? a.localeCompare(b) : (aIsDir ? -1 : 1);
+    });
+    names.forEach((name, index) => {
+      const isLast = index === names.length - 1;
+      const isDir = Object.keys(node[name]).length > 0;
+      lines.push(`${indent}${isLast ? '└── ' : '├── '}${name}${isDir ? '/' : ''}`);
+      if (isDir) {
+        walk(node[name], `${indent}${isLast ? '    ' : '│   '}`);
+      }
+    });
+  };
+  walk(root, '');
+  return lines.join('\n');
+}
+
+class Scaffolder {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_SCAFFOLDS_DIR;
+    this.templates = {};
+  }
+
+  /**
+   * Read and compile every template. Template syntax errors are thrown
+   * with the offending file in the message.
+   */
+  load() {
+    const templates = {};
+    const names = fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+
+    for (const name of names) {
+      const templateDir = path.join(this.directory, name);
+      const metadata = JSON.parse(fs.readFileSync(path.join(templateDir, 'scaffold.json'), 'utf8'));
+      const filesDir = path.join(templateDir, 'files');
+
+      const files = listFiles(filesDir).map((relativePath) => {
+        const outputPath = relativePath.split('/').map((part) => part.replace(/^_/, '.')).join('/');
+        try {
+          return {
+            path: compileTemplate(outputPath),
+            content: compileTemplate(fs.readFileSync(path.join(filesDir, relativePath), 'utf8')),
+            mode: EXECUTABLE_EXTENSIONS.has(path.extname(relativePath)) ? 0o755 : 0o644,
+          };
+        } catch (error) {
+          error.message = `${name}/files/${relativePath}: ${error.message}`;
+          throw error;
+        }
+      });
+
+      templates[name] = {
+        name,
+        label: metadata.label || name,
+        description: metadata.description || '',
+        files,
+      };
+    }
+
+    this.templates = templates;
+    return this;
+  }
+
+  /**
+   * Render a template with the given variables. Files that render empty
+   * (e.g. wrapped in an {{#if}} that does not apply) are left out.
+   */
+  render(name, variables) {
+    const template = this.templates[name];
+    if (!template) {
+      throw new Error(`Unknown scaffold template "${name}"`);
+    }
+
+    const files = template.files
+      .map((file) => ({
+        path: renderTemplate(file.path, variables),
+        content: renderTemplate(file.content, variables),
+        mode: file.mode,
+      }))
+      .filter((file) => file.content.trim().length > 0);
+
+    return { template, files };
+  }
+}
+
+module.exports = Scaffolder;
+module.exports.formatFileTree = formatFileTree;
+module.exports.DEFAULT_SCAFFOLDS_DIR = DEFAULT_SCAFFOLDS_DIR;
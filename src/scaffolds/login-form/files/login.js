@@ -0,0 +1,55 @@
+/**
+ * {{appName}} - login form
+ * Validates input and posts { email, password, remember } as JSON
+ */
+
+// Change this to your authentication endpoint
+const LOGIN_URL = '/api/login';
+
+const form = document.getElementById('login-form');
+const status = document.getElementById('form-status');
+
+const validators = {
+  email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Enter a valid email address.'),
+  password: (value) => (value.length >= 8 ? '' : 'Password must be at least 8 characters.'),
+};
+
+function validateField(input) {
+  const message = validators[input.name](input.value.trim());
+  input.setAttribute('aria-invalid', String(message.length > 0));
+  document.getElementById(`${input.name}-error`).textContent = message;
+  return message.length === 0;
+}
+
+Object.keys(validators).forEach((name) => {
+  form.elements[name].addEventListener('blur', (event) => validateField(event.target));
+});
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const valid = Object.keys(validators).map((name) => validateField(form.elements[name])).every(Boolean);
+  if (!valid) {
+    return;
+  }
+
+  const button = form.querySelector('.submit');
+  button.disabled = true;
+  status.textContent = 'Signing in...';
+
+  try {
+    const response = await fetch(LOGIN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: form.elements.email.value.trim(),
+        password: form.elements.password.value,
+        remember: form.elements.remember.checked,
+      }),
+    });
+    status.textContent = response.ok ? 'Signed in!' : 'Email or password is incorrect.';
+  } catch (error) {
+    status.textContent = 'Could not reach the server. Please try again.';
+  } finally {
+    button.disabled = false;
+  }
+});
@@ -0,0 +1,120 @@
+/**
+ * {{appName}} - REST API
+ * CRUD endpoints for an in-memory collection of items
+ */
+
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || {{port}};
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+
+// Replace with a database for anything beyond a prototype
+const items = new Map();
+
+function sendJSON(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, statusCode, message) {
+  sendJSON(res, statusCode, { error: { message, code: statusCode } });
+}
+
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body.length > 0 ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function validateItem(data) {
+  if (!data || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    return 'name must be a non-empty string';
+  }
+  return null;
+}
+
+async function handleItems(req, res, id) {
+  if (!id && req.method === 'GET') {
+    return sendJSON(res, 200, { items: Array.from(items.values()) });
+  }
+
+  if (!id && req.method === 'POST') {
+    const data = await readJSONBody(req);
+    const error = validateItem(data);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    const now = new Date().toISOString();
+    const item = { id: randomUUID(), name: data.name.trim(), description: data.description || '', createdAt: now, updatedAt: now };
+    items.set(item.id, item);
+    return sendJSON(res, 201, item);
+  }
+
+  if (id && !items.has(id)) {
+    return sendError(res, 404, `Item ${id} not found`);
+  }
+
+  if (id && req.method === 'GET') {
+    return sendJSON(res, 200, items.get(id));
+  }
+
+  if (id && req.method === 'PUT') {
+    const data = await readJSONBody(req);
+    const error = validateItem(data);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    const item = { ...items.get(id), name: data.name.trim(), description: data.description || '', updatedAt: new Date().toISOString() };
+    items.set(id, item);
+    return sendJSON(res, 200, item);
+  }
+
+  if (id && req.method === 'DELETE') {
+    items.delete(id);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  return sendError(res, 405, `Method ${req.method} not allowed`);
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (pathname === '/health') {
+      return sendJSON(res, 200, { status: 'healthy', uptime: process.uptime() });
+    }
+
+    const match = pathname.match(/^\/api\/items(?:\/([\w-]+))?\/?$/);
+    if (match) {
+      return await handleItems(req, res, match[1]);
+    }
+
+    return sendError(res, 404, 'Not found');
+  } catch (error) {
+    return sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal server error');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`{{appName}} listening on port ${PORT}`);
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -0,0 +1,161 @@
+/**
+ * Schema Validation for EXPLORABOT
+ * Checks values against the subset of JSON Schema used by the API route
+ * declarations (see api-schemas.js), which is also what /api/openapi.json
+ * publishes:
+ *   type (a name or a list, including "integer" and "null"), enum,
+ *   minLength, maxLength, pattern, minimum, maximum, properties, required,
+ *   additionalProperties, items, minItems, maxItems and $ref to
+ *   "#/components/schemas/<Name>"
+ * Other keywords (description, example, format...) are documentation only,
+ * apart from "x-pattern-message", a readable error for a failed pattern.
+ *
+ * Errors are reported per field so that clients can point at the input:
+ *   [{ field: "message", code: "maxLength", message: "must be at most 10000 characters" }]
+ * `code` is the keyword that failed; `field` is a dotted path ("slots.port",
+ * "items[0]"), or "" for the value as a whole.
+ */
+
+const REF_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function joinField(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * The schema a $ref points to
+ */
+function resolveRef(schema, schemas) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  const name = schema.$ref.startsWith(REF_PREFIX) ? schema.$ref.slice(REF_PREFIX.length) : null;
+  if (!name || !schemas[name]) {
+    throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return resolveRef(schemas[name], schemas);
+}
+
+/**
+ * Validate a value. `schemas` resolves $ref names. Returns a list of
+ * errors, empty when the value is valid.
+ */
+function validate(schema, value, { schemas = {}, field = '' } = {}) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ field, code, message });
+  const definition = resolveRef(schema, schemas);
+
+  if (definition.type !== undefined) {
+    const types = [].concat(definition.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail('type', `must be ${types.map((type) => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ')}`);
+      return errors;
+    }
+  }
+  if (definition.enum && !definition.enum.includes(value)) {
+    fail('enum', `must be one of: ${definition.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (definition.minLength !== undefined && value.length < definition.minLength) {
+      fail('minLength', definition.minLength === 1 ? 'must not be empty' : `must be at least ${definition.minLength} characters`);
+    }
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      fail('maxLength', `must be at most ${definition.maxLength} characters`);
+    }
+    if (definition.pattern !== undefined && !new RegExp(definition.pattern, 'u').test(value)) {
+      fail('pattern', definition['x-pattern-message'] || `must match ${definition.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      fail('minimum', `must be at least ${definition.minimum}`);
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      fail('maximum', `must be at most ${definition.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (definition.minItems !== undefined && value.length < definition.minItems) {
+      fail('minItems', `must have at least ${definition.minItems} items`);
+    }
+    if (definition.maxItems !== undefined && value.length > definition.maxItems) {
+      fail('maxItems', `must have at most ${definition.maxItems} items`);
+    }
+    if (definition.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(definition.items, item, { schemas, field: joinField(field, index) }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = definition.properties || {};
+    for (const name of definition.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinField(field, name), code: 'required', message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const childField = joinField(field, name);
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validate(properties[name], propertyValue, { schemas, field: childField }));
+      } else if (definition.additionalProperties === false) {
+        errors.push({ field: childField, code: 'additionalProperties', message: 'is not allowed' });
+      } else if (typeof definition.additionalProperties === 'object') {
+        errors.push(...validate(definition.additionalProperties, propertyValue, { schemas, field: childField }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query string value to the type its schema asks for, so that
+ * "?limit=20" validates as an integer. Values that do not convert are
+ * returned unchanged and fail validation.
+ */
+function coerceQueryValue(schema, value, schemas = {}) {
+  const types = [].concat(resolveRef(schema, schemas).type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports = {
+  validate,
+  coerceQueryValue,
+  resolveRef,
+};
@@ -0,0 +1,171 @@
+/**
+ * Session Manager for EXPLORABOT
+ * Gives every WebSocket client and HTTP caller an isolated NLP context
+ * with idle expiry and a cap on concurrent sessions
+ */
+
+const crypto = require('crypto');
+const NLPProcessor = require('./nlp-processor');
+
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_MAX_SESSIONS = 1000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+class SessionManager {
+  constructor(options = {}) {
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+    this.createProcessor = options.createProcessor || (() => new NLPProcessor());
+    this.onEvict = options.onEvict || (() => {});
+
+    // Map keeps insertion order, so re-inserting on access makes it an LRU list
+    this.sessions = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Check whether a caller-supplied session id is acceptable
+   */
+  static isValidId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  /**
+   * Generate a new session id. Knowing an id is enough to resume its
+   * conversation, so the random part must not be guessable.
+   */
+  static generateId(prefix = 'sess') {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+  }
+
+  /**
+   * Get the session for an id, creating it when it does not exist yet
+   */
+  getOrCreate(sessionId) {
+    let session = this.get(sessionId);
+    if (session) {
+      return session;
+    }
+
+    this.sweep();
+    while (this.sessions.size >= this.maxSessions) {
+      const oldestId = this.sessions.keys().next().value;
+      this.delete(oldestId, 'capacity');
+    }
+
+    const now = Date.now();
+    session = {
+      id: sessionId,
+      nlp: this.createProcessor(sessionId),
+      createdAt: now,
+      lastActiveAt: now,
+    };
+    this.sessions.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Add a session read from storage, keeping its times. `setup` receives
+   * the new NLP processor to restore the conversation into. Restore
+   * sessions least recently active first, as that is the eviction order.
+   */
+  restore({ id, createdAt, lastActiveAt }, setup) {
+    const session = { id, nlp: this.createProcessor(id), createdAt, lastActiveAt };
+    setup(session.nlp);
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  /**
+   * Get an existing session and mark it as active
+   */
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (this.isExpired(session)) {
+      this.delete(sessionId, 'idle');
+      return null;
+    }
+
+    session.lastActiveAt = Date.now();
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Get an existing session without marking it as active, for inspecting
+   * conversations (an expired session is reported as gone)
+   */
+  peek(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && !this.isExpired(session) ? session : null;
+  }
+
+  /**
+   * Every live session, most recently active first. Does not mark them
+   * as active.
+   */
+  list() {
+    const now = Date.now();
+    return Array.from(this.sessions.values())
+      .filter((session) => !this.isExpired(session, now))
+      .reverse();
+  }
+
+  /**
+   * Remove a session
+   */
+  delete(sessionId, reason = 'closed') {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+    this.sessions.delete(sessionId);
+    this.onEvict(session, reason);
+    return true;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - session.lastActiveAt > this.idleTimeout;
+  }
+
+  /**
+   * Drop every session that has been idle longer than the timeout
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.delete(sessionId, 'idle');
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Periodically sweep idle sessions
+   */
+  startSweeping(interval = Math.min(this.idleTimeout, 60000)) {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => this.sweep(), interval);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,320 @@
+/**
+ * Task Runner for EXPLORABOT
+ * Runs the safe local steps the bot recommends (npm init, npm install from
+ * a registry mirror, node --check) in a throwaway working directory.
+ *
+ * Commands are parsed without a shell and must match the allow-list. Each
+ * run gets a CPU time limit (ulimit -t), a wall-clock timeout and a cap on
+ * the output it may produce, and sees only a minimal environment, so the
+ * server's own variables (API keys) never reach it.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_TIMEOUT = 60 * 1000; // 1 minute
+const DEFAULT_CPU_LIMIT = 30; // seconds of CPU time
+const DEFAULT_OUTPUT_LIMIT = 64 * 1024; // bytes of stdout and stderr together
+const DEFAULT_MAX_CONCURRENT = 2;
+
+// Anything a shell would interpret is refused rather than escaped
+const SHELL_SYNTAX = /[;&|<>$`\\(){}'"\n]/;
+const PACKAGE_SPEC = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*(@[\w.^~<>=-]+)?$/i;
+const RELATIVE_FILE = /^(?!\/)(?!.*(^|\/)\.\.(\/|$))[\w./-]+$/;
+
+// package.json fields npm installs from; each spec must resolve through the
+// registry mirror. A ":" or "/" makes a spec a URL, path, git repository or
+// alias, a leading "." a directory and a .tgz/.tar name a local tarball (also
+// as an `npm install` argument).
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const UNSUPPORTED_MANIFEST_FIELDS = ['overrides', 'workspaces'];
+const PACKAGE_NAME = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+const REGISTRY_RANGE = /^(?!\s*\.)[\w\s.^~<>=|*+-]*$/;
+const TARBALL_NAME = /\.(tgz|tar|tar\.gz)\s*$/i;
+
+/**
+ * Raised when a command is refused before it runs. `code` names the
+ * reason (an i18n message, task.rejected.<code>).
+ */
+class TaskRejectedError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TaskRejectedError';
+    this.code = code;
+  }
+}
+
+/**
+ * Refuse a seeded package.json whose dependencies could be installed from
+ * anywhere but the registry mirror
+ */
+function checkPackageManifest(files) {
+  const manifest = files.find((file) => file.path === 'package.json');
+  if (!manifest) {
+    return;
+  }
+  const reject = (message) => {
+    throw new TaskRejectedError('dependencies', message);
+  };
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  let pkg;
+  try {
+    pkg = JSON.parse(manifest.content);
+  } catch (error) {
+    reject(`package.json is not valid JSON (${error.message})`);
+  }
+  if (!isObject(pkg)) {
+    reject('package.json must be an object');
+  }
+  for (const field of UNSUPPORTED_MANIFEST_FIELDS) {
+    if (pkg[field] !== undefined) {
+      reject(`"${field}" is not supported`);
+    }
+  }
+  for (const field of DEPENDENCY_FIELDS) {
+    if (pkg[field] === undefined) {
+      continue;
+    }
+    if (!isObject(pkg[field])) {
+      reject(`"${field}" must be an object`);
+    }
+    for (const [name, spec] of Object.entries(pkg[field])) {
+      if (!PACKAGE_NAME.test(name)) {
+        reject(`${field}: "${name}" is not a package name`);
+      }
+      if (typeof spec !== 'string' || !REGISTRY_RANGE.test(spec) || TARBALL_NAME.test(spec)) {
+        reject(`${field}.${name}: ${JSON.stringify(spec)} is not a version range or tag from the registry`);
+      }
+    }
+  }
+}
+
+// The allow-list. `match` receives the arguments after the program name and
+// returns the arguments to run with, or null when they are not allowed.
+// `checkFiles` receives the files the task is seeded with and throws
+// TaskRejectedError for any it must not run with.
+const ALLOWED_COMMANDS = [
+  {
+    program: 'npm',
+    usage: 'npm init -y',
+    match: (args) => (args[0] === 'init' && args.slice(1).every((arg) => arg === '-y' || arg === '--yes')
+      ? ['init', '-y']
+      : null),
+  },
+  {
+    program: 'npm',
+    usage: 'npm install [package ...]',
+    needsRegistry: true,
+    checkFiles: checkPackageManifest,
+    match: (args) => (['install', 'i'].includes(args[0]) && args.slice(1).every((arg) => PACKAGE_SPEC.test(arg) && !TARBALL_NAME.test(arg))
+      // Install scripts are arbitrary code, so they never run
+      ? ['install', ...args.slice(1), '--ignore-scripts', '--no-audit', '--no-fund']
+      : null),
+  },
+  {
+    program: 'node',
+    usage: 'node --check <file>',
+    match: (args) => (args.length === 2 && ['--check', '-c'].includes(args[0]) && RELATIVE_FILE.test(args[1])
+      ? ['--check', args[1]]
+      : null),
+  },
+  {
+    program: 'node',
+    usage: 'node --version',
+    match: (args) => (args.length === 1 && ['--version', '-v'].includes(args[0]) ? ['--version'] : null),
+  },
+  {
+    program: 'npm',
+    usage: 'npm --version',
+    match: (args) => (args.length === 1 && ['--version', '-v'].includes(args[0]) ? ['--version'] : null),
+  },
+];
+
+class TaskRunner {
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.cpuLimit = options.cpuLimit || DEFAULT_CPU_LIMIT;
+    this.outputLimit = options.outputLimit || DEFAULT_OUTPUT_LIMIT;
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT;
+    // npm install is only allowed against a local mirror
+    this.npmRegistry = options.npmRegistry || null;
+    this.running = 0;
+  }
+
+  /**
+   * The commands that may be run, for help texts
+   */
+  static get allowedCommands() {
+    return ALLOWED_COMMANDS.map((command) => command.usage);
+  }
+
+  /**
+   * Check a command line against the allow-list. Returns { program, args,
+   * checkFiles } as it will be run; throws TaskRejectedError.
+   */
+  parse(commandLine) {
+    const line = String(commandLine).trim();
+    if (SHELL_SYNTAX.test(line)) {
+      throw new TaskRejectedError('shellSyntax', 'commands run without a shell: quotes, pipes, redirects and variables are not allowed');
+    }
+
+    const [program, ...args] = line.split(/\s+/);
+    let refusal = null;
+    for (const command of ALLOWED_COMMANDS.filter((candidate) => candidate.program === program)) {
+      const allowedArgs = command.match(args);
+      if (!allowedArgs) {
+        continue;
+      }
+      if (command.needsRegistry && !this.npmRegistry) {
+        refusal = new TaskRejectedError('registry', 'npm install needs a local registry mirror (TASK_NPM_REGISTRY)');
+        continue;
+      }
+      return { program, args: allowedArgs, checkFiles: command.checkFiles || (() => {}) };
+    }
+    throw refusal || new TaskRejectedError('notAllowed', `"${line}" is not on the allow-list`);
+  }
+
+  /**
+   * Run a command in a fresh directory seeded with `files` ([{ path, content }]).
+   * Output is passed to `onOutput(text, stream)` as it arrives ("stdout" or
+   * "stderr"); aborting `signal` stops the task. Resolves to
+   *   { command, exitCode, signal, timedOut, cancelled, truncated, durationMs, output }
+   * and rejects with TaskRejectedError when the command may not run.
+   */
+  async run(commandLine, { files = [], onOutput = () => {}, signal } = {}) {
+    const { program, args, checkFiles } = this.parse(commandLine);
+    for (const file of files) {
+      if (!RELATIVE_FILE.test(file.path)) {
+        throw new TaskRejectedError('path', `${file.path} must be a relative path inside the working directory`);
+      }
+    }
+    checkFiles(files);
+    if (this.running >= this.maxConcurrent) {
+      throw new TaskRejectedError('busy', 'too many tasks are running');
+    }
+
+    this.running++;
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'explorabot-task-'));
+    try {
+      for (const file of files) {
+        const target = path.join(directory, file.path);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, file.content);
+      }
+      return await this.spawnTask(program, args, directory, { onOutput, signal });
+    } finally {
+      this.running--;
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  spawnTask(program, args, directory, { onOutput, signal }) {
+    const command = [program, ...args].join(' ');
+    const startedAt = Date.now();
+    const env = {
+      PATH: process.env.PATH,
+      HOME: directory,
+      npm_config_cache: path.join(directory, '.npm'),
+      npm_config_update_notifier: 'false',
+      ...(this.npmRegistry ? { npm_config_registry: this.npmRegistry } : {}),
+    };
+
+    return new Promise((resolve) => {
+      // The limit is set by a shell that then execs the program; the
+      // arguments are passed as positional parameters, never interpolated
+      const child = spawn('/bin/sh', ['-c', `ulimit -t ${this.cpuLimit} && exec "$0" "$@"`, program, ...args], {
+        cwd: directory,
+        env,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      let output = '';
+      let outputBytes = 0;
+      let truncated = false;
+      let timedOut = false;
+      let cancelled = false;
+
+      // detached puts the task in its own process group, so npm's children stop too
+      const stop = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already exited
+        }
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        stop();
+      }, this.timeout);
+      const onAbort = () => {
+        cancelled = true;
+        stop();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (signal?.aborted) {
+        onAbort();
+      }
+
+      // Output shows the working directory as "." rather than a server path
+      const collect = (stream) => (chunk) => {
+        if (truncated) {
+          return;
+        }
+        let text = chunk.split(directory).join('.');
+        const bytes = Buffer.from(text);
+        outputBytes += bytes.length;
+        if (outputBytes > this.outputLimit) {
+          // The limit is in bytes; a character cut in half is left out
+          const kept = Math.max(0, bytes.length - (outputBytes - this.outputLimit));
+          text = new StringDecoder('utf8').write(bytes.subarray(0, kept));
+          truncated = true;
+          stop();
+        }
+        output += text;
+        if (text.length > 0) {
+          onOutput(text, stream);
+        }
+      };
+      child.stdout.setEncoding('utf8').on('data', collect('stdout'));
+      child.stderr.setEncoding('utf8').on('data', collect('stderr'));
+
+      const finish = (exitCode, exitSignal) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({
+          command,
+          exitCode,
+          signal: exitSignal,
+          timedOut,
+          cancelled,
+          truncated,
+          durationMs: Date.now() - startedAt,
+          output,
+        });
+      };
+      // 'error' (the shell could not start) may be followed by 'close'
+      let finished = false;
+      const finishOnce = (...result) => {
+        if (!finished) {
+          finished = true;
+          finish(...result);
+        }
+      };
+      child.on('error', (error) => {
+        const text = `${error.message}\n`;
+        output += text;
+        onOutput(text, 'stderr');
+        finishOnce(null, null);
+      });
+      child.on('close', (code, exitSignal) => finishOnce(code, exitSignal));
+    });
+  }
+}
+
+module.exports = TaskRunner;
+module.exports.TaskRejectedError = TaskRejectedError;
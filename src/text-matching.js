@@ -0,0 +1,142 @@
+/**
+ * Text Matching for EXPLORABOT
+ * Normalisation, stemming and edit-distance helpers for the typo-tolerant
+ * intent matching that runs when no intent pattern matches exactly
+ */
+
+// Tokens shorter than this must match a keyword exactly (after stemming);
+// short words are too easily one edit away from something else
+const MIN_FUZZY_LENGTH = 4;
+
+// Inflectional endings, tried longest first. `replace` is appended to the stem.
+const PLURAL_SUFFIXES = [
+  { suffix: 'ies', replace: 'y' },
+  { suffix: 'sses', replace: 'ss' },
+  { suffix: 'xes', replace: 'x' },
+  { suffix: 'ches', replace: 'ch' },
+  { suffix: 'shes', replace: 'sh' },
+  { suffix: 's', replace: '', unless: /(ss|us|is)$/ },
+];
+const DERIVATIONAL_SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ers', 'er', 'ed', 'ly'];
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Lowercase, strip accents and punctuation, and collapse whitespace.
+ * "Wdróż   MOJĄ app!!" becomes "wdroz moja app".
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/ł/g, 'l')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalize(text);
+  return normalized.length > 0 ? normalized.split(' ') : [];
+}
+
+/**
+ * Reduce an English word to a rough stem ("deployments" -> "deploy",
+ * "containers" -> "contain"). Only needs to be consistent, not correct:
+ * keywords and message tokens go through the same rules.
+ */
+function stem(word) {
+  let result = word;
+
+  for (const { suffix, replace, unless } of PLURAL_SUFFIXES) {
+    if (result.endsWith(suffix) && !(unless && unless.test(result))) {
+      const candidate = result.slice(0, -suffix.length) + replace;
+      if (candidate.length >= MIN_STEM_LENGTH) {
+        result = candidate;
+      }
+      break;
+    }
+  }
+
+  for (const suffix of DERIVATIONAL_SUFFIXES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= MIN_STEM_LENGTH) {
+      result = result.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  if (result.endsWith('e') && result.length > MIN_STEM_LENGTH) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters ("deplyoment" is one edit from "deployment")
+ */
+function editDistance(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Similarity between 0 and 1, where 1 means identical
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Prepare a keyword for matching
+ */
+function compileKeyword(keyword) {
+  const word = normalize(keyword);
+  return { word, stem: stem(word) };
+}
+
+/**
+ * Best similarity between a message token and a compiled keyword, comparing
+ * both the raw words and their stems
+ */
+function matchKeyword(token, keyword) {
+  const tokenStem = stem(token);
+  if (token === keyword.word || tokenStem === keyword.stem) {
+    return 1;
+  }
+  if (token.length < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+  return Math.max(similarity(token, keyword.word), similarity(tokenStem, keyword.stem));
+}
+
+module.exports = {
+  normalize,
+  tokenize,
+  stem,
+  editDistance,
+  similarity,
+  compileKeyword,
+  matchKeyword,
+};
@@ -0,0 +1,235 @@
+/**
+ * TOML for EXPLORABOT
+ * A small TOML reader and writer covering what deployment configs such as
+ * railway.toml use: [tables], [dotted.tables], key = value pairs, strings,
+ * numbers, booleans, single-line arrays and # comments
+ */
+
+const BARE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Raised when a document cannot be parsed; `line` is 1-based
+ */
+class TomlSyntaxError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'TomlSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Drop a trailing # comment, leaving # inside strings alone
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return line.slice(0, index);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split "a.b.c" (with optionally quoted parts) into key parts
+ */
+function parseKey(text, lineNumber) {
+  const parts = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([A-Za-z0-9_-]+))\s*(\.|$)/gy;
+  let match;
+  let separator = '';
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+    parts.push(match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : (match[2] ?? match[3]));
+    separator = match[4];
+    if (separator === '') {
+      break;
+    }
+  }
+  // A trailing "." leaves the last part missing ("a.")
+  if (parts.length === 0 || separator === '.' || pattern.lastIndex !== text.length) {
+    throw new TomlSyntaxError(`invalid key "${text.trim()}"`, lineNumber);
+  }
+  return parts;
+}
+
+/**
+ * Parse a value starting at `text[start]`; returns [value, end index]
+ */
+function parseValue(text, start, lineNumber) {
+  const rest = text.slice(start);
+
+  let match = rest.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (match) {
+    try {
+      return [JSON.parse(`"${match[1]}"`), start + match[0].length];
+    } catch (error) {
+      throw new TomlSyntaxError(`invalid escape in string ${match[0]}`, lineNumber);
+    }
+  }
+  match = rest.match(/^'([^']*)'/);
+  if (match) {
+    return [match[1], start + match[0].length];
+  }
+  match = rest.match(/^(true|false)(?![\w-])/);
+  if (match) {
+    return [match[1] === 'true', start + match[0].length];
+  }
+  match = rest.match(/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?(?![\w.:-])/);
+  if (match) {
+    return [Number(match[0].replace(/_/g, '')), start + match[0].length];
+  }
+
+  if (rest.startsWith('[')) {
+    const items = [];
+    let index = start + 1;
+    for (;;) {
+      while (/\s/.test(text[index] || '')) {
+        index++;
+      }
+      if (text[index] === ']') {
+        return [items, index + 1];
+      }
+      if (index >= text.length) {
+        throw new TomlSyntaxError('unterminated array (arrays must fit on one line)', lineNumber);
+      }
+      const [item, end] = parseValue(text, index, lineNumber);
+      items.push(item);
+      index = end;
+      while (/\s/.test(text[index] || '')) {
+        index++;
+      }
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] !== ']') {
+        throw new TomlSyntaxError('expected "," or "]" in array', lineNumber);
+      }
+    }
+  }
+
+  if (rest.startsWith('"') || rest.startsWith("'")) {
+    throw new TomlSyntaxError('unterminated string', lineNumber);
+  }
+  throw new TomlSyntaxError(`invalid value "${rest.trim()}" (strings must be quoted)`, lineNumber);
+}
+
+/**
+ * Walk to (creating as needed) the table at `parts` below `root`
+ */
+function getTable(root, parts, lineNumber) {
+  let table = root;
+  for (const part of parts) {
+    if (table[part] === undefined) {
+      table[part] = {};
+    } else if (typeof table[part] !== 'object' || Array.isArray(table[part])) {
+      throw new TomlSyntaxError(`"${parts.join('.')}" is already defined as a value`, lineNumber);
+    }
+    table = table[part];
+  }
+  return table;
+}
+
+/**
+ * Parse a TOML document into a plain object. Throws TomlSyntaxError.
+ */
+function parseToml(source) {
+  const root = {};
+  const definedTables = new Set();
+  let table = root;
+
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = stripComment(rawLine).trim();
+    if (line.length === 0) {
+      return;
+    }
+
+    const header = line.match(/^\[([^[\]]+)\]$/);
+    if (header) {
+      const parts = parseKey(header[1], lineNumber);
+      const name = parts.join('.');
+      if (definedTables.has(name)) {
+        throw new TomlSyntaxError(`table [${name}] is defined twice`, lineNumber);
+      }
+      definedTables.add(name);
+      table = getTable(root, parts, lineNumber);
+      return;
+    }
+    if (line.startsWith('[')) {
+      throw new TomlSyntaxError(`invalid table header "${line}"`, lineNumber);
+    }
+
+    // The first "=" outside a quoted key separates key and value
+    const equals = line.match(/^(?:[^"'=]|"[^"]*"|'[^']*')*/)[0].length;
+    if (line[equals] !== '=') {
+      throw new TomlSyntaxError(`expected "key = value", got "${line}"`, lineNumber);
+    }
+    const keyParts = parseKey(line.slice(0, equals), lineNumber);
+    const valueText = line.slice(equals + 1).trim();
+    if (valueText.length === 0) {
+      throw new TomlSyntaxError(`missing value for "${keyParts.join('.')}"`, lineNumber);
+    }
+    const [value, end] = parseValue(valueText, 0, lineNumber);
+    if (valueText.slice(end).trim().length > 0) {
+      throw new TomlSyntaxError(`unexpected text after value: "${valueText.slice(end).trim()}"`, lineNumber);
+    }
+
+    const target = getTable(table, keyParts.slice(0, -1), lineNumber);
+    const key = keyParts[keyParts.length - 1];
+    if (target[key] !== undefined) {
+      throw new TomlSyntaxError(`"${keyParts.join('.')}" is defined twice`, lineNumber);
+    }
+    target[key] = value;
+  });
+
+  return root;
+}
+
+function formatKey(key) {
+  return BARE_KEY_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Write a plain object as TOML: top-level values first, then one [table]
+ * per nested object
+ */
+function stringifyToml(object) {
+  const sections = [];
+  const walk = (table, path) => {
+    const entries = Object.entries(table).filter(([, value]) => value !== undefined && value !== null);
+    const values = entries.filter(([, value]) => typeof value !== 'object' || Array.isArray(value));
+    const tables = entries.filter(([, value]) => typeof value === 'object' && !Array.isArray(value));
+
+    if (values.length > 0 || (path.length > 0 && tables.length === 0)) {
+      const lines = values.map(([key, value]) => `${formatKey(key)} = ${formatValue(value)}`);
+      sections.push(path.length > 0 ? [`[${path.map(formatKey).join('.')}]`, ...lines].join('\n') : lines.join('\n'));
+    }
+    for (const [key, value] of tables) {
+      walk(value, [...path, key]);
+    }
+  };
+  walk(object, []);
+  return `${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  TomlSyntaxError,
+  parseToml,
+  stringifyToml,
+};
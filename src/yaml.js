@@ -0,0 +1,277 @@
+/**
+ * YAML for EXPLORABOT
+ * A small YAML reader covering what CI workflows use: block mappings and
+ * sequences (including sequences at their key's indentation), plain and
+ * quoted scalars, [flow, sequences], | and > block scalars and # comments
+ */
+
+/**
+ * Raised when a document cannot be parsed; `line` is 1-based
+ */
+class YamlSyntaxError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'YamlSyntaxError';
+    this.line = line;
+  }
+}
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+|$)(.*)$/;
+const BLOCK_SCALAR_PATTERN = /^([|>])([+-]?)$/;
+
+/**
+ * Drop a trailing " # comment", leaving # inside quotes alone
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && (index === 0 || /[\s:[,-]/.test(text[index - 1]))) {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parseQuoted(text, lineNumber) {
+  if (text.startsWith('"')) {
+    const match = text.match(/^"((?:[^"\\]|\\.)*)"$/);
+    if (!match) {
+      throw new YamlSyntaxError(`unterminated or malformed string ${text}`, lineNumber);
+    }
+    try {
+      return JSON.parse(`"${match[1]}"`);
+    } catch (error) {
+      throw new YamlSyntaxError(`invalid escape in string ${text}`, lineNumber);
+    }
+  }
+  const match = text.match(/^'((?:[^']|'')*)'$/);
+  if (!match) {
+    throw new YamlSyntaxError(`unterminated or malformed string ${text}`, lineNumber);
+  }
+  return match[1].replace(/''/g, "'");
+}
+
+/**
+ * Split a flow sequence body on top-level commas
+ */
+function splitFlowItems(body, lineNumber) {
+  const items = [];
+  let quote = null;
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quote || depth !== 0) {
+    throw new YamlSyntaxError(`unbalanced flow sequence [${body}]`, lineNumber);
+  }
+  if (current.trim().length > 0) {
+    items.push(current.trim());
+  }
+  return items;
+}
+
+function parseScalar(text, lineNumber) {
+  if (text.startsWith('"') || text.startsWith("'")) {
+    return parseQuoted(text, lineNumber);
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YamlSyntaxError(`unterminated flow sequence ${text}`, lineNumber);
+    }
+    return splitFlowItems(text.slice(1, -1), lineNumber).map((item) => parseScalar(item, lineNumber));
+  }
+  if (text.startsWith('{')) {
+    if (text.replace(/\s+/g, '') === '{}') {
+      return {};
+    }
+    throw new YamlSyntaxError('flow mappings ({ key: value }) are not supported; use a block mapping', lineNumber);
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (/^(null|~)?$/i.test(text)) {
+    return null;
+  }
+  if (/^[+-]?(\d+|\d*\.\d+)$/.test(text)) {
+    return Number(text);
+  }
+  if (/^[&*!]/.test(text)) {
+    throw new YamlSyntaxError(`anchors, aliases and tags are not supported: ${text}`, lineNumber);
+  }
+  return text;
+}
+
+/**
+ * Parse a YAML document into plain objects. Throws YamlSyntaxError.
+ */
+function parseYaml(source) {
+  const rawLines = source.split(/\r?\n/);
+  const lines = [];
+  rawLines.forEach((raw, index) => {
+    const indentation = raw.match(/^[ \t]*/)[0];
+    if (indentation.includes('\t') && raw.trim().length > 0) {
+      throw new YamlSyntaxError('tabs are not allowed in indentation', index + 1);
+    }
+    const text = stripComment(raw.trim());
+    if (text.length > 0 && text !== '---') {
+      lines.push({ number: index + 1, indent: indentation.length, text });
+    }
+  });
+
+  let position = 0;
+  const peek = () => lines[position];
+  const isSequenceItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+  // Lines of a | or > block: everything indented deeper than `parentIndent`
+  const readBlockScalar = (style, chomping, line, parentIndent) => {
+    const body = [];
+    let rawIndex = line.number;
+    let blockIndent = null;
+    while (rawIndex < rawLines.length) {
+      const raw = rawLines[rawIndex];
+      const indent = raw.match(/^ */)[0].length;
+      if (raw.trim().length > 0) {
+        if (indent <= parentIndent) {
+          break;
+        }
+        blockIndent = blockIndent ?? indent;
+        if (indent < blockIndent) {
+          throw new YamlSyntaxError('block scalar lines must keep their indentation', rawIndex + 1);
+        }
+      }
+      body.push(raw.slice(blockIndent ?? indent));
+      rawIndex++;
+    }
+    while (position < lines.length && lines[position].number <= rawIndex) {
+      position++;
+    }
+
+    let trailingBlankLines = 0;
+    while (body.length > 0 && body[body.length - 1].trim().length === 0) {
+      body.pop();
+      trailingBlankLines++;
+    }
+    // Folding joins lines with spaces; a blank line stands for a line break
+    const text = style === '|' ? body.join('\n') : body.reduce((folded, bodyLine) => {
+      if (bodyLine.trim().length === 0) {
+        return `${folded}\n`;
+      }
+      return folded === '' || folded.endsWith('\n') ? folded + bodyLine : `${folded} ${bodyLine}`;
+    }, '');
+    if (chomping === '-') {
+      return text;
+    }
+    return chomping === '+' ? `${text}\n${'\n'.repeat(trailingBlankLines)}` : `${text}\n`;
+  };
+
+  // The value after "key:" or "- ": inline, a block scalar or a nested block
+  const parseValue = (rest, line, ownerIndent, allowSameIndentSequence) => {
+    const blockScalar = rest.match(BLOCK_SCALAR_PATTERN);
+    if (blockScalar) {
+      return readBlockScalar(blockScalar[1], blockScalar[2], line, ownerIndent);
+    }
+    if (rest.length > 0) {
+      return parseScalar(rest, line.number);
+    }
+    const next = peek();
+    if (next && next.indent > ownerIndent) {
+      return parseBlock(next.indent);
+    }
+    if (next && allowSameIndentSequence && next.indent === ownerIndent && isSequenceItem(next)) {
+      return parseSequence(ownerIndent);
+    }
+    return null;
+  };
+
+  function parseMapping(indent) {
+    const mapping = {};
+    while (position < lines.length) {
+      const line = peek();
+      if (line.indent < indent || (line.indent === indent && isSequenceItem(line))) {
+        break;
+      }
+      if (line.indent > indent) {
+        throw new YamlSyntaxError(`unexpected indentation "${line.text}"`, line.number);
+      }
+      const match = line.text.match(KEY_PATTERN);
+      if (!match) {
+        throw new YamlSyntaxError(`expected "key: value", got "${line.text}"`, line.number);
+      }
+      const key = /^["']/.test(match[1]) ? parseQuoted(match[1], line.number) : match[1].trim();
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new YamlSyntaxError(`duplicate key "${key}"`, line.number);
+      }
+      position++;
+      mapping[key] = parseValue(match[2].trim(), line, indent, true);
+    }
+    return mapping;
+  }
+
+  function parseSequence(indent) {
+    const sequence = [];
+    while (position < lines.length) {
+      const line = peek();
+      if (line.indent !== indent || !isSequenceItem(line)) {
+        if (line.indent > indent) {
+          throw new YamlSyntaxError(`unexpected indentation "${line.text}"`, line.number);
+        }
+        break;
+      }
+      const content = line.text.slice(1).trimStart();
+      const nestedSequence = isSequenceItem({ text: content });
+      if (nestedSequence || KEY_PATTERN.test(content)) {
+        // "- key: value" starts a mapping (and "- - item" a sequence)
+        // indented to where its content begins
+        const itemIndent = line.indent + (line.text.length - content.length);
+        lines[position] = { ...line, indent: itemIndent, text: content };
+        sequence.push(nestedSequence ? parseSequence(itemIndent) : parseMapping(itemIndent));
+      } else {
+        position++;
+        sequence.push(parseValue(content, line, indent, false));
+      }
+    }
+    return sequence;
+  }
+
+  function parseBlock(indent) {
+    return isSequenceItem(peek()) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+  const document = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    const line = peek();
+    throw new YamlSyntaxError(`unexpected indentation "${line.text}"`, line.number);
+  }
+  return document;
+}
+
+module.exports = {
+  YamlSyntaxError,
+  parseYaml,
+};
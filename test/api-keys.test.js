@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ApiKeyStore = require('../src/api-keys');
+const { ApiKeyStoreError, SCOPES } = ApiKeyStore;
+const { startServer } = require('./helpers/server');
+
+const ADMIN_KEY = 'test-admin-key-0123456789';
+
+function withDirectory(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-keys-'));
+  try {
+    return run(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+test('keys are issued once and only their hash is kept', () => withDirectory((directory) => {
+  const file = path.join(directory, 'nested', 'api-keys.json');
+  const store = new ApiKeyStore({ file });
+  const { key, record } = store.create({ name: 'CI', scopes: ['debug', 'chat'] });
+
+  assert.match(key, /^exb_[A-Za-z0-9_-]{32}$/);
+  assert.match(record.id, /^key_[a-f0-9]{16}$/);
+  assert.deepEqual(record.scopes, ['chat', 'debug']);
+  assert.equal(record.preview, `${key.slice(0, 8)}…`);
+  assert.equal(record.hash, sha256(key));
+  assert.deepEqual(Object.keys(ApiKeyStore.describe(record)).sort(), ['createdAt', 'id', 'name', 'preview', 'scopes']);
+
+  const text = fs.readFileSync(file, 'utf8');
+  assert.ok(!text.includes(key));
+  assert.deepEqual(JSON.parse(text).keys, [record]);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['api-keys.json']);
+
+  assert.throws(() => store.create({ name: 'x', scopes: ['chat', 'root'] }), /Unknown scopes: root/);
+  assert.equal(store.size, 1);
+}));
+
+test('presented keys are looked up by their hash, also after a restart', () => withDirectory((directory) => {
+  const file = path.join(directory, 'api-keys.json');
+  const { key, record } = new ApiKeyStore({ file }).create({ name: 'web', scopes: ['chat'] });
+  const store = new ApiKeyStore({ file }).load();
+  assert.deepEqual(store.authenticate(key), { id: record.id, name: 'web', scopes: ['chat'] });
+  assert.equal(store.authenticate(`${key}x`), null);
+  assert.equal(store.authenticate(record.hash), null);
+  assert.equal(store.authenticate(''), null);
+  assert.equal(store.authenticate(undefined), null);
+}));
+
+test('the bootstrap key has every scope and is never written', () => withDirectory((directory) => {
+  const file = path.join(directory, 'api-keys.json');
+  const store = new ApiKeyStore({ file, bootstrapKey: ADMIN_KEY }).load();
+  assert.deepEqual(store.authenticate(ADMIN_KEY), { id: 'bootstrap', name: 'ADMIN_API_KEY', scopes: SCOPES });
+  store.create({ name: 'web', scopes: ['chat'] });
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(sha256(ADMIN_KEY)));
+  assert.equal(store.revoke('bootstrap'), false);
+  assert.equal(store.size, 1);
+}));
+
+test('a revoked key no longer works', () => withDirectory((directory) => {
+  const file = path.join(directory, 'api-keys.json');
+  const store = new ApiKeyStore({ file });
+  const { key, record } = store.create({ name: 'web', scopes: ['chat'] });
+  const kept = store.create({ name: 'ops', scopes: ['admin'] });
+
+  assert.equal(store.revoke(record.id), true);
+  assert.equal(store.revoke(record.id), false);
+  assert.equal(store.authenticate(key), null);
+  assert.ok(store.authenticate(kept.key));
+  assert.deepEqual(new ApiKeyStore({ file }).load().list().map(({ id }) => id), [kept.record.id]);
+}));
+
+test('keys are only issued or revoked once the file is written', () => withDirectory((directory) => {
+  const file = path.join(directory, 'api-keys.json');
+  const store = new ApiKeyStore({ file });
+  const { key, record } = store.create({ name: 'web', scopes: ['chat'] });
+
+  // A file where the keys' directory should be makes every write fail
+  fs.writeFileSync(path.join(directory, 'blocked'), '');
+  store.file = path.join(directory, 'blocked', 'api-keys.json');
+  assert.throws(() => store.create({ name: 'lost', scopes: ['admin'] }), ApiKeyStoreError);
+  assert.deepEqual(store.list().map(({ name }) => name), ['web']);
+  assert.throws(() => store.revoke(record.id), /Cannot write/);
+  assert.ok(store.authenticate(key));
+}));
+
+test('unreadable keys files are reported; a missing one means no keys', () => withDirectory((directory) => {
+  const file = path.join(directory, 'api-keys.json');
+  assert.equal(new ApiKeyStore({ file }).load().size, 0);
+  fs.writeFileSync(file, '{ "keys": ');
+  assert.throws(() => new ApiKeyStore({ file }).load(), (error) => error instanceof ApiKeyStoreError && /is not a valid keys file/.test(error.message));
+
+  const memory = new ApiKeyStore();
+  const { key } = memory.create({ name: 'web', scopes: ['chat'] });
+  assert.ok(memory.authenticate(key));
+}));
+
+test('scoped routes need a key with the scope when authentication is on', async () => {
+  const server = await startServer({ AUTH_ENABLED: 'true', ADMIN_API_KEY: ADMIN_KEY, DEBUG: 'true', API_KEYS_FILE: 'keys/api-keys.json' });
+  const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+  try {
+    assert.equal((await server.request('GET', '/health')).status, 200);
+
+    let response = await server.request('POST', '/api/chat', { body: { message: 'hello' } });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.message, 'Unauthorized');
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer realm="EXPLORABOT"');
+    assert.equal((await server.request('POST', '/api/chat', { body: { message: 'hello' }, headers: bearer('exb_unknown') })).status, 401);
+
+    response = await server.request('POST', '/api/keys', { body: { name: 'web', scopes: ['chat'] }, headers: bearer(ADMIN_KEY) });
+    assert.equal(response.status, 201);
+    const { key, id } = response.body;
+    assert.match(key, /^exb_/);
+    const stored = fs.readFileSync(path.join(server.cwd, 'keys', 'api-keys.json'), 'utf8');
+    assert.ok(stored.includes(sha256(key)));
+    assert.ok(!stored.includes(key));
+
+    const { keys } = (await server.request('GET', '/api/keys', { headers: bearer(ADMIN_KEY) })).body;
+    assert.deepEqual(keys.map((listed) => [listed.id, listed.hash, listed.key]), [[id, undefined, undefined]]);
+
+    assert.equal((await server.request('POST', '/api/chat', { body: { message: 'hello' }, headers: bearer(key) })).status, 200);
+    assert.equal((await server.request('POST', '/api/chat', { body: { message: 'hello' }, headers: { 'X-API-Key': key } })).status, 200);
+    response = await server.request('GET', '/api/conversations', { headers: bearer(key) });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.message, 'Forbidden');
+    assert.equal((await server.request('GET', '/api/debug', { headers: bearer(key) })).status, 403);
+    assert.equal((await server.request('GET', '/api/debug', { headers: bearer(ADMIN_KEY) })).status, 200);
+
+    // ?token= is only read by routes meant for plain links, and never logged
+    assert.equal((await server.request('POST', `/api/chat?token=${key}`, { body: { message: 'hello' } })).status, 401);
+    assert.equal((await server.request('GET', `/api/artifacts/art_none?sessionId=s1&token=${key}`)).status, 404);
+    assert.equal((await server.request('GET', '/api/artifacts/art_none?sessionId=s1')).status, 401);
+    assert.match(server.logs(), /\/api\/artifacts\/art_none\?sessionId=s1&token=\[redacted\]/);
+    assert.ok(!server.logs().includes(key));
+
+    assert.equal((await server.request('DELETE', `/api/keys/${id}`, { headers: bearer(ADMIN_KEY) })).status, 200);
+    assert.equal((await server.request('POST', '/api/chat', { body: { message: 'hello' }, headers: bearer(key) })).status, 401);
+    assert.equal((await server.request('DELETE', `/api/keys/${id}`, { headers: bearer(ADMIN_KEY) })).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('admin and debug routes need a key even with authentication off', async () => {
+  const server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, DEBUG: 'true' });
+  try {
+    assert.equal((await server.request('POST', '/api/chat', { body: { message: 'hello' } })).status, 200);
+    assert.equal((await server.request('GET', '/api/commands')).status, 200);
+    for (const route of ['/api/conversations', '/api/keys', '/api/debug']) {
+      assert.equal((await server.request('GET', route)).status, 401, route);
+      assert.equal((await server.request('GET', route, { headers: { 'X-API-Key': ADMIN_KEY } })).status, 200, route);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test('WebSocket clients authenticate in the upgrade request or with a first auth frame', async () => {
+  const server = await startServer({ AUTH_ENABLED: 'true', ADMIN_API_KEY: ADMIN_KEY, WS_AUTH_TIMEOUT: '300' });
+  try {
+    const create = async (scopes) => (await server.request('POST', '/api/keys', {
+      body: { name: scopes.join('+'), scopes },
+      headers: { Authorization: `Bearer ${ADMIN_KEY}` },
+    })).body.key;
+    const chatKey = await create(['chat']);
+    const debugKey = await create(['debug']);
+
+    let ws = await server.connect(`?token=${chatKey}`);
+    assert.equal((await ws.nextFrame()).type, 'message');
+    ws.close();
+
+    ws = await server.connect('', { headers: { Authorization: `Bearer ${chatKey}` } });
+    assert.equal((await ws.nextFrame()).type, 'message');
+    ws.close();
+
+    ws = await server.connect();
+    ws.sendFrame({ type: 'auth', token: chatKey });
+    assert.equal((await ws.nextFrame()).type, 'message');
+    ws.sendFrame({ content: 'hello', messageId: 'm1' });
+    assert.equal((await ws.collectReply('m1')).pop().intent, 'greeting');
+    ws.close();
+
+    ws = await server.connect();
+    ws.sendFrame({ content: 'hello' });
+    assert.equal((await ws.nextFrame()).code, 'unauthorized');
+    assert.equal(await ws.closed, 4401);
+
+    ws = await server.connect();
+    ws.sendFrame({ type: 'auth', token: debugKey });
+    assert.equal((await ws.nextFrame()).code, 'forbidden');
+    assert.equal(await ws.closed, 4403);
+
+    ws = await server.connect(`?token=${debugKey}`);
+    assert.equal(await ws.closed, 4403);
+
+    ws = await server.connect();
+    assert.match((await ws.nextFrame()).content, /Authentication timed out/);
+    assert.equal(await ws.closed, 4401);
+
+    assert.ok(!server.logs().includes(chatKey));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ArtifactStore = require('../src/artifact-store');
+const { startServer } = require('./helpers/server');
+const { readZipFiles } = require('./helpers/zip');
+
+const file = (name, size = 10) => ({ name, mimeType: 'text/plain', data: Buffer.alloc(size, 'x') });
+
+test('saved files are kept per session with their metadata', () => {
+  const store = new ArtifactStore();
+  const artifact = store.save('a', file('notes.txt'), { intent: 'docker' });
+  assert.equal(ArtifactStore.isValidId(artifact.id), true);
+  assert.equal(store.get(artifact.id, 'a'), artifact);
+  assert.equal(store.get(artifact.id, 'b'), null);
+  assert.deepEqual(store.list('b'), []);
+
+  const described = ArtifactStore.describe(artifact);
+  assert.deepEqual(Object.keys(described).sort(), ['createdAt', 'expiresAt', 'id', 'intent', 'mimeType', 'name', 'size']);
+  assert.equal(described.size, 10);
+  assert.equal(store.totalBytes, 10);
+});
+
+test('strings are stored as bytes and the type defaults to octet-stream', () => {
+  const artifact = new ArtifactStore().save('a', { name: 'ż.txt', data: 'żółw' });
+  assert.equal(artifact.size, Buffer.byteLength('żółw'));
+  assert.equal(artifact.mimeType, 'application/octet-stream');
+});
+
+test('ids are checked before lookup', () => {
+  assert.equal(ArtifactStore.isValidId(`art_${'0'.repeat(32)}`), true);
+  for (const id of ['art_123', `art_${'G'.repeat(32)}`, '../etc/passwd', null]) {
+    assert.equal(ArtifactStore.isValidId(id), false, String(id));
+  }
+});
+
+test('expired artifacts are not returned and are swept', () => {
+  const store = new ArtifactStore({ ttl: 1000 });
+  const old = store.save('a', file('old.txt'));
+  const fresh = store.save('a', file('fresh.txt'));
+  old.expiresAt = Date.now() - 1;
+  assert.deepEqual(store.list('a').map(({ name }) => name), ['fresh.txt']);
+  assert.equal(store.get(old.id, 'a'), null);
+  assert.equal(store.size, 1);
+
+  fresh.expiresAt = Date.now() - 1;
+  assert.equal(store.sweep(), 1);
+  assert.equal(store.totalBytes, 0);
+});
+
+test('the oldest artifacts make room when a cap is reached', () => {
+  const perSession = new ArtifactStore({ maxPerSession: 2 });
+  ['1', '2', '3'].forEach((name) => perSession.save('a', file(name)));
+  perSession.save('b', file('other'));
+  assert.deepEqual(perSession.list('a').map(({ name }) => name), ['2', '3']);
+  assert.equal(perSession.list('b').length, 1);
+
+  const bySize = new ArtifactStore({ maxBytes: 25 });
+  bySize.save('a', file('1'));
+  bySize.save('b', file('2'));
+  bySize.save('a', file('3'));
+  assert.deepEqual([...bySize.artifacts.values()].map(({ name }) => name), ['2', '3']);
+  assert.equal(bySize.totalBytes, 20);
+  assert.throws(() => bySize.save('a', file('huge', 26)), /larger than the artifact storage limit/);
+});
+
+test('delete reports whether the artifact existed', () => {
+  const store = new ArtifactStore();
+  const { id } = store.save('a', file('x'));
+  assert.equal(store.delete(id), true);
+  assert.equal(store.delete(id), false);
+  assert.equal(store.totalBytes, 0);
+});
+
+test('generated files can be listed, downloaded and deleted by their session only', async () => {
+  const server = await startServer();
+  try {
+    const message = 'Dockerize my node app called shop, entrypoint src/index.js, port 3000, env files .env, volumes ./data:/app/data, health check at /health';
+    const chat = await server.request('POST', '/api/chat', { body: { message } });
+    assert.equal(chat.status, 200);
+    const { sessionId, artifacts: [artifact] } = chat.body;
+    assert.equal(artifact.name, 'shop-docker.zip');
+    assert.equal(artifact.intent, 'docker');
+    assert.equal(artifact.url, `/api/artifacts/${artifact.id}`);
+
+    const headers = { 'X-Session-ID': sessionId };
+    const list = await server.request('GET', '/api/artifacts', { headers });
+    assert.deepEqual(list.body.artifacts.map(({ id }) => id), [artifact.id]);
+
+    const download = await server.request('GET', `${artifact.url}?sessionId=${sessionId}`);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/zip');
+    assert.equal(download.headers.get('content-disposition'), 'attachment; filename="shop-docker.zip"');
+    assert.equal(download.data.length, artifact.size);
+    assert.match(readZipFiles(download.data).Dockerfile, /EXPOSE 3000/);
+
+    assert.equal((await server.request('GET', artifact.url, { headers: { 'X-Session-ID': 'someone_else' } })).status, 404);
+    assert.equal((await server.request('GET', artifact.url)).status, 400);
+    assert.equal((await server.request('GET', '/api/artifacts/art_nope', { headers })).status, 404);
+
+    assert.equal((await server.request('DELETE', artifact.url, { headers })).body.deleted, true);
+    assert.equal((await server.request('GET', artifact.url, { headers })).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { writeFileAtomic } = require('../src/atomic-file');
+
+function withDirectory(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-atomic-'));
+  try {
+    return run(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('a file is written whole, with its directory and mode', () => withDirectory((directory) => {
+  const file = path.join(directory, 'a', 'b', 'data.json');
+  writeFileAtomic(file, 'first', { mode: 0o600 });
+  writeFileAtomic(file, 'second', { mode: 0o600 });
+  assert.equal(fs.readFileSync(file, 'utf8'), 'second');
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['data.json']);
+}));
+
+test('a failed write leaves the old content and no temporary file', () => withDirectory((directory) => {
+  // Renaming a file over a directory that is not empty fails
+  const target = path.join(directory, 'data');
+  fs.mkdirSync(target);
+  fs.writeFileSync(path.join(target, 'kept'), 'old');
+  assert.throws(() => writeFileAtomic(target, 'new'));
+  assert.deepEqual(fs.readdirSync(directory), ['data']);
+  assert.equal(fs.readFileSync(path.join(target, 'kept'), 'utf8'), 'old');
+}));
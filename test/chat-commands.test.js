@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommandRegistry = require('../src/chat-commands');
+const { CommandRegistrationError } = CommandRegistry;
+const NLPProcessor = require('../src/nlp-processor');
+const { startServer } = require('./helpers/server');
+
+test('command lines are split into a name and arguments', () => {
+  assert.deepEqual(CommandRegistry.parse('  /HISTORY 5 '), { name: 'history', args: '5' });
+  assert.deepEqual(CommandRegistry.parse('/export'), { name: 'export', args: '' });
+  assert.deepEqual(CommandRegistry.parse('/docker node\nplease'), { name: 'docker', args: 'node\nplease' });
+  for (const input of ['hello /help', '/', '/1st', '/ help', 'help']) {
+    assert.equal(CommandRegistry.parse(input), null, input);
+  }
+});
+
+test('commands are registered once, with a valid name and a run function', () => {
+  const commands = new CommandRegistry();
+  assert.deepEqual(commands.names, ['help', 'reset', 'history', 'export', 'intents', 'lang']);
+  const run = async () => ({ response: 'pong' });
+  commands.register('ping', { description: 'Check the bot', run });
+  assert.equal(commands.get('ping').usage, '/ping');
+  assert.equal(commands.get('nope'), null);
+
+  assert.throws(() => commands.register('ping', { run }), { name: 'CommandRegistrationError', message: '/ping is already registered' });
+  assert.throws(() => commands.register('Ping', { run }), CommandRegistrationError);
+  assert.throws(() => commands.register('no way', { run }), /is not a valid command name/);
+  assert.throws(() => commands.register('pong', {}), /needs a run function/);
+});
+
+test('the list has built-in, registered and intent commands, in the given language', () => {
+  const commands = new CommandRegistry().register('ping', { description: 'Check the bot', run: async () => ({}) });
+  const list = commands.list('de', new NLPProcessor().intents);
+  assert.deepEqual(list[0], { name: 'help', usage: '/help', description: 'Chat-Befehle auflisten', intent: null });
+  assert.deepEqual(list.find(({ name }) => name === 'ping'), { name: 'ping', usage: '/ping', description: 'Check the bot', intent: null });
+  const docker = list.find(({ name }) => name === 'docker');
+  assert.equal(docker.intent, 'docker');
+  assert.equal(docker.usage, '/docker …');
+  assert.ok(list.indexOf(docker) > list.findIndex(({ name }) => name === 'ping'));
+});
+
+test('session commands answer without entering the history', async () => {
+  const nlp = new NLPProcessor();
+  await nlp.respond('hello');
+  const result = await nlp.respond('/help');
+  assert.equal(result.command, 'help');
+  assert.equal(result.intent, null);
+  assert.equal(result.turnId, null);
+  assert.match(result.response, /• `\/reset`: Start a new conversation/);
+  assert.match(result.response, /• `\/docker …`/);
+
+  assert.match((await nlp.respond('/history')).response, /👤 hello\n🤖 /);
+  assert.equal(nlp.getHistory().length, 2);
+
+  assert.match((await nlp.respond('/reset')).response, /Conversation cleared/);
+  assert.deepEqual(nlp.getHistory(), []);
+  assert.match((await nlp.respond('/history')).response, /Nothing in this conversation yet/);
+});
+
+test('/history shows the latest messages, cut short', async () => {
+  const nlp = new NLPProcessor();
+  await nlp.respond(`hello ${'x'.repeat(200)}`);
+  await nlp.respond('What can you do?');
+  const { response } = await nlp.respond('/history 2');
+  assert.doesNotMatch(response, /👤 hello/);
+  assert.match(response, /👤 What can you do\?\n🤖 /);
+  assert.match((await nlp.respond('/history 1')).response, /^🤖 .{1,101}$/m);
+  assert.match((await nlp.respond('/history')).response, /👤 hello x{94}…/);
+});
+
+test('/export attaches the conversation as markdown or JSON', async () => {
+  const nlp = new NLPProcessor();
+  assert.match((await nlp.respond('/export')).response, /Nothing in this conversation yet/);
+  await nlp.respond('hello');
+
+  let result = await nlp.respond('/export');
+  const [markdown] = result.attachments;
+  assert.match(markdown.name, /^conversation-\d{8}-\d{6}\.md$/);
+  assert.equal(markdown.mimeType, 'text/markdown');
+  assert.equal(markdown.size, markdown.data.length);
+  assert.match(markdown.data.toString(), /^# EXPLORABOT conversation\n[\s\S]*## You \([^)]+\)\n\nhello\n/);
+  assert.match(result.response, /Exported 2 messages/);
+
+  result = await nlp.respond('/export JSON');
+  const exported = JSON.parse(result.attachments[0].data.toString());
+  assert.deepEqual(exported.messages.map(({ role, content }) => [role, content])[0], ['user', 'hello']);
+  assert.equal(result.attachments[0].mimeType, 'application/json');
+
+  result = await nlp.respond('/export pdf');
+  assert.deepEqual(result.attachments, []);
+  assert.match(result.response, /can't export as "pdf"/);
+});
+
+test('/intents lists every intent with an example', async () => {
+  const nlp = new NLPProcessor();
+  const { response } = await nlp.respond('/intents');
+  for (const name of Object.keys(nlp.intents)) {
+    assert.match(response, new RegExp(`\\(\`${name}\``), name);
+  }
+  assert.match(response, /\(`docker` · `\/docker`\): "/);
+});
+
+test('/lang fixes the reply language until /lang auto', async () => {
+  const nlp = new NLPProcessor();
+  assert.match((await nlp.respond('/lang')).response, /Replying in \*\*en\*\*, detected/);
+  assert.match((await nlp.respond('/lang de')).response, /Ab jetzt antworte ich auf \*\*de\*\*/);
+  assert.equal((await nlp.respond('What can you do?')).locale, 'de');
+  assert.match((await nlp.respond('/lang')).response, /Mit `\/lang auto` erkenne ich/);
+  assert.match((await nlp.respond('/lang fr')).response, /"fr" wird nicht unterstützt\. Wähle eine von: de, en, pl oder auto/);
+  await nlp.respond('/lang auto');
+  assert.equal(nlp.context.fixedLocale, null);
+  assert.equal((await nlp.respond('What can you do?')).locale, 'en');
+});
+
+test('an intent command starts the intent with its arguments as the first answer', async () => {
+  const nlp = new NLPProcessor();
+  const result = await nlp.respond('/docker python');
+  assert.equal(result.command, 'docker');
+  assert.equal(result.intent, 'docker');
+  assert.equal(result.slots.runtime, 'python');
+  assert.equal(result.awaiting, 'entrypoint');
+  assert.ok(result.turnId);
+  assert.equal(nlp.getHistory()[0].content, '/docker python');
+});
+
+test('unknown commands are explained, except as an answer to an open question', async () => {
+  const nlp = new NLPProcessor();
+  const result = await nlp.respond('/nope');
+  assert.equal(result.command, 'nope');
+  assert.equal(result.response, "❓ There's no /nope command. Type `/help` for the list.");
+  assert.deepEqual(nlp.getHistory(), []);
+
+  await nlp.respond('Write a Dockerfile for my app');
+  assert.ok(nlp.context.dialog);
+  assert.equal((await nlp.respond('/health')).command, null);
+  assert.equal(nlp.getHistory().at(-2).content, '/health');
+});
+
+test('registered commands are run with the conversation', async () => {
+  const commands = new CommandRegistry().register('count', {
+    usage: '/count',
+    description: 'Count the messages',
+    run: async ({ args, nlp, locale }) => ({ response: `${nlp.getHistory().length} messages (${locale}, "${args}")` }),
+  });
+  const nlp = new NLPProcessor({ commands });
+  await nlp.respond('hello');
+  assert.equal((await nlp.respond('/count all of them')).response, '2 messages (en, "all of them")');
+  assert.match((await nlp.respond('/help')).response, /• `\/count`: Count the messages/);
+});
+
+test('the command API lists the commands in the requested language', async () => {
+  const server = await startServer();
+  try {
+    let { status, body } = await server.request('GET', '/api/commands');
+    assert.equal(status, 200);
+    assert.equal(body.locale, 'en');
+    assert.deepEqual(body.commands[1], { name: 'reset', usage: '/reset', description: 'Start a new conversation', intent: null });
+    assert.ok(body.commands.some(({ intent }) => intent === 'docker'));
+
+    ({ body } = await server.request('GET', '/api/commands?locale=pl'));
+    assert.equal(body.locale, 'pl');
+    assert.notEqual(body.commands[1].description, 'Start a new conversation');
+
+    ({ status, body } = await server.request('GET', '/api/commands?locale=fr'));
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.fields.map(({ field, code }) => `${field}:${code}`), ['locale:enum']);
+
+    // The chat box offers the commands as the user types "/"
+    assert.match((await server.request('GET', '/')).body, /\/api\/commands/);
+  } finally {
+    await server.stop();
+  }
+});
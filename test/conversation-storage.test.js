@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonlStorage, SqliteStorage, StorageError } = require('../src/conversation-storage');
+
+// node:sqlite is built into Node.js 22.13 and later
+let sqliteSkip = false;
+try {
+  require('node:sqlite');
+} catch (error) {
+  sqliteSkip = `node:sqlite is not available in Node.js ${process.version}`;
+}
+
+const ADAPTERS = [
+  { name: 'jsonl', Storage: JsonlStorage, file: 'conversations.jsonl', skip: false },
+  { name: 'sqlite', Storage: SqliteStorage, file: 'conversations.db', skip: sqliteSkip },
+];
+
+// What save() reads from a session's NLP processor
+function makeSession(id) {
+  const history = [];
+  return {
+    id,
+    createdAt: 1000,
+    lastActiveAt: 1000,
+    history,
+    nlp: {
+      getHistory: () => history,
+      getCheckpointState: (messageId) => ({ before: messageId }),
+      getStoredState: () => ({ locale: 'en', turns: history.length }),
+    },
+  };
+}
+
+const user = (id, content) => ({ id, role: 'user', content });
+const assistant = (content) => ({ role: 'assistant', content });
+
+function withStorage(Storage, file, run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-storage-'));
+  const open = () => new Storage({ file: path.join(directory, file) });
+  try {
+    run(open);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+for (const { name, Storage, file, skip } of ADAPTERS) {
+  test(`${name}: saved sessions load back with their messages and checkpoints`, { skip }, () => {
+    withStorage(Storage, file, (open) => {
+      const storage = open();
+      assert.deepEqual(storage.load(), []);
+
+      const session = makeSession('ws_1');
+      session.history.push(user('m1', 'hello'), assistant('hi'));
+      storage.save(session);
+      session.lastActiveAt = 2000;
+      session.history.push(user('m2', 'docker'), assistant('FROM node'));
+      storage.save(session);
+      storage.close();
+
+      const reopened = open();
+      assert.deepEqual(reopened.load(), [{
+        id: 'ws_1',
+        createdAt: 1000,
+        lastActiveAt: 2000,
+        state: { locale: 'en', turns: 4 },
+        messages: [
+          { entry: user('m1', 'hello'), checkpoint: { before: 'm1' } },
+          { entry: assistant('hi'), checkpoint: null },
+          { entry: user('m2', 'docker'), checkpoint: { before: 'm2' } },
+          { entry: assistant('FROM node'), checkpoint: null },
+        ],
+      }]);
+      reopened.close();
+    });
+  });
+
+  test(`${name}: a rewound history replaces the messages after the shared start`, { skip }, () => {
+    withStorage(Storage, file, (open) => {
+      const storage = open();
+      storage.load();
+      const session = makeSession('sess_1');
+      session.history.push(user('m1', 'hello'), assistant('hi'), user('m2', 'docker'), assistant('FROM node'));
+      storage.save(session);
+      session.history.splice(2, 2, user('m2', 'kubernetes'), assistant('apiVersion: v1'));
+      storage.save(session);
+      storage.close();
+
+      const reopened = open();
+      const [record] = reopened.load();
+      assert.deepEqual(record.messages.map(({ entry }) => entry.content), ['hello', 'hi', 'kubernetes', 'apiVersion: v1']);
+      reopened.close();
+    });
+  });
+
+  test(`${name}: deleted sessions stay deleted`, { skip }, () => {
+    withStorage(Storage, file, (open) => {
+      const storage = open();
+      storage.load();
+      for (const id of ['a', 'b']) {
+        const session = makeSession(id);
+        session.history.push(user(`${id}1`, 'hello'));
+        storage.save(session);
+      }
+      storage.delete('a');
+      storage.close();
+
+      const reopened = open();
+      assert.deepEqual(reopened.load().map(({ id }) => id), ['b']);
+      reopened.close();
+    });
+  });
+
+  test(`${name}: writing after close throws StorageError`, { skip }, () => {
+    withStorage(Storage, file, (open) => {
+      const storage = open();
+      storage.load();
+      storage.close();
+      assert.throws(() => storage.save(makeSession('late')), StorageError);
+    });
+  });
+}
+
+test('jsonl: a half-written last line is skipped with a warning', () => {
+  withStorage(JsonlStorage, 'conversations.jsonl', (open) => {
+    const storage = open();
+    storage.load();
+    const session = makeSession('s');
+    session.history.push(user('m1', 'hello'));
+    storage.save(session);
+    storage.close();
+    fs.appendFileSync(storage.file, '{"type":"message","id":"s","ent');
+
+    const reopened = open();
+    assert.equal(reopened.load()[0].messages.length, 1);
+    assert.deepEqual(reopened.warnings, ['conversations.jsonl:3 is not valid JSON and was skipped']);
+    reopened.close();
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const admin = { headers: { Authorization: `Bearer ${ADMIN_KEY}` } };
+
+let server;
+test.before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+});
+test.after(() => server.stop());
+
+// Chat in a conversation over HTTP, one message after the other
+async function chat(sessionId, messages) {
+  for (const message of messages) {
+    const { status } = await server.request('POST', '/api/chat', { body: { message }, headers: { 'X-Session-ID': sessionId } });
+    assert.equal(status, 200, message);
+  }
+}
+
+test('the conversation routes need an admin key, also with authentication off', async () => {
+  assert.equal((await server.request('GET', '/api/conversations')).status, 401);
+  const { status, headers } = await server.request('GET', '/api/conversations', { headers: { Authorization: 'Bearer wrong' } });
+  assert.equal(status, 401);
+  assert.match(headers.get('www-authenticate'), /^Bearer realm="EXPLORABOT"$/);
+});
+
+test('live conversations are listed, most recently active first', async () => {
+  await chat('support_list_a', ['hello']);
+  await chat('support_list_b', ['What can you do?', 'Wie ist der Status?']);
+
+  const { status, body } = await server.request('GET', '/api/conversations', admin);
+  assert.equal(status, 200);
+  const ids = body.conversations.map(({ id }) => id);
+  assert.ok(ids.indexOf('support_list_b') < ids.indexOf('support_list_a'));
+
+  const listed = body.conversations.find(({ id }) => id === 'support_list_b');
+  assert.equal(listed.messageCount, 4);
+  assert.equal(listed.locale, 'de');
+  assert.ok(Date.parse(listed.expiresAt) > Date.parse(listed.lastActiveAt));
+  assert.equal(typeof listed.lastMessage, 'string');
+
+  // Reading does not keep a conversation alive
+  const again = (await server.request('GET', '/api/conversations', admin)).body.conversations.find(({ id }) => id === 'support_list_b');
+  assert.equal(again.lastActiveAt, listed.lastActiveAt);
+});
+
+test('a history is read in pages by following nextCursor', async () => {
+  await chat('support_pages', ['hello', 'What can you do?', 'deploy to railway']);
+
+  const pages = [];
+  let cursor = null;
+  do {
+    const query = `?limit=4${cursor ? `&cursor=${cursor}` : ''}`;
+    const { status, body } = await server.request('GET', `/api/conversations/support_pages/messages${query}`, admin);
+    assert.equal(status, 200);
+    assert.equal(body.total, 6);
+    assert.equal(body.conversationId, 'support_pages');
+    pages.push(body.messages);
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pages.map((page) => page.length), [4, 2]);
+  const [first] = pages[0];
+  assert.deepEqual(Object.keys(first).sort(), ['content', 'id', 'role', 'timestamp']);
+  assert.equal(first.content, 'hello');
+  assert.equal(pages[0][1].intent, 'greeting');
+  assert.equal(pages[0][1].source, 'rules');
+  assert.deepEqual(pages.flat().map(({ role }) => role), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+
+  const { body } = await server.request('GET', '/api/conversations/support_pages/messages', admin);
+  assert.equal(body.messages.length, 6);
+  assert.equal(body.nextCursor, null);
+});
+
+test('bad cursors and unknown conversations are refused', async () => {
+  await chat('support_errors', ['hello']);
+  let response = await server.request('GET', '/api/conversations/support_errors/messages?cursor=bm9wZQ', admin);
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.error.fields, [{ field: 'cursor', code: 'pattern', message: 'must be a nextCursor value' }]);
+
+  response = await server.request('GET', '/api/conversations/nobody/messages', admin);
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error.message, 'Not found');
+  assert.equal((await server.request('DELETE', '/api/conversations/nobody', admin)).status, 404);
+  assert.equal((await server.request('POST', '/api/conversations/nobody/reset', admin)).status, 404);
+});
+
+test('a reset conversation is kept, empty', async () => {
+  await chat('support_reset', ['hello', 'deploy to railway']);
+  const { status, body } = await server.request('POST', '/api/conversations/support_reset/reset', admin);
+  assert.equal(status, 200);
+  assert.deepEqual({ id: body.id, reset: body.reset }, { id: 'support_reset', reset: true });
+
+  const page = (await server.request('GET', '/api/conversations/support_reset/messages', admin)).body;
+  assert.deepEqual(page.messages, []);
+  assert.equal(page.total, 0);
+
+  // The dialog it was in is gone too
+  await chat('support_reset', ['python']);
+  const [, reply] = (await server.request('GET', '/api/conversations/support_reset/messages', admin)).body.messages;
+  assert.notEqual(reply.intent, 'deploy');
+});
+
+test('a deleted conversation is gone', async () => {
+  await chat('support_delete', ['hello']);
+  const { status, body } = await server.request('DELETE', '/api/conversations/support_delete', admin);
+  assert.equal(status, 200);
+  assert.deepEqual({ id: body.id, deleted: body.deleted }, { id: 'support_delete', deleted: true });
+
+  assert.equal((await server.request('GET', '/api/conversations/support_delete/messages', admin)).status, 404);
+  const { conversations } = (await server.request('GET', '/api/conversations', admin)).body;
+  assert.ok(!conversations.some(({ id }) => id === 'support_delete'));
+  assert.match(server.logs(), /Conversation deleted over the API/);
+});
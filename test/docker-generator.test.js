@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NLPProcessor = require('../src/nlp-processor');
+const { parseYaml } = require('../src/yaml');
+const { readZipFiles } = require('./helpers/zip');
+
+// Send messages in order and return the last result
+async function converse(nlp, messages) {
+  let result = null;
+  for (const message of messages) {
+    result = await nlp.respond(message);
+  }
+  return result;
+}
+
+test('the generator asks for each setting in turn', async () => {
+  const nlp = new NLPProcessor();
+  const asked = [];
+  for (const answer of ['Write a Dockerfile for my app', 'python', 'app.py', '5000', '.env', './data:/app/data']) {
+    const result = await nlp.respond(answer);
+    assert.equal(result.intent, 'docker', answer);
+    asked.push(result.awaiting);
+  }
+  assert.deepEqual(asked, ['runtime', 'entrypoint', 'port', 'envFiles', 'volumes', 'healthcheck']);
+
+  const result = await nlp.respond('/health');
+  assert.equal(result.awaiting, null);
+  assert.deepEqual(result.slots, {
+    runtime: 'python',
+    entrypoint: 'app.py',
+    port: 5000,
+    envFiles: ['.env'],
+    volumes: ['./data:/app/data'],
+    healthcheck: '/health',
+    appName: 'my-app',
+  });
+  assert.match(result.response, /^🐳 \*\*Docker setup for my-app:\*\*/);
+});
+
+test('settings given up front produce the files straight away', async () => {
+  const result = await new NLPProcessor().respond(
+    'Dockerize my node app called shop, entrypoint src/index.js, port 3000, env files .env, volumes ./data:/app/data, health check at /health'
+  );
+  assert.equal(result.awaiting, null);
+  const [attachment] = result.attachments;
+  assert.equal(attachment.name, 'shop-docker.zip');
+  assert.equal(attachment.mimeType, 'application/zip');
+  assert.equal(attachment.size, attachment.data.length);
+
+  const files = readZipFiles(attachment.data);
+  assert.deepEqual(Object.keys(files).sort(), ['.dockerignore', 'Dockerfile', 'docker-compose.yml']);
+  assert.match(files.Dockerfile, /^FROM node:20-alpine/);
+  assert.match(files.Dockerfile, /^EXPOSE 3000$/m);
+  assert.match(files.Dockerfile, /^USER node$/m);
+  assert.match(files.Dockerfile, /^HEALTHCHECK .*\n  CMD node -e .*'\/health'/m);
+  assert.match(files.Dockerfile, /^CMD \["node", "src\/index\.js"\]$/m);
+  assert.ok(result.response.includes(files.Dockerfile.trim()));
+
+  const { services } = parseYaml(files['docker-compose.yml']);
+  assert.deepEqual(services.shop.ports, ['3000:3000']);
+  assert.deepEqual(services.shop.env_file, ['.env']);
+  assert.deepEqual(services.shop.volumes, ['./data:/app/data']);
+});
+
+test('"none" answers leave optional settings out', async () => {
+  const result = await converse(new NLPProcessor(), ['Dockerize my static html site, port 80', 'default', 'none', 'none', 'none']);
+  assert.deepEqual(result.slots, {
+    runtime: 'static',
+    port: 80,
+    entrypoint: 'default',
+    envFiles: [],
+    volumes: [],
+    healthcheck: '',
+    appName: 'my-app',
+  });
+  const files = readZipFiles(result.attachments[0].data);
+  assert.match(files.Dockerfile, /^FROM nginxinc\/nginx-unprivileged:alpine$/m);
+  assert.doesNotMatch(files.Dockerfile, /HEALTHCHECK|CMD/);
+
+  // The unprivileged nginx image always listens on 8080
+  const { services } = parseYaml(files['docker-compose.yml']);
+  assert.deepEqual(services['my-app'].ports, ['80:8080']);
+  assert.equal(services['my-app'].env_file, undefined);
+  assert.equal(services['my-app'].volumes, undefined);
+});
+
+test('each runtime gets its own start command', async () => {
+  for (const [runtime, entrypoint, command] of [
+    ['node', 'default', 'CMD ["npm", "start"]'],
+    ['python', 'gunicorn app:app', 'CMD ["gunicorn", "app:app"]'],
+    ['go', 'default', 'CMD ["./app"]'],
+    ['java', 'default', 'CMD ["java", "-jar", "app.jar"]'],
+  ]) {
+    const language = runtime === 'go' ? 'golang' : runtime;
+    const result = await converse(new NLPProcessor(), [`Dockerize my ${language} app on port 8080`, entrypoint, 'none', 'none', 'none']);
+    const { Dockerfile } = readZipFiles(result.attachments[0].data);
+    assert.ok(Dockerfile.includes(command), `${runtime}: ${Dockerfile}`);
+  }
+});
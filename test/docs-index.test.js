@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DocsIndex = require('../src/docs-index');
+const { slugify } = DocsIndex;
+const { renderMarkdown } = require('../src/markdown');
+const NLPProcessor = require('../src/nlp-processor');
+
+const GUIDES = {
+  'DEPLOY.md': [
+    '# Deployment Guide',
+    '',
+    'How releases reach production.',
+    '',
+    '## CI/CD Pipeline',
+    '',
+    'Every push runs the **pipeline**: tests, a build and a deploy.',
+    '',
+    'Rollbacks redeploy the previous build of the pipeline.',
+    '',
+    '```bash',
+    '# Not a heading',
+    'npm run deploy',
+    '```',
+    '',
+    '## Secrets',
+    '',
+    'Keep API keys in the environment, never in the repository.',
+  ].join('\n'),
+  'MOBILE.md': [
+    '# Mobile Guidelines',
+    '',
+    '## Touch Targets',
+    '',
+    'Touch targets should be at least 44 points, so that taps land. A pipeline is not involved.',
+    '',
+    '## Empty Section',
+  ].join('\n'),
+  'notes.txt': 'Not markdown: pipeline pipeline pipeline',
+};
+
+// A docs index over the guides above, in a temporary directory
+function withDocs(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-docs-'));
+  try {
+    Object.entries(GUIDES).forEach(([file, content]) => fs.writeFileSync(path.join(directory, file), content));
+    return run(new DocsIndex({ directory }).load(), directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('headings become GitHub-style anchors', () => {
+  assert.equal(slugify('CI/CD Pipeline'), 'cicd-pipeline');
+  assert.equal(slugify(' Touch  Targets '), 'touch--targets');
+  assert.equal(slugify('Wdrożenie na Railway'), 'wdrożenie-na-railway');
+});
+
+test('markdown guides are split into one passage per heading', () => {
+  withDocs((docs) => {
+    assert.deepEqual(Object.keys(docs.documents), ['DEPLOY.md', 'MOBILE.md']);
+    assert.deepEqual(docs.passages.map(({ file, heading, anchor }) => `${file}#${anchor} ${heading}`), [
+      'DEPLOY.md#deployment-guide Deployment Guide',
+      'DEPLOY.md#cicd-pipeline CI/CD Pipeline',
+      'DEPLOY.md#secrets Secrets',
+      'MOBILE.md#touch-targets Touch Targets',
+    ]);
+    assert.ok(docs.passages.every(({ file, title }) => title === (file === 'DEPLOY.md' ? 'Deployment Guide' : 'Mobile Guidelines')));
+    assert.match(docs.passages[1].text, /# Not a heading/);
+  });
+});
+
+test('searches rank sections about the question first', () => {
+  withDocs((docs) => {
+    const [best, ...rest] = docs.search('What is a CI/CD pipeline?');
+    assert.equal(best.file, 'DEPLOY.md');
+    assert.equal(best.anchor, 'cicd-pipeline');
+    assert.equal(best.excerpt, 'Every push runs the pipeline : tests, a build and a deploy.');
+    assert.ok(rest.every((result) => result.score < best.score));
+
+    assert.equal(docs.search('tell me about touch targets')[0].heading, 'Touch Targets');
+    assert.deepEqual(docs.search('what is it?'), []);
+    assert.deepEqual(docs.search('kubernetes'), []);
+    assert.equal(docs.search('pipeline', { limit: 1 }).length, 1);
+  });
+});
+
+test('a passage must contain enough of the question', () => {
+  withDocs((docs) => {
+    assert.deepEqual(docs.search('pipeline kubernetes helm'), []);
+    assert.equal(docs.search('pipeline kubernetes helm', { minCoverage: 0.3 })[0].anchor, 'cicd-pipeline');
+  });
+});
+
+test('long excerpts are cut at a word boundary', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-docs-'));
+  try {
+    fs.writeFileSync(path.join(directory, 'LONG.md'), `# Long\n\n${'word '.repeat(100)}pipeline`);
+    const [result] = new DocsIndex({ directory }).load().search('word');
+    assert.ok(result.excerpt.length <= 321);
+    assert.match(result.excerpt, /word…$/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the index rebuilds when a guide changes', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-docs-'));
+  const docs = new DocsIndex({ directory });
+  try {
+    fs.writeFileSync(path.join(directory, 'A.md'), '# A\n\nalpha');
+    docs.load().watch();
+    // The watcher does not keep the process alive on its own
+    let timer;
+    const reloaded = new Promise((resolve, reject) => {
+      docs.once('reload', resolve);
+      timer = setTimeout(() => reject(new Error('no reload')), 5000);
+    });
+    fs.writeFileSync(path.join(directory, 'B.md'), '# B\n\nbeta');
+    assert.deepEqual(await reloaded, ['A.md', 'B.md']);
+    clearTimeout(timer);
+    assert.equal(docs.search('beta')[0].file, 'B.md');
+  } finally {
+    docs.unwatch();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('explain questions are answered from the docs with links to the sections', async () => {
+  await withDocs(async (docs) => {
+    const nlp = new NLPProcessor({ services: { docsIndex: docs } });
+    const result = await nlp.respond('What is CI/CD?');
+    assert.equal(result.intent, 'explain');
+    assert.deepEqual(result.slots, { topic: 'CI/CD' });
+    assert.match(result.response, /📖 \*\*CI\/CD Pipeline\*\*\nEvery push runs the pipeline/);
+    assert.match(result.response, /🔗 \[Deployment Guide › CI\/CD Pipeline\]\(\/docs\/DEPLOY\.md#cicd-pipeline\)/);
+
+    assert.match((await nlp.respond('Explain kubernetes')).response, /kubernetes/);
+  });
+  assert.match((await new NLPProcessor().respond('Explain microservices')).response, /docs aren't available/);
+});
+
+test('guides render with anchors that match the links', () => {
+  const html = renderMarkdown(GUIDES['DEPLOY.md']);
+  assert.match(html, /<h2 id="cicd-pipeline">CI\/CD Pipeline<\/h2>/);
+  assert.match(html, /<strong>pipeline<\/strong>/);
+  assert.match(html, /<pre><code># Not a heading\nnpm run deploy<\/code><\/pre>/);
+
+  assert.equal(renderMarkdown('See [mobile](./MOBILE.md#touch-targets).'), '<p>See <a href="/docs/MOBILE.md#touch-targets">mobile</a>.</p>');
+  assert.equal(renderMarkdown('[x](javascript:alert(1)) <b>'), '<p>x) &lt;b&gt;</p>');
+  assert.equal(renderMarkdown('[x](/a"onmouseover="b)'), '<p><a href="/a&quot;onmouseover=&quot;b">x</a></p>');
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const envFile = require('../src/env-file');
+const NLPProcessor = require('../src/nlp-processor');
+
+const TEMPLATE = [
+  '# Server',
+  'APP_NAME=shop',
+  'APP_PORT=8080  # Local port',
+  '# APP_MODE=fast  # fast, safe or slow; how hard to try',
+  '',
+  '# Tuning (optional)',
+  '# RATIO=0.5  # Share of traffic (0-1)',
+  '# WORKERS=4',
+  '# VERBOSE=false',
+  '# API_URL=https://example.com/api',
+  '# SERVICE_KEY=your_service_key_here',
+  'APP_NAME=ignored duplicate',
+  '',
+].join('\n');
+
+// Send messages in order and return the last result
+async function converse(nlp, messages) {
+  let result = null;
+  for (const message of messages) {
+    result = await nlp.respond(message);
+  }
+  return result;
+}
+
+test('a template lists its variables with their sections and types', () => {
+  const variables = envFile.parseEnvTemplate(TEMPLATE);
+  assert.deepEqual(variables.map(({ name, section, required, type }) => `${section}/${name}:${type}${required ? '!' : ''}`), [
+    'Server/APP_NAME:string!',
+    'Server/APP_PORT:port!',
+    'Server/APP_MODE:choice',
+    'Tuning (optional)/RATIO:number',
+    'Tuning (optional)/WORKERS:integer',
+    'Tuning (optional)/VERBOSE:boolean',
+    'Tuning (optional)/API_URL:url',
+    'Tuning (optional)/SERVICE_KEY:string',
+  ]);
+  const byName = Object.fromEntries(variables.map((variable) => [variable.name, variable]));
+  assert.equal(byName.APP_PORT.description, 'Local port');
+  assert.deepEqual(byName.APP_MODE.choices, ['fast', 'safe', 'slow']);
+  assert.deepEqual([byName.RATIO.min, byName.RATIO.max], [0, 1]);
+  assert.equal(byName.WORKERS.min, 1);
+  assert.equal(byName.SERVICE_KEY.default, '');
+  assert.equal(byName.SERVICE_KEY.secret, true);
+});
+
+test("the repository's .env.example parses", () => {
+  const variables = envFile.loadEnvTemplate();
+  assert.deepEqual(variables.filter((variable) => variable.required).map(({ name }) => name), ['BOT_NAME', 'BOT_PORT', 'NODE_ENV']);
+  assert.deepEqual(envFile.checkEnvironment(variables, Object.fromEntries(variables.map((variable) => [variable.name, variable.default]))), []);
+});
+
+test('answers are checked against the variable type', () => {
+  const byName = Object.fromEntries(envFile.parseEnvTemplate(TEMPLATE).map((variable) => [variable.name, variable]));
+  const cases = [
+    ['APP_PORT', ' 3000 ', { value: '3000' }],
+    ['APP_PORT', 'abc', { error: 'port' }],
+    ['APP_PORT', '0', { error: 'range', min: 1, max: 65535 }],
+    ['WORKERS', '2.5', { error: 'integer' }],
+    ['RATIO', '.25', { value: '0.25' }],
+    ['RATIO', '2', { error: 'range', min: 0, max: 1 }],
+    ['VERBOSE', 'Tak', { value: 'true' }],
+    ['VERBOSE', 'nein', { value: 'false' }],
+    ['VERBOSE', 'maybe', { error: 'boolean' }],
+    ['APP_MODE', 'SAFE', { value: 'safe' }],
+    ['APP_MODE', 'quick', { error: 'choice', choices: ['fast', 'safe', 'slow'] }],
+    ['API_URL', 'ftp://example.com', { error: 'url' }],
+    ['API_URL', 'not a url', { error: 'url' }],
+    ['APP_NAME', '   ', { error: 'required' }],
+    ['APP_NAME', 'a\nb', { error: 'multiline' }],
+    ['APP_NAME', 'it\'s "all" `quoted`', { error: 'quotes' }],
+  ];
+  for (const [name, input, expected] of cases) {
+    assert.deepEqual(envFile.parseEnvValue(byName[name], input), expected, `${name} = ${input}`);
+  }
+  assert.deepEqual(envFile.checkEnvironment(Object.values(byName), { APP_PORT: 'http', WORKERS: '', VERBOSE: 'yes' }), [
+    { name: 'APP_PORT', value: 'http', error: 'port' },
+  ]);
+});
+
+test('values are written into the template layout, quoted where needed', () => {
+  assert.equal(envFile.formatEnvValue('plain'), 'plain');
+  assert.equal(envFile.formatEnvValue('two words'), "'two words'");
+  assert.equal(envFile.formatEnvValue("it's #1"), '"it\'s #1"');
+  assert.equal(envFile.maskSecret('sk-1234567890abcd'), '••••abcd');
+  assert.equal(envFile.maskSecret('short'), '••••');
+
+  const rendered = envFile.renderEnvFile(TEMPLATE, { APP_PORT: '3000', WORKERS: '8', APP_NAME: 'my shop' });
+  assert.deepEqual(rendered.split('\n').slice(0, 4), ['# Server', "APP_NAME='my shop'", 'APP_PORT=3000  # Local port', '# APP_MODE=fast  # fast, safe or slow; how hard to try']);
+  assert.match(rendered, /^WORKERS=8$/m);
+  assert.match(rendered, /^# VERBOSE=false$/m);
+  assert.ok(rendered.endsWith('\n') && !rendered.endsWith('\n\n'));
+});
+
+test('the wizard asks for each setting, explains mistakes and can go back', async () => {
+  const nlp = new NLPProcessor();
+  let result = await nlp.respond('Configure my .env file');
+  assert.equal(result.intent, 'env');
+  assert.match(result.response, /`BOT_NAME` \(1\/\d+\)/);
+
+  result = await converse(nlp, ['shop', 'abc']);
+  assert.match(result.response, /^❌ `BOT_PORT` must be a port number\.\n\n⚙️ `BOT_PORT` \(2\//);
+  result = await nlp.respond('70000');
+  assert.match(result.response, /^❌ `BOT_PORT` must be between 1 and 65535\./);
+
+  result = await converse(nlp, ['back', 'default', '3000', 'done']);
+  const [attachment] = result.attachments;
+  assert.equal(attachment.name, '.env');
+  const assignments = attachment.data.toString().split('\n').filter((line) => /^[A-Z]/.test(line));
+  assert.deepEqual(assignments, [
+    'BOT_NAME=EXPLORABOT',
+    'BOT_PORT=3000  # For local development (Railway uses PORT automatically)',
+    'NODE_ENV=production  # production or development',
+  ]);
+  assert.equal(nlp.context.dialog, null);
+});
+
+test('secret answers are masked in the history and never stored', async () => {
+  const nlp = new NLPProcessor();
+  const toAdminKey = ['Configure my .env file', 'shop', '3000', 'default', 'default', 'default', 'default', 'default'];
+  const result = await converse(nlp, [...toAdminKey, 'sk-admin-1234567890abcd']);
+  assert.match(result.response, /^✅ `ADMIN_API_KEY` = `••••abcd`/);
+  assert.equal(nlp.getHistory().at(-2).content, '••••abcd');
+  assert.doesNotMatch(JSON.stringify(nlp.getStoredState()), /sk-admin/);
+
+  // Still in the file when the wizard finishes in the same process...
+  const finished = await nlp.respond('done');
+  assert.match(finished.attachments[0].data.toString(), /^ADMIN_API_KEY=sk-admin-1234567890abcd /m);
+
+  // ...but named as forgotten when it finishes after a restart
+  const before = new NLPProcessor();
+  await converse(before, [...toAdminKey, 'sk-admin-1234567890abcd']);
+  const restored = new NLPProcessor();
+  restored.restore(before.getStoredState(), before.getHistory());
+  const after = await restored.respond('done');
+  assert.match(after.response, /add `ADMIN_API_KEY` to `\.env` yourself/);
+  assert.doesNotMatch(after.attachments[0].data.toString(), /^ADMIN_API_KEY=/m);
+});
@@ -0,0 +1,181 @@
+/**
+ * Test Server for EXPLORABOT
+ * Starts src/index.js in a child process on a free port, in a temporary
+ * working directory (so logs/ and stored files stay out of the tree), for
+ * tests that talk to it over HTTP and WebSocket.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', '..', 'src', 'index.js');
+const START_TIMEOUT = 10000;
+const FRAME_TIMEOUT = 5000;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * A WebSocket whose frames are queued, so a test can wait for the next one
+ * it expects. `closed` resolves to the close code.
+ */
+function openSocket(url, options) {
+  const ws = new WebSocket(url, options);
+  const frames = [];
+  let notify = () => {};
+  ws.on('message', (data) => {
+    frames.push(JSON.parse(data.toString()));
+    notify();
+  });
+  ws.closed = new Promise((resolve) => ws.on('close', (code) => {
+    resolve(code);
+    notify();
+  }));
+  ws.opened = new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  ws.sendFrame = (frame) => ws.send(JSON.stringify(frame));
+
+  // The first queued frame matching `predicate` (a type or a function);
+  // frames before it are dropped
+  ws.nextFrame = (predicate = () => true, timeout = FRAME_TIMEOUT) => {
+    const matches = typeof predicate === 'string' ? (frame) => frame.type === predicate : predicate;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        notify = () => {};
+        reject(new Error(`no matching frame within ${timeout}ms`));
+      }, timeout);
+      const check = () => {
+        while (frames.length > 0) {
+          const frame = frames.shift();
+          if (matches(frame)) {
+            clearTimeout(timer);
+            notify = () => {};
+            resolve(frame);
+            return;
+          }
+        }
+        if (ws.readyState === WebSocket.CLOSED) {
+          clearTimeout(timer);
+          notify = () => {};
+          reject(new Error('socket closed'));
+        }
+      };
+      notify = check;
+      check();
+    });
+  };
+
+  // Every frame of one reply, up to and including its done frame (or error)
+  ws.collectReply = async (messageId) => {
+    const frames = [];
+    let frame;
+    do {
+      frame = await ws.nextFrame((candidate) => candidate.messageId === messageId);
+      frames.push(frame);
+    } while (frame.type === 'chunk');
+    return frames;
+  };
+
+  return ws;
+}
+
+/**
+ * Start the server with `env` on top of a quiet test configuration.
+ * Resolves once it listens; call stop() when done.
+ */
+async function startServer(env = {}) {
+  const port = await findFreePort();
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-server-'));
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      INTENTS_WATCH: 'false',
+      DOCS_WATCH: 'false',
+      STREAM_CHUNK_DELAY: '1',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { output += data; });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), START_TIMEOUT);
+    const onData = () => {
+      if (output.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  return {
+    baseUrl,
+    cwd,
+    logs: () => output,
+
+    /**
+     * An HTTP request; resolves to { status, headers, body, data }, with
+     * JSON bodies parsed, others as text, and the raw bytes as `data`
+     */
+    async request(method, pathname, { body, headers = {} } = {}) {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = Buffer.from(await response.arrayBuffer());
+      const text = data.toString('utf8');
+      const json = (response.headers.get('content-type') || '').includes('application/json');
+      return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text, data };
+    },
+
+    async connect(query = '', options = {}) {
+      const ws = openSocket(`ws://127.0.0.1:${port}/${query}`, options);
+      sockets.push(ws);
+      await ws.opened;
+      return ws;
+    },
+
+    async stop() {
+      sockets.forEach((ws) => ws.terminate());
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(cwd, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,56 @@
+/**
+ * Test Zip Reader for EXPLORABOT
+ * Reads back the archives that src/zip-writer.js writes
+ */
+
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { crc32 } = require('../../src/zip-writer');
+
+/**
+ * Read an archive back through its central directory, checking every
+ * entry's local header, size and CRC on the way
+ */
+function readZip(archive) {
+  const endOffset = archive.length - 22;
+  assert.equal(archive.readUInt32LE(endOffset), 0x06054b50, 'end of central directory signature');
+  const count = archive.readUInt16LE(endOffset + 10);
+  const centralSize = archive.readUInt32LE(endOffset + 12);
+  let offset = archive.readUInt32LE(endOffset + 16);
+  assert.equal(offset + centralSize, endOffset, 'central directory ends where the end record starts');
+
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50, 'central directory header signature');
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const mode = archive.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, 'local file header signature');
+    assert.equal(archive.readUInt16LE(localOffset + 26), nameLength);
+    const dataStart = localOffset + 30 + nameLength;
+    const body = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(body) : Buffer.from(body);
+    assert.equal(data.length, size, `${name}: uncompressed size`);
+    assert.equal(crc32(data), crc, `${name}: CRC`);
+
+    entries.push({ name, method, mode, data });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+/**
+ * The files of an archive as { path: text }
+ */
+function readZipFiles(archive) {
+  return Object.fromEntries(readZip(archive).map(({ name, data }) => [name, data.toString('utf8')]));
+}
+
+module.exports = { readZip, readZipFiles };
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, detectLanguage, resolveLocale, translate } = require('../src/i18n');
+const NLPProcessor = require('../src/nlp-processor');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'src', 'locales');
+const readCatalog = (locale) => JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+const placeholders = (value) => [...new Set([value].flat().join('\n').match(/\{\w+\}/g))].sort();
+
+test('locales are resolved from language tags', () => {
+  assert.deepEqual(SUPPORTED_LOCALES.slice().sort(), ['de', 'en', 'pl']);
+  assert.equal(resolveLocale('pl-PL'), 'pl');
+  assert.equal(resolveLocale(' DE_at '), 'de');
+  assert.equal(resolveLocale('fr'), null);
+  assert.equal(resolveLocale(undefined), null);
+});
+
+test('the language of a message is detected from its words and letters', () => {
+  assert.equal(detectLanguage('How can you help me?'), 'en');
+  assert.equal(detectLanguage('Jak wdrożyć moją aplikację?'), 'pl');
+  assert.equal(detectLanguage('Wie kann ich meine App bereitstellen?'), 'de');
+  assert.equal(detectLanguage('Größe'), 'de');
+  assert.equal(detectLanguage('docker'), null);
+  assert.equal(detectLanguage(''), null);
+});
+
+test('translations fill placeholders and fall back to English', () => {
+  assert.equal(translate('pl', 'command.unknown', { command: 'x' }), '❓ Nie ma polecenia /x. Wpisz `/help`, aby zobaczyć listę.');
+  assert.equal(translate('xx', 'dialog.cancelled'), translate(DEFAULT_LOCALE, 'dialog.cancelled'));
+  assert.equal(translate('de', 'no.such.key'), 'no.such.key');
+  assert.match(translate('en', 'clarification.question', { first: 'A' }), /\*\*A\*\* or \*\*\{second\}\*\*/);
+  // Values written as arrays of lines come back as one text
+  assert.match(translate('en', 'default.welcome'), /^👋 Welcome to EXPLORABOT!\n\nI'm your/);
+});
+
+test('every catalog has the same keys and placeholders as English', () => {
+  const english = readCatalog(DEFAULT_LOCALE);
+  for (const locale of SUPPORTED_LOCALES.filter((name) => name !== DEFAULT_LOCALE)) {
+    const catalog = readCatalog(locale);
+    assert.deepEqual(Object.keys(catalog).sort(), Object.keys(english).sort(), locale);
+    for (const key of Object.keys(english)) {
+      assert.deepEqual(placeholders(catalog[key]), placeholders(english[key]), `${locale}: ${key}`);
+    }
+  }
+});
+
+test('every intent can be recognised in every language', () => {
+  const { intents } = new NLPProcessor();
+  for (const [name, intent] of Object.entries(intents)) {
+    for (const locale of SUPPORTED_LOCALES.filter((candidate) => candidate !== DEFAULT_LOCALE)) {
+      assert.ok(intent.locales[locale]?.patterns.length > 0, `${name}: ${locale}`);
+    }
+  }
+});
+
+test('replies follow the language of each message', async () => {
+  const nlp = new NLPProcessor();
+  let result = await nlp.respond('Co potrafisz?');
+  assert.equal(result.locale, 'pl');
+  assert.match(result.response, /Mogę pomóc Ci w/);
+
+  result = await nlp.respond('Was kannst du?');
+  assert.equal(result.locale, 'de');
+  assert.match(result.response, /Ich kann dir helfen bei/);
+
+  // A message with no clear language keeps the last one
+  result = await nlp.respond('docker');
+  assert.equal(result.intent, 'docker');
+  assert.equal(result.locale, 'de');
+});
+
+test('a requested language wins over detection, and /lang pins one', async () => {
+  assert.equal((await new NLPProcessor().respond('hello', { locale: 'pl' })).locale, 'pl');
+
+  const nlp = new NLPProcessor();
+  await nlp.respond('/lang de');
+  assert.equal((await nlp.respond('hello')).locale, 'de');
+  await nlp.respond('/lang auto');
+  assert.equal((await nlp.respond('hello')).locale, 'en');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NLPProcessor = require('../src/nlp-processor');
+const IntentRegistry = require('../src/intent-registry');
+
+const INTENTS = {
+  alpha: { label: 'Alpha', patterns: ['\\balpha\\b'], responses: ['alpha reply'] },
+  beta: { label: 'Beta', patterns: ['\\bbeta\\b'], responses: ['beta reply'] },
+  gamma: { label: 'Gamma', weight: 0.5, patterns: ['\\bgamma\\b'], responses: ['gamma reply'] },
+};
+
+// A processor with only the intents above, read from a temporary directory
+function createProcessor(options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-intents-'));
+  try {
+    for (const [name, intent] of Object.entries(INTENTS)) {
+      const examples = [`${name} please`];
+      fs.writeFileSync(path.join(directory, `${name}.json`), JSON.stringify({ name, examples, ...intent }));
+    }
+    return new NLPProcessor({ registry: new IntentRegistry({ directory }).load(), ...options });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('confidences are normalised scores, highest first', () => {
+  const nlp = createProcessor();
+  assert.deepEqual(nlp.rankIntents('alpha, alpha and beta'), [
+    { intent: 'alpha', confidence: 0.714 },
+    { intent: 'beta', confidence: 0.286 },
+  ]);
+  assert.deepEqual(nlp.rankIntents('nothing here'), []);
+  assert.equal(nlp.detectIntent('and beta'), 'beta');
+});
+
+test('a match at the start of the message earns a bonus', () => {
+  const nlp = createProcessor();
+  assert.deepEqual(nlp.rankIntents('beta or alpha'), [
+    { intent: 'beta', confidence: 0.6 },
+    { intent: 'alpha', confidence: 0.4 },
+  ]);
+});
+
+test("an intent's weight scales its score", () => {
+  const nlp = createProcessor();
+  assert.deepEqual(nlp.rankIntents('so gamma or alpha'), [
+    { intent: 'alpha', confidence: 0.667 },
+    { intent: 'gamma', confidence: 0.333 },
+  ]);
+});
+
+test('a clear winner is answered straight away', async () => {
+  const result = await createProcessor().respond('beta or alpha');
+  assert.equal(result.intent, 'beta');
+  assert.equal(result.response, 'beta reply');
+  assert.equal(result.clarification, false);
+});
+
+test('a near-tie asks which intent was meant', async () => {
+  const nlp = createProcessor();
+  const result = await nlp.respond('maybe alpha or beta');
+  assert.equal(result.clarification, true);
+  assert.equal(result.intent, null);
+  assert.equal(result.confidence, 0.5);
+  assert.match(result.response, /Did you mean \*\*Alpha\*\* or \*\*Beta\*\*\?/);
+  assert.deepEqual(nlp.context.pendingClarification, ['alpha', 'beta']);
+});
+
+test('the clarifying question is answered by number, ordinal or a matching message', async () => {
+  for (const [answer, intent] of [['2', 'beta'], ['the first one', 'alpha'], ['pierwszy', 'alpha'], ['zweite', 'beta'], ['beta, I think', 'beta']]) {
+    const nlp = createProcessor();
+    await nlp.respond('maybe alpha or beta');
+    const result = await nlp.respond(answer);
+    assert.equal(result.intent, intent, answer);
+    assert.equal(result.confidence, 1, answer);
+    assert.equal(nlp.context.pendingClarification, null, answer);
+  }
+});
+
+test('an unrelated reply to the clarifying question is ranked as usual', async () => {
+  const nlp = createProcessor();
+  await nlp.respond('maybe alpha or beta');
+  const result = await nlp.respond('gamma');
+  assert.equal(result.intent, 'gamma');
+  assert.equal(nlp.context.pendingClarification, null);
+});
+
+test('the clarification margin can be changed', async () => {
+  const result = await createProcessor({ clarificationMargin: 0 }).respond('maybe alpha or beta');
+  assert.equal(result.clarification, false);
+  assert.equal(result.intent, 'alpha');
+});
+
+test('a message matching no intent gets a fallback reply', async () => {
+  const result = await createProcessor().respond('how about that');
+  assert.equal(result.intent, null);
+  assert.equal(result.confidence, 0);
+  assert.deepEqual(result.ranking, []);
+});
+
+test('status questions starting with "what" or "wie" are not mistaken for help', async () => {
+  for (const message of ['What is the status?', 'Wie ist der Status?', 'Jak sprawdzić stan?']) {
+    const result = await new NLPProcessor().respond(message);
+    assert.equal(result.clarification, false, message);
+    assert.equal(result.intent, 'status', message);
+  }
+});
+
+test('help questions still reach help', async () => {
+  for (const message of ['What can you do?', 'Was kannst du?', 'Co potrafisz?', 'help']) {
+    assert.equal((await new NLPProcessor().respond(message)).intent, 'help', message);
+  }
+  assert.equal((await new NLPProcessor().respond('How to deploy?')).intent, 'deploy');
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IntentRegistry = require('../src/intent-registry');
+const { IntentValidationError } = IntentRegistry;
+const NLPProcessor = require('../src/nlp-processor');
+const ACTIONS = require('../src/actions');
+const CommandRegistry = require('../src/chat-commands');
+
+const VALID = { patterns: ['\\bhello\\b'], examples: ['hello there'], responses: ['Hi!'] };
+
+// Write intent files ({ name: definition or raw text }) to a temporary directory
+function withIntents(files, run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-intents-'));
+  const write = (name, content) => fs.writeFileSync(
+    path.join(directory, `${name}.json`),
+    typeof content === 'string' ? content : JSON.stringify(content)
+  );
+  try {
+    Object.entries(files).forEach(([name, content]) => write(name, content));
+    return run(directory, write);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+function loadErrors(files, options = {}) {
+  return withIntents(files, (directory) => {
+    try {
+      new IntentRegistry({ directory, ...options }).load();
+      return [];
+    } catch (error) {
+      assert.ok(error instanceof IntentValidationError);
+      return error.errors;
+    }
+  });
+}
+
+test("the repository's intents load with every entity, action and command known", () => {
+  const registry = new IntentRegistry({
+    entityNames: Object.keys(NLPProcessor.ENTITIES),
+    actionNames: Object.keys(ACTIONS),
+    commandNames: new CommandRegistry().names,
+  }).load();
+  assert.ok(Object.keys(registry.intents).length > 10);
+  assert.deepEqual(registry.warnings, []);
+});
+
+test('definitions are compiled for the processor', () => {
+  withIntents({
+    hello: {
+      ...VALID,
+      label: 'greeting',
+      weight: 2,
+      locales: { pl: { label: 'powitanie', patterns: ['cześć'], keywords: ['cześć'], responses: ['Cześć!'] } },
+    },
+  }, (directory) => {
+    const { hello } = new IntentRegistry({ directory }).load().intents;
+    assert.equal(hello.label, 'greeting');
+    assert.equal(hello.weight, 2);
+    assert.ok(hello.patterns[0].test('HELLO'));
+    assert.ok(hello.locales.pl.patterns[0].test('Cześć'));
+    assert.equal(hello.locales.pl.label, 'powitanie');
+    assert.equal(typeof hello.responses[0], 'object');
+  });
+});
+
+test('invalid definitions are reported with the file they are in', () => {
+  assert.deepEqual(loadErrors({
+    a: { ...VALID, colour: 'red' },
+    b: { ...VALID, name: 'other' },
+    c: { ...VALID, patterns: ['('] },
+    d: { ...VALID, weight: 0 },
+    e: '{ not json',
+    f: { ...VALID, responses: ['{{#if x}}open'] },
+    g: { ...VALID, slots: [{ name: 'port', entity: 'nope', required: true }] },
+    h: { ...VALID, action: 'missing' },
+    i: { ...VALID, locales: { english: { label: 'x' } } },
+  }).map((error) => error.replace(/: .*/s, '')), ['a.json', 'b.json', 'c.json', 'd.json', 'e.json', 'f.json', 'g.json', 'g.json', 'h.json', 'i.json']);
+
+  const [slotEntity, slotPrompt] = loadErrors({ g: { ...VALID, slots: [{ name: 'port', entity: 'nope', required: true }] } });
+  assert.match(slotEntity, /slots\[0\]\.entity "nope" is not a known entity/);
+  assert.match(slotPrompt, /slots\[0\]\.prompt is required for a required slot/);
+});
+
+test('commands must be unique and not take over built-in commands', () => {
+  assert.deepEqual(loadErrors({ a: { ...VALID, command: 'go' }, b: { ...VALID, command: 'go' } }), [
+    'b.json: command "go" is already used by a.json',
+  ]);
+  assert.deepEqual(loadErrors({ a: { ...VALID, command: 'help' } }, { commandNames: ['help'] }), [
+    'a.json: command "help" is already a built-in chat command',
+  ]);
+});
+
+test('an empty directory is an error', () => {
+  assert.match(loadErrors({})[0], /no intent files found/);
+});
+
+test('examples that match no pattern are warnings, not errors', () => {
+  withIntents({ hello: { ...VALID, examples: ['hello', 'good day'] } }, (directory) => {
+    const registry = new IntentRegistry({ directory }).load();
+    assert.deepEqual(registry.warnings, ['hello.json: example "good day" does not match any pattern']);
+  });
+});
+
+test('a failed reload keeps the intents that were loaded', () => {
+  withIntents({ hello: VALID }, (directory, write) => {
+    const registry = new IntentRegistry({ directory }).load();
+    write('broken', { patterns: [] });
+    assert.throws(() => registry.load(), IntentValidationError);
+    assert.deepEqual(Object.keys(registry.intents), ['hello']);
+  });
+});
+
+test('watching reloads intents when a file changes', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'explorabot-intents-'));
+  const registry = new IntentRegistry({ directory });
+  try {
+    fs.writeFileSync(path.join(directory, 'hello.json'), JSON.stringify(VALID));
+    registry.load().watch();
+    // The watcher does not keep the process alive on its own
+    let timer;
+    const reloaded = new Promise((resolve, reject) => {
+      registry.once('reload', resolve);
+      timer = setTimeout(() => reject(new Error('no reload')), 5000);
+    });
+    fs.writeFileSync(path.join(directory, 'bye.json'), JSON.stringify({ ...VALID, patterns: ['\\bbye\\b'], examples: ['bye'] }));
+    assert.deepEqual(await reloaded, ['bye', 'hello']);
+    clearTimeout(timer);
+  } finally {
+    registry.unwatch();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { LLMProviderError, OpenAICompatibleProvider, estimateTokens } = require('../src/llm-provider');
+const NLPProcessor = require('../src/nlp-processor');
+
+const MESSAGES = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'What is a container?' }];
+
+// A chat completions server answering each request with `reply(body, res)`
+async function withMockServer(reply, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      reply(JSON.parse(body), res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  try {
+    await run({ baseUrl, requests });
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function completion(content, usage) {
+  return { choices: [{ message: { role: 'assistant', content } }], ...(usage ? { usage } : {}) };
+}
+
+function sendEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+  }
+  res.end();
+}
+
+const delta = (content) => ({ choices: [{ delta: { content } }] });
+
+async function collect(iterator) {
+  const parts = [];
+  for await (const part of iterator) {
+    parts.push(part);
+  }
+  return parts;
+}
+
+test('complete() posts the conversation and returns the reply with its usage', async () => {
+  await withMockServer((body, res) => sendJSON(res, 200, completion('  A packaged app.  ', { total_tokens: 42 })), async ({ baseUrl, requests }) => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/`, apiKey: 'sk-test', model: 'tiny', maxTokens: 50 });
+    assert.deepEqual(await provider.complete(MESSAGES), { content: 'A packaged app.', usage: { totalTokens: 42 } });
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(requests[0].body, { model: 'tiny', messages: MESSAGES, max_tokens: 50 });
+  });
+});
+
+test('complete() estimates usage when the server does not report it', async () => {
+  await withMockServer((body, res) => sendJSON(res, 200, completion('A packaged app.')), async ({ baseUrl, requests }) => {
+    const { usage } = await new OpenAICompatibleProvider({ baseUrl }).complete(MESSAGES);
+    assert.deepEqual(usage, { totalTokens: estimateTokens(MESSAGES, 'A packaged app.'), estimated: true });
+    assert.ok(usage.totalTokens > 0);
+    assert.equal(requests[0].headers.authorization, undefined);
+  });
+});
+
+test('estimates grow with the prompt and the reply', () => {
+  assert.equal(estimateTokens([{ role: 'user', content: 'x'.repeat(40) }], 'y'.repeat(40)), 20 + 8);
+  assert.ok(estimateTokens(MESSAGES, 'long reply '.repeat(20)) > estimateTokens(MESSAGES, 'short'));
+});
+
+test('stream() yields text pieces and then the reported usage', async () => {
+  await withMockServer((body, res) => sendEvents(res, [
+    delta('A '),
+    delta('packaged app.'),
+    { choices: [], usage: { total_tokens: 17 } },
+    '[DONE]',
+  ]), async ({ baseUrl, requests }) => {
+    const parts = await collect(new OpenAICompatibleProvider({ baseUrl }).stream(MESSAGES));
+    assert.deepEqual(parts, [{ delta: 'A ' }, { delta: 'packaged app.' }, { usage: { totalTokens: 17 } }]);
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+  });
+});
+
+test('stream() estimates usage when no event reports it', async () => {
+  await withMockServer((body, res) => sendEvents(res, [delta('A packaged app.'), '[DONE]']), async ({ baseUrl }) => {
+    const parts = await collect(new OpenAICompatibleProvider({ baseUrl }).stream(MESSAGES));
+    assert.deepEqual(parts.at(-1), { usage: { totalTokens: estimateTokens(MESSAGES, 'A packaged app.'), estimated: true } });
+  });
+});
+
+test('failures reject with an LLMProviderError saying what went wrong', async () => {
+  const cases = [
+    [(body, res) => sendJSON(res, 503, { error: 'busy' }), 'LLM_HTTP'],
+    [(body, res) => { res.writeHead(200); res.end('not json'); }, 'LLM_BAD_RESPONSE'],
+    [(body, res) => sendJSON(res, 200, completion('   ')), 'LLM_BAD_RESPONSE'],
+    [() => {}, 'LLM_TIMEOUT'],
+  ];
+  for (const [reply, code] of cases) {
+    await withMockServer(reply, async ({ baseUrl }) => {
+      const provider = new OpenAICompatibleProvider({ baseUrl, timeout: 200 });
+      await assert.rejects(provider.complete(MESSAGES), (error) => error instanceof LLMProviderError && error.code === code);
+    });
+  }
+  await assert.rejects(
+    new OpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1/v1' }).complete(MESSAGES),
+    (error) => error.code === 'LLM_NETWORK'
+  );
+});
+
+test('a cancelled request rejects with LLM_ABORTED', async () => {
+  await withMockServer(() => {}, async ({ baseUrl }) => {
+    const controller = new AbortController();
+    const reply = new OpenAICompatibleProvider({ baseUrl }).complete(MESSAGES, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(reply, (error) => error.code === 'LLM_ABORTED');
+  });
+});
+
+test('the token budget holds when the server does not report usage', async () => {
+  await withMockServer((body, res) => sendJSON(res, 200, completion('From the model.')), async ({ baseUrl, requests }) => {
+    const nlp = new NLPProcessor({ provider: new OpenAICompatibleProvider({ baseUrl }), tokenBudget: 5 });
+    assert.equal((await nlp.respond('zzz qqq')).source, 'openai');
+    assert.ok(nlp.context.tokensUsed >= 5);
+    assert.equal((await nlp.respond('zzz qqq again')).source, 'rules');
+    assert.equal(requests.length, 1);
+  });
+});
+
+test('streamed replies count towards the budget, also when cancelled', async () => {
+  await withMockServer((body, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify(delta('Partial'))}\n\n`);
+  }, async ({ baseUrl, requests }) => {
+    const nlp = new NLPProcessor({ provider: new OpenAICompatibleProvider({ baseUrl }), tokenBudget: 5 });
+    const controller = new AbortController();
+    const result = await nlp.respond('zzz qqq', {
+      signal: controller.signal,
+      onChunk: () => controller.abort(),
+    });
+    assert.equal(result.cancelled, true);
+    assert.equal(result.response, 'Partial');
+    assert.ok(nlp.context.tokensUsed >= 5);
+    assert.equal((await nlp.respond('zzz qqq again', { onChunk: () => {} })).source, 'rules');
+    assert.equal(requests.length, 1);
+  });
+});
+
+test('resetting the conversation does not renew the token budget', async () => {
+  const provider = {
+    name: 'stub',
+    calls: 0,
+    async complete() {
+      this.calls++;
+      return { content: 'From the model.', usage: { totalTokens: 10 } };
+    },
+  };
+  const nlp = new NLPProcessor({ provider, tokenBudget: 10 });
+  await nlp.respond('zzz qqq');
+  await nlp.respond('/reset');
+  assert.deepEqual(nlp.getHistory(), []);
+  assert.equal(nlp.context.tokensUsed, 10);
+  assert.equal((await nlp.respond('zzz qqq')).source, 'rules');
+  assert.equal(provider.calls, 1);
+});
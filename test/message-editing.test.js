@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NLPProcessor = require('../src/nlp-processor');
+const { startServer } = require('./helpers/server');
+
+// Send messages in order, each as the turn named by its position (t1, t2...)
+async function converse(nlp, messages) {
+  let result = null;
+  for (const [index, message] of messages.entries()) {
+    result = await nlp.respond(message, { turnId: `t${index + 1}` });
+  }
+  return result;
+}
+
+const userMessages = (nlp) => nlp.getHistory().filter(({ role }) => role === 'user').map(({ content }) => content);
+
+test('editing a message drops the later turns and answers the new text', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['hello', 'What can you do?', 'deploy to railway']);
+  assert.equal(nlp.context.lastIntent, 'deploy');
+  assert.ok(nlp.context.dialog);
+
+  const result = await nlp.editMessage('t2', 'hey');
+  assert.equal(result.intent, 'greeting');
+  assert.equal(result.turnId, 't2');
+  assert.deepEqual(userMessages(nlp), ['hello', 'hey']);
+  assert.equal(nlp.getHistory()[2].id, 't2');
+  assert.equal(nlp.context.lastIntent, 'greeting');
+  assert.equal(nlp.context.dialog, null);
+  assert.equal(await nlp.editMessage('t3', 'hello'), null);
+});
+
+test('editing an answer in a dialog keeps the answers given before it', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['deploy to railway', 'python', '3000']);
+  assert.equal(nlp.context.dialog, null);
+
+  const result = await nlp.editMessage('t2', 'node');
+  assert.deepEqual(result.slots, { platform: 'railway', language: 'node' });
+  assert.equal(result.awaiting, 'port');
+  assert.equal(nlp.context.lastIntent, 'deploy');
+  assert.equal(nlp.getHistory().length, 4);
+});
+
+test('deleting a message takes the conversation back to before it', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['hello', 'deploy to railway', 'python']);
+  assert.equal(nlp.deleteMessage('t2'), true);
+  assert.equal(nlp.getHistory().length, 2);
+  assert.equal(nlp.context.lastIntent, 'greeting');
+  assert.equal(nlp.context.dialog, null);
+  assert.equal(nlp.deleteMessage('t3'), false);
+  assert.equal(nlp.deleteMessage('nope'), false);
+
+  assert.equal(nlp.deleteMessage('t1'), true);
+  assert.deepEqual(nlp.getHistory(), []);
+  assert.equal(nlp.context.lastIntent, null);
+});
+
+test('only the latest reply can be regenerated, preferring another variant', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['What can you do?', 'hello']);
+  assert.equal(await nlp.regenerate('t1'), null);
+  assert.equal(await nlp.regenerate('nope'), null);
+
+  for (let i = 0; i < 5; i++) {
+    const before = nlp.getHistory().at(-1).content;
+    const result = await nlp.regenerate('t2');
+    assert.equal(result.intent, 'greeting');
+    assert.equal(result.turnId, 't2');
+    assert.notEqual(result.response, before);
+    assert.equal(nlp.getHistory().length, 4);
+    assert.equal(nlp.getHistory()[2].content, 'hello');
+  }
+});
+
+test('rewinding keeps the tokens spent and the language picked with /lang', async () => {
+  const provider = {
+    name: 'stub',
+    async complete() {
+      return { content: 'From the model.', usage: { totalTokens: 7 } };
+    },
+  };
+  const nlp = new NLPProcessor({ provider });
+  await nlp.respond('zzz qqq', { turnId: 't1' });
+  await nlp.respond('/lang pl');
+  assert.equal(nlp.deleteMessage('t1'), true);
+  assert.equal(nlp.context.tokensUsed, 7);
+  assert.equal(nlp.context.fixedLocale, 'pl');
+});
+
+test('a rewound plan step is no longer done', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['Help me build and deploy a todo app', 'Write a Dockerfile for my app', 'python', 'app.py', '5000', '.env', 'none', 'none']);
+  assert.equal(nlp.getPlan().steps.find(({ id }) => id === 'docker').done, true);
+  await nlp.editMessage('t8', 'cancel');
+  assert.equal(nlp.getPlan().steps.find(({ id }) => id === 'docker').done, false);
+});
+
+test('turns from before /reset can no longer be edited', async () => {
+  const nlp = new NLPProcessor();
+  await converse(nlp, ['hello']);
+  await nlp.respond('/reset');
+  assert.equal(await nlp.editMessage('t1', 'hey'), null);
+  assert.equal(nlp.deleteMessage('t1'), false);
+});
+
+test('messages are edited, regenerated and deleted over the WebSocket', async () => {
+  const server = await startServer();
+  try {
+    const ws = await server.connect();
+    const { sessionId } = await ws.nextFrame('message');
+    for (const [messageId, content] of [['m1', 'What can you do?'], ['m2', 'deploy to railway']]) {
+      ws.sendFrame({ content, messageId });
+      await ws.collectReply(messageId);
+    }
+
+    ws.sendFrame({ type: 'regenerate', messageId: 'm1' });
+    assert.equal((await ws.nextFrame('error')).content, 'Only the latest reply can be regenerated.');
+
+    ws.sendFrame({ type: 'edit', content: 'hello', messageId: 'm1' });
+    const done = (await ws.collectReply('m1')).pop();
+    assert.equal(done.type, 'done');
+    assert.equal(done.intent, 'greeting');
+    assert.equal(done.turnId, 'm1');
+
+    ws.sendFrame({ type: 'regenerate', messageId: 'm1' });
+    assert.equal((await ws.collectReply('m1')).pop().intent, 'greeting');
+
+    ws.sendFrame({ type: 'edit', content: 'hey', messageId: 'm2' });
+    assert.equal((await ws.nextFrame('error')).content, 'That message is no longer part of the conversation.');
+    ws.sendFrame({ type: 'edit', messageId: 'm1' });
+    assert.match((await ws.nextFrame('error')).content, /must include a "content" field/);
+
+    ws.sendFrame({ type: 'delete', messageId: 'm1' });
+    assert.deepEqual(await ws.nextFrame('deleted'), { type: 'deleted', messageId: 'm1' });
+    ws.sendFrame({ type: 'delete', messageId: 'm1' });
+    assert.equal((await ws.nextFrame('error')).messageId, 'm1');
+    ws.close();
+
+    const resumed = await server.connect(`?session=${sessionId}`);
+    assert.deepEqual((await resumed.nextFrame('history')).messages, []);
+    resumed.close();
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildOpenAPIDocument, toOpenAPIPath, deriveOperationId } = require('../src/openapi');
+const { resolveRef } = require('../src/schema');
+const Router = require('../src/router');
+const { startServer } = require('./helpers/server');
+
+const handler = () => {};
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const SECURITY_SCHEMES = {
+  bearerAuth: { type: 'http', scheme: 'bearer' },
+  apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+};
+
+test('route patterns become OpenAPI paths and operation ids', () => {
+  assert.equal(toOpenAPIPath('/api/conversations/:id/messages'), '/api/conversations/{id}/messages');
+  assert.equal(deriveOperationId('GET', '/api/artifacts/:id'), 'getApiArtifactsById');
+  assert.equal(deriveOperationId('POST', '/api/chat'), 'postApiChat');
+  assert.equal(deriveOperationId('GET', '/api/openapi.json'), 'getApiOpenapiJson');
+  assert.equal(deriveOperationId('GET', '/'), 'getRoot');
+});
+
+test('operations describe parameters, body, security and responses from the route spec', () => {
+  const router = new Router()
+    .get('/items/:id', {
+      summary: 'Read an item',
+      tags: ['items'],
+      scope: 'admin',
+      params: { id: { type: 'string', pattern: '^it_' } },
+      query: { type: 'object', required: ['view'], properties: { view: { enum: ['short', 'full'] }, limit: { type: 'integer' } } },
+      headers: { 'X-Session-ID': { type: 'string' } },
+      responses: { 200: { description: 'The item', schema: { $ref: '#/components/schemas/Item' } } },
+    }, handler)
+    .delete('/items/:id', { operationId: 'removeItem' }, handler)
+    .post('/items', { body: { type: 'object' }, responses: { 201: { description: 'Created', contentType: 'text/plain' } } }, handler);
+  const document = buildOpenAPIDocument(router.routes, {
+    info: { title: 'Items', version: '1.0.0' },
+    schemas: { Item: { type: 'object' } },
+    securitySchemes: SECURITY_SCHEMES,
+  });
+
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(document.paths), ['/items/{id}', '/items']);
+  assert.deepEqual(Object.keys(document.paths['/items/{id}']), ['get', 'delete']);
+  assert.deepEqual(document.components, { schemas: { Item: { type: 'object' } }, securitySchemes: SECURITY_SCHEMES });
+
+  const read = document.paths['/items/{id}'].get;
+  assert.equal(read.operationId, 'getItemsById');
+  assert.equal(read.summary, 'Read an item');
+  assert.deepEqual(read.tags, ['items']);
+  assert.deepEqual(read.parameters, [
+    { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^it_' } },
+    { name: 'view', in: 'query', required: true, schema: { enum: ['short', 'full'] } },
+    { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } },
+    { name: 'X-Session-ID', in: 'header', required: false, schema: { type: 'string' } },
+  ]);
+  assert.deepEqual(read.security, [{ bearerAuth: ['admin'] }, { apiKeyHeader: ['admin'] }]);
+  assert.deepEqual(read.responses['200'].content, { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } });
+  assert.deepEqual(read.responses.default.content['application/json'].schema, { $ref: '#/components/schemas/ErrorResponse' });
+
+  const remove = document.paths['/items/{id}'].delete;
+  assert.equal(remove.operationId, 'removeItem');
+  assert.deepEqual(remove.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  assert.equal(remove.security, undefined);
+  assert.deepEqual(Object.keys(remove.responses), ['200', 'default']);
+  assert.equal(remove.responses['200'].content, undefined);
+
+  const create = document.paths['/items'].post;
+  assert.deepEqual(create.requestBody, { required: true, content: { 'application/json': { schema: { type: 'object' } } } });
+  assert.deepEqual(create.responses['201'].content, { 'text/plain': { schema: { type: 'string' } } });
+});
+
+test('the served document covers every route and its references resolve', async () => {
+  const server = await startServer();
+  try {
+    const { status, body: document } = await server.request('GET', '/api/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(document.info.title, 'EXPLORABOT API');
+    assert.ok(document.paths['/api/chat'].post.requestBody);
+    assert.ok(document.paths['/api/conversations/{id}/messages'].get);
+    assert.deepEqual(document.paths['/health'].get.security, undefined);
+    assert.deepEqual(document.paths['/api/conversations'].get.security, [{ bearerAuth: ['admin'] }, { apiKeyHeader: ['admin'] }]);
+
+    const operationIds = [];
+    const refs = [];
+    const collectRefs = (value) => {
+      if (value && typeof value === 'object') {
+        if (typeof value.$ref === 'string') {
+          refs.push(value.$ref);
+        }
+        Object.values(value).forEach(collectRefs);
+      }
+    };
+    for (const operations of Object.values(document.paths)) {
+      for (const operation of Object.values(operations)) {
+        operationIds.push(operation.operationId);
+        assert.ok(operation.responses.default, operation.operationId);
+      }
+    }
+    assert.equal(new Set(operationIds).size, operationIds.length);
+    collectRefs(document);
+    assert.ok(refs.length > 0);
+    for (const ref of refs) {
+      assert.ok(resolveRef(ref, document.components.schemas), ref);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test('requests are checked against their route schemas', async () => {
+  const server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+  const admin = { Authorization: `Bearer ${ADMIN_KEY}` };
+  const fieldCodes = ({ body }) => body.error.fields.map(({ field, code }) => `${field}:${code}`);
+  try {
+    let response = await server.request('POST', '/api/chat', { body: { message: '   ' } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.message, 'Invalid request');
+    assert.ok(response.body.error.requestId);
+    assert.deepEqual(response.body.error.fields, [{ field: 'message', code: 'pattern', message: 'must not be blank' }]);
+
+    // Language tags are resolved by the handler, in the same envelope
+    response = await server.request('POST', '/api/chat', { body: { message: 'help', locale: 'xx' } });
+    assert.deepEqual(fieldCodes(response), ['locale:enum']);
+
+    response = await server.request('POST', '/api/chat', { body: ['help'] });
+    assert.deepEqual(fieldCodes(response), [':type']);
+
+    response = await server.request('POST', '/api/chat', { body: { message: 'help', sessionId: 'not valid!' } });
+    assert.deepEqual(fieldCodes(response), ['sessionId:pattern']);
+
+    response = await server.request('GET', '/api/plan', { headers: { 'X-Session-ID': 'a b' } });
+    assert.deepEqual(fieldCodes(response), ['X-Session-ID:pattern']);
+
+    response = await server.request('GET', '/api/conversations/ws_1_a/messages?limit=0&cursor=%24', { headers: admin });
+    assert.deepEqual(fieldCodes(response), ['limit:minimum', 'cursor:pattern']);
+    assert.equal(response.body.error.fields[1].message, 'must be a nextCursor value');
+
+    response = await server.request('DELETE', '/api/keys/nope', { headers: admin });
+    assert.deepEqual(response.body.error.fields, [{ field: 'id', code: 'pattern', message: 'must be a key id' }]);
+
+    response = await server.request('POST', '/api/chat', { body: { message: 'help' } });
+    assert.equal(response.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
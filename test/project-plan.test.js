@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const projectPlan = require('../src/project-plan');
+const NLPProcessor = require('../src/nlp-processor');
+const { startServer } = require('./helpers/server');
+
+const NOW = Date.parse('2026-01-02T03:04:05.000Z');
+
+// Send messages in order and return the last result
+async function converse(nlp, messages) {
+  let result = null;
+  for (const message of messages) {
+    result = await nlp.respond(message);
+  }
+  return result;
+}
+
+const DOCKER_DIALOG = ['Write a Dockerfile for my app', 'python', 'app.py', '5000', '.env', 'none', 'none'];
+
+test('a new plan has every step to do', () => {
+  const plan = projectPlan.createPlan('todo app', NOW);
+  assert.equal(plan.goal, 'todo app');
+  assert.equal(plan.createdAt, '2026-01-02T03:04:05.000Z');
+  assert.deepEqual(plan.steps.map(({ id, done }) => `${id}:${done}`), ['scaffold:false', 'env:false', 'docker:false', 'ci:false', 'deploy:false']);
+  assert.equal(projectPlan.nextStep(plan).id, 'scaffold');
+  assert.deepEqual(projectPlan.getProgress(plan), { completed: 0, total: 5, percent: 0 });
+  assert.equal(projectPlan.createPlan('').goal, null);
+});
+
+test('intents tick off the steps they cover, once', () => {
+  const plan = projectPlan.createPlan('todo app', NOW);
+  assert.deepEqual(projectPlan.completeSteps(plan, 'railway', NOW + 1000).map(({ id }) => id), ['deploy']);
+  assert.deepEqual(projectPlan.completeSteps(plan, 'deploy', NOW + 2000), []);
+  assert.deepEqual(projectPlan.completeSteps(plan, 'greeting'), []);
+  assert.deepEqual(projectPlan.completeSteps(null, 'code'), []);
+  assert.equal(plan.updatedAt, '2026-01-02T03:04:06.000Z');
+  assert.equal(plan.steps[4].completedAt, '2026-01-02T03:04:06.000Z');
+  assert.deepEqual(projectPlan.getProgress(plan), { completed: 1, total: 5, percent: 20 });
+
+  ['code', 'env', 'docker', 'ci'].forEach((intent) => projectPlan.completeSteps(plan, intent));
+  assert.equal(projectPlan.nextStep(plan), null);
+});
+
+test('plans are described for API clients in their language', () => {
+  const plan = projectPlan.createPlan('todo app', NOW);
+  projectPlan.completeSteps(plan, 'code', NOW);
+  const described = projectPlan.describePlan(plan, 'de');
+  assert.deepEqual(described.progress, { completed: 1, total: 5, percent: 20 });
+  assert.equal(described.next, 'env');
+  assert.deepEqual(described.steps[0], {
+    id: 'scaffold',
+    label: 'Projekt anlegen',
+    done: true,
+    completedAt: '2026-01-02T03:04:05.000Z',
+    intents: ['code'],
+  });
+});
+
+test('a conversation keeps its plan and reports progress as steps are done', async () => {
+  const nlp = new NLPProcessor();
+  assert.match((await nlp.respond('How far along am I?')).response, /There's no plan yet/);
+
+  let result = await nlp.respond('Help me build and deploy a todo app');
+  assert.equal(result.intent, 'plan');
+  assert.match(result.response, /⬜ 1\. Scaffold the project\n {3}👉 say "Create a REST API called todo"/);
+  assert.equal(nlp.getPlan().goal, 'todo app');
+
+  result = await converse(nlp, DOCKER_DIALOG);
+  assert.match(result.response, /📋 Plan: \*\*Containerise it\*\* done \(1\/5\)\. Next up: \*\*Scaffold the project\*\*/);
+
+  result = await nlp.respond("What's next?");
+  assert.equal(result.intent, 'progress');
+  assert.match(result.response, /\(1\/5 done\)/);
+  assert.match(result.response, /✅ 3\. Containerise it/);
+
+  // Doing a step again, or cancelling it, changes nothing
+  result = await converse(nlp, DOCKER_DIALOG);
+  assert.doesNotMatch(result.response, /📋 Plan/);
+  assert.equal(projectPlan.getProgress(nlp.getPlan()).completed, 1);
+});
+
+test('steps done without a plan are not tracked', async () => {
+  const nlp = new NLPProcessor();
+  const result = await converse(nlp, DOCKER_DIALOG);
+  assert.doesNotMatch(result.response, /📋 Plan/);
+  assert.equal(nlp.getPlan(), null);
+});
+
+test('the plan API reports the conversation\'s plan', async () => {
+  const server = await startServer();
+  try {
+    const { body: { sessionId } } = await server.request('POST', '/api/chat', { body: { message: 'I want to build and deploy a todo app' } });
+    const { status, body } = await server.request('GET', `/api/plan?sessionId=${sessionId}`);
+    assert.equal(status, 200);
+    assert.equal(body.plan.goal, 'todo app');
+    assert.equal(body.plan.next, 'scaffold');
+    assert.equal(body.plan.steps.length, 5);
+
+    assert.equal((await server.request('GET', '/api/plan', { headers: { 'X-Session-ID': 'unknown_session' } })).body.plan, null);
+    assert.equal((await server.request('GET', '/api/plan')).status, 400);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TemplateSyntaxError, compileTemplate, renderTemplate } = require('../src/response-template');
+const NLPProcessor = require('../src/nlp-processor');
+
+test('variables are filled in, nested or missing', () => {
+  assert.equal(renderTemplate('Hi {{ name }}!', { name: 'Ada' }), 'Hi Ada!');
+  assert.equal(renderTemplate('{{metrics.requestCount}} requests', { metrics: { requestCount: 3 } }), '3 requests');
+  assert.equal(renderTemplate('[{{missing}}][{{a.b.c}}]', { a: null }), '[][]');
+  assert.equal(renderTemplate('{{zero}}', { zero: 0 }), '0');
+});
+
+test('filters transform values and take quoted or numeric arguments', () => {
+  assert.equal(renderTemplate('{{uptime | duration}}', { uptime: 93784 }), '1d 2h 3m 4s');
+  assert.equal(renderTemplate('{{uptime | duration}}', { uptime: 0 }), '0s');
+  assert.equal(renderTemplate('{{uptime | duration}}', { uptime: 3600 }), '1h');
+  assert.equal(renderTemplate('{{appName | default: "my-app"}}', {}), 'my-app');
+  assert.equal(renderTemplate("{{appName | default: 'my-app' | upper}}", { appName: '' }), 'MY-APP');
+  assert.equal(renderTemplate('{{port | default: 3000}}', {}), '3000');
+  assert.equal(renderTemplate('{{name | lower}}', { name: 'ShOp' }), 'shop');
+  assert.equal(renderTemplate('{{volumes | list: "  - "}}', { volumes: ['a:/a', 'b:/b'] }), '  - a:/a\n  - b:/b');
+  assert.equal(renderTemplate('{{versions | join: ", "}}', { versions: [18, 20] }), '18, 20');
+  assert.equal(renderTemplate('{{versions | join}}', { versions: 'one' }), 'one');
+});
+
+test('conditions choose a branch, with filters and else', () => {
+  const template = '{{#if slots.platform | eq: "docker"}}container{{else}}{{platform}}{{/if}}';
+  assert.equal(renderTemplate(template, { slots: { platform: 'docker' } }), 'container');
+  assert.equal(renderTemplate(template, { slots: { platform: 'railway' }, platform: 'Railway' }), 'Railway');
+  assert.equal(renderTemplate('{{#if items}}some{{else}}none{{/if}}', { items: [] }), 'none');
+  assert.equal(renderTemplate('{{#unless name}}anonymous{{else}}{{name}}{{/unless}}', { name: 'Ada' }), 'Ada');
+  assert.equal(renderTemplate('{{#unless name}}anonymous{{/unless}}', {}), 'anonymous');
+  assert.equal(renderTemplate('{{#if a}}A{{#if b}}B{{/if}}{{/if}}', { a: true, b: false }), 'A');
+});
+
+test('an escaped \\{{ is kept as a literal', () => {
+  assert.equal(renderTemplate('os: \\{{ matrix.os }}', {}), 'os: {{ matrix.os }}');
+  assert.equal(renderTemplate('\\{{ secrets.TOKEN }} for {{name}}', { name: 'ci' }), '{{ secrets.TOKEN }} for ci');
+});
+
+test('malformed templates throw TemplateSyntaxError', () => {
+  for (const [source, message] of [
+    ['{{#if open}}never closed', /missing "\{\{\/if\}\}"/],
+    ['{{/if}}', /unexpected "\{\{\/if\}\}"/],
+    ['{{#if a}}{{/unless}}', /unexpected "\{\{\/unless\}\}"/],
+    ['{{else}}', /unexpected "\{\{else\}\}"/],
+    ['{{#if a}}x{{else}}y{{else}}z{{/if}}', /unexpected "\{\{else\}\}"/],
+    ['{{#each items}}{{/each}}', /unknown block/],
+    ['{{1abc}}', /invalid variable name "1abc"/],
+    ['{{name | shout}}', /unknown filter "shout"/],
+    ['{{name | default: unquoted}}', /unknown filter/],
+  ]) {
+    assert.throws(() => compileTemplate(source), (error) => error instanceof TemplateSyntaxError && message.test(error.message), source);
+  }
+});
+
+test('replies are rendered with the values current when they are sent', async () => {
+  let requestCount = 1;
+  const nlp = new NLPProcessor({
+    templateData: () => ({
+      healthy: true,
+      version: '9.9.9',
+      environment: 'test',
+      uptime: 61,
+      metrics: { requestCount, errorCount: 0, activeWebSocketConnections: 2 },
+    }),
+  });
+  let { response } = await nlp.respond('What is the status?');
+  assert.match(response, /🟢 Bot is online and healthy/);
+  assert.match(response, /Version: 9\.9\.9/);
+  assert.match(response, /Uptime: 1m 1s/);
+  assert.match(response, /Requests served: 1 \(0 errors\)/);
+
+  requestCount = 42;
+  ({ response } = await nlp.respond('What is the status?'));
+  assert.match(response, /Requests served: 42 \(0 errors\)/);
+});
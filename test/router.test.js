@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Router = require('../src/router');
+const { compilePath } = Router;
+const { startServer } = require('./helpers/server');
+
+// A stand-in response recording what was sent
+function createResponse() {
+  return {
+    status: null,
+    headers: {},
+    body: '',
+    headersSent: false,
+    writeHead(status, headers = {}) {
+      this.status = status;
+      Object.assign(this.headers, headers);
+      this.headersSent = true;
+    },
+    end(body = '') {
+      this.body += body;
+    },
+  };
+}
+
+async function dispatch(router, method, url) {
+  const res = createResponse();
+  await router.handle({ method, url }, res, { requestId: 'req_1' });
+  return res;
+}
+
+// Handlers answering with the route and what the context holds
+const echo = (req, res, ctx) => {
+  res.writeHead(200);
+  res.end(JSON.stringify({ route: ctx.route, params: ctx.params, query: Object.fromEntries(ctx.query) }));
+};
+
+test('path patterns compile to anchored expressions', () => {
+  const { regex, names } = compilePath('/api/files/:name.txt/:id');
+  assert.deepEqual(names, ['name.txt', 'id']);
+  assert.ok(regex.test('/api/files/a/1'));
+  assert.ok(!regex.test('/api/files/a/1/more'));
+  assert.ok(compilePath('/a.b').regex.test('/a.b'));
+  assert.ok(!compilePath('/a.b').regex.test('/axb'));
+  assert.throws(() => compilePath('api'), /must start with "\/"/);
+});
+
+test('routes match by method and path, with decoded params and the query', async () => {
+  const router = new Router().get('/items/:id', echo).post('/items', echo);
+  const res = await dispatch(router, 'GET', '/items/a%20b%2Fc?limit=5&tag=x');
+  assert.equal(res.status, 200);
+  assert.deepEqual(JSON.parse(res.body), { route: '/items/:id', params: { id: 'a b/c' }, query: { limit: '5', tag: 'x' } });
+
+  // A malformed escape is passed on as it is
+  assert.deepEqual(JSON.parse((await dispatch(router, 'GET', '/items/100%')).body).params, { id: '100%' });
+  assert.equal((await dispatch(router, 'GET', '/items/1/2')).status, 404);
+  assert.equal((await dispatch(router, 'GET', '/nope')).status, 404);
+});
+
+test('a path with other methods is answered 405 with the Allow header', async () => {
+  const router = new Router().get('/items', echo).post('/items', echo).delete('/items/:id', echo);
+  let res = await dispatch(router, 'PUT', '/items');
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.Allow, 'GET, POST, HEAD');
+  res = await dispatch(router, 'GET', '/items/1');
+  assert.equal(res.headers.Allow, 'DELETE');
+
+  const calls = [];
+  const custom = new Router({ onMethodNotAllowed: (req, res, ctx) => calls.push(ctx.allowed) }).post('/items', echo);
+  await dispatch(custom, 'GET', '/items');
+  assert.deepEqual(calls, [['POST']]);
+});
+
+test('HEAD falls back to the GET route', async () => {
+  const router = new Router().get('/items', echo);
+  const res = await dispatch(router, 'HEAD', '/items');
+  assert.equal(res.status, 200);
+  assert.equal(JSON.parse(res.body).route, '/items');
+  assert.deepEqual(router.match('HEAD', '/items').params, {});
+});
+
+test('middleware runs in order, global before route, and may stop the chain', async () => {
+  const order = [];
+  const step = (name) => async (req, res, ctx, next) => {
+    order.push(`${name}:in`);
+    await next();
+    order.push(`${name}:out`);
+  };
+  const router = new Router()
+    .use(step('first'))
+    .use(step('second'))
+    .get('/items', step('route'), (req, res) => {
+      order.push('handler');
+      res.writeHead(204);
+    });
+  await dispatch(router, 'GET', '/items');
+  assert.deepEqual(order, ['first:in', 'second:in', 'route:in', 'handler', 'route:out', 'second:out', 'first:out']);
+
+  const guarded = new Router()
+    .use((req, res) => res.writeHead(401))
+    .get('/items', () => assert.fail('handler reached'));
+  assert.equal((await dispatch(guarded, 'GET', '/items')).status, 401);
+});
+
+test('a route spec comes before the handlers', async () => {
+  const router = new Router().get('/items', { summary: 'List items' }, (req, res, ctx) => {
+    res.writeHead(200);
+    res.end(ctx.spec.summary);
+  });
+  assert.equal((await dispatch(router, 'GET', '/items')).body, 'List items');
+  assert.throws(() => router.get('/other', { summary: 'No handler' }), /needs a handler function/);
+  assert.throws(() => router.add('TRACE', '/items', echo), /Unsupported method TRACE/);
+});
+
+test('errors thrown or rejected by middleware and handlers reach onError', async () => {
+  const errors = [];
+  const router = new Router({
+    onError: (req, res, ctx) => {
+      errors.push(ctx.error.message);
+      res.writeHead(500);
+    },
+  })
+    .get('/throws', () => { throw new Error('thrown'); })
+    .get('/rejects', async () => { throw new Error('rejected'); })
+    .get('/middleware', async (req, res, ctx, next) => {
+      await Promise.resolve();
+      throw new Error('in middleware');
+    }, echo);
+
+  for (const path of ['/throws', '/rejects', '/middleware']) {
+    assert.equal((await dispatch(router, 'GET', path)).status, 500, path);
+  }
+  assert.deepEqual(errors, ['thrown', 'rejected', 'in middleware']);
+  assert.equal((await dispatch(new Router().get('/x', () => { throw new Error('x'); }), 'GET', '/x')).status, 500);
+});
+
+test('the server answers unknown methods, HEAD and unknown paths', async () => {
+  const server = await startServer();
+  try {
+    let response = await server.request('DELETE', '/health');
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET, HEAD');
+    assert.equal(response.body.error.message, 'Method not allowed');
+
+    response = await server.request('HEAD', '/health');
+    assert.equal(response.status, 200);
+    assert.equal(response.body, '');
+
+    response = await server.request('GET', '/api/nope');
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.code, 404);
+    assert.ok(response.body.error.requestId);
+  } finally {
+    await server.stop();
+  }
+});
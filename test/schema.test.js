@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, coerceQueryValue, resolveRef } = require('../src/schema');
+const { API_SCHEMAS, MAX_MESSAGE_LENGTH, ref } = require('../src/api-schemas');
+
+const codes = (errors) => errors.map(({ field, code }) => `${field}:${code}`);
+
+test('valid values have no errors', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+      port: { type: 'integer', minimum: 1, maximum: 65535 },
+      tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+      mode: { enum: ['a', 'b'] },
+      note: { type: ['string', 'null'] },
+    },
+    additionalProperties: false,
+  };
+  assert.deepEqual(validate(schema, { name: 'abc', port: 80, tags: ['x'], mode: 'b', note: null }), []);
+});
+
+test('each keyword reports its own error with a readable message', () => {
+  assert.deepEqual(validate({ type: 'object' }, []), [{ field: '', code: 'type', message: 'must be an object' }]);
+  assert.equal(validate({ type: ['integer', 'null'] }, 1.5)[0].message, 'must be an integer or null');
+  assert.equal(validate({ type: 'number' }, Infinity)[0].code, 'type');
+  assert.equal(validate({ enum: ['a', 'b'] }, 'c')[0].message, 'must be one of: a, b');
+  assert.equal(validate({ minLength: 1 }, '')[0].message, 'must not be empty');
+  assert.equal(validate({ minLength: 3 }, 'ab')[0].message, 'must be at least 3 characters');
+  assert.equal(validate({ maxLength: 2 }, 'abc')[0].message, 'must be at most 2 characters');
+  assert.equal(validate({ pattern: '\\S' }, '   ')[0].message, 'must match \\S');
+  assert.equal(validate({ pattern: '\\S', 'x-pattern-message': 'must not be blank' }, ' ')[0].message, 'must not be blank');
+  assert.deepEqual(codes(validate({ minimum: 1, maximum: 2 }, 0)), [':minimum']);
+  assert.deepEqual(codes(validate({ minimum: 1, maximum: 2 }, 3)), [':maximum']);
+  assert.deepEqual(codes(validate({ minItems: 1 }, [])), [':minItems']);
+  assert.deepEqual(codes(validate({ maxItems: 1 }, [1, 2])), [':maxItems']);
+});
+
+test('nested errors name the field by its path', () => {
+  const schema = {
+    type: 'object',
+    required: ['slots'],
+    properties: {
+      slots: {
+        type: 'object',
+        required: ['port'],
+        properties: { port: { type: 'integer' } },
+        additionalProperties: { type: 'string' },
+      },
+      items: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' } }, additionalProperties: false } },
+    },
+  };
+  assert.deepEqual(codes(validate(schema, {})), ['slots:required']);
+  assert.deepEqual(codes(validate(schema, {
+    slots: { port: '80', name: 1 },
+    items: [{ id: 'a' }, { id: 2, extra: true }],
+  })), ['slots.port:type', 'slots.name:type', 'items[1].id:type', 'items[1].extra:additionalProperties']);
+  assert.deepEqual(codes(validate(schema, { slots: { port: 1 } }, { field: 'body' })), []);
+  assert.deepEqual(codes(validate({ type: 'string' }, 1, { field: 'body' })), ['body:type']);
+});
+
+test('$ref resolves through the given schemas', () => {
+  const schemas = { Port: { type: 'integer', minimum: 1 }, Alias: { $ref: '#/components/schemas/Port' } };
+  assert.deepEqual(resolveRef({ $ref: '#/components/schemas/Alias' }, schemas), schemas.Port);
+  assert.deepEqual(codes(validate({ $ref: '#/components/schemas/Alias' }, 0, { schemas })), [':minimum']);
+  assert.throws(() => validate({ $ref: '#/components/schemas/Missing' }, 1, { schemas }), /Unknown schema reference/);
+  assert.throws(() => resolveRef({ $ref: 'other.json#/Port' }, schemas), /Unknown schema reference/);
+});
+
+test('query values are coerced to the type their schema asks for', () => {
+  assert.equal(coerceQueryValue({ type: 'integer' }, '20'), 20);
+  assert.equal(coerceQueryValue({ type: 'number' }, '-1.5'), -1.5);
+  assert.equal(coerceQueryValue({ type: 'boolean' }, 'false'), false);
+  assert.equal(coerceQueryValue({ type: 'integer' }, '20abc'), '20abc');
+  assert.equal(coerceQueryValue({ type: 'string' }, '20'), '20');
+  assert.deepEqual(codes(validate({ type: 'integer' }, coerceQueryValue({ type: 'integer' }, '1e3'))), [':type']);
+});
+
+test('every $ref in the API schemas resolves', () => {
+  const walk = (value) => {
+    if (value && typeof value === 'object') {
+      if (value.$ref) {
+        assert.doesNotThrow(() => resolveRef(value, API_SCHEMAS), value.$ref);
+      }
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(API_SCHEMAS);
+});
+
+test('chat requests are checked against ChatRequest', () => {
+  const check = (body) => codes(validate(ref('ChatRequest'), body, { schemas: API_SCHEMAS }));
+  assert.deepEqual(check({ message: 'help', locale: 'pl' }), []);
+  assert.deepEqual(check({}), ['message:required']);
+  assert.deepEqual(check({ message: '   ' }), ['message:pattern']);
+  assert.deepEqual(check({ message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }), ['message:maxLength']);
+  assert.deepEqual(check('help'), [':type']);
+});
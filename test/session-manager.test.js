@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SessionManager = require('../src/session-manager');
+
+// Sessions with a stand-in processor, recording evictions as "id:reason"
+function createManager(options = {}) {
+  const evicted = [];
+  const sessions = new SessionManager({
+    createProcessor: (id) => ({ id }),
+    onEvict: (session, reason) => evicted.push(`${session.id}:${reason}`),
+    ...options,
+  });
+  return { sessions, evicted };
+}
+
+test('each session id gets its own processor, reused on later calls', () => {
+  const { sessions } = createManager();
+  const first = sessions.getOrCreate('a');
+  assert.equal(sessions.getOrCreate('a'), first);
+  assert.notEqual(sessions.getOrCreate('b').nlp, first.nlp);
+  assert.equal(first.nlp.id, 'a');
+  assert.equal(sessions.size, 2);
+});
+
+test('conversations in different sessions do not share context', async () => {
+  const sessions = new SessionManager();
+  await sessions.getOrCreate('a').nlp.respond('hello');
+  await sessions.getOrCreate('a').nlp.respond('/lang pl');
+  assert.equal(sessions.getOrCreate('a').nlp.getHistory().length, 2);
+  assert.deepEqual(sessions.getOrCreate('b').nlp.getHistory(), []);
+  assert.equal(sessions.getOrCreate('b').nlp.context.fixedLocale, null);
+});
+
+test('idle sessions expire on access and on sweep', () => {
+  const { sessions, evicted } = createManager({ idleTimeout: 1000 });
+  const [a, b] = ['a', 'b', 'c'].map((id) => sessions.getOrCreate(id));
+  a.lastActiveAt -= 2000;
+  b.lastActiveAt -= 2000;
+
+  assert.equal(sessions.peek('a'), null);
+  assert.equal(sessions.get('a'), null);
+  assert.deepEqual(evicted, ['a:idle']);
+  assert.equal(sessions.sweep(), 1);
+  assert.deepEqual(evicted, ['a:idle', 'b:idle']);
+  assert.deepEqual(sessions.list().map(({ id }) => id), ['c']);
+});
+
+test('at capacity the least recently active session is evicted', () => {
+  const { sessions, evicted } = createManager({ maxSessions: 2 });
+  sessions.getOrCreate('a');
+  sessions.getOrCreate('b');
+  sessions.get('a');
+  sessions.getOrCreate('c');
+  assert.deepEqual(evicted, ['b:capacity']);
+  assert.deepEqual(sessions.list().map(({ id }) => id), ['c', 'a']);
+});
+
+test('peek and list do not mark sessions as active', () => {
+  const { sessions } = createManager();
+  const session = sessions.getOrCreate('a');
+  const then = Date.now() - 1000;
+  session.lastActiveAt = then;
+  sessions.peek('a');
+  sessions.list();
+  assert.equal(session.lastActiveAt, then);
+  sessions.get('a');
+  assert.ok(session.lastActiveAt > then);
+});
+
+test('delete reports whether the session existed', () => {
+  const { sessions, evicted } = createManager();
+  sessions.getOrCreate('a');
+  assert.equal(sessions.delete('a', 'deleted'), true);
+  assert.equal(sessions.delete('a', 'deleted'), false);
+  assert.deepEqual(evicted, ['a:deleted']);
+});
+
+test('restore keeps stored times and eviction order', () => {
+  const { sessions } = createManager({ maxSessions: 2 });
+  let restored = null;
+  sessions.restore({ id: 'old', createdAt: 1, lastActiveAt: Date.now() - 10 }, (nlp) => { restored = nlp; });
+  sessions.restore({ id: 'new', createdAt: 2, lastActiveAt: Date.now() }, () => {});
+  assert.equal(restored.id, 'old');
+  assert.equal(sessions.peek('old').createdAt, 1);
+  sessions.getOrCreate('third');
+  assert.equal(sessions.peek('old'), null);
+});
+
+test('session ids are checked and generated ids are valid and distinct', () => {
+  assert.equal(SessionManager.isValidId('ws_1_abc-DEF'), true);
+  for (const id of ['', 'a b', 'a/b', 'x'.repeat(129), 42, null]) {
+    assert.equal(SessionManager.isValidId(id), false, String(id));
+  }
+  const ids = new Set(Array.from({ length: 100 }, () => SessionManager.generateId('ws')));
+  assert.equal(ids.size, 100);
+  for (const id of ids) {
+    assert.match(id, /^ws_\d+_/);
+    assert.equal(SessionManager.isValidId(id), true);
+  }
+});
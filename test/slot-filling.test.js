@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NLPProcessor = require('../src/nlp-processor');
+
+// Send messages in order and return the last result
+async function converse(nlp, messages) {
+  let result = null;
+  for (const message of messages) {
+    result = await nlp.respond(message);
+  }
+  return result;
+}
+
+test('entities are extracted from a message', () => {
+  const nlp = new NLPProcessor();
+  assert.deepEqual(nlp.extractEntities('deploy my flask app called shop on port 8080 with postgres'), {
+    language: 'python',
+    port: 8080,
+    database: 'postgres',
+    appName: 'shop',
+  });
+  assert.deepEqual(nlp.extractEntity('port', 'port 70000', false), { error: 'Port must be a number between 1 and 65535.' });
+  assert.deepEqual(nlp.extractEntity('port', '3000', false), {});
+  assert.deepEqual(nlp.extractEntity('port', '3000', true), { value: 3000 });
+});
+
+test('missing slots are asked for one at a time and filled across turns', async () => {
+  const nlp = new NLPProcessor();
+  let result = await nlp.respond('I want to deploy my app');
+  assert.equal(result.intent, 'deploy');
+  assert.equal(result.awaiting, 'platform');
+  assert.match(result.response, /Deployment Options/);
+
+  result = await nlp.respond('railway with python');
+  assert.deepEqual(result.slots, { platform: 'railway', language: 'python' });
+  assert.equal(result.awaiting, 'port');
+
+  result = await nlp.respond('3000');
+  assert.equal(result.awaiting, null);
+  assert.deepEqual(result.slots, { platform: 'railway', language: 'python', port: 3000, appName: 'my-app' });
+  assert.match(result.response, /Deploying my-app \(Python\) to Railway/);
+  assert.equal(nlp.context.dialog, null);
+});
+
+test('slots given up front are not asked for', async () => {
+  const result = await new NLPProcessor().respond('Deploy my node app called shop to railway on port 8080');
+  assert.deepEqual(result.slots, { platform: 'railway', language: 'node', port: 8080, appName: 'shop' });
+  assert.equal(result.awaiting, null);
+});
+
+test('an invalid answer is explained and the question repeated', async () => {
+  const nlp = new NLPProcessor();
+  const result = await converse(nlp, ['deploy to railway', 'python', 'port 99999']);
+  assert.equal(result.awaiting, 'port');
+  assert.match(result.response, /^Port must be a number between 1 and 65535\.\n\n.*Which port/);
+  assert.equal(nlp.context.dialog.slots.port, undefined);
+});
+
+test('a dialog can be cancelled', async () => {
+  const nlp = new NLPProcessor();
+  const result = await converse(nlp, ['deploy with docker', 'cancel']);
+  assert.match(result.response, /cancelled/);
+  assert.equal(nlp.context.dialog, null);
+});
+
+test('a message about something else drops the dialog', async () => {
+  const nlp = new NLPProcessor();
+  const result = await converse(nlp, ['deploy to railway', 'hello']);
+  assert.equal(result.intent, 'greeting');
+  assert.equal(nlp.context.dialog, null);
+});
+
+test('an answer the dialog cannot use asks again', async () => {
+  const nlp = new NLPProcessor();
+  const result = await converse(nlp, ['deploy to railway', 'hmm']);
+  assert.equal(result.intent, 'deploy');
+  assert.equal(result.awaiting, 'language');
+  assert.match(result.response, /What is your app written in/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TaskRunner = require('../src/task-runner');
+
+const { TaskRejectedError } = TaskRunner;
+
+const manifest = (pkg) => [{ path: 'package.json', content: typeof pkg === 'string' ? pkg : JSON.stringify(pkg) }];
+
+test('commands off the allow-list or with shell syntax are refused', () => {
+  const runner = new TaskRunner({ npmRegistry: 'http://localhost:4873' });
+  assert.deepEqual(runner.parse('node --check app.js').args, ['--check', 'app.js']);
+  for (const [command, code] of [
+    ['rm -rf /', 'notAllowed'],
+    ['node --check ../app.js', 'notAllowed'],
+    ['npm install x; rm -rf /', 'shellSyntax'],
+  ]) {
+    assert.throws(() => runner.parse(command), (error) => error instanceof TaskRejectedError && error.code === code, command);
+  }
+  assert.throws(() => new TaskRunner().parse('npm install express'), { code: 'registry' });
+});
+
+test('a seeded package.json may list registry ranges and tags', () => {
+  const { checkFiles } = new TaskRunner({ npmRegistry: 'http://localhost:4873' }).parse('npm install');
+  checkFiles(manifest({
+    dependencies: { express: '^4.18.0', '@scope/pkg': '1.0.0 - 2.x || >=3.0.0-beta.1' },
+    devDependencies: { jest: 'latest', eslint: '*', nodemon: '' },
+  }));
+});
+
+test('dependencies that would bypass the registry mirror are refused', () => {
+  const { checkFiles } = new TaskRunner({ npmRegistry: 'http://localhost:4873' }).parse('npm install');
+  const specs = [
+    'file:/root', 'link:..', '.', '../lib', 'lib.tgz', 'https://example.com/x.tgz',
+    'git+ssh://git@example.com/x.git', 'user/repo', 'github:user/repo', 'npm:lodash@4', 42,
+  ];
+  for (const spec of specs) {
+    assert.throws(() => checkFiles(manifest({ optionalDependencies: { x: spec } })), { code: 'dependencies' }, String(spec));
+  }
+  for (const pkg of ['{', '[]', { overrides: {} }, { workspaces: ['a'] }, { dependencies: [] }, { dependencies: { '../a': '1' } }]) {
+    assert.throws(() => checkFiles(manifest(pkg)), { code: 'dependencies' }, JSON.stringify(pkg));
+  }
+});
+
+test('a refused package.json is never written or installed', async () => {
+  const runner = new TaskRunner({ npmRegistry: 'http://127.0.0.1:9' });
+  await assert.rejects(
+    runner.run('npm install', { files: manifest({ dependencies: { x: 'file:/' } }) }),
+    { code: 'dependencies' },
+  );
+  assert.equal(runner.running, 0);
+});
+
+test('other commands are not checked against package.json rules', async () => {
+  const runner = new TaskRunner();
+  const result = await runner.run('node --check app.js', { files: [{ path: 'app.js', content: 'const a = 1;\n' }] });
+  assert.equal(result.exitCode, 0);
+});
+
+test('npm install refuses local tarballs as arguments', () => {
+  const runner = new TaskRunner({ npmRegistry: 'http://localhost:4873' });
+  assert.deepEqual(runner.parse('npm install express@4 lodash').args.slice(0, 3), ['install', 'express@4', 'lodash']);
+  for (const command of ['npm install foo.tgz', 'npm i pkg.tar', 'npm install express pkg.tar.gz', 'npm install foo@1.0.0.TGZ']) {
+    assert.throws(() => runner.parse(command), { code: 'notAllowed' }, command);
+  }
+});
+
+test('output is cut at the byte limit without splitting a character', async () => {
+  const runner = new TaskRunner({ outputLimit: 50 });
+  const result = await runner.run('node --check app.js', { files: [{ path: 'app.js', content: `${'ż'.repeat(60)} = ;\n` }] });
+  assert.equal(result.truncated, true);
+  const size = Buffer.byteLength(result.output);
+  assert.ok(size <= 50 && size >= 49, `${size} bytes`);
+  assert.match(result.output, /^\.\/app\.js:1\nż+$/);
+});
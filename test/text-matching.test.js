@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalize, tokenize, stem, editDistance, similarity, compileKeyword, matchKeyword } = require('../src/text-matching');
+const NLPProcessor = require('../src/nlp-processor');
+
+test('text is lowercased and stripped of accents and punctuation', () => {
+  assert.equal(normalize('Wdróż   MOJĄ app!!'), 'wdroz moja app');
+  assert.equal(normalize('Łódź, Straße'), 'lodz strasse');
+  assert.deepEqual(tokenize('  Deploy, my app! '), ['deploy', 'my', 'app']);
+  assert.deepEqual(tokenize('?!'), []);
+});
+
+test('inflected words share a stem', () => {
+  for (const [word, expected] of [
+    ['deployments', 'deploy'],
+    ['deploying', 'deploy'],
+    ['containers', 'contain'],
+    ['databases', 'databas'],
+    ['dependencies', 'dependency'],
+    ['classes', 'class'],
+    ['status', 'status'],
+  ]) {
+    assert.equal(stem(word), expected, word);
+  }
+  // Stems never get shorter than three letters
+  assert.equal(stem('uses'), 'use');
+  assert.equal(stem('ring'), 'ring');
+});
+
+test('edit distance counts swapped neighbours as one edit', () => {
+  assert.equal(editDistance('docker', 'docker'), 0);
+  assert.equal(editDistance('dockr', 'docker'), 1);
+  assert.equal(editDistance('deplyoment', 'deployment'), 1);
+  assert.equal(editDistance('', 'abc'), 3);
+  assert.equal(similarity('', ''), 1);
+  assert.equal(similarity('dockr', 'docker'), 1 - 1 / 6);
+});
+
+test('keywords match exactly, by stem or by similarity', () => {
+  const keyword = compileKeyword('Deployment');
+  assert.equal(matchKeyword('deployment', keyword), 1);
+  assert.equal(matchKeyword('deployments', keyword), 1);
+  assert.equal(matchKeyword('deplyoment', keyword), 0.9);
+  // Short words must match exactly
+  assert.equal(matchKeyword('dok', compileKeyword('doc')), 0);
+});
+
+test('misspelled messages still find their intent', () => {
+  const nlp = new NLPProcessor();
+  for (const [message, intent] of [['dockr', 'docker'], ['deplyoment', 'deploy'], ['raliway', 'railway'], ['kontenery', 'docker'], ['wdrozenie', 'deploy']]) {
+    assert.deepEqual(nlp.rankIntents(message)[0], { intent, confidence: 1, fuzzy: true }, message);
+  }
+  assert.deepEqual(nlp.rankIntents('xyzzy qwerty'), []);
+});
+
+test('fuzzy matching only applies above the threshold', () => {
+  assert.deepEqual(new NLPProcessor({ fuzzyThreshold: 1 }).rankIntents('dockr'), []);
+  assert.equal(new NLPProcessor({ fuzzyThreshold: 1 }).rankIntents('containers')[0].intent, 'docker');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { TomlSyntaxError, parseToml, stringifyToml } = require('../src/toml');
+const { generateRailwayConfig, parseRailwayConfig } = require('../src/railway-config');
+
+test('values and tables round-trip through stringify and parse', () => {
+  const config = {
+    title: 'a "quoted" # not a comment\\ \n',
+    'my key': 1,
+    ratio: -2.5,
+    enabled: false,
+    list: [1, 'two', [3]],
+    build: { builder: 'nixpacks' },
+    environments: { production: { deploy: { numReplicas: 2 } } },
+    empty: {},
+  };
+  const text = stringifyToml(config);
+  assert.match(text, /^"my key" = 1$/m);
+  assert.match(text, /^\[environments\.production\.deploy\]$/m);
+  assert.deepEqual(parseToml(text), config);
+});
+
+test('null and undefined values are left out', () => {
+  assert.equal(stringifyToml({ a: 1, b: null, c: undefined }), 'a = 1\n');
+});
+
+test('generated railway.toml parses back to the same config', () => {
+  const text = generateRailwayConfig({
+    builder: 'dockerfile',
+    startCommand: 'node src/index.js',
+    healthcheckPath: '/health',
+  }, 'toml');
+  assert.deepEqual(parseRailwayConfig(text), {
+    format: 'toml',
+    config: {
+      build: { builder: 'dockerfile', dockerfilePath: 'Dockerfile' },
+      deploy: {
+        startCommand: 'node src/index.js',
+        healthcheckPath: '/health',
+        healthcheckTimeout: 100,
+        restartPolicyType: 'ON_FAILURE',
+        restartPolicyMaxRetries: 10,
+      },
+    },
+  });
+});
+
+test('the repository railway.toml parses', () => {
+  const config = parseToml(fs.readFileSync(path.join(__dirname, '..', 'railway.toml'), 'utf8'));
+  assert.equal(config.deploy.healthcheckPath, '/health');
+});
+
+test('comments, literal strings, dotted keys and number forms are read', () => {
+  assert.deepEqual(parseToml([
+    '# a comment',
+    "path = 'C:\\temp' # trailing comment",
+    'site."first.name" = "x#y"',
+    'big = 1_000',
+    'exp = 1e3',
+    'plus = +7',
+    'tabled = []',
+  ].join('\r\n')), {
+    path: 'C:\\temp',
+    site: { 'first.name': 'x#y' },
+    big: 1000,
+    exp: 1000,
+    plus: 7,
+    tabled: [],
+  });
+});
+
+test('malformed documents throw TomlSyntaxError with the line number', () => {
+  const cases = [
+    ['a = "x', 1, /unterminated string/],
+    ['a = hello', 1, /strings must be quoted/],
+    ['a = 1\na = 2', 2, /"a" is defined twice/],
+    ['[t]\n[t]', 2, /table \[t\] is defined twice/],
+    ['a = [1,\n2]', 1, /arrays must fit on one line/],
+    ['a = [1 2]', 1, /expected "," or "]"/],
+    ['[t', 1, /invalid table header/],
+    ['\n\na =', 3, /missing value for "a"/],
+    ['a = 1 2', 1, /unexpected text after value/],
+    ['a = 1\n[a]', 2, /already defined as a value/],
+    ['a = "\\q"', 1, /invalid escape/],
+    ['= 1', 1, /invalid key/],
+    ['[a.]', 1, /invalid key/],
+    ['a. = 1', 1, /invalid key/],
+    ['just words', 1, /expected "key = value"/],
+  ];
+  for (const [source, line, message] of cases) {
+    assert.throws(() => parseToml(source), (error) => (
+      error instanceof TomlSyntaxError && error.line === line && message.test(error.message)
+    ), source);
+  }
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let server;
+test.before(async () => {
+  // Paced slowly enough for a reply to be cancelled or overlapped
+  server = await startServer({ STREAM_CHUNK_DELAY: '20' });
+});
+test.after(() => server.stop());
+
+test('a new connection is greeted and given its session id', async () => {
+  const ws = await server.connect('', { headers: { 'Accept-Language': 'de-DE,de;q=0.9' } });
+  const welcome = await ws.nextFrame();
+  assert.equal(welcome.type, 'message');
+  assert.match(welcome.sessionId, /^ws_\d+_/);
+  assert.match(welcome.content, /EXPLORABOT/);
+  ws.close();
+});
+
+test('a reply streams as numbered chunks followed by a done frame', async () => {
+  const ws = await server.connect();
+  await ws.nextFrame('message');
+  ws.sendFrame({ content: 'help', messageId: 'm1' });
+  const frames = await ws.collectReply('m1');
+  const done = frames.pop();
+
+  assert.ok(frames.length > 1);
+  assert.deepEqual(frames.map((frame) => frame.index), frames.map((frame, index) => index));
+  assert.ok(frames.every((frame) => frame.type === 'chunk'));
+  assert.equal(done.type, 'done');
+  assert.equal(done.intent, 'help');
+  assert.equal(done.cancelled, false);
+  assert.equal(done.turnId, 'm1');
+  ws.close();
+});
+
+test('a cancelled reply stops early and says so', async () => {
+  const ws = await server.connect();
+  await ws.nextFrame('message');
+  ws.sendFrame({ content: 'help', messageId: 'm1' });
+  await ws.nextFrame('chunk');
+  ws.sendFrame({ type: 'cancel', messageId: 'm1' });
+  const frames = await ws.collectReply('m1');
+  const done = frames.pop();
+  assert.equal(done.type, 'done');
+  assert.equal(done.cancelled, true);
+
+  ws.sendFrame({ content: 'help', messageId: 'm2' });
+  const again = (await ws.collectReply('m2')).pop();
+  assert.equal(again.cancelled, false);
+  ws.close();
+});
+
+test('a message sent while a reply is being written is refused', async () => {
+  const ws = await server.connect();
+  const { sessionId } = await ws.nextFrame('message');
+  ws.sendFrame({ content: 'help', messageId: 'm1' });
+  ws.sendFrame({ content: 'hello', messageId: 'm2' });
+  const refused = await ws.nextFrame((frame) => frame.messageId === 'm2');
+  assert.equal(refused.type, 'error');
+  assert.equal(refused.code, 'busy');
+
+  // Also from another socket on the same conversation
+  const other = await server.connect(`?session=${sessionId}`);
+  await other.nextFrame('history');
+  other.sendFrame({ content: 'hello', messageId: 'm3' });
+  assert.equal((await other.nextFrame((frame) => frame.messageId === 'm3')).code, 'busy');
+  assert.equal((await server.request('POST', '/api/chat', {
+    body: { message: 'hello' },
+    headers: { 'X-Session-ID': sessionId },
+  })).status, 409);
+
+  assert.equal((await ws.collectReply('m1')).pop().type, 'done');
+  other.sendFrame({ content: 'hello', messageId: 'm4' });
+  assert.equal((await other.collectReply('m4')).pop().intent, 'greeting');
+  ws.close();
+  other.close();
+});
+
+test('messages without an id are given distinct ones', async () => {
+  const ws = await server.connect();
+  await ws.nextFrame('message');
+  const ids = [];
+  for (let i = 0; i < 2; i++) {
+    ws.sendFrame({ content: 'hello' });
+    ids.push((await ws.nextFrame('done')).messageId);
+  }
+  assert.match(ids[0], /^msg_[0-9a-f-]{36}$/);
+  assert.notEqual(ids[0], ids[1]);
+  ws.close();
+});
+
+test('a reconnecting client gets its conversation back', async () => {
+  const ws = await server.connect();
+  const { sessionId } = await ws.nextFrame('message');
+  ws.sendFrame({ content: 'hello', messageId: 'm1' });
+  await ws.nextFrame('done');
+  ws.close();
+
+  const resumed = await server.connect(`?session=${sessionId}`);
+  const history = await resumed.nextFrame();
+  assert.equal(history.type, 'history');
+  assert.equal(history.sessionId, sessionId);
+  assert.deepEqual(history.messages.map((message) => message.role), ['user', 'assistant']);
+  assert.equal(history.messages[0].id, 'm1');
+  resumed.close();
+});
+
+test('malformed frames are answered with an error', async () => {
+  const ws = await server.connect();
+  await ws.nextFrame('message');
+  ws.send('not json');
+  assert.match((await ws.nextFrame('error')).content, /valid JSON/);
+  ws.sendFrame({ content: '   ', messageId: 'm1' });
+  assert.match((await ws.nextFrame('error')).content, /cannot be empty/);
+  ws.sendFrame({ content: 'hello', locale: 'xx', messageId: 'm2' });
+  assert.match((await ws.nextFrame('error')).content, /Unsupported locale/);
+  ws.close();
+});
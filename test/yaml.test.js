@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { YamlSyntaxError, parseYaml } = require('../src/yaml');
+const { checkWorkflow } = require('../src/github-workflow');
+const Scaffolder = require('../src/scaffolder');
+
+const WORKFLOWS_DIR = path.join(__dirname, '..', '.github', 'workflows');
+
+test('mappings, sequences and scalars are read', () => {
+  const source = [
+    '# a comment',
+    '---',
+    'name: CI # trailing comment',
+    'on:',
+    '  push:',
+    '    branches: [ main, "dev" ]',
+    'list:',
+    '- a',
+    '- - x',
+    '  - y',
+    '- k: v',
+    '  k2: 2',
+    'empty:',
+    'hash: "a # b"',
+    "apostrophe: 'it''s'",
+    '"quoted key": yes',
+    'flag: TRUE',
+    'tilde: ~',
+    'ratio: -1.5',
+    'mapping: {}',
+    'nested: [ a, [ b, c ] ]',
+  ].join('\n');
+  assert.deepEqual(parseYaml(source), {
+    name: 'CI',
+    on: { push: { branches: ['main', 'dev'] } },
+    list: ['a', ['x', 'y'], { k: 'v', k2: 2 }],
+    empty: null,
+    hash: 'a # b',
+    apostrophe: "it's",
+    'quoted key': 'yes',
+    flag: true,
+    tilde: null,
+    ratio: -1.5,
+    mapping: {},
+    nested: ['a', ['b', 'c']],
+  });
+});
+
+test('block scalars keep or fold lines and honour chomping', () => {
+  assert.deepEqual(parseYaml([
+    'literal: |',
+    '  one',
+    '    two',
+    '',
+    'stripped: |-',
+    '  one',
+    'kept: |+',
+    '  one',
+    '',
+    'folded: >',
+    '  a',
+    '  b',
+    '',
+    '  c',
+    'after: 1',
+  ].join('\n')), {
+    literal: 'one\n  two\n',
+    stripped: 'one',
+    kept: 'one\n\n',
+    folded: 'a b\nc\n',
+    after: 1,
+  });
+});
+
+test('empty documents parse to null', () => {
+  assert.equal(parseYaml(''), null);
+  assert.equal(parseYaml('# only a comment\n---\n'), null);
+});
+
+test("the repository's own workflows parse and pass the workflow checks", () => {
+  for (const file of fs.readdirSync(WORKFLOWS_DIR)) {
+    const source = fs.readFileSync(path.join(WORKFLOWS_DIR, file), 'utf8');
+    assert.ok(parseYaml(source).jobs, file);
+    assert.deepEqual(checkWorkflow(source).errors, [], file);
+  }
+});
+
+test('generated workflows parse back with every job and pass the checks', () => {
+  const scaffolder = new Scaffolder().load();
+  const allJobs = { docker: true, dockerhub: true, railway: true };
+  for (const jobs of [{}, allJobs]) {
+    const { files } = scaffolder.render('github-actions', {
+      appName: 'my-app',
+      port: 3000,
+      nodeVersions: ['18.x', '20.x'],
+      healthcheckPath: '/health',
+      jobs,
+    });
+    const workflow = parseYaml(files[0].content);
+    assert.deepEqual(workflow.jobs.test.strategy.matrix['node-version'], ['18.x', '20.x']);
+    assert.equal(workflow.jobs.test.steps.at(-1).env.PORT, 3000);
+
+    const check = checkWorkflow(files[0].content);
+    assert.deepEqual(check.errors, []);
+    if (jobs === allJobs) {
+      assert.deepEqual(check.jobs, ['test', 'build', 'publish', 'deploy']);
+      assert.deepEqual(check.secrets, ['DOCKER_PASSWORD', 'DOCKER_USERNAME', 'RAILWAY_TOKEN']);
+      assert.deepEqual(workflow.jobs.deploy.needs, ['test', 'build']);
+    }
+  }
+});
+
+test('malformed documents throw YamlSyntaxError with the line number', () => {
+  const cases = [
+    ['a: 1\na: 2', 2, /duplicate key "a"/],
+    ['a:\n\tb: 1', 2, /tabs are not allowed/],
+    ['a: "x', 1, /unterminated or malformed string/],
+    ["a: 'x", 1, /unterminated or malformed string/],
+    ['a: "\\q"', 1, /invalid escape/],
+    ['a: [1, 2', 1, /unterminated flow sequence/],
+    ['a: [1, [2]', 1, /unbalanced flow sequence/],
+    ['a: {b: 1}', 1, /flow mappings/],
+    ['a: *ref', 1, /anchors, aliases and tags/],
+    ['a: 1\n  b: 2', 2, /unexpected indentation/],
+    ['a:\n  - x\n   - y', 3, /unexpected indentation/],
+    ['just text', 1, /expected "key: value"/],
+  ];
+  for (const [source, line, message] of cases) {
+    assert.throws(() => parseYaml(source), (error) => (
+      error instanceof YamlSyntaxError && error.line === line && message.test(error.message)
+    ), source);
+  }
+});
+
+test('workflow checks report a broken workflow instead of throwing', () => {
+  assert.match(checkWorkflow('jobs:\n  test: [').errors[0], /line 2/);
+  assert.deepEqual(checkWorkflow([
+    'on: push',
+    'jobs:',
+    '  test:',
+    '    runs-on: ubuntu-latest',
+    '    needs: missing',
+    '    steps:',
+    '    - run: echo ${{ matrix.os }}',
+  ].join('\n')).errors, [
+    'jobs.test.needs: there is no job "missing"',
+    "jobs.test.steps[0].run: matrix.os is not defined in the job's strategy.matrix",
+  ]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createZip, crc32 } = require('../src/zip-writer');
+const { readZip } = require('./helpers/zip');
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('files round-trip through an archive', () => {
+  const script = '#!/bin/sh\necho hi\n';
+  const source = 'console.log("hello");\n'.repeat(50);
+  const binary = Buffer.from([0, 1, 2, 255, 254]);
+  const entries = readZip(createZip([
+    { path: 'app/index.js', content: source },
+    { path: 'app/run.sh', content: script, mode: 0o755 },
+    { path: 'app/blob.bin', content: binary },
+    { path: 'app/zażółć.txt', content: 'ünïcödé' },
+  ]));
+
+  assert.deepEqual(entries.map((entry) => entry.name), ['app/index.js', 'app/run.sh', 'app/blob.bin', 'app/zażółć.txt']);
+  assert.equal(entries[0].data.toString('utf8'), source);
+  assert.equal(entries[0].method, 8, 'repetitive text is deflated');
+  assert.equal(entries[1].data.toString('utf8'), script);
+  assert.equal(entries[1].mode, 0o755);
+  assert.equal(entries[2].mode, 0o644);
+  assert.deepEqual(entries[2].data, binary);
+  assert.equal(entries[2].method, 0, 'data deflate would grow is stored');
+  assert.equal(entries[3].data.toString('utf8'), 'ünïcödé');
+});
+
+test('Windows separators become forward slashes', () => {
+  const [entry] = readZip(createZip([{ path: 'src\\lib\\util.js', content: '' }]));
+  assert.equal(entry.name, 'src/lib/util.js');
+  assert.equal(entry.data.length, 0);
+});
+
+test('the given date is stored in MS-DOS format', () => {
+  const archive = createZip([{ path: 'a.txt', content: 'a' }], { date: new Date(2024, 2, 15, 13, 45, 30) });
+  assert.equal(archive.readUInt16LE(10), (13 << 11) | (45 << 5) | 15);
+  assert.equal(archive.readUInt16LE(12), ((2024 - 1980) << 9) | (3 << 5) | 15);
+});
+
+test('an empty file list gives an empty archive', () => {
+  const archive = createZip([]);
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});
+
+test('content that is neither a string nor a Buffer is rejected', () => {
+  assert.throws(() => createZip([{ path: 'a.txt', content: 42 }]), TypeError);
+  assert.throws(() => createZip([{ path: 'a.txt' }]), TypeError);
+});